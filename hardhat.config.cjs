@@ -0,0 +1,29 @@
+require('@nomicfoundation/hardhat-ethers');
+
+// Local development chain for the contracts in src/contracts.
+// `npm run chain` starts a node on http://localhost:8545 with the chain ID of the
+// "Local" network in public/deployments.json; `npm run deploy:local` deploys to it.
+
+/** @type {import('hardhat/config').HardhatUserConfig} */
+module.exports = {
+  solidity: {
+    version: '0.8.26',
+    settings: {
+      optimizer: { enabled: true, runs: 200 }
+    }
+  },
+  paths: {
+    sources: './src/contracts',
+    artifacts: './artifacts',
+    cache: './cache'
+  },
+  networks: {
+    hardhat: {
+      chainId: 1337
+    },
+    localhost: {
+      url: 'http://127.0.0.1:8545',
+      chainId: 1337
+    }
+  }
+};
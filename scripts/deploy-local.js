@@ -0,0 +1,164 @@
+// Deploy the contracts to the local development chain, point the app at them
+// and seed demo users, so backup, recovery and chat can be run end to end
+// without a public network.
+//
+// Writes the addresses and service fee into the chain's entry of
+// public/deployments.json, sends test ETH to the accounts in FUND_ACCOUNTS,
+// and registers a chat key for each demo user. Demo users are Hardhat test
+// accounts; their wallet keys and chat recovery phrases are written to
+// .local-chain/demo-users.json. All of them are public test values.
+//
+// Usage: npm run chain            (in one terminal)
+//        npm run deploy:local     (in another, after every chain restart)
+//   SERVICE_FEE    share registry fee in ETH (default 0.01)
+//   FUND_ACCOUNTS  comma-separated addresses to fund, e.g. your browser wallet
+//   FUND_AMOUNT    ETH sent to each of them (default 100)
+//   DEMO_USERS     number of demo users to seed (default 3)
+
+import fs from 'node:fs';
+import path from 'node:path';
+import hre from 'hardhat';
+import { entropyToMnemonic, mnemonicToSeed } from '@scure/bip39';
+import { wordlist } from '@scure/bip39/wordlists/english';
+import { HDKey } from '@scure/bip32';
+import { secp256k1 } from '@noble/curves/secp256k1';
+import { bytesToHex } from '@noble/hashes/utils';
+
+const { ethers } = hre;
+
+const SERVICE_FEE = process.env.SERVICE_FEE || '0.01';
+const FUND_ACCOUNTS = (process.env.FUND_ACCOUNTS || '').split(',').map(address => address.trim()).filter(Boolean);
+const FUND_AMOUNT = process.env.FUND_AMOUNT || '100';
+const DEMO_USERS = Number(process.env.DEMO_USERS || 3);
+
+const DEPLOYMENTS_FILE = path.resolve('public/deployments.json');
+const DEMO_USERS_FILE = path.resolve('.local-chain/demo-users.json');
+
+const DEMO_NAMES = ['alice', 'bob', 'carol', 'dave', 'erin', 'frank', 'grace', 'heidi', 'ivan', 'judy'];
+
+// Path of the chat key, as in MnemonicService.chatKeyPath(0)
+const CHAT_KEY_PATH = "m/7683'/0'/0'";
+
+/**
+ * Deploy a contract and wait until it's mined
+ * @param {string} contractName - Artifact name
+ * @param {Array} args - Constructor arguments
+ * @returns {Promise<ethers.Contract>} Deployed contract
+ */
+const deploy = async (contractName, args = []) => {
+  const factory = await ethers.getContractFactory(contractName);
+  const contract = await factory.deploy(...args);
+  await contract.waitForDeployment();
+
+  console.log(`${contractName.padEnd(20)} ${await contract.getAddress()}`);
+  return contract;
+};
+
+/**
+ * Record the deployment in the chain's entry of the deployment manifest
+ * @param {number} chainId - Chain deployed to
+ * @param {Object} contracts - Contract addresses by name
+ */
+const writeDeployments = (chainId, contracts) => {
+  const manifest = JSON.parse(fs.readFileSync(DEPLOYMENTS_FILE, 'utf8'));
+  const network = manifest.networks[chainId] || {
+    name: 'Local',
+    rpcUrl: hre.network.config.url || 'http://localhost:8545',
+    explorerUrl: null,
+    currency: { name: 'Ether', symbol: 'ETH', decimals: 18 }
+  };
+
+  manifest.networks[chainId] = { ...network, serviceFee: SERVICE_FEE, contracts };
+  fs.writeFileSync(DEPLOYMENTS_FILE, `${JSON.stringify(manifest, null, 2)}\n`);
+
+  console.log(`\nUpdated network ${chainId} in ${path.relative(process.cwd(), DEPLOYMENTS_FILE)}`);
+};
+
+/**
+ * Fixed recovery phrase and chat key of a demo user, importable in the app
+ * @param {string} name - Demo user name
+ * @returns {Promise<{recoveryPhrase: string, publicKey: string}>} Phrase and uncompressed public key (hex with 0x prefix)
+ */
+const deriveDemoChatKey = async (name) => {
+  const entropy = ethers.getBytes(ethers.id(`e2e-chat demo user ${name}`)).slice(0, 16);
+  const recoveryPhrase = entropyToMnemonic(entropy, wordlist);
+
+  const seed = await mnemonicToSeed(recoveryPhrase);
+  const node = HDKey.fromMasterSeed(seed).derive(CHAT_KEY_PATH);
+
+  return {
+    recoveryPhrase,
+    publicKey: `0x${bytesToHex(secp256k1.getPublicKey(node.privateKey, false))}`
+  };
+};
+
+/**
+ * Private key of a Hardhat test account, if the node uses the configured mnemonic
+ * @param {number} index - Account index
+ * @param {string} address - Expected address
+ * @returns {string|null} Private key, or null if it can't be derived
+ */
+const testAccountKey = (index, address) => {
+  const accounts = hre.config.networks.hardhat.accounts;
+  if (!accounts.mnemonic) return null;
+
+  const wallet = ethers.HDNodeWallet.fromPhrase(
+    accounts.mnemonic,
+    accounts.passphrase,
+    `${accounts.path}/${accounts.initialIndex + index}`
+  );
+  return wallet.address === address ? wallet.privateKey : null;
+};
+
+const [deployer, ...testAccounts] = await ethers.getSigners();
+const chainId = Number((await ethers.provider.getNetwork()).chainId);
+
+if (DEMO_USERS > Math.min(testAccounts.length, DEMO_NAMES.length)) {
+  throw new Error(`At most ${Math.min(testAccounts.length, DEMO_NAMES.length)} demo users can be seeded`);
+}
+
+console.log(`Deploying to chain ${chainId} from ${deployer.address}\n`);
+
+// The registry deploys its own vault implementation; version 1 share contracts are no longer deployed
+const eccOperations = await deploy('ECCOperations');
+const preKeyRegistry = await deploy('PreKeyRegistry');
+const shareRegistry = await deploy('SecureShareRegistry', [ethers.parseEther(SERVICE_FEE), deployer.address]);
+
+writeDeployments(chainId, {
+  ECCOperations: await eccOperations.getAddress(),
+  PreKeyRegistry: await preKeyRegistry.getAddress(),
+  SecureShareRegistry: await shareRegistry.getAddress()
+});
+
+for (const address of FUND_ACCOUNTS) {
+  const tx = await deployer.sendTransaction({ to: ethers.getAddress(address), value: ethers.parseEther(FUND_AMOUNT) });
+  await tx.wait();
+  console.log(`Sent ${FUND_AMOUNT} ETH to ${address}`);
+}
+
+const demoUsers = [];
+for (let i = 0; i < DEMO_USERS; i++) {
+  const signer = testAccounts[i];
+  const name = DEMO_NAMES[i];
+  const { recoveryPhrase, publicKey } = await deriveDemoChatKey(name);
+
+  const tx = await eccOperations.connect(signer).registerPublicKey(publicKey);
+  await tx.wait();
+
+  demoUsers.push({
+    name,
+    address: signer.address,
+    accountPrivateKey: testAccountKey(i + 1, signer.address),
+    recoveryPhrase,
+    chatPublicKey: publicKey
+  });
+}
+
+fs.mkdirSync(path.dirname(DEMO_USERS_FILE), { recursive: true });
+fs.writeFileSync(DEMO_USERS_FILE, `${JSON.stringify({ chainId, demoUsers }, null, 2)}\n`);
+
+console.log(`\nSeeded ${demoUsers.length} demo users with registered chat keys:`);
+for (const { name, address } of demoUsers) {
+  console.log(`  ${name.padEnd(6)} ${address}`);
+}
+console.log(`Wallet keys and recovery phrases: ${path.relative(process.cwd(), DEMO_USERS_FILE)}`);
@@ -0,0 +1,28 @@
+// Compile the contracts in src/contracts and write the ABIs the app imports
+// to src/abis/<Contract>.json.
+//
+// Usage: npm run abis
+
+import fs from 'node:fs';
+import path from 'node:path';
+import hre from 'hardhat';
+
+// Contracts the services talk to
+const APP_CONTRACTS = [
+  'ECCOperations',
+  'PreKeyRegistry',
+  'SecureShareRegistry',
+  'SecureShareVault',
+  'SecureShareContract'
+];
+
+const ABI_DIR = path.resolve('src/abis');
+
+await hre.run('compile');
+
+for (const contractName of APP_CONTRACTS) {
+  const { abi } = await hre.artifacts.readArtifact(contractName);
+  fs.writeFileSync(path.join(ABI_DIR, `${contractName}.json`), JSON.stringify({ abi }, null, 4));
+}
+
+console.log(`Wrote ${APP_CONTRACTS.length} ABIs to ${ABI_DIR}`);
@@ -0,0 +1,218 @@
+// File-backed stand-in for an IPFS node, for local development.
+//
+// Serves the two IPFS HTTP API commands the app uses for off-chain backup
+// shares: /api/v0/add stores the uploaded file and returns its CID, and
+// /api/v0/cat returns the content of a CID. CIDs are CIDv1 raw sha2-256,
+// the same ones Kubo returns for small files added with --cid-version=1
+// --raw-leaves, so blobs can later be moved to a real IPFS node unchanged.
+// Blobs are only ever stored encrypted.
+//
+// Usage: npm run blobstore
+//   BLOBSTORE_PORT      port to listen on (default 5001, the IPFS API port)
+//   BLOBSTORE_DATA_DIR  directory holding the blobs (default .blobstore)
+
+import fs from 'node:fs';
+import path from 'node:path';
+import http from 'node:http';
+import { createHash } from 'node:crypto';
+
+const PORT = Number(process.env.BLOBSTORE_PORT || 5001);
+const DATA_DIR = path.resolve(process.env.BLOBSTORE_DATA_DIR || '.blobstore');
+
+// Limits
+const MAX_BLOB_BYTES = 1024 * 1024;
+const MAX_BODY_BYTES = MAX_BLOB_BYTES + 64 * 1024;
+
+// CIDv1 prefix: version 1, raw codec, sha2-256 multihash of 32 bytes
+const CID_PREFIX = Buffer.from([0x01, 0x55, 0x12, 0x20]);
+const BASE32_ALPHABET = 'abcdefghijklmnopqrstuvwxyz234567';
+const CID_PATTERN = /^b[a-z2-7]{58}$/;
+
+/**
+ * Encode bytes as unpadded lowercase RFC 4648 base32
+ * @param {Buffer} bytes - Bytes to encode
+ * @returns {string} Base32 string
+ */
+const base32 = (bytes) => {
+  let output = '';
+  let buffer = 0;
+  let bits = 0;
+
+  for (const byte of bytes) {
+    buffer = (buffer << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(buffer >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(buffer << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Compute the CIDv1 (raw, sha2-256) of a blob
+ * @param {Buffer} bytes - Blob content
+ * @returns {string} Multibase base32 CID
+ */
+const computeCid = (bytes) => {
+  const digest = createHash('sha256').update(bytes).digest();
+  return 'b' + base32(Buffer.concat([CID_PREFIX, digest]));
+};
+
+/**
+ * Extract the first file of a multipart/form-data body
+ * @param {Buffer} body - Request body
+ * @param {string} contentType - Content-Type header
+ * @returns {Buffer} File content
+ */
+const parseMultipartFile = (body, contentType) => {
+  const match = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(contentType || '');
+  if (!match) {
+    throw new Error("Expected a multipart/form-data body");
+  }
+
+  const delimiter = Buffer.from(`--${match[1] || match[2]}`);
+  const partStart = body.indexOf(delimiter);
+  const headersEnd = body.indexOf('\r\n\r\n', partStart);
+  const partEnd = body.indexOf(Buffer.concat([Buffer.from('\r\n'), delimiter]), headersEnd);
+
+  if (partStart === -1 || headersEnd === -1 || partEnd === -1) {
+    throw new Error("Malformed multipart body");
+  }
+
+  return body.subarray(headersEnd + 4, partEnd);
+};
+
+/**
+ * Read a request body up to a size limit
+ * @param {http.IncomingMessage} request - Incoming request
+ * @returns {Promise<Buffer>} Body
+ */
+const readBody = (request) => new Promise((resolve, reject) => {
+  const chunks = [];
+  let size = 0;
+
+  request.on('data', (chunk) => {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      reject(new Error("Request body too large"));
+      request.destroy();
+      return;
+    }
+    chunks.push(chunk);
+  });
+  request.on('end', () => resolve(Buffer.concat(chunks)));
+  request.on('error', reject);
+});
+
+/**
+ * Send an error in the IPFS API's {Message, Code, Type} shape
+ * @param {http.ServerResponse} response - Response to write
+ * @param {number} status - HTTP status
+ * @param {string} message - Error message
+ */
+const sendError = (response, status, message) => {
+  response.writeHead(status, { 'Content-Type': 'application/json' });
+  response.end(JSON.stringify({ Message: message, Code: 0, Type: 'error' }));
+};
+
+/**
+ * Store a blob under its CID
+ * @param {http.IncomingMessage} request - add request
+ * @param {http.ServerResponse} response - Response to write
+ */
+const handleAdd = async (request, response) => {
+  const body = await readBody(request);
+  const blob = parseMultipartFile(body, request.headers['content-type']);
+
+  if (blob.length === 0 || blob.length > MAX_BLOB_BYTES) {
+    sendError(response, 400, `Blob must be between 1 and ${MAX_BLOB_BYTES} bytes`);
+    return;
+  }
+
+  const cid = computeCid(blob);
+  const file = path.join(DATA_DIR, cid);
+
+  // Content addressing makes a second add of the same blob a no-op
+  if (!fs.existsSync(file)) {
+    await fs.promises.writeFile(`${file}.tmp`, blob);
+    await fs.promises.rename(`${file}.tmp`, file);
+  }
+
+  response.writeHead(200, { 'Content-Type': 'application/json' });
+  response.end(JSON.stringify({ Name: 'blob', Hash: cid, Size: String(blob.length) }));
+};
+
+/**
+ * Return the content of a CID
+ * @param {URLSearchParams} params - Query parameters
+ * @param {http.ServerResponse} response - Response to write
+ */
+const handleCat = async (params, response) => {
+  const cid = params.get('arg') || '';
+  if (!CID_PATTERN.test(cid)) {
+    sendError(response, 400, "Invalid CID");
+    return;
+  }
+
+  let blob;
+  try {
+    blob = await fs.promises.readFile(path.join(DATA_DIR, cid));
+  } catch {
+    sendError(response, 404, `Blob ${cid} not found`);
+    return;
+  }
+
+  response.writeHead(200, { 'Content-Type': 'application/octet-stream', 'Content-Length': blob.length });
+  response.end(blob);
+};
+
+fs.mkdirSync(DATA_DIR, { recursive: true });
+
+const server = http.createServer(async (request, response) => {
+  // The app calls the API from the browser
+  response.setHeader('Access-Control-Allow-Origin', '*');
+  response.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  response.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  if (request.method === 'OPTIONS') {
+    response.writeHead(204);
+    response.end();
+    return;
+  }
+
+  const url = new URL(request.url, `http://localhost:${PORT}`);
+
+  if (request.method !== 'POST') {
+    sendError(response, 405, "The API only accepts POST");
+    return;
+  }
+
+  try {
+    switch (url.pathname) {
+      case '/api/v0/add':
+        await handleAdd(request, response);
+        break;
+
+      case '/api/v0/cat':
+        await handleCat(url.searchParams, response);
+        break;
+
+      default:
+        sendError(response, 404, `Unknown command: ${url.pathname}`);
+    }
+  } catch (error) {
+    if (!response.headersSent) {
+      sendError(response, 400, error.message);
+    }
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`Blob store listening on http://localhost:${PORT}, storing in ${DATA_DIR}`);
+});
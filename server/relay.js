@@ -0,0 +1,293 @@
+// Store-and-forward message relay for local development.
+//
+// Clients authenticate by signing a one-time nonce with their wallet, then
+// send opaque encrypted envelopes addressed to other Ethereum addresses. The
+// relay queues envelopes per recipient and delivers them as soon as the
+// recipient is connected; an envelope is dropped only after the recipient
+// acknowledges it (or it expires). The relay never sees plaintext.
+//
+// Usage: npm run relay
+//   RELAY_PORT       port to listen on (default 8787)
+//   RELAY_DATA_FILE  optional JSON file to persist queued envelopes across restarts
+
+import fs from 'node:fs';
+import { randomBytes } from 'node:crypto';
+import { WebSocketServer } from 'ws';
+import { ethers } from 'ethers';
+import { FRAME, buildRelayLoginMessage } from '../src/services/messaging/relayProtocol.js';
+
+const PORT = Number(process.env.RELAY_PORT || 8787);
+const DATA_FILE = process.env.RELAY_DATA_FILE || '';
+
+// Limits
+const MESSAGE_TTL = 7 * 24 * 60 * 60 * 1000; // 7 days
+const MAX_QUEUE_PER_RECIPIENT = 1000;
+const MAX_FRAME_BYTES = 2 * 1024 * 1024;
+const PRUNE_INTERVAL = 60 * 60 * 1000;
+
+/**
+ * Per-recipient envelope queues with optional file persistence
+ */
+class RelayStore {
+  constructor(dataFile) {
+    this.dataFile = dataFile;
+    this.queues = new Map();
+    this.saveTimer = null;
+    this._load();
+  }
+
+  /**
+   * Queue an envelope for its recipient
+   * @param {Object} envelope - Envelope to store
+   */
+  enqueue(envelope) {
+    const queue = this.queues.get(envelope.to) || [];
+
+    if (queue.some(item => item.id === envelope.id)) {
+      return;
+    }
+
+    if (queue.length >= MAX_QUEUE_PER_RECIPIENT) {
+      throw new Error("Recipient queue is full");
+    }
+
+    queue.push({ ...envelope, storedAt: Date.now() });
+    this.queues.set(envelope.to, queue);
+    this._scheduleSave();
+  }
+
+  /**
+   * Get all queued envelopes for an address
+   * @param {string} address - Recipient address (lowercase)
+   * @returns {Array<Object>} Queued envelopes, oldest first
+   */
+  pending(address) {
+    return (this.queues.get(address) || []).map(item => {
+      const envelope = { ...item };
+      delete envelope.storedAt;
+      return envelope;
+    });
+  }
+
+  /**
+   * Drop acknowledged envelopes
+   * @param {string} address - Recipient address (lowercase)
+   * @param {Array<string>} ids - Envelope ids to drop
+   */
+  acknowledge(address, ids) {
+    const queue = this.queues.get(address);
+    if (!queue) return;
+
+    const acked = new Set(ids);
+    const remaining = queue.filter(item => !acked.has(item.id));
+
+    if (remaining.length === 0) {
+      this.queues.delete(address);
+    } else {
+      this.queues.set(address, remaining);
+    }
+
+    this._scheduleSave();
+  }
+
+  /**
+   * Remove envelopes older than the TTL
+   */
+  prune() {
+    const cutoff = Date.now() - MESSAGE_TTL;
+
+    for (const [address, queue] of this.queues) {
+      const remaining = queue.filter(item => item.storedAt >= cutoff);
+      if (remaining.length === 0) {
+        this.queues.delete(address);
+      } else {
+        this.queues.set(address, remaining);
+      }
+    }
+
+    this._scheduleSave();
+  }
+
+  _load() {
+    if (!this.dataFile || !fs.existsSync(this.dataFile)) return;
+
+    try {
+      const data = JSON.parse(fs.readFileSync(this.dataFile, 'utf8'));
+      this.queues = new Map(Object.entries(data));
+      console.log(`Loaded queued envelopes for ${this.queues.size} recipients from ${this.dataFile}`);
+    } catch (error) {
+      console.error("Error loading relay data file:", error);
+    }
+  }
+
+  _scheduleSave() {
+    if (!this.dataFile || this.saveTimer) return;
+
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      fs.writeFile(this.dataFile, JSON.stringify(Object.fromEntries(this.queues)), (error) => {
+        if (error) console.error("Error saving relay data file:", error);
+      });
+    }, 500);
+  }
+}
+
+const store = new RelayStore(DATA_FILE);
+const clients = new Map(); // address -> Set<WebSocket>
+
+/**
+ * Send a frame to a socket if it is still open
+ * @param {WebSocket} socket - Target socket
+ * @param {Object} frame - Frame to send
+ */
+const sendFrame = (socket, frame) => {
+  if (socket.readyState === socket.OPEN) {
+    socket.send(JSON.stringify(frame));
+  }
+};
+
+/**
+ * Validate an envelope received from an authenticated client
+ * @param {Object} envelope - Envelope to validate
+ * @param {string} sender - Authenticated sender address
+ */
+const validateEnvelope = (envelope, sender) => {
+  if (!envelope || typeof envelope !== 'object') {
+    throw new Error("Missing envelope");
+  }
+
+  if (typeof envelope.id !== 'string' || envelope.id.length === 0 || envelope.id.length > 128) {
+    throw new Error("Invalid envelope id");
+  }
+
+  if (envelope.from !== sender) {
+    throw new Error("Envelope sender does not match authenticated address");
+  }
+
+  if (!ethers.isAddress(envelope.to)) {
+    throw new Error("Invalid recipient address");
+  }
+
+  if (typeof envelope.payload !== 'string' || envelope.payload.length === 0) {
+    throw new Error("Envelope payload must be a non-empty string");
+  }
+};
+
+const server = new WebSocketServer({ port: PORT, maxPayload: MAX_FRAME_BYTES });
+
+server.on('connection', (socket) => {
+  const session = { address: null, nonce: null, isAuthenticated: false };
+
+  socket.on('message', (data) => {
+    let frame;
+    try {
+      frame = JSON.parse(data.toString());
+    } catch {
+      sendFrame(socket, { type: FRAME.ERROR, message: "Malformed frame" });
+      return;
+    }
+
+    try {
+      switch (frame.type) {
+        case FRAME.HELLO: {
+          if (!ethers.isAddress(frame.address)) {
+            throw new Error("Invalid address");
+          }
+
+          session.address = frame.address.toLowerCase();
+          session.nonce = randomBytes(16).toString('hex');
+          sendFrame(socket, { type: FRAME.CHALLENGE, nonce: session.nonce });
+          break;
+        }
+
+        case FRAME.AUTH: {
+          if (!session.address || !session.nonce) {
+            throw new Error("Send hello before auth");
+          }
+
+          const message = buildRelayLoginMessage(session.address, session.nonce);
+          const recovered = ethers.verifyMessage(message, frame.signature).toLowerCase();
+
+          // Nonces are single use
+          session.nonce = null;
+
+          if (recovered !== session.address) {
+            sendFrame(socket, { type: FRAME.ERROR, message: "Signature does not match address" });
+            socket.close();
+            return;
+          }
+
+          session.isAuthenticated = true;
+          if (!clients.has(session.address)) {
+            clients.set(session.address, new Set());
+          }
+          clients.get(session.address).add(socket);
+
+          sendFrame(socket, { type: FRAME.READY });
+
+          // Flush everything queued while the client was offline
+          for (const envelope of store.pending(session.address)) {
+            sendFrame(socket, { type: FRAME.DELIVER, envelope });
+          }
+          break;
+        }
+
+        case FRAME.SEND: {
+          if (!session.isAuthenticated) {
+            throw new Error("Not authenticated");
+          }
+
+          const envelope = {
+            ...frame.envelope,
+            to: String(frame.envelope?.to || '').toLowerCase()
+          };
+
+          try {
+            validateEnvelope(envelope, session.address);
+            store.enqueue(envelope);
+          } catch (error) {
+            sendFrame(socket, { type: FRAME.ERROR, id: frame.envelope?.id, message: error.message });
+            return;
+          }
+
+          sendFrame(socket, { type: FRAME.SENT, id: envelope.id });
+
+          for (const recipientSocket of clients.get(envelope.to) || []) {
+            sendFrame(recipientSocket, { type: FRAME.DELIVER, envelope });
+          }
+          break;
+        }
+
+        case FRAME.ACK: {
+          if (!session.isAuthenticated) {
+            throw new Error("Not authenticated");
+          }
+
+          if (Array.isArray(frame.ids)) {
+            store.acknowledge(session.address, frame.ids);
+          }
+          break;
+        }
+
+        default:
+          throw new Error(`Unknown frame type: ${frame.type}`);
+      }
+    } catch (error) {
+      sendFrame(socket, { type: FRAME.ERROR, message: error.message });
+    }
+  });
+
+  socket.on('close', () => {
+    if (session.isAuthenticated) {
+      const sockets = clients.get(session.address);
+      sockets?.delete(socket);
+      if (sockets?.size === 0) {
+        clients.delete(session.address);
+      }
+    }
+  });
+});
+
+setInterval(() => store.prune(), PRUNE_INTERVAL).unref();
+
+console.log(`Message relay listening on ws://localhost:${PORT}`);
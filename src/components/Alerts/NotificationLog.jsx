@@ -0,0 +1,115 @@
+import React, { useState } from 'react';
+import { useRecoveryMonitor } from '../../context/RecoveryMonitorContext';
+import { NOTIFICATION_SEVERITY } from '../../services/contracts/RecoveryMonitorService';
+
+// Border colour per severity
+const SEVERITY_STYLES = {
+  [NOTIFICATION_SEVERITY.CRITICAL]: 'border-red-400 bg-red-50',
+  [NOTIFICATION_SEVERITY.WARNING]: 'border-yellow-400 bg-yellow-50',
+  [NOTIFICATION_SEVERITY.INFO]: 'border-gray-300 bg-white'
+};
+
+const NotificationLog = () => {
+  const {
+    notifications,
+    unreadCount,
+    monitorError,
+    browserAlertsEnabled,
+    browserAlertsSupported,
+    markAllRead,
+    clearNotifications,
+    enableBrowserAlerts
+  } = useRecoveryMonitor();
+  
+  const [isOpen, setIsOpen] = useState(false);
+  const [error, setError] = useState('');
+  
+  const handleToggle = () => {
+    setIsOpen(!isOpen);
+    if (!isOpen && unreadCount > 0) {
+      markAllRead().catch(error => console.error("Error marking notifications read:", error));
+    }
+  };
+  
+  const handleEnableAlerts = async () => {
+    try {
+      setError('');
+      const granted = await enableBrowserAlerts();
+      if (!granted) {
+        setError("Notifications were blocked. Allow them in your browser's site settings.");
+      }
+    } catch (error) {
+      setError(error.message);
+    }
+  };
+  
+  return (
+    <div className="bg-gray-100 p-4 rounded-lg mb-6">
+      <div className="flex justify-between items-center">
+        <h2 className="text-lg font-semibold">
+          Security Notifications
+          {unreadCount > 0 && (
+            <span className="ml-2 bg-red-500 text-white text-xs rounded-full px-2 py-0.5">{unreadCount}</span>
+          )}
+        </h2>
+        <button 
+          className="text-blue-600 underline text-sm"
+          onClick={handleToggle}
+        >
+          {isOpen ? 'Hide' : 'Show'}
+        </button>
+      </div>
+      
+      {isOpen && (
+        <div className="mt-3">
+          <div className="flex space-x-3 mb-3 text-sm">
+            {browserAlertsSupported && !browserAlertsEnabled && (
+              <button 
+                className="text-blue-500"
+                onClick={handleEnableAlerts}
+              >
+                Enable browser alerts
+              </button>
+            )}
+            {browserAlertsEnabled && (
+              <span className="text-green-600">Browser alerts on while this tab is in the background</span>
+            )}
+            {notifications.length > 0 && (
+              <button 
+                className="text-gray-500"
+                onClick={() => clearNotifications()}
+              >
+                Clear log
+              </button>
+            )}
+          </div>
+          
+          {notifications.length === 0 ? (
+            <p className="text-sm text-gray-500">No recovery requests, share reads or alerts for this account.</p>
+          ) : (
+            <ul className="space-y-2">
+              {notifications.map(notification => (
+                <li
+                  key={notification.id}
+                  className={`p-2 rounded border-l-4 border ${SEVERITY_STYLES[notification.severity] || SEVERITY_STYLES.info}`}
+                >
+                  <div className="flex justify-between">
+                    <span className="text-sm font-medium">{notification.title}</span>
+                    <span className="text-xs text-gray-500">{new Date(notification.timestamp).toLocaleString()}</span>
+                  </div>
+                  <p className="text-xs text-gray-700 break-all">{notification.details}</p>
+                </li>
+              ))}
+            </ul>
+          )}
+          
+          {(error || monitorError) && (
+            <p className="text-sm text-red-500 mt-2">{error || `Monitoring stopped: ${monitorError}`}</p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NotificationLog;
@@ -0,0 +1,71 @@
+import React, { useState, useEffect } from 'react';
+import { useRecoveryMonitor } from '../../context/RecoveryMonitorContext';
+
+// Format a number of seconds as "Xh Ym"
+const formatRemaining = (seconds) => {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  return `${hours}h ${minutes}m`;
+};
+
+const RecoveryAlertBanner = () => {
+  const { activeRequest, cancelRecovery } = useRecoveryMonitor();
+  
+  const [isCancelling, setIsCancelling] = useState(false);
+  const [error, setError] = useState('');
+  const [now, setNow] = useState(Math.floor(Date.now() / 1000));
+  
+  // Keep the countdown current while a request is pending
+  useEffect(() => {
+    if (!activeRequest) return;
+    
+    const timer = setInterval(() => setNow(Math.floor(Date.now() / 1000)), 30000);
+    return () => clearInterval(timer);
+  }, [activeRequest]);
+  
+  const handleCancel = async () => {
+    try {
+      setIsCancelling(true);
+      setError('');
+      await cancelRecovery();
+    } catch (error) {
+      console.error("Error cancelling recovery:", error);
+      setError(`Failed to cancel: ${error.message}`);
+    } finally {
+      setIsCancelling(false);
+    }
+  };
+  
+  if (!activeRequest) {
+    return null;
+  }
+  
+  const remaining = Math.max(0, activeRequest.expiresAt - now);
+  
+  return (
+    <div className="mb-6 p-4 rounded-lg bg-red-600 text-white shadow">
+      <div className="flex justify-between items-center">
+        <div>
+          <p className="font-semibold">A recovery of your key was requested</p>
+          <p className="text-sm">
+            Requested by <span className="font-mono">{activeRequest.initiator}</span>.{' '}
+            {remaining > 0
+              ? `It can complete in ${formatRemaining(remaining)}. If you didn't ask for this, cancel it now.`
+              : "The time lock has passed; cancel it if you didn't ask for this."}
+          </p>
+        </div>
+        <button 
+          className="ml-4 bg-white text-red-600 font-semibold px-4 py-2 rounded whitespace-nowrap"
+          onClick={handleCancel}
+          disabled={isCancelling}
+        >
+          {isCancelling ? 'Cancelling...' : 'Cancel Recovery'}
+        </button>
+      </div>
+      
+      {error && <p className="text-sm mt-2">{error}</p>}
+    </div>
+  );
+};
+
+export default RecoveryAlertBanner;
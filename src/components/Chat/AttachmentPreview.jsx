@@ -0,0 +1,89 @@
+import React, { useState, useEffect, useCallback } from 'react';
+
+// Images up to this size are decrypted automatically for an inline preview
+const AUTO_PREVIEW_MAX_SIZE = 5 * 1024 * 1024;
+
+// Human readable file size
+const formatSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+const AttachmentPreview = ({ attachment, onOpen }) => {
+  const [objectUrl, setObjectUrl] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const isImage = attachment.type.startsWith('image/');
+
+  const load = useCallback(async () => {
+    if (!onOpen) return null;
+
+    setIsLoading(true);
+    setError('');
+
+    try {
+      const blob = await onOpen(attachment);
+      const url = URL.createObjectURL(blob);
+      setObjectUrl(url);
+      return url;
+    } catch (error) {
+      setError(error.message);
+      return null;
+    } finally {
+      setIsLoading(false);
+    }
+  }, [attachment, onOpen]);
+
+  // Inline preview for small images
+  useEffect(() => {
+    if (isImage && attachment.size <= AUTO_PREVIEW_MAX_SIZE) {
+      load();
+    }
+  }, [isImage, attachment.size, load]);
+
+  // Release the decrypted file when the preview goes away
+  useEffect(() => {
+    return () => {
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+    };
+  }, [objectUrl]);
+
+  const handleDownload = async () => {
+    const url = objectUrl || await load();
+    if (!url) return;
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = attachment.name;
+    link.click();
+  };
+
+  return (
+    <div className="text-sm">
+      {isImage && objectUrl && (
+        <img src={objectUrl} alt={attachment.name} className="max-h-40 rounded mb-1" />
+      )}
+      <button
+        className="text-blue-600 underline break-all"
+        onClick={handleDownload}
+        disabled={isLoading}
+        title="Decrypt and download"
+      >
+        📄 {attachment.name}
+      </button>
+      <span className="text-xs text-gray-500 ml-1">
+        ({isLoading ? 'decrypting...' : formatSize(attachment.size)})
+      </span>
+      {error && (
+        <p className="text-xs text-red-500">
+          {error}{' '}
+          <button className="underline" onClick={load}>Retry</button>
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default AttachmentPreview;
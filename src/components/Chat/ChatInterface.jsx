@@ -1,23 +1,89 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo, useRef, useCallback } from 'react';
 import { useWallet } from '../../context/WalletContext';
 import { useKeyPair } from '../../context/KeyPairContext';
+import { useMessaging } from '../../context/MessagingContext';
+import { TRANSPORT_STATUS } from '../../services/messaging/MessageTransport';
 import MessageList from './MessageList';
 import MessageInput from './MessageInput';
-import EccService from '../../services/cryptography/EccService';
+import RatchetSessionManager from '../../services/messaging/RatchetSessionManager';
+import AttachmentTransfer, { ATTACHMENT_ENVELOPE_KIND } from '../../services/messaging/AttachmentTransfer';
+import MessageStore from '../../services/storage/MessageStore';
 
 const ChatInterface = () => {
   const { account } = useWallet();
   const { keyPair, isKeyRegistered, isBackedUp, getContactPublicKey } = useKeyPair();
+  const {
+    transport, connectionStatus, connectionError, deliveryError, isTransportReady, preKeyManager, preKeyError
+  } = useMessaging();
   
   const [contactAddress, setContactAddress] = useState('');
   const [contactPublicKey, setContactPublicKey] = useState(null);
   const [isContactValid, setIsContactValid] = useState(false);
   const [messages, setMessages] = useState([]);
+  const [hasMoreHistory, setHasMoreHistory] = useState(false);
+  const [isLoadingHistory, setIsLoadingHistory] = useState(false);
   const [isLoadingContact, setIsLoadingContact] = useState(false);
   const [error, setError] = useState('');
+  const [uploadProgress, setUploadProgress] = useState(null);
+  
+  // Address of the open conversation, readable from the transport handler
+  const activeContactRef = useRef(null);
+  
+  // Encrypted local history, keyed to the current account and key pair
+  const messageStore = useMemo(
+    () => (account && keyPair ? new MessageStore(account, keyPair) : null),
+    [account, keyPair]
+  );
+  
+  useEffect(() => {
+    return () => {
+      messageStore?.close();
+    };
+  }, [messageStore]);
+  
+  // Latest key lookup, so the session manager doesn't need to be recreated
+  const getContactPublicKeyRef = useRef(getContactPublicKey);
+  getContactPublicKeyRef.current = getContactPublicKey;
+  
+  // Double Ratchet sessions per contact, stored next to the history
+  const sessionManager = useMemo(
+    () => (account && keyPair
+      ? new RatchetSessionManager(
+        account,
+        keyPair,
+        (address) => getContactPublicKeyRef.current(address),
+        preKeyManager
+      )
+      : null),
+    [account, keyPair, preKeyManager]
+  );
+  
+  useEffect(() => {
+    return () => {
+      sessionManager?.close();
+    };
+  }, [sessionManager]);
+  
+  // Chunked file transfer; chunks are kept in their own encrypted store
+  const attachmentTransfer = useMemo(
+    () => (account && keyPair && transport ? new AttachmentTransfer(account, keyPair, transport) : null),
+    [account, keyPair, transport]
+  );
+  
+  useEffect(() => {
+    return () => {
+      attachmentTransfer?.close();
+    };
+  }, [attachmentTransfer]);
+  
+  // Stable across renders so previews don't decrypt their file again
+  const handleOpenAttachment = useCallback(
+    (attachment) => attachmentTransfer.assemble(attachment),
+    [attachmentTransfer]
+  );
   
   // Check if ready to chat (all prerequisites met)
-  const isReadyToChat = isKeyRegistered && isBackedUp && isContactValid;
+  const isReadyToChat = isKeyRegistered && isBackedUp && isContactValid && isTransportReady;
   
   // Reset contact validity when address changes
   useEffect(() => {
@@ -25,6 +91,123 @@ const ChatInterface = () => {
     setIsContactValid(false);
   }, [contactAddress]);
   
+  // Load the latest page of history when a contact is connected
+  useEffect(() => {
+    activeContactRef.current = isContactValid ? contactAddress.toLowerCase() : null;
+    setMessages([]);
+    setHasMoreHistory(false);
+    
+    if (!isContactValid || !messageStore) return;
+    
+    let isCancelled = false;
+    
+    const loadHistory = async () => {
+      setIsLoadingHistory(true);
+      try {
+        const page = await messageStore.loadMessages(contactAddress);
+        if (isCancelled) return;
+        
+        setMessages(page.messages);
+        setHasMoreHistory(page.hasMore);
+      } catch (error) {
+        console.error("Error loading message history:", error);
+        if (!isCancelled) setError(`Failed to load message history: ${error.message}`);
+      } finally {
+        if (!isCancelled) setIsLoadingHistory(false);
+      }
+    };
+    
+    loadHistory();
+    
+    return () => {
+      isCancelled = true;
+    };
+  }, [isContactValid, contactAddress, messageStore]);
+  
+  // Page in older history when the user scrolls to the top
+  const handleLoadOlderMessages = async () => {
+    if (!messageStore || !hasMoreHistory || isLoadingHistory || messages.length === 0) return;
+    
+    const conversation = activeContactRef.current;
+    setIsLoadingHistory(true);
+    
+    try {
+      const page = await messageStore.loadMessages(conversation, { before: messages[0] });
+      if (activeContactRef.current !== conversation) return;
+      
+      setMessages(prevMessages => [...page.messages, ...prevMessages]);
+      setHasMoreHistory(page.hasMore);
+    } catch (error) {
+      console.error("Error loading older messages:", error);
+      setError(`Failed to load older messages: ${error.message}`);
+    } finally {
+      setIsLoadingHistory(false);
+    }
+  };
+  
+  /**
+   * Persist a message and show it if it belongs to the open conversation
+   * @param {string} contact - Address of the other party
+   * @param {Object} message - Message to record
+   */
+  const recordMessage = useCallback(async (contact, message) => {
+    await messageStore.saveMessage(contact, message);
+    
+    if (activeContactRef.current === contact.toLowerCase()) {
+      // The relay may redeliver an envelope that was not acknowledged in time
+      setMessages(prevMessages => (
+        prevMessages.some(msg => msg.id === message.id)
+          ? prevMessages
+          : [...prevMessages, message]
+      ));
+    }
+  }, [messageStore]);
+  
+  // Decrypt incoming messages delivered by the relay
+  useEffect(() => {
+    if (!transport || !sessionManager || !messageStore || !attachmentTransfer) return;
+    
+    const unsubscribe = transport.onMessage(async (envelope) => {
+      if (envelope.to !== account.toLowerCase()) {
+        return;
+      }
+      
+      // Attachment chunks are stored until the file is opened
+      if (envelope.kind === ATTACHMENT_ENVELOPE_KIND.CHUNK) {
+        await attachmentTransfer.receiveChunk(envelope);
+        return;
+      }
+      
+      // A redelivered envelope whose acknowledgement was lost is already stored,
+      // and its message key is used up - returning lets the transport acknowledge it
+      if (await messageStore.hasMessage(envelope.from, envelope.id)) {
+        return;
+      }
+      
+      // Advance the sender's ratchet session and check the sender's signature;
+      // the session is only saved once the message is stored
+      await sessionManager.decrypt(envelope.from, envelope.payload, async (opened) => {
+        const attachment = envelope.kind === ATTACHMENT_ENVELOPE_KIND.MANIFEST
+          ? await attachmentTransfer.acceptManifest(envelope.from, opened.body)
+          : null;
+        
+        await recordMessage(envelope.from, {
+          id: envelope.id,
+          content: attachment ? attachment.name : opened.body,
+          ...(attachment ? { attachment } : {}),
+          sender: envelope.from,
+          recipient: account,
+          // Only a verified signature makes the sender's timestamp trustworthy
+          timestamp: opened.verified ? opened.timestamp : envelope.timestamp,
+          verified: opened.verified,
+          verificationError: opened.reason
+        });
+      });
+    }, ['ratchet', ATTACHMENT_ENVELOPE_KIND.MANIFEST, ATTACHMENT_ENVELOPE_KIND.CHUNK]);
+    
+    return unsubscribe;
+  }, [transport, sessionManager, attachmentTransfer, account, messageStore, recordMessage]);
+  
   const validateEthereumAddress = (address) => {
     // Basic Ethereum address validation
     return /^0x[a-fA-F0-9]{40}$/.test(address);
@@ -62,44 +245,84 @@ const ChatInterface = () => {
   };
   
   const handleSendMessage = async (messageText) => {
-    if (!isReadyToChat || !contactPublicKey || !keyPair) {
+    if (!isReadyToChat || !contactPublicKey || !sessionManager || !transport || !messageStore) {
       return;
     }
     
     try {
-      // Encrypt message with contact's public key
-      const encryptedData = await EccService.encrypt(contactPublicKey, messageText);
+      // Sign, then encrypt with the next key of the contact's ratchet session
+      const timestamp = Date.now();
+      const payload = await sessionManager.encrypt(contactAddress, messageText, timestamp);
+      
+      // Hand the ciphertext to the relay, which stores it until the contact picks it up
+      const sentEnvelope = await transport.send({
+        to: contactAddress,
+        kind: 'ratchet',
+        payload,
+        timestamp
+      });
       
-      // In a real app, you would send this to a messaging server or use a decentralized protocol
-      // For demo purposes, we'll just add it to the local messages array
       const newMessage = {
+        id: sentEnvelope.id,
         content: messageText,
         sender: account,
         recipient: contactAddress,
-        timestamp: Date.now(),
-        encrypted: encryptedData // This would be sent to the recipient
+        timestamp: sentEnvelope.timestamp,
+        verified: true
       };
       
-      setMessages([...messages, newMessage]);
-      
-      // Simulate a response for demo purposes
-      setTimeout(() => {
-        const responseMessage = {
-          content: "This is a simulated response from " + contactAddress.substring(0, 6) + "...",
-          sender: contactAddress,
-          recipient: account,
-          timestamp: Date.now()
-        };
-        
-        setMessages(prevMessages => [...prevMessages, responseMessage]);
-      }, 1000);
-      
+      await recordMessage(contactAddress, newMessage);
     } catch (error) {
       console.error("Error sending message:", error);
       setError(`Failed to send message: ${error.message}`);
     }
   };
   
+  const handleSendFile = async (file) => {
+    if (!isReadyToChat || !contactPublicKey || !sessionManager || !attachmentTransfer || !messageStore) {
+      return;
+    }
+    
+    setError('');
+    setUploadProgress({ name: file.name, sent: 0, total: 1 });
+    
+    try {
+      // Upload the encrypted chunks first, so they are queued before the contact sees the file
+      const { manifest, attachment } = await attachmentTransfer.upload(
+        contactAddress,
+        contactPublicKey,
+        file,
+        (sent, total) => setUploadProgress({ name: file.name, sent, total })
+      );
+      
+      // The manifest carries the wrapped file key and goes through the ratchet session
+      const timestamp = Date.now();
+      const payload = await sessionManager.encrypt(contactAddress, JSON.stringify(manifest), timestamp);
+      
+      const sentEnvelope = await transport.send({
+        to: contactAddress,
+        kind: ATTACHMENT_ENVELOPE_KIND.MANIFEST,
+        payload,
+        timestamp
+      });
+      
+      await recordMessage(contactAddress, {
+        id: sentEnvelope.id,
+        content: attachment.name,
+        attachment,
+        sender: account,
+        recipient: contactAddress,
+        timestamp: sentEnvelope.timestamp,
+        verified: true
+      });
+    } catch (error) {
+      console.error("Error sending file:", error);
+      setError(`Failed to send file: ${error.message}`);
+    } finally {
+      setUploadProgress(null);
+    }
+  };
+  
   if (!isKeyRegistered) {
     return (
       <div className="bg-gray-100 p-4 rounded-lg">
@@ -126,6 +349,28 @@ const ChatInterface = () => {
     <div className="bg-gray-100 p-4 rounded-lg">
       <h2 className="text-lg font-semibold mb-2">Encrypted Chat</h2>
       
+      {/* Relay connection status */}
+      <p className={`text-xs mb-3 ${isTransportReady ? 'text-green-600' : 'text-gray-500'}`}>
+        {isTransportReady
+          ? '● Connected to message relay'
+          : connectionStatus === TRANSPORT_STATUS.AUTHENTICATING
+            ? '○ Sign the login message in your wallet to connect to the relay'
+            : connectionError
+              ? `○ Relay unavailable: ${connectionError}`
+              : `○ Relay ${connectionStatus}...`}
+      </p>
+      
+      {preKeyError && (
+        <p className="text-xs text-yellow-600 mb-3">
+          Prekeys could not be published ({preKeyError}). Contacts can still message you,
+          but their first messages get weaker forward secrecy.
+        </p>
+      )}
+      
+      {deliveryError && (
+        <p className="text-xs text-red-600 mb-3">{deliveryError}</p>
+      )}
+      
       {/* Contact Selection */}
       <div className="mb-4">
         <label className="block text-sm font-medium mb-1">Chat with:</label>
@@ -173,19 +418,32 @@ const ChatInterface = () => {
       </div>
       
       {/* Messages */}
-      <MessageList messages={messages} />
+      <MessageList
+        messages={messages}
+        hasMore={hasMoreHistory}
+        isLoadingOlder={isLoadingHistory}
+        onLoadOlder={handleLoadOlderMessages}
+        onOpenAttachment={handleOpenAttachment}
+      />
+      
+      {uploadProgress && (
+        <p className="text-xs text-gray-600 mt-2">
+          Sending {uploadProgress.name}... {Math.round((uploadProgress.sent / uploadProgress.total) * 100)}%
+        </p>
+      )}
       
       {/* Message Input */}
       <MessageInput 
         onSendMessage={handleSendMessage} 
-        isDisabled={!isReadyToChat}
+        onSendFile={handleSendFile}
+        isDisabled={!isReadyToChat || uploadProgress !== null}
       />
       
       {!isReadyToChat && (
         <p className="text-sm text-gray-500 mt-2">
-          {isContactValid 
-            ? "Ready to chat!" 
-            : "Connect with a contact to start chatting"}
+          {!isContactValid
+            ? "Connect with a contact to start chatting"
+            : "Waiting for the message relay connection..."}
         </p>
       )}
     </div>
@@ -0,0 +1,377 @@
+import React, { useState, useEffect, useMemo, useRef, useCallback } from 'react';
+import { useWallet } from '../../context/WalletContext';
+import { useKeyPair } from '../../context/KeyPairContext';
+import { useMessaging } from '../../context/MessagingContext';
+import MessageList from './MessageList';
+import MessageInput from './MessageInput';
+import GroupManager, { GROUP_ENVELOPE_KIND, groupConversationKey } from '../../services/messaging/GroupManager';
+import MessageStore from '../../services/storage/MessageStore';
+
+// Shorten an address for display
+const shortAddress = (address) => `${address.substring(0, 6)}...${address.substring(38)}`;
+
+const GroupChat = () => {
+  const { account } = useWallet();
+  const { keyPair, isKeyRegistered, isBackedUp, getContactPublicKey } = useKeyPair();
+  const { transport, isTransportReady } = useMessaging();
+
+  const [groups, setGroups] = useState([]);
+  const [selectedGroupId, setSelectedGroupId] = useState(null);
+  const [messages, setMessages] = useState([]);
+  const [hasMoreHistory, setHasMoreHistory] = useState(false);
+  const [isLoadingHistory, setIsLoadingHistory] = useState(false);
+  const [newGroupName, setNewGroupName] = useState('');
+  const [newGroupMembers, setNewGroupMembers] = useState('');
+  const [memberToAdd, setMemberToAdd] = useState('');
+  const [renameValue, setRenameValue] = useState('');
+  const [isBusy, setIsBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  // Open group, readable from the transport handler
+  const selectedGroupRef = useRef(null);
+
+  // Latest key lookup, so the group manager doesn't need to be recreated
+  const getContactPublicKeyRef = useRef(getContactPublicKey);
+  getContactPublicKeyRef.current = getContactPublicKey;
+
+  const groupManager = useMemo(
+    () => (account && keyPair && transport
+      ? new GroupManager(account, keyPair, transport, (address) => getContactPublicKeyRef.current(address))
+      : null),
+    [account, keyPair, transport]
+  );
+
+  const messageStore = useMemo(
+    () => (account && keyPair ? new MessageStore(account, keyPair) : null),
+    [account, keyPair]
+  );
+
+  useEffect(() => {
+    return () => {
+      groupManager?.close();
+    };
+  }, [groupManager]);
+
+  useEffect(() => {
+    return () => {
+      messageStore?.close();
+    };
+  }, [messageStore]);
+
+  const selectedGroup = groups.find(group => group.id === selectedGroupId) || null;
+  const isAdmin = selectedGroup?.admin === account?.toLowerCase();
+
+  const refreshGroups = useCallback(async () => {
+    if (!groupManager) return;
+
+    try {
+      setGroups(await groupManager.listGroups());
+    } catch (error) {
+      console.error("Error loading groups:", error);
+      setError(`Failed to load groups: ${error.message}`);
+    }
+  }, [groupManager]);
+
+  useEffect(() => {
+    refreshGroups();
+  }, [refreshGroups]);
+
+  // Load the latest page of history when a group is opened
+  useEffect(() => {
+    selectedGroupRef.current = selectedGroupId;
+    setMessages([]);
+    setHasMoreHistory(false);
+    setRenameValue('');
+
+    if (!selectedGroupId || !messageStore) return;
+
+    let isCancelled = false;
+
+    const loadHistory = async () => {
+      setIsLoadingHistory(true);
+      try {
+        const page = await messageStore.loadMessages(groupConversationKey(selectedGroupId));
+        if (isCancelled) return;
+
+        setMessages(page.messages);
+        setHasMoreHistory(page.hasMore);
+      } catch (error) {
+        console.error("Error loading group history:", error);
+        if (!isCancelled) setError(`Failed to load group history: ${error.message}`);
+      } finally {
+        if (!isCancelled) setIsLoadingHistory(false);
+      }
+    };
+
+    loadHistory();
+
+    return () => {
+      isCancelled = true;
+    };
+  }, [selectedGroupId, messageStore]);
+
+  const handleLoadOlderMessages = async () => {
+    if (!messageStore || !hasMoreHistory || isLoadingHistory || messages.length === 0) return;
+
+    const groupId = selectedGroupRef.current;
+    setIsLoadingHistory(true);
+
+    try {
+      const page = await messageStore.loadMessages(groupConversationKey(groupId), { before: messages[0] });
+      if (selectedGroupRef.current !== groupId) return;
+
+      setMessages(prevMessages => [...page.messages, ...prevMessages]);
+      setHasMoreHistory(page.hasMore);
+    } catch (error) {
+      console.error("Error loading older group messages:", error);
+      setError(`Failed to load older messages: ${error.message}`);
+    } finally {
+      setIsLoadingHistory(false);
+    }
+  };
+
+  /**
+   * Persist a group message and show it if its group is open
+   * @param {Object} message - Message with groupId set
+   */
+  const recordMessage = useCallback(async (message) => {
+    await messageStore.saveMessage(groupConversationKey(message.groupId), message);
+
+    if (selectedGroupRef.current === message.groupId) {
+      setMessages(prevMessages => (
+        prevMessages.some(msg => msg.id === message.id)
+          ? prevMessages
+          : [...prevMessages, message]
+      ));
+    }
+  }, [messageStore]);
+
+  // Membership updates, sender keys and messages delivered by the relay
+  useEffect(() => {
+    if (!transport || !groupManager || !messageStore) return;
+
+    const unsubscribe = transport.onMessage(async (envelope) => {
+      // Messages are stored before the sender key advances, and a redelivered
+      // one that is already stored is skipped so the transport acknowledges it
+      const result = await groupManager.handleEnvelope(envelope, {
+        isKnownMessage: (groupId, messageId) => messageStore.hasMessage(groupConversationKey(groupId), messageId),
+        persist: recordMessage
+      });
+
+      if (result?.group) {
+        await refreshGroups();
+      }
+    }, Object.values(GROUP_ENVELOPE_KIND));
+
+    return unsubscribe;
+  }, [transport, groupManager, messageStore, refreshGroups, recordMessage]);
+
+  /**
+   * Run a group action with shared busy and error handling
+   * @param {Function} action - Async action to run
+   * @param {string} failureMessage - Prefix for the error shown to the user
+   */
+  const runAction = async (action, failureMessage) => {
+    setIsBusy(true);
+    setError('');
+
+    try {
+      await action();
+      await refreshGroups();
+    } catch (error) {
+      console.error(`${failureMessage}:`, error);
+      setError(`${failureMessage}: ${error.message}`);
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleCreateGroup = () => runAction(async () => {
+    const members = newGroupMembers
+      .split(/[\s,]+/)
+      .map(address => address.trim())
+      .filter(Boolean);
+
+    const group = await groupManager.createGroup(newGroupName, members);
+    setNewGroupName('');
+    setNewGroupMembers('');
+    setSelectedGroupId(group.id);
+  }, "Failed to create group");
+
+  const handleRename = () => runAction(async () => {
+    await groupManager.renameGroup(selectedGroupId, renameValue);
+    setRenameValue('');
+  }, "Failed to rename group");
+
+  const handleAddMember = () => runAction(async () => {
+    await groupManager.addMember(selectedGroupId, memberToAdd.trim());
+    setMemberToAdd('');
+  }, "Failed to add member");
+
+  const handleRemoveMember = (member) => runAction(
+    () => groupManager.removeMember(selectedGroupId, member),
+    "Failed to remove member"
+  );
+
+  const handleSendMessage = async (messageText) => {
+    if (!groupManager || !selectedGroup?.active || !isTransportReady) return;
+
+    try {
+      const message = await groupManager.sendMessage(selectedGroupId, messageText);
+      await recordMessage(message);
+    } catch (error) {
+      console.error("Error sending group message:", error);
+      setError(`Failed to send message: ${error.message}`);
+    }
+  };
+
+  if (!isKeyRegistered || !isBackedUp) {
+    return null;
+  }
+
+  return (
+    <div className="bg-gray-100 p-4 rounded-lg mt-6">
+      <h2 className="text-lg font-semibold mb-2">Group Chats</h2>
+
+      {error && (
+        <p className="text-red-500 text-sm mb-2">{error}</p>
+      )}
+
+      <div className="flex gap-4">
+        {/* Group list and creation */}
+        <div className="w-1/3">
+          <ul className="mb-4">
+            {groups.length === 0 && (
+              <li className="text-sm text-gray-500">No groups yet</li>
+            )}
+            {groups.map(group => (
+              <li key={group.id}>
+                <button
+                  className={`w-full text-left px-2 py-1 rounded text-sm ${
+                    group.id === selectedGroupId ? 'bg-blue-100' : 'hover:bg-gray-200'
+                  } ${group.active ? '' : 'text-gray-400'}`}
+                  onClick={() => setSelectedGroupId(group.id)}
+                >
+                  {group.name}
+                  <span className="text-xs text-gray-500"> ({group.members.length})</span>
+                </button>
+              </li>
+            ))}
+          </ul>
+
+          <div className="border-t pt-2">
+            <p className="text-sm font-medium mb-1">New group</p>
+            <input
+              type="text"
+              value={newGroupName}
+              onChange={(e) => setNewGroupName(e.target.value)}
+              placeholder="Group name"
+              className="border p-2 w-full rounded mb-2 text-sm"
+            />
+            <textarea
+              value={newGroupMembers}
+              onChange={(e) => setNewGroupMembers(e.target.value)}
+              placeholder="Member addresses, one per line"
+              className="border p-2 w-full rounded mb-2 text-sm"
+              rows={3}
+            />
+            <button
+              className={`px-3 py-1 rounded text-sm ${
+                isBusy || !isTransportReady ? 'bg-gray-400 text-white' : 'bg-blue-500 text-white'
+              }`}
+              onClick={handleCreateGroup}
+              disabled={isBusy || !isTransportReady || !newGroupName.trim() || !newGroupMembers.trim()}
+            >
+              Create Group
+            </button>
+          </div>
+        </div>
+
+        {/* Open group */}
+        <div className="w-2/3">
+          {!selectedGroup ? (
+            <p className="text-gray-500 text-sm">Select or create a group to start chatting</p>
+          ) : (
+            <>
+              <div className="mb-2">
+                <p className="font-medium">{selectedGroup.name}</p>
+                <ul className="text-xs text-gray-600">
+                  {selectedGroup.members.map(member => (
+                    <li key={member} className="flex items-center">
+                      <span title={member}>{shortAddress(member)}</span>
+                      {member === selectedGroup.admin && <span className="ml-1">(admin)</span>}
+                      {member === account.toLowerCase() && <span className="ml-1">(you)</span>}
+                      {isAdmin && selectedGroup.active && member !== selectedGroup.admin && (
+                        <button
+                          className="ml-2 text-red-500"
+                          onClick={() => handleRemoveMember(member)}
+                          disabled={isBusy}
+                        >
+                          Remove
+                        </button>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+
+              {isAdmin && selectedGroup.active && (
+                <div className="flex mb-2 gap-2">
+                  <input
+                    type="text"
+                    value={memberToAdd}
+                    onChange={(e) => setMemberToAdd(e.target.value)}
+                    placeholder="Add member address"
+                    className="border p-1 flex-grow rounded text-sm"
+                  />
+                  <button
+                    className="px-2 py-1 rounded text-sm bg-blue-500 text-white"
+                    onClick={handleAddMember}
+                    disabled={isBusy || !memberToAdd.trim()}
+                  >
+                    Add
+                  </button>
+                  <input
+                    type="text"
+                    value={renameValue}
+                    onChange={(e) => setRenameValue(e.target.value)}
+                    placeholder="New name"
+                    className="border p-1 w-28 rounded text-sm"
+                  />
+                  <button
+                    className="px-2 py-1 rounded text-sm bg-blue-500 text-white"
+                    onClick={handleRename}
+                    disabled={isBusy || !renameValue.trim()}
+                  >
+                    Rename
+                  </button>
+                </div>
+              )}
+
+              {!selectedGroup.active && (
+                <p className="text-sm text-yellow-700 mb-2">
+                  You were removed from this group. Only earlier messages are available.
+                </p>
+              )}
+
+              <MessageList
+                messages={messages}
+                hasMore={hasMoreHistory}
+                isLoadingOlder={isLoadingHistory}
+                onLoadOlder={handleLoadOlderMessages}
+                showSender
+              />
+
+              <MessageInput
+                onSendMessage={handleSendMessage}
+                isDisabled={!selectedGroup.active || !isTransportReady}
+              />
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default GroupChat;
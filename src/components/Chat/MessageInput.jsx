@@ -1,7 +1,8 @@
-import React, { useState } from 'react';
+import React, { useState, useRef } from 'react';
 
-const MessageInput = ({ onSendMessage, isDisabled }) => {
+const MessageInput = ({ onSendMessage, onSendFile, isDisabled }) => {
   const [message, setMessage] = useState('');
+  const fileInputRef = useRef(null);
   
   const handleSubmit = (e) => {
     e.preventDefault();
@@ -12,8 +13,42 @@ const MessageInput = ({ onSendMessage, isDisabled }) => {
     }
   };
   
+  const handleFileChange = (e) => {
+    const file = e.target.files?.[0];
+    // Reset so the same file can be picked again
+    e.target.value = '';
+    
+    if (file && !isDisabled) {
+      onSendFile(file);
+    }
+  };
+  
   return (
     <form onSubmit={handleSubmit} className="flex mt-4">
+      {/* Attachments are only offered where the chat supports them */}
+      {onSendFile && (
+        <>
+          <input
+            ref={fileInputRef}
+            type="file"
+            className="hidden"
+            onChange={handleFileChange}
+          />
+          <button
+            type="button"
+            className={`px-3 py-2 mr-2 rounded ${
+              isDisabled
+                ? 'bg-gray-300 text-gray-500 cursor-not-allowed'
+                : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
+            }`}
+            onClick={() => fileInputRef.current?.click()}
+            disabled={isDisabled}
+            title="Attach a file"
+          >
+            📎
+          </button>
+        </>
+      )}
       <input
         type="text"
         value={message}
@@ -1,17 +1,58 @@
-import React, { useRef, useEffect } from 'react';
+import React, { useRef, useLayoutEffect } from 'react';
 import { useWallet } from '../../context/WalletContext';
+import AttachmentPreview from './AttachmentPreview';
 
-const MessageList = ({ messages }) => {
+// Distance from the top (px) at which older history is requested
+const LOAD_OLDER_THRESHOLD = 40;
+
+// Shorten an address for sender labels
+const shortAddress = (address) => `${address.substring(0, 6)}...${address.substring(38)}`;
+
+const MessageList = ({
+  messages,
+  hasMore = false,
+  isLoadingOlder = false,
+  onLoadOlder,
+  showSender = false,
+  onOpenAttachment
+}) => {
   const { account } = useWallet();
+  const containerRef = useRef(null);
   const messageEndRef = useRef(null);
-  
-  // Auto-scroll to the bottom when messages change
-  useEffect(() => {
-    if (messageEndRef.current) {
+  const lastMessageIdRef = useRef(null);
+  const scrollAnchorRef = useRef(null);
+
+  // Keep the viewport steady when older messages are prepended,
+  // auto-scroll to the bottom when a new message is appended
+  useLayoutEffect(() => {
+    const container = containerRef.current;
+    const lastMessageId = messages?.length ? messages[messages.length - 1].id : null;
+
+    if (scrollAnchorRef.current !== null && container) {
+      container.scrollTop = container.scrollHeight - scrollAnchorRef.current;
+      scrollAnchorRef.current = null;
+    } else if (lastMessageId !== lastMessageIdRef.current && messageEndRef.current) {
       messageEndRef.current.scrollIntoView({ behavior: 'smooth' });
     }
+
+    lastMessageIdRef.current = lastMessageId;
   }, [messages]);
-  
+
+  const requestOlderMessages = () => {
+    const container = containerRef.current;
+    if (!container || !hasMore || isLoadingOlder || !onLoadOlder) return;
+
+    // Remember the distance from the bottom so it can be restored after the prepend
+    scrollAnchorRef.current = container.scrollHeight - container.scrollTop;
+    onLoadOlder();
+  };
+
+  const handleScroll = () => {
+    if (containerRef.current && containerRef.current.scrollTop < LOAD_OLDER_THRESHOLD) {
+      requestOlderMessages();
+    }
+  };
+
   if (!messages || messages.length === 0) {
     return (
       <div className="border bg-white p-4 rounded h-64 overflow-y-auto flex items-center justify-center">
@@ -19,27 +60,68 @@ const MessageList = ({ messages }) => {
       </div>
     );
   }
-  
+
   return (
-    <div className="border bg-white p-4 rounded h-64 overflow-y-auto">
-      {messages.map((msg, index) => (
-        <div 
-          key={index} 
-          className={`mb-2 p-2 rounded max-w-xs ${
-            msg.sender === account 
-              ? 'bg-blue-100 ml-auto text-right' 
-              : 'bg-gray-200'
-          }`}
-        >
-          <p className="text-sm">{msg.content}</p>
-          <p className="text-xs text-gray-500">
-            {new Date(msg.timestamp).toLocaleTimeString()}
-          </p>
+    <div
+      ref={containerRef}
+      onScroll={handleScroll}
+      className="border bg-white p-4 rounded h-64 overflow-y-auto"
+    >
+      {hasMore && (
+        <div className="text-center mb-2">
+          <button
+            className="text-blue-500 text-xs"
+            onClick={requestOlderMessages}
+            disabled={isLoadingOlder}
+          >
+            {isLoadingOlder ? 'Loading...' : 'Load older messages'}
+          </button>
         </div>
-      ))}
+      )}
+
+      {messages.map((msg, index) => {
+        const isOwn = msg.sender.toLowerCase() === account.toLowerCase();
+
+        return (
+          <div
+            key={msg.id || index}
+            className={`mb-2 p-2 rounded max-w-xs ${
+              isOwn ? 'bg-blue-100 ml-auto text-right' : 'bg-gray-200'
+            }`}
+          >
+            {/* Group chats: attribute each message to its sender */}
+            {showSender && !isOwn && (
+              <p className="text-xs font-semibold text-gray-600" title={msg.sender}>
+                {shortAddress(msg.sender)}
+              </p>
+            )}
+            {msg.attachment ? (
+              <AttachmentPreview attachment={msg.attachment} onOpen={onOpenAttachment} />
+            ) : (
+              <p className="text-sm">{msg.content}</p>
+            )}
+            <p className="text-xs text-gray-500">
+              {new Date(msg.timestamp).toLocaleTimeString()}
+              {/* Messages stored before signing was introduced have no flag and count as unverified */}
+              {msg.verified ? (
+                <span className="ml-1 text-green-600" title="Signed by the sender's registered key">
+                  ✓ Verified
+                </span>
+              ) : (
+                <span
+                  className="ml-1 text-yellow-700"
+                  title={msg.verificationError || "Sender signature could not be verified"}
+                >
+                  ⚠ Unverified
+                </span>
+              )}
+            </p>
+          </div>
+        );
+      })}
       <div ref={messageEndRef} />
     </div>
   );
 };
 
-export default MessageList;
\ No newline at end of file
+export default MessageList;
@@ -0,0 +1,243 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useWallet } from '../../context/WalletContext';
+import { useKeyPair } from '../../context/KeyPairContext';
+import SecureShareRegistryService from '../../services/contracts/SecureShareRegistryService';
+import GuardianRecoveryService from '../../services/cryptography/GuardianRecoveryService';
+
+// Format a number of seconds as "Xh Ym Zs"
+const formatCountdown = (seconds) => {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  return `${hours}h ${minutes}m ${seconds % 60}s`;
+};
+
+const GuardianPortal = () => {
+  const { signer, chainId, account } = useWallet();
+  const { keyPair } = useKeyPair();
+  
+  const [accounts, setAccounts] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [pendingAction, setPendingAction] = useState(null);
+  const [error, setError] = useState('');
+  const [successMessage, setSuccessMessage] = useState('');
+  const [now, setNow] = useState(Math.floor(Date.now() / 1000));
+  
+  // Load every account that names the connected wallet as guardian
+  const loadAccounts = useCallback(async () => {
+    if (!signer || !account) return;
+    
+    try {
+      setIsLoading(true);
+      setError('');
+      
+      const registryService = new SecureShareRegistryService(signer, chainId);
+      const guardianService = new GuardianRecoveryService(signer, chainId);
+      const guarded = await registryService.getGuardedAccounts(account);
+      
+      const details = await Promise.all(guarded.map(async (item) => {
+        const hasShares = await registryService.hasShares(item.address);
+        if (!hasShares) {
+          return { ...item, hasShares, request: null, recoveryKey: null, assignedIndices: [] };
+        }
+        
+        const [request, recoveryKey, assignedIndices] = await Promise.all([
+          registryService.getRecoveryRequest(item.address),
+          registryService.getRecoveryKey(item.address),
+          guardianService.getAssignedIndices(item.address, account)
+        ]);
+        
+        return { ...item, hasShares, request, recoveryKey, assignedIndices };
+      }));
+      
+      setAccounts(details);
+    } catch (error) {
+      console.error("Error loading guarded accounts:", error);
+      setError("Failed to load the accounts you are a guardian for");
+    } finally {
+      setIsLoading(false);
+    }
+  }, [signer, chainId, account]);
+  
+  useEffect(() => {
+    loadAccounts();
+  }, [loadAccounts]);
+  
+  // Tick the time-lock countdowns while a request is pending
+  useEffect(() => {
+    if (!accounts.some(item => item.request)) return;
+    
+    const timer = setInterval(() => setNow(Math.floor(Date.now() / 1000)), 1000);
+    return () => clearInterval(timer);
+  }, [accounts]);
+  
+  // Run an action for one account and reload afterwards
+  const runAction = async (address, action, message) => {
+    setPendingAction(address);
+    setError('');
+    setSuccessMessage('');
+    
+    try {
+      await action();
+      setSuccessMessage(message);
+      await loadAccounts();
+    } catch (error) {
+      console.error("Error running guardian action:", error);
+      setError(error.userMessage ? `${error.userMessage}: ${error.message}` : error.message);
+    } finally {
+      setPendingAction(null);
+    }
+  };
+  
+  const handleInitiateRecovery = (address) => runAction(
+    address,
+    () => new SecureShareRegistryService(signer, chainId).initiateRecovery(address),
+    "Recovery initiated. The owner has 48 hours to cancel it."
+  );
+  
+  const handleCancelRecovery = (address) => runAction(
+    address,
+    () => new SecureShareRegistryService(signer, chainId).cancelRecovery(address),
+    "Recovery request cancelled."
+  );
+  
+  const handleReleaseShares = (address) => runAction(
+    address,
+    async () => {
+      if (!keyPair) {
+        throw new Error("Load your chat key first; your shares are encrypted to it");
+      }
+      await new GuardianRecoveryService(signer, chainId).releaseShares(address, keyPair.privateKey);
+    },
+    "Shares released to the owner's recovery key."
+  );
+  
+  if (!signer) {
+    return (
+      <div className="bg-gray-100 p-4 rounded-lg mb-6">
+        <h2 className="text-lg font-semibold mb-2">Guardian Portal</h2>
+        <p className="text-gray-500">Connect your wallet to see the accounts you help recover.</p>
+      </div>
+    );
+  }
+  
+  return (
+    <div className="bg-gray-100 p-4 rounded-lg mb-6">
+      <div className="flex justify-between items-center mb-2">
+        <h2 className="text-lg font-semibold">Guardian Portal</h2>
+        <button 
+          className="text-blue-600 underline text-sm"
+          onClick={loadAccounts}
+          disabled={isLoading}
+        >
+          {isLoading ? 'Loading...' : 'Refresh'}
+        </button>
+      </div>
+      
+      <p className="mb-3 text-sm">
+        Accounts that named this wallet as recovery address or emergency contact. Only release shares after
+        confirming with the owner through another channel that they asked for them.
+      </p>
+      
+      {!isLoading && accounts.length === 0 && (
+        <p className="text-sm text-gray-500">No account names this wallet as a guardian.</p>
+      )}
+      
+      <div className="space-y-3">
+        {accounts.map(item => {
+          const remaining = item.request ? Math.max(0, item.request.expiresAt - now) : 0;
+          const isInitiator = item.request && item.request.initiator.toLowerCase() === account.toLowerCase();
+          const isBusy = pendingAction === item.address;
+          
+          return (
+            <div key={item.address} className="p-3 bg-white rounded border">
+              <div className="flex justify-between items-start mb-2">
+                <div>
+                  <p className="font-mono text-sm break-all">{item.address}</p>
+                  <p className="text-xs text-gray-500">
+                    {[item.isRecoveryAddress && 'Recovery address', item.isEmergencyContact && 'Emergency contact']
+                      .filter(Boolean)
+                      .join(' · ')}
+                    {item.assignedIndices.length > 0 &&
+                      ` · Holds share ${item.assignedIndices.map(index => `#${index + 1}`).join(', ')}`}
+                  </p>
+                </div>
+              </div>
+              
+              {!item.hasShares ? (
+                <p className="text-sm text-gray-500">This account has no active backup.</p>
+              ) : (
+                <>
+                  {item.request ? (
+                    <div className="p-2 mb-2 bg-yellow-50 border border-yellow-200 rounded text-sm">
+                      <p>
+                        Recovery requested by{' '}
+                        <span className="font-mono">{isInitiator ? 'you' : `${item.request.initiator.substring(0, 10)}...`}</span>
+                      </p>
+                      <p className="text-xs text-gray-600">
+                        {remaining > 0
+                          ? `Time lock ends in ${formatCountdown(remaining)}`
+                          : 'Time lock passed'}
+                      </p>
+                    </div>
+                  ) : (
+                    <p className="text-sm text-gray-500 mb-2">No pending recovery request.</p>
+                  )}
+                  
+                  {item.recoveryKey && (
+                    <p className="text-xs text-gray-600 mb-2">
+                      The owner published a recovery key: <span className="font-mono">{item.recoveryKey.substring(0, 14)}...</span>
+                    </p>
+                  )}
+                  
+                  <div className="flex space-x-2">
+                    {!item.request && (
+                      <button 
+                        className="bg-yellow-500 text-white px-3 py-1 rounded text-sm"
+                        onClick={() => handleInitiateRecovery(item.address)}
+                        disabled={isBusy}
+                      >
+                        Initiate Recovery
+                      </button>
+                    )}
+                    {isInitiator && (
+                      <button 
+                        className="bg-gray-500 text-white px-3 py-1 rounded text-sm"
+                        onClick={() => handleCancelRecovery(item.address)}
+                        disabled={isBusy}
+                      >
+                        Cancel Recovery
+                      </button>
+                    )}
+                    {item.recoveryKey && item.assignedIndices.length > 0 && (
+                      <button 
+                        className="bg-green-500 text-white px-3 py-1 rounded text-sm"
+                        onClick={() => handleReleaseShares(item.address)}
+                        disabled={isBusy || !keyPair}
+                      >
+                        {isBusy ? 'Working...' : `Release ${item.assignedIndices.length} Share(s)`}
+                      </button>
+                    )}
+                  </div>
+                </>
+              )}
+            </div>
+          );
+        })}
+      </div>
+      
+      {error && (
+        <div className="mt-3 p-2 bg-red-50 border border-red-200 rounded">
+          <p className="text-sm text-red-500">{error}</p>
+        </div>
+      )}
+      
+      {successMessage && (
+        <div className="mt-3 p-2 bg-green-50 border border-green-200 rounded">
+          <p className="text-sm text-green-600">{successMessage}</p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default GuardianPortal;
@@ -0,0 +1,253 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useWallet } from '../../context/WalletContext';
+import BackupEventIndexer, { EVENT_CATEGORY, DEFAULT_START_BLOCK } from '../../services/contracts/BackupEventIndexer';
+
+// Filter value showing every event
+const ALL = 'all';
+
+// Label and dot colour per category
+const CATEGORY_STYLES = {
+  [EVENT_CATEGORY.BACKUP]: { label: 'Backup', dot: 'bg-blue-500' },
+  [EVENT_CATEGORY.ACCESS]: { label: 'Share reads', dot: 'bg-gray-400' },
+  [EVENT_CATEGORY.GUARDIANS]: { label: 'Guardians', dot: 'bg-green-500' },
+  [EVENT_CATEGORY.RECOVERY]: { label: 'Recovery', dot: 'bg-red-500' }
+};
+
+// Shorten an address for display
+const shortAddress = (address) => (address ? `${address.substring(0, 8)}...${address.substring(address.length - 6)}` : '');
+
+const BackupHistory = () => {
+  const { signer, account, chainId } = useWallet();
+  
+  const [events, setEvents] = useState([]);
+  const [startBlock, setStartBlock] = useState(String(DEFAULT_START_BLOCK));
+  const [categoryFilter, setCategoryFilter] = useState(ALL);
+  const [shareFilter, setShareFilter] = useState(ALL);
+  const [addressFilter, setAddressFilter] = useState('');
+  const [isOpen, setIsOpen] = useState(false);
+  const [isSyncing, setIsSyncing] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState('');
+  
+  const indexerRef = useRef(null);
+  
+  // Load the cached history for the connected account
+  useEffect(() => {
+    if (!isOpen || !signer || !account) return;
+    
+    let indexer;
+    try {
+      indexer = new BackupEventIndexer(signer, chainId, account);
+    } catch (error) {
+      setError(error.message);
+      return;
+    }
+    
+    let isActive = true;
+    indexerRef.current = indexer;
+    
+    Promise.all([indexer.getEvents(), indexer.getCursor()])
+      .then(([cached, cursor]) => {
+        if (!isActive) return;
+        setEvents(cached);
+        if (cursor) {
+          setStartBlock(String(cursor.startBlock));
+          setProgress({ toBlock: cursor.lastBlock });
+        }
+      })
+      .catch(error => {
+        console.error("Error loading backup history:", error);
+        if (isActive) setError(error.message);
+      });
+    
+    return () => {
+      isActive = false;
+      indexer.close();
+      indexerRef.current = null;
+      setEvents([]);
+      setProgress(null);
+    };
+  }, [isOpen, signer, account, chainId]);
+  
+  const handleSync = async () => {
+    const fromBlock = Number(startBlock);
+    if (!Number.isInteger(fromBlock) || fromBlock < 0) {
+      setError("Start block must be a non-negative whole number");
+      return;
+    }
+    
+    setIsSyncing(true);
+    setError('');
+    
+    try {
+      if (indexerRef.current) {
+        await indexerRef.current.close();
+      }
+      const indexer = new BackupEventIndexer(signer, chainId, account, { startBlock: fromBlock });
+      indexerRef.current = indexer;
+      
+      const indexed = await indexer.sync({ onProgress: setProgress });
+      setEvents(indexed);
+    } catch (error) {
+      console.error("Error syncing backup history:", error);
+      setError(`Failed to sync: ${error.message}`);
+    } finally {
+      setIsSyncing(false);
+    }
+  };
+  
+  const handleExport = (format) => {
+    const content = format === 'csv' ? BackupEventIndexer.toCsv(filteredEvents) : BackupEventIndexer.toJson(filteredEvents);
+    const type = format === 'csv' ? 'text/csv' : 'application/json';
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `e2e-chat-backup-history-${account.toLowerCase()}.${format}`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+  
+  const shareIndices = [...new Set(events.map(event => event.shareIndex).filter(index => index !== null))]
+    .sort((a, b) => a - b);
+  
+  const addressQuery = addressFilter.trim().toLowerCase();
+  const filteredEvents = events.filter(event =>
+    (categoryFilter === ALL || event.category === categoryFilter) &&
+    (shareFilter === ALL || event.shareIndex === Number(shareFilter)) &&
+    (!addressQuery || Object.values(event.details).concat(event.actor, event.contract).some(
+      value => typeof value === 'string' && value.toLowerCase().includes(addressQuery)
+    ))
+  );
+  
+  if (!account) {
+    return null;
+  }
+  
+  return (
+    <div className="bg-gray-100 p-4 rounded-lg mb-6">
+      <div className="flex justify-between items-center">
+        <h2 className="text-lg font-semibold">Backup History</h2>
+        <button 
+          className="text-blue-600 underline text-sm"
+          onClick={() => setIsOpen(!isOpen)}
+        >
+          {isOpen ? 'Hide' : 'Show'}
+        </button>
+      </div>
+      
+      {isOpen && (
+        <div className="mt-3">
+          <p className="text-sm mb-3">
+            Every change to your backup and every read of a share, rebuilt from on-chain events.
+            Scanned blocks are cached in this browser, so later syncs only fetch new blocks.
+          </p>
+          
+          {/* Scan range */}
+          <div className="flex items-center space-x-2 mb-3 text-sm">
+            <label htmlFor="backup-history-start">From block</label>
+            <input
+              id="backup-history-start"
+              type="number"
+              min="0"
+              value={startBlock}
+              onChange={(e) => setStartBlock(e.target.value)}
+              className="border rounded p-1 w-32"
+            />
+            <button 
+              className="bg-blue-500 text-white px-3 py-1 rounded"
+              onClick={handleSync}
+              disabled={isSyncing || !signer}
+            >
+              {isSyncing ? 'Syncing...' : 'Sync'}
+            </button>
+            {progress && (
+              <span className="text-gray-500">
+                {isSyncing && progress.latestBlock
+                  ? `Scanned to block ${progress.toBlock} of ${progress.latestBlock}`
+                  : `Synced to block ${progress.toBlock}`}
+              </span>
+            )}
+          </div>
+          
+          {/* Filters */}
+          <div className="flex flex-wrap gap-2 mb-3 text-sm">
+            <select
+              value={categoryFilter}
+              onChange={(e) => setCategoryFilter(e.target.value)}
+              className="border rounded p-1"
+            >
+              <option value={ALL}>All events</option>
+              {Object.entries(CATEGORY_STYLES).map(([category, style]) => (
+                <option key={category} value={category}>{style.label}</option>
+              ))}
+            </select>
+            <select
+              value={shareFilter}
+              onChange={(e) => setShareFilter(e.target.value)}
+              className="border rounded p-1"
+            >
+              <option value={ALL}>All shares</option>
+              {shareIndices.map(index => (
+                <option key={index} value={index}>Share #{index + 1}</option>
+              ))}
+            </select>
+            <input
+              type="text"
+              value={addressFilter}
+              onChange={(e) => setAddressFilter(e.target.value)}
+              placeholder="Filter by address or hash"
+              className="border rounded p-1 flex-grow font-mono text-xs"
+            />
+          </div>
+          
+          {filteredEvents.length === 0 ? (
+            <p className="text-sm text-gray-500">
+              {events.length === 0 ? 'No events indexed yet. Sync to scan the chain.' : 'No events match the filters.'}
+            </p>
+          ) : (
+            <ol className="border-l-2 border-gray-300 ml-2 space-y-3 max-h-96 overflow-y-auto">
+              {filteredEvents.map(event => (
+                <li key={event.id} className="relative pl-4">
+                  <span className={`absolute -left-1.5 top-1.5 w-3 h-3 rounded-full ${(CATEGORY_STYLES[event.category] || CATEGORY_STYLES.backup).dot}`} />
+                  <div className="flex justify-between">
+                    <span className="text-sm font-medium">
+                      {event.name}
+                      {event.shareIndex !== null && <span className="text-gray-500"> · share #{event.shareIndex + 1}</span>}
+                    </span>
+                    <span className="text-xs text-gray-500">{new Date(event.timestamp).toLocaleString()}</span>
+                  </div>
+                  <p className="text-xs text-gray-600">
+                    By <span className="font-mono">{shortAddress(event.actor)}</span> in block {event.blockNumber}
+                  </p>
+                  <p className="text-xs text-gray-400 font-mono break-all">{event.txHash}</p>
+                </li>
+              ))}
+            </ol>
+          )}
+          
+          {filteredEvents.length > 0 && (
+            <div className="mt-3 flex space-x-3 text-sm">
+              <button 
+                className="text-blue-500"
+                onClick={() => handleExport('csv')}
+              >
+                Export CSV
+              </button>
+              <button 
+                className="text-blue-500"
+                onClick={() => handleExport('json')}
+              >
+                Export JSON
+              </button>
+            </div>
+          )}
+          
+          {error && <p className="text-sm text-red-500 mt-2">{error}</p>}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BackupHistory;
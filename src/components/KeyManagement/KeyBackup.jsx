@@ -1,10 +1,11 @@
 import React, { useState, useEffect } from 'react';
-import { ethers } from 'ethers';
 import { useKeyPair } from '../../context/KeyPairContext';
 import { useWallet } from '../../context/WalletContext';
-import ProductionShamirService from '../../services/contracts/ProductionShamirService';
+import ProductionShamirService from '../../services/cryptography/ProductionShamirService';
 import SecureShareRegistryService from '../../services/contracts/SecureShareRegistryService';
-import EccService from '../../services/cryptography/EccService';
+import { DEFAULT_BACKUP_POLICY } from '../../constants/backupPolicy';
+import { SHARE_STORAGE } from '../../constants/blobStore';
+import { getServiceFee } from '../../constants/networks';
 
 const KeyBackup = () => {
   const { keyPair, isKeyRegistered, isBackedUp, setIsBackedUp } = useKeyPair();
@@ -15,10 +16,11 @@ const KeyBackup = () => {
   const [sharesGenerated, setSharesGenerated] = useState(false);
   const [shareData, setShareData] = useState([]);
   const [error, setError] = useState('');
+  const [shareStorage, setShareStorage] = useState(SHARE_STORAGE.ON_CHAIN);
   
   // Backup configuration
-  const NUM_SHARES = 48;
-  const THRESHOLD = 16;
+  const NUM_SHARES = DEFAULT_BACKUP_POLICY.totalShares;
+  const THRESHOLD = DEFAULT_BACKUP_POLICY.threshold;
   
   // Initialize services when needed
   const initServices = () => {
@@ -29,7 +31,7 @@ const KeyBackup = () => {
     
     try {
       const shamirService = new ProductionShamirService(signer, chainId);
-      const registryService = new SecureShareRegistryService(signer, chainId);
+      const registryService = new SecureShareRegistryService(signer, chainId, { shareStorage });
       
       return { shamirService, registryService };
     } catch (initError) {
@@ -80,10 +82,10 @@ const KeyBackup = () => {
     
     try {
       // Initialize services with error handling
-      const { registryService } = initServices();
+      const { shamirService, registryService } = initServices();
       
       // Validate services are initialized
-      if (!registryService) {
+      if (!shamirService || !registryService) {
         throw new Error('Failed to initialize backup services');
       }
       
@@ -95,14 +97,11 @@ const KeyBackup = () => {
         ? keyPair.privateKey.substring(2) 
         : keyPair.privateKey;
       
-      // Split the secret locally using the secrets.js library
+      // Split the secret locally and commit to the polynomial so shares can be verified on recovery
       // NUM_SHARES is total number of shares, THRESHOLD is minimum needed to reconstruct
-      const shares = secrets.share(privateKeyHex, NUM_SHARES, THRESHOLD);
+      const { shares, commitments } = await shamirService.generateShares(privateKeyHex, NUM_SHARES, THRESHOLD);
       
-      setShareData(shares.map((share, index) => ({ 
-        x: index + 1, // Simple index as x-coordinate
-        y: share      // The actual share value
-      })));
+      setShareData(shares);
       
       setSharesGenerated(true);
       
@@ -110,14 +109,7 @@ const KeyBackup = () => {
       setBackupProgress('Encrypting shares with public key...');
       
       const encryptedShares = await Promise.all(
-        shares.map(async (share) => {
-          // Convert share data to string then encrypt it
-          const shareStr = share; // Share is already a string
-          const encrypted = await EccService.encrypt(keyPair.publicKey, shareStr);
-          
-          // Format for contract
-          return EccService.formatForContract(encrypted);
-        })
+        shares.map(share => shamirService.encryptShare(keyPair.publicKey, share))
       );
       
       // Step 3: Store encrypted shares in distributed registry
@@ -127,7 +119,8 @@ const KeyBackup = () => {
       await registryService.storeShares(
         encryptedShares,
         THRESHOLD,
-        { value: ethers.parseEther("0.01") } // Service fee
+        shamirService.encodeCommitments(commitments),
+        { value: getServiceFee(chainId) } // Service fee
       );
       
       setBackupProgress('Backup completed successfully!');
@@ -185,6 +178,21 @@ const KeyBackup = () => {
         and you'll need at least {THRESHOLD} shares to recover it.
       </p>
       
+      {!sharesGenerated && (
+        <label className="flex items-center gap-2 mb-3 text-sm">
+          Store encrypted shares:
+          <select
+            className="border rounded p-1"
+            value={shareStorage}
+            onChange={(e) => setShareStorage(e.target.value)}
+            disabled={isBackingUp}
+          >
+            <option value={SHARE_STORAGE.ON_CHAIN}>On-chain</option>
+            <option value={SHARE_STORAGE.OFF_CHAIN}>Off-chain (blob store, hashes on-chain)</option>
+          </select>
+        </label>
+      )}
+      
       {!sharesGenerated ? (
         <button 
           className="bg-green-500 text-white px-4 py-2 rounded"
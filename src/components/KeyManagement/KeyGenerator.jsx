@@ -1,11 +1,14 @@
 import React, { useState } from 'react';
 import { useKeyPair } from '../../context/KeyPairContext';
+import MnemonicService from '../../services/cryptography/MnemonicService';
 
 const KeyGenerator = () => {
   const { 
     keyPair, 
     isKeyRegistered,
     generateKeyPair, 
+    importMnemonic,
+    deriveWalletKeyPair,
     registerPublicKey 
   } = useKeyPair();
   
@@ -14,6 +17,14 @@ const KeyGenerator = () => {
   const [showPrivateKey, setShowPrivateKey] = useState(false);
   const [copySuccess, setCopySuccess] = useState('');
   
+  // Recovery phrase flow: show the words, then ask for a few of them back
+  const [mnemonic, setMnemonic] = useState(null);
+  const [confirmPositions, setConfirmPositions] = useState([]);
+  const [confirmWords, setConfirmWords] = useState({});
+  const [isConfirming, setIsConfirming] = useState(false);
+  const [mnemonicError, setMnemonicError] = useState('');
+  const [generateError, setGenerateError] = useState('');
+  
   const handleGenerateKey = async () => {
     try {
       setIsGenerating(true);
@@ -25,6 +36,58 @@ const KeyGenerator = () => {
     }
   };
   
+  const handleDeriveFromWallet = async () => {
+    try {
+      setIsGenerating(true);
+      setGenerateError('');
+      await deriveWalletKeyPair();
+    } catch (error) {
+      console.error("Error deriving key from wallet:", error);
+      setGenerateError(error.message);
+    } finally {
+      setIsGenerating(false);
+    }
+  };
+  
+  const handleStartMnemonic = () => {
+    const words = MnemonicService.generateMnemonic();
+    setMnemonic(words);
+    setConfirmPositions(MnemonicService.pickConfirmationPositions(words.split(' ').length));
+    setConfirmWords({});
+    setIsConfirming(false);
+    setMnemonicError('');
+  };
+  
+  const handleCancelMnemonic = () => {
+    setMnemonic(null);
+    setConfirmWords({});
+    setMnemonicError('');
+  };
+  
+  const handleConfirmMnemonic = async () => {
+    const words = mnemonic.split(' ');
+    const isCorrect = confirmPositions.every(
+      position => (confirmWords[position] || '').trim().toLowerCase() === words[position]
+    );
+    
+    if (!isCorrect) {
+      setMnemonicError("The words don't match. Check what you wrote down and try again.");
+      return;
+    }
+    
+    try {
+      setIsGenerating(true);
+      await importMnemonic(mnemonic);
+      setMnemonic(null);
+      setConfirmWords({});
+    } catch (error) {
+      console.error("Error deriving key from recovery phrase:", error);
+      setMnemonicError(`Failed to derive key: ${error.message}`);
+    } finally {
+      setIsGenerating(false);
+    }
+  };
+  
   const handleRegisterKey = async () => {
     try {
       setIsRegistering(true);
@@ -108,6 +171,67 @@ const KeyGenerator = () => {
             </div>
           )}
         </div>
+      ) : mnemonic ? (
+        <div>
+          {!isConfirming ? (
+            <>
+              <p className="mb-2 text-sm">
+                Write these words down in order and keep them offline. They restore your chat key on any device.
+              </p>
+              <ol className="grid grid-cols-3 gap-2 p-3 bg-white rounded border mb-3 font-mono text-sm list-none">
+                {mnemonic.split(' ').map((word, position) => (
+                  <li key={position}>
+                    <span className="text-gray-400 mr-1">{position + 1}.</span>{word}
+                  </li>
+                ))}
+              </ol>
+              <button 
+                className="bg-blue-500 text-white px-4 py-2 rounded mr-2"
+                onClick={() => setIsConfirming(true)}
+              >
+                I wrote them down
+              </button>
+            </>
+          ) : (
+            <>
+              <p className="mb-2 text-sm">Enter the following words from your recovery phrase:</p>
+              {confirmPositions.map(position => (
+                <input
+                  key={position}
+                  type="text"
+                  value={confirmWords[position] || ''}
+                  onChange={(e) => setConfirmWords(prev => ({ ...prev, [position]: e.target.value }))}
+                  placeholder={`Word #${position + 1}`}
+                  className="border rounded p-2 w-full mb-2 text-sm"
+                  autoComplete="off"
+                />
+              ))}
+              <button 
+                className="bg-blue-500 text-white px-4 py-2 rounded mr-2"
+                onClick={handleConfirmMnemonic}
+                disabled={isGenerating}
+              >
+                {isGenerating ? 'Deriving key...' : 'Confirm'}
+              </button>
+              <button 
+                className="text-blue-500 text-sm mr-2"
+                onClick={() => setIsConfirming(false)}
+              >
+                Show words again
+              </button>
+            </>
+          )}
+          <button 
+            className="text-gray-500 text-sm"
+            onClick={handleCancelMnemonic}
+          >
+            Cancel
+          </button>
+          
+          {mnemonicError && (
+            <p className="text-red-500 text-sm mt-2">{mnemonicError}</p>
+          )}
+        </div>
       ) : (
         <div>
           <p className="mb-3">
@@ -115,12 +239,34 @@ const KeyGenerator = () => {
           </p>
           
           <button 
-            className="bg-blue-500 text-white px-4 py-2 rounded"
+            className="bg-blue-500 text-white px-4 py-2 rounded mr-2"
+            onClick={handleStartMnemonic}
+            disabled={isGenerating}
+          >
+            Generate with Recovery Phrase
+          </button>
+          <button 
+            className="bg-blue-500 text-white px-4 py-2 rounded mr-2"
+            onClick={handleDeriveFromWallet}
+            disabled={isGenerating}
+          >
+            Derive from Wallet
+          </button>
+          <button 
+            className="bg-gray-500 text-white px-4 py-2 rounded"
             onClick={handleGenerateKey}
             disabled={isGenerating}
           >
-            {isGenerating ? 'Generating...' : 'Generate New Key Pair'}
+            {isGenerating ? 'Generating...' : 'Generate Random Key Pair'}
           </button>
+          <p className="text-xs text-gray-500 mt-2">
+            A wallet-derived key comes from a signature of your wallet and can be derived again on any device with the same wallet and network.
+            Your wallet will ask you to sign twice.
+          </p>
+          
+          {generateError && (
+            <p className="text-red-500 text-sm mt-2">{generateError}</p>
+          )}
         </div>
       )}
     </div>
@@ -1,13 +1,27 @@
 import React, { useState } from 'react';
 import { useKeyPair } from '../../context/KeyPairContext';
 import { useWallet } from '../../context/WalletContext';
-import ProductionShamirService from '../../services/contracts/ProductionShamirService';
+import ProductionShamirService from '../../services/cryptography/ProductionShamirService';
 import SecureShareRegistryService from '../../services/contracts/SecureShareRegistryService';
 import EccService from '../../services/cryptography/EccService';
+import MnemonicService from '../../services/cryptography/MnemonicService';
+import GuardianRecoveryService from '../../services/cryptography/GuardianRecoveryService';
+import MultiChainBackupService from '../../services/contracts/MultiChainBackupService';
+import { getNetwork } from '../../constants/networks';
+
+// Ways to recover the key
+const RECOVERY_METHOD = {
+  SHARES: 'shares',
+  MNEMONIC: 'mnemonic',
+  GUARDIANS: 'guardians'
+};
+
+// Display name of a chain
+const networkName = (chainId) => getNetwork(chainId)?.name || `Chain ${chainId}`;
 
 const KeyRecovery = () => {
-  const { importKeyPair } = useKeyPair();
-  const { signer, chainId } = useWallet();
+  const { importKeyPair, getContactPublicKey } = useKeyPair();
+  const { signer, chainId, account, switchChain } = useWallet();
   
   const [showRecovery, setShowRecovery] = useState(false);
   const [isRecovering, setIsRecovering] = useState(false);
@@ -15,6 +29,9 @@ const KeyRecovery = () => {
   const [error, setError] = useState('');
   const [recoveryShareIndices, setRecoveryShareIndices] = useState(['', '', '']);
   const [recoveredKey, setRecoveredKey] = useState(null);
+  const [recoveryMethod, setRecoveryMethod] = useState(RECOVERY_METHOD.SHARES);
+  const [mnemonicInput, setMnemonicInput] = useState('');
+  const [shareDecryptionKey, setShareDecryptionKey] = useState('');
   
   // Initialize services when needed
   const initServices = () => {
@@ -47,8 +64,13 @@ const KeyRecovery = () => {
       .filter(index => index.trim() !== '')
       .map(index => parseInt(index.trim()));
     
-    if (validIndices.length < THRESHOLD) {
-      setError(`At least ${THRESHOLD} valid share indices are required`);
+    if (validIndices.length === 0 || validIndices.some(index => isNaN(index))) {
+      setError("Enter the indices of the shares to recover from");
+      return;
+    }
+    
+    if (!shareDecryptionKey.trim()) {
+      setError("Enter the private key the shares were encrypted to");
       return;
     }
     
@@ -57,51 +79,74 @@ const KeyRecovery = () => {
     setError('');
     
     try {
-      const { registryService } = initServices();
+      const { shamirService, registryService } = initServices();
       const userAddress = await signer.getAddress();
       
+      // The backup's threshold and commitments decide how many shares are needed and which are valid
+      const config = await registryService.getShareConfig(userAddress);
+      if (validIndices.length < config.threshold) {
+        throw new Error(`At least ${config.threshold} share indices are required`);
+      }
+      
       // Step 1: Retrieve encrypted shares from the registry
       setRecoveryProgress('Retrieving encrypted shares from registry...');
       
-      const encryptedShares = await registryService.getShares(userAddress, validIndices);
-      
-      if (encryptedShares.length < THRESHOLD) {
-        throw new Error(`Could only retrieve ${encryptedShares.length} shares, need at least ${THRESHOLD}`);
+      const encryptedShares = [];
+      for (const index of validIndices) {
+        encryptedShares.push(await registryService.getShare(userAddress, index));
       }
       
-      // Step 2: Decrypt shares using recovery mechanism
-      // This depends on your recovery approach (social recovery, hardware device, etc.)
+      // Step 2: Decrypt shares with the key they were encrypted to
       setRecoveryProgress('Decrypting shares...');
       
-      // For demo purposes, we'll assume you have a way to decrypt
-      // In a real implementation, this would use the recovery mechanism
+      // A share that doesn't decrypt is left out, as long as enough others remain
       const decryptedShares = [];
+      const shareIndices = new Map();
+      const faultyIndices = [];
+      for (const [i, encryptedShare] of encryptedShares.entries()) {
+        try {
+          const share = await shamirService.decryptShare(shareDecryptionKey.trim(), encryptedShare);
+          decryptedShares.push(share);
+          shareIndices.set(share.x, validIndices[i]);
+        } catch (error) {
+          console.warn(`Share ${validIndices[i]} couldn't be decrypted:`, error);
+          faultyIndices.push(validIndices[i]);
+        }
+      }
       
-      for (const encryptedShare of encryptedShares) {
-        // Parse the encrypted data
-        const encryptedData = EccService.parseFromContract(encryptedShare);
-        
-        // Decrypt share using recovery key
-        // NOTE: This part depends on your recovery mechanism
-        const decryptedShare = await EccService.decrypt(recoveryKey, encryptedData);
-        
-        // For demo purposes only
-        // const decryptedShare = "demo_decrypted_share"; // Replace with actual decryption
-        
-        decryptedShares.push(decryptedShare);
+      if (decryptedShares.length < config.threshold) {
+        throw new Error(`Only ${decryptedShares.length} shares could be decrypted, need at least ${config.threshold}`);
       }
       
       // Step 3: Combine shares to reconstruct the secret
       setRecoveryProgress('Reconstructing private key from shares...');
       
-      // Combine shares using the secrets.js library
-      const privateKeyHex = secrets.combine(decryptedShares);
+      // Backups stored before commitments were added have none
+      const commitments = config.commitments && config.commitments !== '0x'
+        ? shamirService.decodeCommitments(config.commitments)
+        : undefined;
+      
+      // With more shares than the threshold, wrong ones are found and excluded
+      let privateKeyHex;
+      if (decryptedShares.length > config.threshold) {
+        const result = await shamirService.reconstructSecretRobust(decryptedShares, {
+          threshold: config.threshold,
+          commitments,
+          owner: userAddress
+        });
+        privateKeyHex = result.privateKey;
+        faultyIndices.push(...result.faultyIndices.map(x => shareIndices.get(x)));
+      } else {
+        privateKeyHex = await shamirService.reconstructSecret(decryptedShares, { commitments });
+      }
       
       // Verify the key by deriving the public key
       const recoveredKeyPair = EccService.importFromPrivateKey(privateKeyHex);
       
       setRecoveredKey(recoveredKeyPair);
-      setRecoveryProgress('Key recovered successfully!');
+      setRecoveryProgress(faultyIndices.length > 0
+        ? `Key recovered successfully! Faulty shares were excluded: ${faultyIndices.join(', ')}`
+        : 'Key recovered successfully!');
       
       // Import the recovered key pair
       importKeyPair(privateKeyHex);
@@ -113,6 +158,138 @@ const KeyRecovery = () => {
     }
   };
   
+  const handleRecoverFromMnemonic = async () => {
+    if (!MnemonicService.isValidMnemonic(mnemonicInput)) {
+      setError("Invalid recovery phrase. Check the words and their order.");
+      return;
+    }
+    
+    setIsRecovering(true);
+    setRecoveryProgress('Deriving key from recovery phrase...');
+    setError('');
+    
+    try {
+      const derivedKeyPair = await MnemonicService.deriveKeyPair(mnemonicInput);
+      
+      // A phrase for another identity would silently break every existing conversation
+      const registeredPublicKey = account ? await getContactPublicKey(account) : null;
+      if (registeredPublicKey &&
+          EccService.normalizePublicKey(registeredPublicKey) !== EccService.normalizePublicKey(derivedKeyPair.publicKey)) {
+        throw new Error("This recovery phrase doesn't belong to the key registered for this account");
+      }
+      
+      importKeyPair(derivedKeyPair.privateKey);
+      setRecoveredKey(derivedKeyPair);
+      setMnemonicInput('');
+      setRecoveryProgress('Key recovered successfully!');
+    } catch (error) {
+      console.error("Error recovering from recovery phrase:", error);
+      setError(`Recovery failed: ${error.message}`);
+      setRecoveryProgress('');
+    } finally {
+      setIsRecovering(false);
+    }
+  };
+  
+  const handleRequestGuardianShares = async () => {
+    if (!signer) {
+      setError("Wallet must be connected for recovery");
+      return;
+    }
+    
+    setIsRecovering(true);
+    setRecoveryProgress('Deriving your recovery key (your wallet will ask you to sign twice)...');
+    setError('');
+    
+    let multiChainService = null;
+    try {
+      const guardianService = new GuardianRecoveryService(signer, chainId);
+      multiChainService = new MultiChainBackupService(account);
+      
+      // A backup spread over several chains needs the recovery key on each of them
+      const { chains } = await multiChainService.findBackupChains();
+      const backupChainIds = chains.map(({ chainId: id }) => id);
+      
+      if (backupChainIds.every(id => id === Number(chainId))) {
+        await guardianService.requestShares();
+      } else {
+        const { publicKey } = await guardianService.deriveRecoveryKeyPair();
+        
+        // Start with the connected chain to save a network switch
+        const orderedChainIds = [...backupChainIds].sort((a, b) => (b === Number(chainId)) - (a === Number(chainId)));
+        setRecoveryProgress(`Publishing your recovery key on ${orderedChainIds.map(networkName).join(', ')} (your wallet will switch networks)...`);
+        try {
+          await multiChainService.publishRecoveryKey(publicKey, { chainIds: orderedChainIds, getSigner: switchChain });
+        } finally {
+          await switchChain(chainId);
+        }
+      }
+      
+      setRecoveryProgress('Recovery key published. Ask your guardians to release their shares, then collect them here.');
+    } catch (error) {
+      console.error("Error requesting shares from guardians:", error);
+      setError(`Request failed: ${error.message}`);
+      setRecoveryProgress('');
+    } finally {
+      if (multiChainService) {
+        await multiChainService.close();
+      }
+      setIsRecovering(false);
+    }
+  };
+  
+  const handleRecoverFromGuardians = async () => {
+    if (!signer) {
+      setError("Wallet must be connected for recovery");
+      return;
+    }
+    
+    setIsRecovering(true);
+    setRecoveryProgress('Collecting shares released by your guardians...');
+    setError('');
+    
+    let multiChainService = null;
+    try {
+      multiChainService = new MultiChainBackupService(account);
+      
+      // Read the released shares of every backup chain through its RPC endpoint,
+      // falling back to the wallet's chain when none could be read
+      const { sources, failedChains } = await multiChainService.collectReleasedShares();
+      
+      const guardianService = new GuardianRecoveryService(signer, chainId);
+      const { privateKey, faultyShares } = await guardianService.recoverFromReleasedShares(
+        sources.length > 0 ? { sources } : {}
+      );
+      const recoveredKeyPair = EccService.importFromPrivateKey(privateKey);
+      
+      const registeredPublicKey = account ? await getContactPublicKey(account) : null;
+      if (registeredPublicKey &&
+          EccService.normalizePublicKey(registeredPublicKey) !== EccService.normalizePublicKey(recoveredKeyPair.publicKey)) {
+        throw new Error("The recovered key doesn't match the key registered for this account");
+      }
+      
+      importKeyPair(privateKey);
+      setRecoveredKey(recoveredKeyPair);
+      
+      const shareLabel = ({ chainId: id, index }) => (sources.length > 1 ? `${networkName(id)} #${index + 1}` : `#${index + 1}`);
+      setRecoveryProgress([
+        faultyShares.length > 0
+          ? `Key recovered. Shares ${faultyShares.map(shareLabel).join(', ')} were invalid and skipped.`
+          : 'Key recovered successfully!',
+        ...(failedChains.length > 0 ? [`${failedChains.map(({ chainId: id }) => networkName(id)).join(', ')} couldn't be read.`] : [])
+      ].join(' '));
+    } catch (error) {
+      console.error("Error recovering from guardian shares:", error);
+      setError(`Recovery failed: ${error.message}`);
+      setRecoveryProgress('');
+    } finally {
+      if (multiChainService) {
+        await multiChainService.close();
+      }
+      setIsRecovering(false);
+    }
+  };
+  
   const toggleRecovery = () => {
     setShowRecovery(!showRecovery);
     setError('');
@@ -133,14 +310,100 @@ const KeyRecovery = () => {
       
       {!showRecovery ? (
         <p className="text-sm text-gray-600">
-          Lost your private key? You can recover it using the Shamir shares stored in the registry.
+          Lost your private key? You can recover it using your recovery phrase, your guardians, or the Shamir shares stored in the registry.
         </p>
       ) : (
         <div className="mt-2">
+          <div className="flex gap-4 mb-3 text-sm">
+            <label>
+              <input
+                type="radio"
+                className="mr-1"
+                checked={recoveryMethod === RECOVERY_METHOD.SHARES}
+                onChange={() => setRecoveryMethod(RECOVERY_METHOD.SHARES)}
+              />
+              Shamir shares
+            </label>
+            <label>
+              <input
+                type="radio"
+                className="mr-1"
+                checked={recoveryMethod === RECOVERY_METHOD.MNEMONIC}
+                onChange={() => setRecoveryMethod(RECOVERY_METHOD.MNEMONIC)}
+              />
+              Recovery phrase
+            </label>
+            <label>
+              <input
+                type="radio"
+                className="mr-1"
+                checked={recoveryMethod === RECOVERY_METHOD.GUARDIANS}
+                onChange={() => setRecoveryMethod(RECOVERY_METHOD.GUARDIANS)}
+              />
+              Guardians
+            </label>
+          </div>
+          
+          {recoveryMethod === RECOVERY_METHOD.GUARDIANS ? (
+            <div className="mb-4">
+              <p className="mb-3 text-sm">
+                Publish a recovery key derived from your wallet, then ask your guardians to release their shares
+                to it. Once enough shares are released, collect them to rebuild your key.
+              </p>
+              <p className="mb-3 text-xs text-gray-500">
+                For a backup spread over several chains the key is published on each of them, and shares are
+                collected from all of them without switching networks. Collect on the network you requested from.
+              </p>
+              <button 
+                className="bg-blue-500 text-white px-4 py-2 rounded mr-2"
+                onClick={handleRequestGuardianShares}
+                disabled={isRecovering}
+              >
+                Ask Guardians for Shares
+              </button>
+              <button 
+                className="bg-green-500 text-white px-4 py-2 rounded"
+                onClick={handleRecoverFromGuardians}
+                disabled={isRecovering}
+              >
+                {isRecovering ? 'Recovering...' : 'Collect Shares and Recover'}
+              </button>
+            </div>
+          ) : recoveryMethod === RECOVERY_METHOD.MNEMONIC ? (
+            <div className="mb-4">
+              <textarea
+                value={mnemonicInput}
+                onChange={(e) => setMnemonicInput(e.target.value)}
+                placeholder="Enter your 12 or 24 word recovery phrase"
+                className="border rounded p-2 w-full font-mono text-sm mb-2"
+                rows={3}
+                autoComplete="off"
+                spellCheck={false}
+              />
+              <button 
+                className="bg-blue-500 text-white px-4 py-2 rounded"
+                onClick={handleRecoverFromMnemonic}
+                disabled={isRecovering || !mnemonicInput.trim()}
+              >
+                {isRecovering ? 'Recovering...' : 'Recover Key'}
+              </button>
+            </div>
+          ) : (
+          <>
           <p className="mb-3 text-sm">
-            Enter the indices of at least 3 shares to recover your private key:
+            Enter the indices of at least as many shares as your backup's threshold to recover your private key:
           </p>
           
+          <input
+            type="password"
+            value={shareDecryptionKey}
+            onChange={(e) => setShareDecryptionKey(e.target.value)}
+            placeholder="Private key the shares were encrypted to"
+            className="border rounded p-2 w-full font-mono text-sm mb-2"
+            autoComplete="off"
+            spellCheck={false}
+          />
+          
           <div className="space-y-2 mb-4">
             {recoveryShareIndices.map((shareIndex, idx) => (
               <input
@@ -170,6 +433,8 @@ const KeyRecovery = () => {
           >
             {isRecovering ? 'Recovering...' : 'Recover Key'}
           </button>
+          </>
+          )}
           
           {recoveryProgress && (
             <div className="mt-3 p-2 bg-blue-50 border border-blue-200 rounded">
@@ -0,0 +1,204 @@
+import React, { useState } from 'react';
+import { useWallet } from '../../context/WalletContext';
+import { useKeyPair } from '../../context/KeyPairContext';
+import { MIN_PASSPHRASE_LENGTH } from '../../services/cryptography/KeystoreService';
+
+const KeyVault = () => {
+  const { account } = useWallet();
+  const {
+    keyPair,
+    hasVault,
+    isVaultLocked,
+    isKeyInVault,
+    isVaultLoading,
+    autoLockTimeout,
+    unlockVault,
+    saveToVault,
+    lockVault,
+    forgetVault,
+    exportKeystore,
+    importKeystore
+  } = useKeyPair();
+
+  const [passphrase, setPassphrase] = useState('');
+  const [confirmPassphrase, setConfirmPassphrase] = useState('');
+  const [keystoreFile, setKeystoreFile] = useState(null);
+  const [isBusy, setIsBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  if (!account || isVaultLoading) {
+    return null;
+  }
+
+  /**
+   * Run a vault action with shared busy and error handling
+   * @param {Function} action - Async action to run
+   * @param {string} failureMessage - Prefix for the error shown to the user
+   */
+  const runAction = async (action, failureMessage) => {
+    setIsBusy(true);
+    setError('');
+
+    try {
+      await action();
+      setPassphrase('');
+      setConfirmPassphrase('');
+    } catch (error) {
+      console.error(`${failureMessage}:`, error);
+      setError(`${failureMessage}: ${error.message}`);
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleUnlock = (e) => {
+    e.preventDefault();
+    runAction(() => unlockVault(passphrase), "Failed to unlock");
+  };
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    if (passphrase !== confirmPassphrase) {
+      setError("Passphrases don't match");
+      return;
+    }
+    runAction(() => saveToVault(passphrase), "Failed to save key");
+  };
+
+  const handleImport = (e) => {
+    e.preventDefault();
+    runAction(async () => {
+      await importKeystore(await keystoreFile.text(), passphrase);
+      setKeystoreFile(null);
+    }, "Failed to import keystore");
+  };
+
+  const handleExport = () => runAction(async () => {
+    const json = await exportKeystore();
+    const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `e2e-chat-keystore-${account.toLowerCase()}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  }, "Failed to export keystore");
+
+  const handleForget = () => {
+    if (window.confirm("Delete the saved key from this browser? You will need a keystore file or key recovery to use it again.")) {
+      runAction(forgetVault, "Failed to delete saved key");
+    }
+  };
+
+  const passphraseInput = (placeholder, value, onChange) => (
+    <input
+      type="password"
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      placeholder={placeholder}
+      className="border p-2 w-full rounded mb-2 text-sm"
+      autoComplete="off"
+    />
+  );
+
+  return (
+    <div className="bg-gray-100 p-4 rounded-lg mb-6">
+      <h2 className="text-lg font-semibold mb-2">Key Vault</h2>
+
+      {error && (
+        <p className="text-red-500 text-sm mb-2">{error}</p>
+      )}
+
+      {isVaultLocked && (
+        <form onSubmit={handleUnlock} className="mb-3">
+          <p className="text-sm text-gray-600 mb-2">
+            Your key is saved in this browser. Enter your passphrase to unlock it.
+          </p>
+          {passphraseInput("Passphrase", passphrase, setPassphrase)}
+          <div className="flex gap-2">
+            <button
+              type="submit"
+              className="px-3 py-1 rounded text-sm bg-blue-500 text-white"
+              disabled={isBusy || !passphrase}
+            >
+              {isBusy ? 'Unlocking...' : 'Unlock'}
+            </button>
+            <button
+              type="button"
+              className="px-3 py-1 rounded text-sm text-red-500"
+              onClick={handleForget}
+              disabled={isBusy}
+            >
+              Forget saved key
+            </button>
+          </div>
+        </form>
+      )}
+
+      {isKeyInVault && (
+        <div className="mb-3">
+          <p className="text-sm text-green-700 mb-2">
+            ✓ Key unlocked. It locks automatically after {Math.round(autoLockTimeout / 60000)} minutes of inactivity.
+          </p>
+          <div className="flex gap-2">
+            <button
+              className="px-3 py-1 rounded text-sm bg-gray-500 text-white"
+              onClick={lockVault}
+              disabled={isBusy}
+            >
+              Lock now
+            </button>
+            <button
+              className="px-3 py-1 rounded text-sm bg-blue-500 text-white"
+              onClick={handleExport}
+              disabled={isBusy}
+            >
+              Export keystore
+            </button>
+          </div>
+        </div>
+      )}
+
+      {keyPair && !isKeyInVault && (
+        <form onSubmit={handleSave} className="mb-3">
+          <p className="text-sm text-gray-600 mb-2">
+            {hasVault
+              ? "The saved key differs from the current one. Save the current key to replace it."
+              : "Save your key in this browser, encrypted with a passphrase, so it survives page reloads."}
+          </p>
+          {passphraseInput(`Passphrase (at least ${MIN_PASSPHRASE_LENGTH} characters)`, passphrase, setPassphrase)}
+          {passphraseInput("Confirm passphrase", confirmPassphrase, setConfirmPassphrase)}
+          <button
+            type="submit"
+            className="px-3 py-1 rounded text-sm bg-blue-500 text-white"
+            disabled={isBusy || passphrase.length < MIN_PASSPHRASE_LENGTH}
+          >
+            {isBusy ? 'Encrypting...' : 'Save key'}
+          </button>
+        </form>
+      )}
+
+      {!keyPair && (
+        <form onSubmit={handleImport} className="border-t pt-2">
+          <p className="text-sm font-medium mb-1">Import keystore file</p>
+          <input
+            type="file"
+            accept="application/json,.json"
+            onChange={(e) => setKeystoreFile(e.target.files?.[0] || null)}
+            className="text-sm mb-2"
+          />
+          {keystoreFile && passphraseInput("Keystore passphrase", passphrase, setPassphrase)}
+          <button
+            type="submit"
+            className="px-3 py-1 rounded text-sm bg-blue-500 text-white"
+            disabled={isBusy || !keystoreFile || !passphrase}
+          >
+            {isBusy ? 'Importing...' : 'Import'}
+          </button>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default KeyVault;
@@ -1,11 +1,15 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { useWallet } from '../../context/WalletContext';
 import { useKeyPair } from '../../context/KeyPairContext';
 import SecureShareRegistryService from '../../services/contracts/SecureShareRegistryService';
+import GuardianRecoveryService from '../../services/cryptography/GuardianRecoveryService';
+
+// Select value for shares kept by the owner
+const OWNER_HOLDER = '';
 
 const RecoveryAddresses = () => {
   const { signer, chainId } = useWallet();
-  const { isBackedUp } = useKeyPair();
+  const { keyPair, isBackedUp } = useKeyPair();
   
   const [recoveryAddresses, setRecoveryAddresses] = useState(['']);
   const [currentRecoveryAddresses, setCurrentRecoveryAddresses] = useState([]);
@@ -13,6 +17,11 @@ const RecoveryAddresses = () => {
   const [isSaving, setIsSaving] = useState(false);
   const [error, setError] = useState('');
   const [successMessage, setSuccessMessage] = useState('');
+  // Guardians can hold shares: recovery addresses and the emergency contact
+  const [emergencyContact, setEmergencyContact] = useState(null);
+  const [savedShareHolders, setSavedShareHolders] = useState([]);
+  const [shareHolders, setShareHolders] = useState([]);
+  const [isAssigning, setIsAssigning] = useState(false);
   
   // Initialize service
   const getRegistryService = () => {
@@ -20,39 +29,45 @@ const RecoveryAddresses = () => {
     return new SecureShareRegistryService(signer, chainId);
   };
   
+  // Load recovery addresses, the emergency contact and who holds each share
+  const loadRecoveryAddresses = useCallback(async () => {
+    if (!isBackedUp || !signer) return;
+    
+    try {
+      setIsLoading(true);
+      
+      const registryService = new SecureShareRegistryService(signer, chainId);
+      const userAddress = await signer.getAddress();
+      
+      const [addresses, contact, holders] = await Promise.all([
+        registryService.getRecoveryAddresses(userAddress),
+        registryService.getEmergencyContact(userAddress),
+        registryService.getShareGuardians(userAddress)
+      ]);
+      
+      const holderLabel = (address) => {
+        const held = holders
+          .map((holder, index) => (holder && holder.toLowerCase() === address.toLowerCase() ? `#${index + 1}` : null))
+          .filter(Boolean);
+        return held.length > 0 ? `Holds share ${held.join(', ')}` : '';
+      };
+      
+      setCurrentRecoveryAddresses(addresses.map(address => ({ address, label: holderLabel(address) })));
+      setEmergencyContact(contact);
+      setSavedShareHolders(holders);
+      setShareHolders(holders.map(holder => holder || OWNER_HOLDER));
+    } catch (error) {
+      console.error("Error loading recovery addresses:", error);
+      setError("Failed to load recovery addresses");
+    } finally {
+      setIsLoading(false);
+    }
+  }, [isBackedUp, signer, chainId]);
+  
   // Load existing recovery addresses
   useEffect(() => {
-    const loadRecoveryAddresses = async () => {
-      if (!isBackedUp || !signer) return;
-      
-      try {
-        setIsLoading(true);
-        
-        const registryService = getRegistryService();
-        if (!registryService) return;
-        
-        const userAddress = await signer.getAddress();
-        
-        // Get recovery address count
-        const count = await registryService.getRecoveryAddressCount(userAddress);
-        
-        // In a real implementation, we would fetch each recovery address
-        // For simplicity, we'll just show the count here
-        
-        setCurrentRecoveryAddresses([
-          { address: "0x1234...5678", label: "Personal Cold Wallet" },
-          { address: "0x8765...4321", label: "Hardware Wallet" }
-        ]);
-      } catch (error) {
-        console.error("Error loading recovery addresses:", error);
-        setError("Failed to load recovery addresses");
-      } finally {
-        setIsLoading(false);
-      }
-    };
-    
     loadRecoveryAddresses();
-  }, [isBackedUp, signer, chainId]);
+  }, [loadRecoveryAddresses]);
   
   const handleAddressChange = (index, value) => {
     const newAddresses = [...recoveryAddresses];
@@ -101,17 +116,7 @@ const RecoveryAddresses = () => {
       setRecoveryAddresses(['']);
       
       // Refresh the list of current recovery addresses
-      const userAddress = await signer.getAddress();
-      const count = await registryService.getRecoveryAddressCount(userAddress);
-      
-      // Update the UI with new addresses
-      setCurrentRecoveryAddresses([
-        ...currentRecoveryAddresses,
-        ...validAddresses.map(addr => ({ 
-          address: addr,
-          label: "New Recovery Address"
-        }))
-      ]);
+      await loadRecoveryAddresses();
     } catch (error) {
       console.error("Error saving recovery addresses:", error);
       setError(`Failed to save addresses: ${error.message}`);
@@ -132,18 +137,75 @@ const RecoveryAddresses = () => {
       
       await registryService.removeRecoveryAddress(address);
       
-      // Update the UI
-      setCurrentRecoveryAddresses(
-        currentRecoveryAddresses.filter(item => item.address !== address)
-      );
+      // A removed guardian can no longer release its shares, so they should go to someone else
+      const heldShares = savedShareHolders.filter(
+        holder => holder && holder.toLowerCase() === address.toLowerCase()
+      ).length;
+      
+      await loadRecoveryAddresses();
       
-      setSuccessMessage("Recovery address removed successfully!");
+      setSuccessMessage(heldShares > 0
+        ? `Recovery address removed. It held ${heldShares} share(s); assign them to another guardian.`
+        : "Recovery address removed successfully!");
     } catch (error) {
       console.error("Error removing recovery address:", error);
       setError(`Failed to remove address: ${error.message}`);
     }
   };
   
+  const handleHolderChange = (index, value) => {
+    const newHolders = [...shareHolders];
+    newHolders[index] = value;
+    setShareHolders(newHolders);
+  };
+  
+  const handleAssignShares = async () => {
+    if (!signer || !keyPair) {
+      setError("Wallet and key pair are required to assign shares");
+      return;
+    }
+    
+    setIsAssigning(true);
+    setError('');
+    setSuccessMessage('');
+    
+    try {
+      // Every share is split again and encrypted to its holder's registered chat key,
+      // and kept where the backup stores its shares now
+      const shareStorage = await getRegistryService().getShareStorage(await signer.getAddress());
+      const guardianService = new GuardianRecoveryService(signer, chainId, { shareStorage });
+      await guardianService.assignShares(
+        keyPair,
+        shareHolders.map(holder => (holder === OWNER_HOLDER ? null : holder))
+      );
+      
+      setSuccessMessage("Share holders updated. Shares held before this change no longer work.");
+      await loadRecoveryAddresses();
+    } catch (error) {
+      console.error("Error assigning shares:", error);
+      setError(`Failed to assign shares: ${error.message}`);
+    } finally {
+      setIsAssigning(false);
+    }
+  };
+  
+  // Addresses that may hold shares
+  const guardianOptions = [
+    ...currentRecoveryAddresses.map(item => item.address),
+    ...(emergencyContact && !currentRecoveryAddresses.some(
+      item => item.address.toLowerCase() === emergencyContact.toLowerCase()
+    ) ? [emergencyContact] : [])
+  ];
+  
+  // Holders that were removed as guardians; their shares have to move
+  const removedHolders = [...new Set(savedShareHolders.filter(
+    holder => holder && !guardianOptions.some(address => address.toLowerCase() === holder.toLowerCase())
+  ))];
+  
+  const isAssignmentChanged = shareHolders.some(
+    (holder, index) => (holder || null) !== (savedShareHolders[index] || null)
+  );
+  
   if (!isBackedUp) {
     return (
       <div className="bg-gray-100 p-4 rounded-lg mb-6">
@@ -187,6 +249,53 @@ const RecoveryAddresses = () => {
         </div>
       )}
       
+      {isLoading && (
+        <p className="text-sm text-gray-500 mb-4">Loading recovery addresses...</p>
+      )}
+      
+      {/* Which guardian holds which share */}
+      {guardianOptions.length > 0 && shareHolders.length > 0 && (
+        <div className="mb-4">
+          <h3 className="text-md font-medium mb-2">Share Holders:</h3>
+          <p className="text-xs text-gray-600 mb-2">
+            A share held by a guardian is encrypted to the guardian's registered chat key, so they can
+            re-encrypt it to your new recovery key if you lose yours. Keep fewer guardian-held shares than
+            the threshold with any single guardian.
+          </p>
+          <div className="grid grid-cols-2 gap-2 mb-2">
+            {shareHolders.map((holder, idx) => (
+              <label key={idx} className="flex items-center text-sm">
+                <span className="w-10 text-gray-500">#{idx + 1}</span>
+                <select
+                  value={holder}
+                  onChange={(e) => handleHolderChange(idx, e.target.value)}
+                  className="border rounded p-1 flex-grow font-mono text-xs"
+                >
+                  <option value={OWNER_HOLDER}>Me</option>
+                  {guardianOptions.map(address => (
+                    <option key={address} value={address}>
+                      {address.substring(0, 10)}...{address === emergencyContact ? ' (emergency contact)' : ''}
+                    </option>
+                  ))}
+                  {removedHolders.map(address => (
+                    <option key={address} value={address} disabled>
+                      {address.substring(0, 10)}... (no longer a guardian)
+                    </option>
+                  ))}
+                </select>
+              </label>
+            ))}
+          </div>
+          <button 
+            className="bg-blue-500 text-white px-3 py-1 rounded text-sm"
+            onClick={handleAssignShares}
+            disabled={isAssigning || !keyPair || !isAssignmentChanged}
+          >
+            {isAssigning ? 'Re-encrypting shares...' : 'Save Share Holders'}
+          </button>
+        </div>
+      )}
+      
       {/* Add new recovery addresses */}
       <div className="mb-4">
         <h3 className="text-md font-medium mb-2">Add New Recovery Addresses:</h3>
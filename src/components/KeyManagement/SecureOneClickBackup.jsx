@@ -1,13 +1,15 @@
 import React, { useState, useEffect, useCallback, useRef } from 'react';
-import { ethers } from 'ethers';
 import { useKeyPair } from '../../context/KeyPairContext';
 import { useWallet } from '../../context/WalletContext';
 import ProductionShamirService from '../../services/cryptography/ProductionShamirService';
 import SecureShareRegistryService from '../../services/contracts/SecureShareRegistryService';
+import GuardianRecoveryService from '../../services/cryptography/GuardianRecoveryService';
+import MultiChainBackupService from '../../services/contracts/MultiChainBackupService';
+import { BACKUP_POLICIES, DEFAULT_BACKUP_POLICY, isValidBackupPolicy, policyKey } from '../../constants/backupPolicy';
+import { SHARE_STORAGE } from '../../constants/blobStore';
+import { getNetwork, getBackupChainIds, getServiceFee, getExplorerUrl } from '../../constants/networks';
 
 // Constants
-const NUM_SHARES = 48;
-const THRESHOLD = 16;
 const BACKUP_STAGES = {
   IDLE: 'idle',
   GENERATING: 'generating',
@@ -18,10 +20,22 @@ const BACKUP_STAGES = {
   ERROR: 'error'
 };
 
+// Labels of the share storage options
+const STORAGE_LABELS = {
+  [SHARE_STORAGE.ON_CHAIN]: 'On-chain',
+  [SHARE_STORAGE.OFF_CHAIN]: 'Off-chain (blob store)'
+};
+
+// Display name of a chain
+const networkName = (chainId) => getNetwork(chainId)?.name || `Chain ${chainId}`;
+
+// Share range of a manifest entry, numbered from 1
+const shareRange = ({ firstIndex, shareCount }) => `#${firstIndex + 1}–#${firstIndex + shareCount}`;
+
 const SecureOneClickBackup = () => {
   // Contexts
   const { keyPair, isKeyRegistered, isBackedUp, setIsBackedUp } = useKeyPair();
-  const { signer, chainId, account } = useWallet();
+  const { signer, chainId, account, switchChain } = useWallet();
   
   // Component state
   const [backupStage, setBackupStage] = useState(BACKUP_STAGES.IDLE);
@@ -33,6 +47,17 @@ const SecureOneClickBackup = () => {
   const [backupDetails, setBackupDetails] = useState(null);
   const [isDetailsOpen, setIsDetailsOpen] = useState(false);
   const [agreementChecked, setAgreementChecked] = useState(false);
+  const [isRefreshing, setIsRefreshing] = useState(false);
+  const [refreshMessage, setRefreshMessage] = useState('');
+  // Share policy for a new backup, and the one to switch an existing backup to
+  const [policy, setPolicy] = useState(DEFAULT_BACKUP_POLICY);
+  const [resharePolicy, setResharePolicy] = useState(null);
+  // Where the backup's ciphertexts are now, and where the next write puts them
+  const [backupStorage, setBackupStorage] = useState(null);
+  const [shareStorage, setShareStorage] = useState(SHARE_STORAGE.ON_CHAIN);
+  // Chains besides the connected one to spread a new backup over, and where the current backup lives
+  const [extraChainIds, setExtraChainIds] = useState([]);
+  const [manifest, setManifest] = useState(null);
   
   // Refs for security
   const isComponentMounted = useRef(true);
@@ -48,6 +73,16 @@ const SecureOneClickBackup = () => {
         if (hasShares) {
           const config = await registryService.getShareConfig(account);
           setBackupDetails(config);
+          
+          const storage = await registryService.getShareStorage(account);
+          setBackupStorage(storage);
+          setShareStorage(storage);
+          
+          // Only show a manifest that includes this chain's copy
+          const multiChainService = new MultiChainBackupService(account);
+          const savedManifest = await multiChainService.getManifest();
+          await multiChainService.close();
+          setManifest(savedManifest?.chains.some(entry => entry.chainId === Number(chainId)) ? savedManifest : null);
         }
         
         setIsBackedUp(hasShares);
@@ -113,7 +148,7 @@ const SecureOneClickBackup = () => {
       
       // Initialize services
       const shamirService = new ProductionShamirService(signer, chainId);
-      const registryService = new SecureShareRegistryService(signer, chainId);
+      const registryService = new SecureShareRegistryService(signer, chainId, { shareStorage });
       
       // Step 1: Generate shares locally with security measures
       setBackupStage(BACKUP_STAGES.GENERATING);
@@ -123,8 +158,17 @@ const SecureOneClickBackup = () => {
       // Artificial delay for security perception (makes the process feel more substantial)
       await new Promise(resolve => setTimeout(resolve, 1200));
       
-      // Generate Shamir shares locally
-      const shares = await shamirService.generateShares(keyPair.privateKey, NUM_SHARES, THRESHOLD);
+      // Generate Shamir shares locally, with commitments to the polynomial (Feldman VSS)
+      const { shares, commitments } = await shamirService.generateShares(
+        keyPair.privateKey,
+        policy.totalShares,
+        policy.threshold
+      );
+      
+      // The first commitment is the public key; anything else means the wrong key was split
+      if (!shamirService.verifyCommitments(commitments, keyPair.publicKey)) {
+        throw new Error("Share commitments don't match your public key");
+      }
       
       // Safety check to prevent continuation if component unmounted
       if (!isComponentMounted.current) return;
@@ -152,14 +196,48 @@ const SecureOneClickBackup = () => {
       
       setProgress(60);
       setBackupStage(BACKUP_STAGES.STORING);
-      setStatusMessage('Sending to blockchain (this may take a minute)...');
+      setStatusMessage(shareStorage === SHARE_STORAGE.OFF_CHAIN
+        ? 'Uploading shares and sending their hashes to the blockchain...'
+        : 'Sending to blockchain (this may take a minute)...');
       
-      // Step 3: Store encrypted shares in one transaction
-      const result = await registryService.storeShares(
-        encryptedShares,
-        THRESHOLD,
-        { value: ethers.parseEther("0.01") } // Service fee
-      );
+      // Step 3: Store encrypted shares in one transaction per chain; the connected
+      // chain holds the first share range
+      const backupChainIds = [Number(chainId), ...extraChainIds.filter(id => id !== Number(chainId))]
+        .slice(0, MultiChainBackupService.getMaxChains(policy));
+      
+      let result;
+      if (backupChainIds.length > 1) {
+        const multiChainService = new MultiChainBackupService(account, { shareStorage });
+        try {
+          const storedManifest = await multiChainService.storeShares(
+            encryptedShares,
+            policy.threshold,
+            shamirService.encodeCommitments(commitments),
+            {
+              chainIds: backupChainIds,
+              getSigner: switchChain,
+              onProgress: ({ chainId: target, completed, total }) => {
+                setStatusMessage(`Storing shares on ${networkName(target)} (${completed + 1} of ${total}), confirm the network switch in your wallet...`);
+                setProgress(60 + Math.floor((completed / total) * 20));
+              }
+            }
+          );
+          
+          setManifest(storedManifest);
+          result = { txHash: storedManifest.chains[0].txHash, shareContracts: [] };
+        } finally {
+          await multiChainService.close();
+          // Return to the network the backup started on
+          await switchChain(chainId);
+        }
+      } else {
+        result = await registryService.storeShares(
+          encryptedShares,
+          policy.threshold,
+          shamirService.encodeCommitments(commitments),
+          { value: getServiceFee(chainId) } // Service fee
+        );
+      }
       
       // Check if component still mounted after blockchain operation
       if (!isComponentMounted.current) return;
@@ -197,6 +275,245 @@ const SecureOneClickBackup = () => {
     }
   };
 
+  /**
+   * Re-randomize every stored share without changing the key, so shares leaked
+   * earlier can't be combined with the current ones
+   */
+  const handleRefreshBackup = async () => {
+    if (!keyPair || !signer || backupInProgress.current) {
+      return;
+    }
+    
+    try {
+      backupInProgress.current = true;
+      setIsRefreshing(true);
+      setError('');
+      
+      const shamirService = new ProductionShamirService(signer, chainId);
+      const registryService = new SecureShareRegistryService(signer, chainId, { shareStorage });
+      
+      // Shares held by guardians can't be decrypted here; split the key again for the same holders
+      const guardians = await registryService.getShareGuardians(account);
+      if (guardians.some(Boolean)) {
+        setRefreshMessage('Splitting key and encrypting shares for their holders...');
+        const guardianService = new GuardianRecoveryService(signer, chainId, { shareStorage });
+        const result = await guardianService.assignShares(keyPair, guardians);
+        
+        if (!isComponentMounted.current) return;
+        
+        setTxHash(result.txHash);
+        setRefreshMessage('Backup refreshed. Previously issued shares no longer work with the new ones.');
+        await checkBackupStatus();
+        return;
+      }
+      
+      // Step 1: Fetch and decrypt every current share
+      setRefreshMessage('Fetching current shares...');
+      const config = await registryService.getShareConfig(account);
+      const indices = Array.from({ length: config.totalShares }, (_, i) => i);
+      const encryptedShares = await registryService.getMultipleShares(account, indices);
+      if (encryptedShares.length !== config.totalShares) {
+        throw new Error(`Only ${encryptedShares.length} of ${config.totalShares} shares could be read`);
+      }
+      
+      const shares = [];
+      for (const { data } of encryptedShares) {
+        shares.push(await shamirService.decryptShare(keyPair.privateKey, data));
+      }
+      
+      // Step 2: Add a zero-secret polynomial to every share
+      setRefreshMessage('Refreshing shares...');
+      const refreshed = await shamirService.refreshShares(
+        shares,
+        shamirService.decodeCommitments(config.commitments)
+      );
+      
+      // Step 3: Re-encrypt in share index order (share x is its index + 1)
+      setRefreshMessage('Encrypting refreshed shares...');
+      const ordered = [...refreshed.shares].sort((a, b) => a.x - b.x);
+      const refreshedEncrypted = [];
+      for (const share of ordered) {
+        refreshedEncrypted.push(await shamirService.encryptShare(keyPair.publicKey, share));
+      }
+      
+      // Step 4: Replace the ciphertexts and commitments on-chain
+      setRefreshMessage('Sending to blockchain (this may take a minute)...');
+      const result = await registryService.refreshShares(
+        refreshedEncrypted,
+        shamirService.encodeCommitments(refreshed.commitments)
+      );
+      
+      if (!isComponentMounted.current) return;
+      
+      setTxHash(result.txHash);
+      setRefreshMessage('Backup refreshed. Previously issued shares no longer work with the new ones.');
+      await checkBackupStatus();
+    } catch (error) {
+      if (isComponentMounted.current) {
+        console.error("Error refreshing backup:", error);
+        setRefreshMessage('');
+        setError((error.userMessage || "Failed to refresh backup") + ": " + error.message);
+      }
+    } finally {
+      backupInProgress.current = false;
+      if (isComponentMounted.current) {
+        setIsRefreshing(false);
+      }
+    }
+  };
+  
+  /**
+   * Switch the backup to another share policy: split the key again locally and
+   * replace the whole share set on-chain in one transaction
+   */
+  const handleReshare = async () => {
+    if (!keyPair || !signer || !resharePolicy || backupInProgress.current) {
+      return;
+    }
+    
+    if (!isValidBackupPolicy(resharePolicy)) {
+      setError("Invalid share policy");
+      return;
+    }
+    
+    try {
+      backupInProgress.current = true;
+      setIsRefreshing(true);
+      setError('');
+      
+      const shamirService = new ProductionShamirService(signer, chainId);
+      const registryService = new SecureShareRegistryService(signer, chainId, { shareStorage });
+      
+      // Step 1: Split the key under the new policy
+      setRefreshMessage(`Splitting key into ${resharePolicy.totalShares} shares...`);
+      const config = await registryService.getShareConfig(account);
+      const { shares, commitments } = await shamirService.generateShares(
+        keyPair.privateKey,
+        resharePolicy.totalShares,
+        resharePolicy.threshold
+      );
+      
+      // The loaded key must be the one in the existing backup (the registry checks this too)
+      const [currentSecretCommitment] = shamirService.decodeCommitments(config.commitments);
+      if (commitments[0] !== currentSecretCommitment) {
+        throw new Error("The loaded key isn't the one in your existing backup");
+      }
+      
+      // Step 2: Encrypt the new shares
+      setRefreshMessage('Encrypting new shares...');
+      const encryptedShares = [];
+      for (const share of shares) {
+        encryptedShares.push(await shamirService.encryptShare(keyPair.publicKey, share));
+      }
+      
+      // Step 3: Deactivate the old share set and store the new one
+      setRefreshMessage('Sending to blockchain (this may take a minute)...');
+      const result = await registryService.replaceShares(
+        encryptedShares,
+        resharePolicy.threshold,
+        shamirService.encodeCommitments(commitments),
+        { value: getServiceFee(chainId) } // Service fee
+      );
+      
+      if (!isComponentMounted.current) return;
+      
+      setTxHash(result.txHash);
+      setShareContracts(result.shareContracts);
+      setRefreshMessage(`Backup now uses ${resharePolicy.threshold} of ${resharePolicy.totalShares} shares. The old shares were deactivated; assign guardians again under Recovery Addresses.`);
+      setResharePolicy(null);
+      await checkBackupStatus();
+    } catch (error) {
+      if (isComponentMounted.current) {
+        console.error("Error changing share policy:", error);
+        setRefreshMessage('');
+        setError((error.userMessage || "Failed to change share policy") + ": " + error.message);
+      }
+    } finally {
+      backupInProgress.current = false;
+      if (isComponentMounted.current) {
+        setIsRefreshing(false);
+      }
+    }
+  };
+  
+  /**
+   * Dropdown of the available share policies
+   * @param {Object|null} value - Selected policy
+   * @param {Function} onChange - Called with the selected policy
+   * @param {Object} currentPolicy - Policy to leave out (the one already in use)
+   */
+  const renderPolicySelect = (value, onChange, currentPolicy = null) => (
+    <select
+      className="border rounded p-1 text-sm"
+      value={value ? policyKey(value) : ''}
+      onChange={(e) => onChange(BACKUP_POLICIES.find(option => policyKey(option) === e.target.value) || null)}
+    >
+      {!value && <option value="">Choose a policy</option>}
+      {BACKUP_POLICIES
+        .filter(option => !currentPolicy || policyKey(option) !== policyKey(currentPolicy))
+        .map(option => (
+          <option key={policyKey(option)} value={policyKey(option)}>
+            {option.threshold} of {option.totalShares} shares
+          </option>
+        ))}
+    </select>
+  );
+  
+  /**
+   * Dropdown of where share ciphertexts are written
+   */
+  const renderStorageSelect = () => (
+    <select
+      className="border rounded p-1 text-sm"
+      value={shareStorage}
+      onChange={(e) => setShareStorage(e.target.value)}
+    >
+      {Object.entries(STORAGE_LABELS).map(([storage, label]) => (
+        <option key={storage} value={storage}>{label}</option>
+      ))}
+    </select>
+  );
+  
+  /**
+   * Checkboxes of the other chains a new backup can be spread over
+   */
+  const renderChainPicker = () => {
+    const maxChains = MultiChainBackupService.getMaxChains(policy);
+    const otherChainIds = getBackupChainIds().filter(id => id !== Number(chainId));
+    if (otherChainIds.length === 0) return null;
+    
+    const selectedChainIds = extraChainIds.filter(id => otherChainIds.includes(id));
+    const toggleChain = (id) => setExtraChainIds(extraChainIds.includes(id)
+      ? extraChainIds.filter(selected => selected !== id)
+      : [...extraChainIds, id]);
+    
+    return (
+      <div className="mt-2 text-sm text-gray-700">
+        <p>
+          Also store shares on (up to {maxChains - 1} more chain{maxChains === 2 ? '' : 's'} for this policy):
+        </p>
+        <div className="flex flex-wrap gap-3 mt-1">
+          {otherChainIds.map(id => (
+            <label key={id} className="flex items-center gap-1">
+              <input
+                type="checkbox"
+                checked={extraChainIds.includes(id)}
+                onChange={() => toggleChain(id)}
+                disabled={!selectedChainIds.includes(id) && selectedChainIds.length + 1 >= maxChains}
+              />
+              {networkName(id)}
+            </label>
+          ))}
+        </div>
+        {selectedChainIds.length > 0 && (
+          <p className="text-xs text-gray-500 mt-1">
+            The shares are split into {Math.min(selectedChainIds.length + 1, maxChains)} ranges of at least {policy.threshold}, one per chain, so each chain can rebuild your key on its own. Your wallet switches to each network to store its range.
+          </p>
+        )}
+      </div>
+    );
+  };
+  
   // Security agreement toggle
   const handleAgreementToggle = () => {
     setAgreementChecked(!agreementChecked);
@@ -207,26 +524,8 @@ const SecureOneClickBackup = () => {
     setIsDetailsOpen(!isDetailsOpen);
   };
   
-  // Get transaction explorer URL based on the current network
-  const getExplorerUrl = (txHash) => {
-    if (!txHash) return '#';
-    
-    // Determine explorer based on chainId
-    switch (chainId) {
-      case 1: // Ethereum mainnet
-        return `https://etherscan.io/tx/${txHash}`;
-      case 5: // Goerli testnet
-        return `https://goerli.etherscan.io/tx/${txHash}`;
-      case 42161: // Arbitrum
-        return `https://arbiscan.io/tx/${txHash}`;
-      case 137: // Polygon
-        return `https://polygonscan.com/tx/${txHash}`;
-      case 25925: // kub testnet
-        return `https://kub.com/tx/${txHash}`;
-      default:
-        return `https://etherscan.io/tx/${txHash}`;
-    }
-  };
+  // Get transaction explorer URL from the current network's configuration
+  const getTransactionUrl = (txHash) => getExplorerUrl(chainId, 'tx', txHash) || '#';
 
   // Component rendering based on backup status
   if (!isKeyRegistered) {
@@ -264,7 +563,61 @@ const SecureOneClickBackup = () => {
               Using Shamir's Secret Sharing with enhanced security features.
             </p>
             <p className="text-sm text-green-600">
-              To recover your key, you'll need at least {backupDetails?.threshold || THRESHOLD} out of {backupDetails?.totalShares || NUM_SHARES} shares.
+              To recover your key, you'll need at least {backupDetails?.threshold || policy.threshold} out of {backupDetails?.totalShares || policy.totalShares} shares.
+            </p>
+          </div>
+          
+          <div className="mt-3 pl-8">
+            <button
+              className="px-3 py-1 rounded text-sm bg-blue-500 text-white"
+              onClick={handleRefreshBackup}
+              disabled={isRefreshing || !keyPair}
+            >
+              {isRefreshing ? 'Refreshing...' : 'Refresh Backup'}
+            </button>
+            <p className="text-xs text-gray-500 mt-1">
+              Replaces every share with a new one for the same key, so shares leaked in the past become useless.
+            </p>
+            {manifest && (
+              <p className="text-xs text-gray-500 mt-1">
+                Your backup is spread over {manifest.chains.length} chains. Refreshing, resharing or reassigning guardians only changes the copy on {networkName(chainId)}, which can still rebuild your key on its own.
+              </p>
+            )}
+            {refreshMessage && (
+              <p className="text-sm text-blue-600 mt-1">{refreshMessage}</p>
+            )}
+            {error && (
+              <p className="text-sm text-red-600 mt-1">{error}</p>
+            )}
+          </div>
+          
+          <div className="mt-3 pl-8">
+            <p className="text-sm font-medium text-gray-700 mb-1">Change share policy</p>
+            <div className="flex items-center gap-2">
+              {renderPolicySelect(resharePolicy, setResharePolicy, backupDetails)}
+              <button
+                className="px-3 py-1 rounded text-sm bg-blue-500 text-white"
+                onClick={handleReshare}
+                disabled={isRefreshing || !keyPair || !resharePolicy}
+              >
+                Reshare
+              </button>
+            </div>
+            <p className="text-xs text-gray-500 mt-1">
+              Splits your key again and replaces all shares; the current shares are deactivated.
+            </p>
+          </div>
+          
+          <div className="mt-3 pl-8">
+            <label className="flex items-center gap-2 text-sm font-medium text-gray-700">
+              Share storage:
+              {renderStorageSelect()}
+            </label>
+            <p className="text-xs text-gray-500 mt-1">
+              {shareStorage === backupStorage
+                ? 'Where the next refresh or reshare writes your shares.'
+                : `The next refresh or reshare moves your shares ${shareStorage === SHARE_STORAGE.OFF_CHAIN ? 'to the blob store' : 'back on-chain'}.`}
+              {' '}Off-chain storage keeps the ciphertexts in a content-addressed blob store and only their hashes on-chain.
             </p>
           </div>
           
@@ -290,6 +643,20 @@ const SecureOneClickBackup = () => {
                   <div className="text-gray-600">Threshold:</div>
                   <div className="font-medium">{backupDetails.threshold}</div>
                   
+                  {manifest && (
+                    <>
+                      <div className="text-gray-600">Chains:</div>
+                      <div className="font-medium">
+                        {manifest.chains.map(entry => (
+                          <div key={entry.chainId}>{networkName(entry.chainId)}: shares {shareRange(entry)}</div>
+                        ))}
+                      </div>
+                    </>
+                  )}
+                  
+                  <div className="text-gray-600">Storage:</div>
+                  <div className="font-medium">{backupStorage ? STORAGE_LABELS[backupStorage] : 'Unknown'}</div>
+                  
                   <div className="text-gray-600">Created:</div>
                   <div className="font-medium">{new Date(backupDetails.creationTime * 1000).toLocaleString()}</div>
                   
@@ -310,8 +677,26 @@ const SecureOneClickBackup = () => {
       
       <div className="mb-4">
         <p className="text-gray-700">
-          Securely backup your private key using Shamir's Secret Sharing with enhanced security features. Your key will be split into {NUM_SHARES} encrypted shares, requiring at least {THRESHOLD} to recover it.
+          Securely backup your private key using Shamir's Secret Sharing with enhanced security features. Your key will be split into {policy.totalShares} encrypted shares, requiring at least {policy.threshold} to recover it.
         </p>
+        {backupStage === BACKUP_STAGES.IDLE && (
+          <label className="flex items-center gap-2 mt-2 text-sm text-gray-700">
+            Share policy:
+            {renderPolicySelect(policy, setPolicy)}
+          </label>
+        )}
+        {backupStage === BACKUP_STAGES.IDLE && (
+          <label className="flex items-center gap-2 mt-2 text-sm text-gray-700">
+            Share storage:
+            {renderStorageSelect()}
+          </label>
+        )}
+        {backupStage === BACKUP_STAGES.IDLE && renderChainPicker()}
+        {backupStage === BACKUP_STAGES.IDLE && shareStorage === SHARE_STORAGE.OFF_CHAIN && (
+          <p className="text-xs text-gray-500 mt-1">
+            The encrypted shares go to a content-addressed blob store and only their hashes are stored on-chain, which costs less gas. Keep the blob store available: shares can't be read without it.
+          </p>
+        )}
       </div>
       
       {/* Security notice */}
@@ -341,7 +726,7 @@ const SecureOneClickBackup = () => {
               className="mt-1 h-4 w-4 text-blue-600 rounded border-gray-300 focus:ring-blue-500"
             />
             <span className="ml-2 text-sm text-gray-700">
-              I understand that this backup is critical for account recovery. I will securely store my wallet seed phrase as an additional backup method and understand that {THRESHOLD} of {NUM_SHARES} shares will be needed for recovery.
+              I understand that this backup is critical for account recovery. I will securely store my wallet seed phrase as an additional backup method and understand that {policy.threshold} of {policy.totalShares} shares will be needed for recovery.
             </span>
           </label>
           {error && !agreementChecked && (
@@ -400,7 +785,7 @@ const SecureOneClickBackup = () => {
           {txHash && (
             <div className="mt-3 text-xs text-gray-600 text-center">
               Transaction: 
-              <a href={getExplorerUrl(txHash)} 
+              <a href={getTransactionUrl(txHash)} 
                  target="_blank" 
                  rel="noopener noreferrer"
                  className="ml-1 text-blue-500 hover:text-blue-700">
@@ -422,7 +807,8 @@ const SecureOneClickBackup = () => {
           </div>
           
           <p className="text-sm text-green-600 ml-8 mb-3">
-            Your private key is now securely backed up with {NUM_SHARES} encrypted shares across separate contracts.
+            Your private key is now securely backed up with {policy.totalShares} encrypted shares across separate contracts.
+            {manifest && ` Shares are spread over ${manifest.chains.map(entry => `${networkName(entry.chainId)} (${shareRange(entry)})`).join(', ')}.`}
           </p>
           
           {txHash && (
@@ -430,7 +816,7 @@ const SecureOneClickBackup = () => {
               <h4 className="font-medium mb-1">Transaction Details:</h4>
               <div className="flex items-center overflow-hidden">
                 <span className="text-gray-600 mr-2">TX:</span>
-                <a href={getExplorerUrl(txHash)} 
+                <a href={getTransactionUrl(txHash)} 
                    target="_blank" 
                    rel="noopener noreferrer"
                    className="text-blue-500 hover:text-blue-700 text-xs font-mono truncate">
@@ -445,7 +831,7 @@ const SecureOneClickBackup = () => {
               
               <div className="mt-2 flex items-center">
                 <span className="text-gray-600 mr-2">Recovery Threshold:</span>
-                <span className="text-gray-800">{THRESHOLD} of {NUM_SHARES} shares</span>
+                <span className="text-gray-800">{policy.threshold} of {policy.totalShares} shares</span>
               </div>
             </div>
           )}
@@ -481,7 +867,7 @@ const SecureOneClickBackup = () => {
               {txHash && (
                 <div className="mt-2 text-xs">
                   Transaction: 
-                  <a href={getExplorerUrl(txHash)} 
+                  <a href={getTransactionUrl(txHash)} 
                      target="_blank" 
                      rel="noopener noreferrer"
                      className="ml-1 text-blue-500 hover:text-blue-700">
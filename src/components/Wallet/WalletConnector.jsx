@@ -1,8 +1,79 @@
-import React from 'react';
+import React, { useState } from 'react';
 import { useWallet } from '../../context/WalletContext';
+import { getNetwork, getSupportedChainIds } from '../../constants/networks';
 
 const WalletConnector = () => {
-  const { account, isConnected, connectWallet, disconnectWallet } = useWallet();
+  const {
+    account,
+    isConnected,
+    chainId,
+    network,
+    isNetworkSupported,
+    deploymentIssues,
+    connectWallet,
+    disconnectWallet,
+    switchChain
+  } = useWallet();
+  const [switchError, setSwitchError] = useState('');
+  
+  // Ask the wallet to move to a supported network
+  const handleSwitch = async (targetChainId) => {
+    setSwitchError('');
+    try {
+      await switchChain(targetChainId);
+    } catch (error) {
+      console.error("Error switching network:", error);
+      setSwitchError(error.message);
+    }
+  };
+  
+  // Explain why the app can't work on the connected network
+  const renderNetworkStatus = () => {
+    if (!isNetworkSupported) {
+      const supportedChainIds = getSupportedChainIds();
+      
+      return (
+        <div className="bg-yellow-50 border border-yellow-200 p-3 rounded mb-2 text-sm">
+          <p className="text-yellow-800 mb-2">
+            {network ? network.name : `Chain ${chainId}`} isn't supported: the app has no contracts deployed there.
+          </p>
+          
+          {supportedChainIds.length > 0 ? (
+            <div className="flex flex-wrap gap-2">
+              {supportedChainIds.map(id => (
+                <button 
+                  key={id}
+                  className="bg-yellow-500 text-white px-3 py-1 rounded text-sm"
+                  onClick={() => handleSwitch(id)}
+                >
+                  Switch to {getNetwork(id).name}
+                </button>
+              ))}
+            </div>
+          ) : (
+            <p className="text-yellow-800">No networks are configured. Check the deployment manifest.</p>
+          )}
+          
+          {switchError && <p className="text-red-600 mt-2">{switchError}</p>}
+        </div>
+      );
+    }
+    
+    if (deploymentIssues.length > 0) {
+      return (
+        <div className="bg-red-50 border border-red-200 p-3 rounded mb-2 text-sm text-red-700">
+          <p className="mb-1">Some contracts of the deployment manifest aren't on {network.name}:</p>
+          <ul className="list-disc pl-5 font-mono text-xs">
+            {deploymentIssues.map(issue => (
+              <li key={issue.contractName}>{issue.contractName} at {issue.address}</li>
+            ))}
+          </ul>
+        </div>
+      );
+    }
+    
+    return null;
+  };
   
   return (
     <div className="bg-gray-100 p-4 rounded-lg mb-6">
@@ -15,8 +86,13 @@ const WalletConnector = () => {
             <span className="font-mono ml-2">
               {account.substring(0, 6)}...{account.substring(38)}
             </span>
+            {isNetworkSupported && (
+              <span className="text-gray-600 ml-2">on {network.name}</span>
+            )}
           </p>
           
+          {renderNetworkStatus()}
+          
           <button 
             className="bg-red-500 text-white px-3 py-1 rounded text-sm"
             onClick={disconnectWallet}
@@ -0,0 +1,26 @@
+// Share policies offered for the Shamir backup: the key is split into
+// totalShares shares and any threshold of them recover it
+export const BACKUP_POLICIES = [
+  { totalShares: 5, threshold: 3 },
+  { totalShares: 7, threshold: 4 },
+  { totalShares: 12, threshold: 6 },
+  { totalShares: 48, threshold: 16 }
+];
+
+// Policy used when the user doesn't pick one
+export const DEFAULT_BACKUP_POLICY = BACKUP_POLICIES[3];
+
+// Limits enforced by SecureShareRegistry
+export const MIN_TOTAL_SHARES = 3;
+export const MAX_TOTAL_SHARES = 100;
+export const MIN_THRESHOLD = 2;
+
+// Check a policy against the registry limits
+export const isValidBackupPolicy = ({ totalShares, threshold }) => (
+  Number.isInteger(totalShares) && Number.isInteger(threshold) &&
+  totalShares >= MIN_TOTAL_SHARES && totalShares <= MAX_TOTAL_SHARES &&
+  threshold >= MIN_THRESHOLD && threshold <= totalShares
+);
+
+// Key used to identify a policy in form controls
+export const policyKey = ({ totalShares, threshold }) => `${threshold}-of-${totalShares}`;
@@ -0,0 +1,10 @@
+// Content-addressed blob store for off-chain share ciphertexts
+// Any IPFS node's HTTP API works; `npm run blobstore` starts a local stand-in.
+// Override with VITE_BLOB_STORE_URL in .env.local when the store runs elsewhere
+export const BLOB_STORE_URL = import.meta.env.VITE_BLOB_STORE_URL || 'http://localhost:5001';
+
+// Where the ciphertexts of a backup are kept
+export const SHARE_STORAGE = {
+  ON_CHAIN: 'on-chain', // Ciphertexts in the share contracts or vault
+  OFF_CHAIN: 'off-chain' // Ciphertexts in the blob store, CIDs and keccak hashes on-chain
+};
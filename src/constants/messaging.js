@@ -0,0 +1,3 @@
+// Message relay configuration
+// Override with VITE_RELAY_URL in .env.local when the relay runs elsewhere
+export const RELAY_URL = import.meta.env.VITE_RELAY_URL || 'ws://localhost:8787';
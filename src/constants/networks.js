@@ -0,0 +1,105 @@
+import { ethers } from 'ethers';
+import NetworkRegistry, { DEPLOYMENT_STATUS } from '../services/network/NetworkRegistry';
+
+// Deployment manifest naming each network's RPC endpoint, explorer, currency, fee and contracts
+// Served from public/deployments.json; override with VITE_DEPLOYMENTS_URL in .env.local.
+// Override one RPC URL with VITE_RPC_URL_<chainId> (e.g. VITE_RPC_URL_11155111)
+export const DEPLOYMENTS_URL = import.meta.env.VITE_DEPLOYMENTS_URL || '/deployments.json';
+
+// Loaded once at startup, before the app renders
+let registry = null;
+let validationPromise = null;
+const readProviders = new Map();
+
+// Load the deployment manifest; until it loads every network is unsupported
+export const loadNetworks = async (url = DEPLOYMENTS_URL) => {
+  registry = await NetworkRegistry.load(url);
+  validationPromise = null;
+  readProviders.clear();
+  return registry;
+};
+
+// Get a network's settings, with the RPC URL override applied
+export const getNetwork = (chainId) => {
+  const network = registry && registry.getNetwork(chainId);
+  if (!network) return null;
+
+  return {
+    ...network,
+    rpcUrl: import.meta.env[`VITE_RPC_URL_${network.chainId}`] || network.rpcUrl
+  };
+};
+
+// Networks with contracts the app can use
+export const getSupportedChainIds = () => registry
+  ? registry.getChainIds().filter(chainId => registry.isSupported(chainId))
+  : [];
+
+export const isSupportedNetwork = (chainId) => Boolean(registry && registry.isSupported(chainId));
+
+// Get a contract's address; null if it isn't deployed on the network or the network is unsupported
+export const getContractAddress = (contractName, chainId) => registry
+  ? registry.getContractAddress(contractName, chainId)
+  : null;
+
+// Get the service fee in wei for transactions that charge one
+export const getServiceFee = (chainId) => {
+  if (!registry) {
+    throw new Error("Network configuration isn't loaded");
+  }
+  return registry.getServiceFee(chainId);
+};
+
+// Link to a transaction or address on the network's block explorer, or null without one
+export const getExplorerUrl = (chainId, type, value) => {
+  const network = getNetwork(chainId);
+  if (!network || !network.explorerUrl || !value) return null;
+
+  return `${network.explorerUrl}/${type === 'address' ? 'address' : 'tx'}/${value}`;
+};
+
+// Read-only provider for a network's RPC endpoint, shared across the app
+export const getReadProvider = (chainId) => {
+  const network = getNetwork(chainId);
+  if (!network || !network.rpcUrl) {
+    throw new Error(`No RPC endpoint configured for chain ${chainId}`);
+  }
+
+  if (!readProviders.has(network.chainId)) {
+    readProviders.set(network.chainId, new ethers.JsonRpcProvider(network.rpcUrl, network.chainId, {
+      staticNetwork: ethers.Network.from(network.chainId)
+    }));
+  }
+
+  return readProviders.get(network.chainId);
+};
+
+// Check once that every configured contract has bytecode; networks without an RPC endpoint are skipped
+export const validateDeployments = () => {
+  if (!registry) {
+    return Promise.resolve([]);
+  }
+
+  if (!validationPromise) {
+    validationPromise = registry.validateDeployments(network => {
+      return getNetwork(network.chainId).rpcUrl ? getReadProvider(network.chainId) : null;
+    }).then(results => {
+      for (const { chainId, contractName, address, status, error } of results) {
+        if (status === DEPLOYMENT_STATUS.MISSING) {
+          console.warn(`No bytecode for ${contractName} at ${address} on chain ${chainId}`);
+        } else if (status === DEPLOYMENT_STATUS.UNREACHABLE) {
+          console.warn(`Couldn't check ${contractName} on chain ${chainId}:`, error);
+        }
+      }
+      return results;
+    });
+  }
+
+  return validationPromise;
+};
+
+// Chains a backup can be spread across: an RPC URL and a share registry deployment
+export const getBackupChainIds = () => getSupportedChainIds()
+  .filter(chainId => getNetwork(chainId).rpcUrl && getContractAddress('SecureShareRegistry', chainId));
+
+export { DEPLOYMENT_STATUS };
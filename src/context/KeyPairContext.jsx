@@ -1,7 +1,20 @@
-import React, { createContext, useState, useContext, useEffect } from 'react';
+import React, { createContext, useState, useContext, useEffect, useCallback } from 'react';
 import { useWallet } from './WalletContext';
 import EccService from '../services/cryptography/EccService';
+import KeystoreService from '../services/cryptography/KeystoreService';
+import MnemonicService from '../services/cryptography/MnemonicService';
+import WalletKeyService from '../services/cryptography/WalletKeyService';
 import ECCOperationsService from '../services/contracts/ECCOperationsService';
+import KeyVaultStore from '../services/storage/KeyVaultStore';
+
+// Lock the vault after this long without user activity
+const AUTO_LOCK_TIMEOUT = 15 * 60 * 1000;
+
+// Events that count as user activity for auto-lock
+const ACTIVITY_EVENTS = ['mousedown', 'keydown', 'touchstart', 'scroll'];
+
+// One vault database for the whole app
+const vaultStore = new KeyVaultStore();
 
 // Create context
 const KeyPairContext = createContext(null);
@@ -24,6 +37,41 @@ export const KeyPairProvider = ({ children }) => {
   const [isBackedUp, setIsBackedUp] = useState(false);
   const [eccContract, setEccContract] = useState(null);
   const [publicKeys, setPublicKeys] = useState({});
+  // Public key of the keystore saved for this account, null if there is none
+  const [vaultPublicKey, setVaultPublicKey] = useState(null);
+  const [isVaultLoading, setIsVaultLoading] = useState(false);
+  
+  const hasVault = vaultPublicKey !== null;
+  const isVaultLocked = hasVault && !keyPair;
+  const isKeyInVault = Boolean(keyPair && hasVault && keyPair.publicKey === vaultPublicKey);
+  
+  // Look up the saved keystore when the account changes; a key pair never carries over to another account
+  useEffect(() => {
+    setKeyPair(null);
+    setVaultPublicKey(null);
+    
+    if (!account) return;
+    
+    let isCancelled = false;
+    
+    const loadVault = async () => {
+      setIsVaultLoading(true);
+      try {
+        const record = await vaultStore.load(account);
+        if (!isCancelled) setVaultPublicKey(record ? record.keystore.publicKey : null);
+      } catch (error) {
+        console.error("Error loading key vault:", error);
+      } finally {
+        if (!isCancelled) setIsVaultLoading(false);
+      }
+    };
+    
+    loadVault();
+    
+    return () => {
+      isCancelled = true;
+    };
+  }, [account]);
   
   // Initialize services when wallet is connected
   useEffect(() => {
@@ -121,6 +169,143 @@ export const KeyPairProvider = ({ children }) => {
     }
   };
   
+  // Decrypt the saved keystore and load its key pair
+  const unlockVault = async (passphrase) => {
+    const record = await vaultStore.load(account);
+    if (!record) {
+      throw new Error("No key is saved for this account");
+    }
+    
+    const unlockedKeyPair = await KeystoreService.decrypt(record.keystore, passphrase);
+    setKeyPair(unlockedKeyPair);
+    setPublicKeys(prev => ({
+      ...prev,
+      [account]: unlockedKeyPair.publicKey
+    }));
+    
+    return unlockedKeyPair;
+  };
+  
+  // Save the current key pair to the vault, encrypted with a passphrase
+  const saveToVault = async (passphrase) => {
+    if (!keyPair) {
+      throw new Error("No key pair to save");
+    }
+    
+    const keystore = await KeystoreService.encrypt(keyPair, passphrase, { account });
+    await vaultStore.save(account, { keystore });
+    setVaultPublicKey(keystore.publicKey);
+  };
+  
+  // Drop the key pair from memory; it stays available in the vault
+  const lockVault = useCallback(() => {
+    setKeyPair(null);
+  }, []);
+  
+  // Delete the saved keystore for this account
+  const forgetVault = async () => {
+    await vaultStore.delete(account);
+    setVaultPublicKey(null);
+  };
+  
+  // The saved keystore as JSON, for a backup file
+  const exportKeystore = async () => {
+    const record = await vaultStore.load(account);
+    if (!record) {
+      throw new Error("No key is saved for this account");
+    }
+    
+    return JSON.stringify(record.keystore, null, 2);
+  };
+  
+  // Load a key pair from a keystore file and keep the keystore in the vault
+  const importKeystore = async (keystoreJson, passphrase) => {
+    const keystore = KeystoreService.parse(keystoreJson);
+    if (keystore.address && `0x${keystore.address}` !== account.toLowerCase()) {
+      throw new Error("This keystore belongs to a different account");
+    }
+    
+    const importedKeyPair = await KeystoreService.decrypt(keystore, passphrase);
+    await vaultStore.save(account, { keystore });
+    
+    setKeyPair(importedKeyPair);
+    setVaultPublicKey(keystore.publicKey);
+    setPublicKeys(prev => ({
+      ...prev,
+      [account]: importedKeyPair.publicKey
+    }));
+    
+    return importedKeyPair;
+  };
+  
+  // Auto-lock after a period without activity, but only when the key can be unlocked again
+  useEffect(() => {
+    if (!isKeyInVault) return;
+    
+    let timer = setTimeout(lockVault, AUTO_LOCK_TIMEOUT);
+    const resetTimer = () => {
+      clearTimeout(timer);
+      timer = setTimeout(lockVault, AUTO_LOCK_TIMEOUT);
+    };
+    
+    ACTIVITY_EVENTS.forEach(event => window.addEventListener(event, resetTimer, { passive: true }));
+    
+    return () => {
+      clearTimeout(timer);
+      ACTIVITY_EVENTS.forEach(event => window.removeEventListener(event, resetTimer));
+    };
+  }, [isKeyInVault, lockVault]);
+  
+  // Derive the key pair from a recovery phrase (new identity or recovery)
+  const importMnemonic = async (mnemonic, options = {}) => {
+    try {
+      const derivedKeyPair = await MnemonicService.deriveKeyPair(mnemonic, options);
+      setKeyPair(derivedKeyPair);
+      
+      // Add to public keys cache
+      setPublicKeys(prev => ({
+        ...prev,
+        [account]: derivedKeyPair.publicKey
+      }));
+      
+      return derivedKeyPair;
+    } catch (error) {
+      console.error("Error importing key pair from recovery phrase:", error);
+      throw error;
+    }
+  };
+  
+  // Derive the key pair from a signature of the connected wallet (new identity or another device)
+  const deriveWalletKeyPair = async (options = {}) => {
+    if (!signer) {
+      throw new Error("Wallet must be connected to derive a key");
+    }
+    
+    try {
+      const derivedKeyPair = await WalletKeyService.deriveKeyPair(signer, { chainId, ...options });
+      
+      // Another key already registered would leave contacts encrypting to a key we don't hold
+      const registeredPublicKey = isKeyRegistered ? publicKeys[account] : null;
+      if (registeredPublicKey &&
+          EccService.normalizePublicKey(registeredPublicKey) !== EccService.normalizePublicKey(derivedKeyPair.publicKey)) {
+        throw new Error("The wallet-derived key doesn't match the key registered for this account");
+      }
+      
+      setKeyPair(derivedKeyPair);
+      
+      // Add to public keys cache
+      setPublicKeys(prev => ({
+        ...prev,
+        [account]: derivedKeyPair.publicKey
+      }));
+      
+      return derivedKeyPair;
+    } catch (error) {
+      console.error("Error deriving key pair from wallet:", error);
+      throw error;
+    }
+  };
+  
   // Get contact's public key
   const getContactPublicKey = async (contactAddress) => {
     if (!eccContract) return null;
@@ -157,7 +342,20 @@ export const KeyPairProvider = ({ children }) => {
     generateKeyPair,
     registerPublicKey,
     importKeyPair,
-    getContactPublicKey
+    importMnemonic,
+    deriveWalletKeyPair,
+    getContactPublicKey,
+    hasVault,
+    isVaultLocked,
+    isKeyInVault,
+    isVaultLoading,
+    autoLockTimeout: AUTO_LOCK_TIMEOUT,
+    unlockVault,
+    saveToVault,
+    lockVault,
+    forgetVault,
+    exportKeystore,
+    importKeystore
   };
   
   // Return provider
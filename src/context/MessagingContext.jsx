@@ -0,0 +1,116 @@
+import React, { createContext, useState, useContext, useEffect } from 'react';
+import { useWallet } from './WalletContext';
+import { useKeyPair } from './KeyPairContext';
+import WebSocketTransport from '../services/messaging/WebSocketTransport';
+import PreKeyManager from '../services/messaging/PreKeyManager';
+import PreKeyRegistryService from '../services/contracts/PreKeyRegistryService';
+import { TRANSPORT_STATUS } from '../services/messaging/MessageTransport';
+import { RELAY_URL } from '../constants/messaging';
+
+// Create context
+const MessagingContext = createContext(null);
+
+// Custom hook to use the messaging context
+export const useMessaging = () => {
+  const context = useContext(MessagingContext);
+  if (!context) {
+    throw new Error('useMessaging must be used within a MessagingProvider');
+  }
+  return context;
+};
+
+// Provider component
+export const MessagingProvider = ({ children }) => {
+  const { signer, account, isConnected, chainId } = useWallet();
+  const { keyPair, isKeyRegistered } = useKeyPair();
+
+  const [transport, setTransport] = useState(null);
+  const [connectionStatus, setConnectionStatus] = useState(TRANSPORT_STATUS.DISCONNECTED);
+  const [connectionError, setConnectionError] = useState('');
+  const [deliveryError, setDeliveryError] = useState('');
+  const [preKeyManager, setPreKeyManager] = useState(null);
+  const [preKeyError, setPreKeyError] = useState('');
+
+  // Connect to the relay once the wallet is connected and a key is registered
+  useEffect(() => {
+    if (!isConnected || !signer || !account || !isKeyRegistered) {
+      return;
+    }
+
+    const relayTransport = new WebSocketTransport(RELAY_URL, {
+      address: account,
+      signMessage: (message) => signer.signMessage(message)
+    });
+
+    const unsubscribe = relayTransport.onStatusChange(setConnectionStatus);
+    // Envelopes that kept failing were acknowledged and are gone
+    const unsubscribeDeliveryErrors = relayTransport.onDeliveryError((envelope, error) => {
+      setDeliveryError(`A message from ${envelope.from} could not be read and was dropped: ${error.message}`);
+    });
+    setTransport(relayTransport);
+    setConnectionError('');
+    setDeliveryError('');
+
+    relayTransport.connect().catch(error => {
+      console.error("Error connecting to message relay:", error);
+      setConnectionError(error.message);
+    });
+
+    return () => {
+      unsubscribe();
+      unsubscribeDeliveryErrors();
+      relayTransport.disconnect();
+      setTransport(null);
+      setConnectionStatus(TRANSPORT_STATUS.DISCONNECTED);
+    };
+  }, [isConnected, signer, account, isKeyRegistered]);
+
+  // Publish X3DH prekeys so contacts can start sessions while we are offline
+  useEffect(() => {
+    if (!isConnected || !signer || !account || !keyPair || !isKeyRegistered) {
+      return;
+    }
+
+    let registry;
+    try {
+      registry = new PreKeyRegistryService(signer, chainId);
+    } catch (error) {
+      // Sessions fall back to identity keys on networks without the registry
+      console.warn("Prekeys unavailable:", error.message);
+      return;
+    }
+
+    const manager = new PreKeyManager(account, keyPair, registry);
+    setPreKeyManager(manager);
+    setPreKeyError('');
+
+    manager.ensurePublished().catch(error => {
+      setPreKeyError(error.message);
+    });
+
+    return () => {
+      manager.close();
+      setPreKeyManager(null);
+    };
+  }, [isConnected, signer, account, chainId, keyPair, isKeyRegistered]);
+
+  // Create value object
+  const value = {
+    transport,
+    connectionStatus,
+    connectionError,
+    deliveryError,
+    preKeyManager,
+    preKeyError,
+    isTransportReady: connectionStatus === TRANSPORT_STATUS.CONNECTED
+  };
+
+  // Return provider
+  return (
+    <MessagingContext.Provider value={value}>
+      {children}
+    </MessagingContext.Provider>
+  );
+};
+
+export default MessagingContext;
@@ -0,0 +1,197 @@
+import React, { createContext, useState, useContext, useEffect, useCallback, useRef } from 'react';
+import { useWallet } from './WalletContext';
+import RecoveryMonitorService, { NOTIFICATION_TYPE } from '../services/contracts/RecoveryMonitorService';
+import NotificationStore from '../services/storage/NotificationStore';
+
+// Blocks scanned on the first run for an account (about a week on mainnet)
+const INITIAL_SCAN_BLOCKS = 50000;
+
+// Create context
+const RecoveryMonitorContext = createContext(null);
+
+// Custom hook to use the recovery monitor context
+export const useRecoveryMonitor = () => {
+  const context = useContext(RecoveryMonitorContext);
+  if (!context) {
+    throw new Error('useRecoveryMonitor must be used within a RecoveryMonitorProvider');
+  }
+  return context;
+};
+
+// Whether the browser can show notifications
+const browserNotificationsSupported = () => typeof window !== 'undefined' && 'Notification' in window;
+
+// Provider component
+export const RecoveryMonitorProvider = ({ children }) => {
+  const { signer, account, isConnected, chainId } = useWallet();
+
+  const [notifications, setNotifications] = useState([]);
+  const [activeRequest, setActiveRequest] = useState(null);
+  const [monitorError, setMonitorError] = useState('');
+  const [browserAlertsEnabled, setBrowserAlertsEnabled] = useState(
+    browserNotificationsSupported() && window.Notification.permission === 'granted'
+  );
+
+  const monitorRef = useRef(null);
+  const storeRef = useRef(null);
+
+  // Reload the pending recovery request against the account
+  const refreshActiveRequest = useCallback(async () => {
+    if (!monitorRef.current) return;
+
+    try {
+      setActiveRequest(await monitorRef.current.getActiveRequest());
+    } catch (error) {
+      console.error("Error loading recovery request:", error);
+    }
+  }, []);
+
+  // Watch the registry while a wallet is connected
+  useEffect(() => {
+    if (!isConnected || !signer || !account) {
+      return;
+    }
+
+    let monitor;
+    try {
+      monitor = new RecoveryMonitorService(signer, chainId, account);
+    } catch (error) {
+      // Nothing to watch on networks without the registry
+      console.warn("Recovery monitor unavailable:", error.message);
+      return;
+    }
+
+    const store = new NotificationStore(account);
+    let isActive = true;
+    monitorRef.current = monitor;
+    storeRef.current = store;
+    setMonitorError('');
+
+    // Log a notification once; alert in the background for anything not already logged
+    const handleNotification = async (notification) => {
+      const isNew = await store.add(notification);
+      if (!isNew || !isActive) return;
+
+      setNotifications(prev => [{ ...notification, read: false }, ...prev]);
+
+      if (notification.type === NOTIFICATION_TYPE.RECOVERY_REQUESTED ||
+          notification.type === NOTIFICATION_TYPE.RECOVERY_CANCELLED) {
+        refreshActiveRequest();
+      }
+
+      if (document.hidden && browserNotificationsSupported() &&
+          window.Notification.permission === 'granted') {
+        new window.Notification(notification.title, { body: notification.details, tag: notification.id });
+      }
+    };
+
+    const unsubscribe = monitor.onNotification(notification => {
+      handleNotification(notification).catch(error => {
+        console.error("Error handling notification:", error);
+      });
+    });
+
+    const startMonitor = async () => {
+      setNotifications(await store.list());
+      await refreshActiveRequest();
+
+      // Subscribe before catching up; events seen twice are logged once
+      await monitor.start();
+
+      // Pick up events emitted while the app was closed
+      const latestBlock = await signer.provider.getBlockNumber();
+      const lastBlock = await store.getLastBlock(chainId);
+      const fromBlock = lastBlock !== null ? lastBlock + 1 : Math.max(0, latestBlock - INITIAL_SCAN_BLOCKS);
+
+      if (fromBlock <= latestBlock) {
+        const missed = await monitor.catchUp(fromBlock, latestBlock);
+        for (const notification of missed) {
+          await handleNotification(notification);
+        }
+      }
+      await store.setLastBlock(chainId, latestBlock);
+    };
+
+    startMonitor().catch(error => {
+      console.error("Error starting recovery monitor:", error);
+      if (isActive) setMonitorError(error.message);
+    });
+
+    return () => {
+      isActive = false;
+      unsubscribe();
+      monitor.stop();
+      store.close();
+      monitorRef.current = null;
+      storeRef.current = null;
+      setNotifications([]);
+      setActiveRequest(null);
+    };
+  }, [isConnected, signer, account, chainId, refreshActiveRequest]);
+
+  // Cancel the pending recovery request against the account
+  const cancelRecovery = async () => {
+    if (!monitorRef.current) {
+      throw new Error("Recovery monitor isn't running");
+    }
+
+    try {
+      const result = await monitorRef.current.cancelRecovery();
+      await refreshActiveRequest();
+      return result;
+    } catch (error) {
+      console.error("Error cancelling recovery:", error);
+      throw error;
+    }
+  };
+
+  // Mark the whole log as read
+  const markAllRead = async () => {
+    if (!storeRef.current) return;
+
+    await storeRef.current.markAllRead();
+    setNotifications(prev => prev.map(notification => ({ ...notification, read: true })));
+  };
+
+  // Empty the log
+  const clearNotifications = async () => {
+    if (!storeRef.current) return;
+
+    await storeRef.current.clear();
+    setNotifications([]);
+  };
+
+  // Ask for permission to show browser notifications while the tab is in the background
+  const enableBrowserAlerts = async () => {
+    if (!browserNotificationsSupported()) {
+      throw new Error("This browser doesn't support notifications");
+    }
+
+    const permission = await window.Notification.requestPermission();
+    setBrowserAlertsEnabled(permission === 'granted');
+    return permission === 'granted';
+  };
+
+  // Create value object
+  const value = {
+    notifications,
+    unreadCount: notifications.filter(notification => !notification.read).length,
+    activeRequest,
+    monitorError,
+    browserAlertsEnabled,
+    browserAlertsSupported: browserNotificationsSupported(),
+    cancelRecovery,
+    markAllRead,
+    clearNotifications,
+    enableBrowserAlerts
+  };
+
+  // Return provider
+  return (
+    <RecoveryMonitorContext.Provider value={value}>
+      {children}
+    </RecoveryMonitorContext.Provider>
+  );
+};
+
+export default RecoveryMonitorContext;
@@ -1,5 +1,6 @@
 import React, { createContext, useState, useEffect, useContext } from 'react';
 import { ethers } from 'ethers';
+import { getNetwork, isSupportedNetwork, validateDeployments, DEPLOYMENT_STATUS } from '../constants/networks';
 
 // Create context
 const WalletContext = createContext(null);
@@ -20,6 +21,7 @@ export const WalletProvider = ({ children }) => {
   const [account, setAccount] = useState('');
   const [isConnected, setIsConnected] = useState(false);
   const [chainId, setChainId] = useState(null);
+  const [deploymentIssues, setDeploymentIssues] = useState([]);
 
   // Connect wallet function
   const connectWallet = async () => {
@@ -42,7 +44,7 @@ export const WalletProvider = ({ children }) => {
         
         // Get network information
         const network = await ethersProvider.getNetwork();
-        setChainId(network.chainId);
+        setChainId(Number(network.chainId));
         
         setIsConnected(true);
         
@@ -66,6 +68,39 @@ export const WalletProvider = ({ children }) => {
     setChainId(null);
   };
 
+  // Switch the wallet to another network, adding it if the wallet doesn't know it,
+  // and get a signer on it; the chainChanged listener updates the state
+  const switchChain = async (targetChainId) => {
+    if (!window.ethereum) {
+      throw new Error("Ethereum provider not found");
+    }
+    
+    const chainIdHex = ethers.toQuantity(targetChainId);
+    try {
+      await window.ethereum.request({ method: 'wallet_switchEthereumChain', params: [{ chainId: chainIdHex }] });
+    } catch (error) {
+      // 4902: unknown network
+      const network = getNetwork(targetChainId);
+      if (error.code !== 4902 || !network) {
+        throw error;
+      }
+      
+      await window.ethereum.request({
+        method: 'wallet_addEthereumChain',
+        params: [{
+          chainId: chainIdHex,
+          chainName: network.name,
+          rpcUrls: [network.rpcUrl],
+          nativeCurrency: network.currency,
+          ...(network.explorerUrl && { blockExplorerUrls: [network.explorerUrl] })
+        }]
+      });
+    }
+    
+    const ethersProvider = new ethers.BrowserProvider(window.ethereum);
+    return ethersProvider.getSigner();
+  };
+
   // Listen for account changes
   useEffect(() => {
     if (window.ethereum) {
@@ -114,6 +149,25 @@ export const WalletProvider = ({ children }) => {
     }
   }, [account]);
 
+  // Contracts of the connected network that failed the startup bytecode check
+  useEffect(() => {
+    setDeploymentIssues([]);
+    if (!chainId) return;
+    
+    let cancelled = false;
+    validateDeployments().then(results => {
+      if (!cancelled) {
+        setDeploymentIssues(results.filter(result =>
+          result.chainId === Number(chainId) && result.status === DEPLOYMENT_STATUS.MISSING
+        ));
+      }
+    });
+    
+    return () => {
+      cancelled = true;
+    };
+  }, [chainId]);
+
   // Create value object
   const value = {
     provider,
@@ -121,8 +175,12 @@ export const WalletProvider = ({ children }) => {
     account,
     isConnected,
     chainId,
+    network: chainId ? getNetwork(chainId) : null,
+    isNetworkSupported: isSupportedNetwork(chainId),
+    deploymentIssues,
     connectWallet,
-    disconnectWallet
+    disconnectWallet,
+    switchChain
   };
 
   // Return provider
@@ -0,0 +1,231 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/access/Ownable2Step.sol";
+
+/**
+ * @title ECCOperations
+ * @dev Directory of the secp256k1 public keys users encrypt chat messages and
+ * backup shares to. Keys are registered by their owner, or by an authorized
+ * relayer with the owner's signature. Shared keys themselves are computed off-chain;
+ * computeSharedKey only emits a commitment both parties can check later.
+ */
+contract ECCOperations is Ownable2Step {
+    // Version for upgrade compatibility
+    uint8 public constant VERSION = 1;
+
+    // secp256k1 field prime
+    uint256 private constant FIELD_PRIME = 0xFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFEFFFFFC2F;
+
+    // Meta-transaction type hash, as signed by ECCOperationsService.createSignature
+    bytes32 private constant REGISTER_TYPEHASH = keccak256("registerPublicKeyFor(address user,bytes publicKey,uint256 deadline)");
+
+    // EIP-712 domain separator
+    bytes32 private immutable DOMAIN_SEPARATOR;
+
+    // Mappings
+    mapping(address => bytes) private publicKeys;
+    mapping(address => uint256) private keyRevisions;
+    mapping(address => uint256) private nonces;
+    // Kept apart from the meta-transaction nonces so key ids don't invalidate pending signatures
+    mapping(address => uint256) private keyIdNonces;
+    mapping(address => bool) public authorizedRelayers;
+
+    // Events
+    event PublicKeyRegistered(
+        address indexed user,
+        bytes publicKey,
+        uint256 keyRevision
+    );
+
+    event PublicKeyRevoked(
+        address indexed user,
+        uint256 keyRevision
+    );
+
+    event SharedKeyComputed(
+        address indexed sender,
+        address indexed recipient,
+        bytes32 keyId,
+        bytes32 keyCommitment,
+        uint256 timestamp
+    );
+
+    event RelayerStatusChanged(
+        address indexed relayer,
+        bool authorized
+    );
+
+    /**
+     * @dev Constructor
+     */
+    constructor() Ownable(msg.sender) {
+        DOMAIN_SEPARATOR = keccak256(
+            abi.encode(
+                keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)"),
+                keccak256(bytes("ECCOperations")),
+                keccak256(bytes("1")),
+                block.chainid,
+                address(this)
+            )
+        );
+    }
+
+    /**
+     * @dev Register or replace the sender's public key
+     * @param publicKey Uncompressed (65 bytes, 0x04 prefix) or compressed (33 bytes) secp256k1 key
+     */
+    function registerPublicKey(bytes calldata publicKey) external {
+        _registerPublicKey(msg.sender, publicKey);
+    }
+
+    /**
+     * @dev Register a public key on behalf of a user (meta-transaction from an authorized relayer)
+     * @param user User the key belongs to
+     * @param publicKey Public key, as in registerPublicKey
+     * @param deadline Deadline for signature validity
+     * @param v Signature recovery id
+     * @param r Signature r value
+     * @param s Signature s value
+     */
+    function registerPublicKeyFor(
+        address user,
+        bytes calldata publicKey,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external {
+        require(authorizedRelayers[msg.sender], "Unauthorized relayer");
+        require(block.timestamp <= deadline, "Signature expired");
+
+        bytes32 functionDataHash = keccak256(abi.encode(REGISTER_TYPEHASH, user, publicKey, deadline));
+        bytes32 digest = keccak256(
+            abi.encodePacked("\x19\x01", DOMAIN_SEPARATOR, keccak256(abi.encode(functionDataHash, nonces[user])))
+        );
+
+        address signer = ecrecover(digest, v, r, s);
+        require(signer != address(0) && signer == user, "Invalid signature");
+
+        nonces[user]++;
+        _registerPublicKey(user, publicKey);
+    }
+
+    /**
+     * @dev Remove the sender's public key
+     */
+    function revokePublicKey() external {
+        require(publicKeys[msg.sender].length > 0, "No public key registered");
+
+        delete publicKeys[msg.sender];
+        emit PublicKeyRevoked(msg.sender, keyRevisions[msg.sender]);
+    }
+
+    /**
+     * @dev Emit a commitment to a key shared with a recipient. The key is derived
+     * off-chain from the ephemeral key; the commitment binds it to both registered keys.
+     * @param recipient Recipient with a registered public key
+     * @param ephemeralKey Sender's ephemeral public key
+     * @return keyId Identifier of the commitment
+     */
+    function computeSharedKey(address recipient, bytes calldata ephemeralKey) external returns (bytes32) {
+        require(publicKeys[recipient].length > 0, "Recipient has no public key");
+        require(_isValidPublicKey(ephemeralKey), "Invalid ephemeral key");
+
+        bytes32 keyId = keccak256(abi.encodePacked(msg.sender, recipient, ephemeralKey, keyIdNonces[msg.sender]++));
+        bytes32 keyCommitment = keccak256(
+            abi.encodePacked(keyId, publicKeys[msg.sender], publicKeys[recipient], ephemeralKey)
+        );
+
+        emit SharedKeyComputed(msg.sender, recipient, keyId, keyCommitment, block.timestamp);
+        return keyId;
+    }
+
+    /**
+     * @dev Get a user's public key
+     * @param user Address to look up
+     * @return Public key bytes
+     */
+    function getPublicKey(address user) external view returns (bytes memory) {
+        require(publicKeys[user].length > 0, "No public key registered");
+        return publicKeys[user];
+    }
+
+    /**
+     * @dev Check if a user has a registered public key
+     * @param user Address to check
+     * @return True if a key is registered
+     */
+    function hasPublicKey(address user) external view returns (bool) {
+        return publicKeys[user].length > 0;
+    }
+
+    /**
+     * @dev Get the next meta-transaction nonce of a user
+     * @param user Address to look up
+     * @return Current nonce
+     */
+    function getNonce(address user) external view returns (uint256) {
+        return nonces[user];
+    }
+
+    /**
+     * @dev Get the EIP-712 domain separator
+     * @return Domain separator
+     */
+    function getDomainSeparator() external view returns (bytes32) {
+        return DOMAIN_SEPARATOR;
+    }
+
+    // ===== Admin Functions =====
+
+    /**
+     * @dev Authorize or deauthorize a meta-transaction relayer
+     * @param relayer Relayer address
+     * @param authorized True to authorize
+     */
+    function setRelayerStatus(address relayer, bool authorized) external onlyOwner {
+        authorizedRelayers[relayer] = authorized;
+        emit RelayerStatusChanged(relayer, authorized);
+    }
+
+    // ===== Internal Functions =====
+
+    /**
+     * @dev Store a user's key and bump its revision
+     * @param user Key owner
+     * @param publicKey Public key bytes
+     */
+    function _registerPublicKey(address user, bytes calldata publicKey) internal {
+        require(_isValidPublicKey(publicKey), "Invalid public key");
+
+        publicKeys[user] = publicKey;
+        keyRevisions[user]++;
+
+        emit PublicKeyRegistered(user, publicKey, keyRevisions[user]);
+    }
+
+    /**
+     * @dev Check the encoding of a secp256k1 public key; uncompressed keys must be on the curve
+     * @param publicKey Public key bytes
+     */
+    function _isValidPublicKey(bytes calldata publicKey) internal pure returns (bool) {
+        if (publicKey.length == 33) {
+            return publicKey[0] == 0x02 || publicKey[0] == 0x03;
+        }
+
+        if (publicKey.length != 65 || publicKey[0] != 0x04) {
+            return false;
+        }
+
+        uint256 x = uint256(bytes32(publicKey[1:33]));
+        uint256 y = uint256(bytes32(publicKey[33:65]));
+        if (x >= FIELD_PRIME || y >= FIELD_PRIME) {
+            return false;
+        }
+
+        // y^2 = x^3 + 7
+        uint256 rhs = addmod(mulmod(mulmod(x, x, FIELD_PRIME), x, FIELD_PRIME), 7, FIELD_PRIME);
+        return mulmod(y, y, FIELD_PRIME) == rhs;
+    }
+}
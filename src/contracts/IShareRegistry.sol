@@ -0,0 +1,11 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.17;
+
+/**
+ * @title IShareRegistry
+ * @dev Interface for the share registry to check authorization
+ */
+interface IShareRegistry {
+    function isAuthorizedForShare(address owner, address accessor) external view returns (bool);
+    function isAuthorizedForShareIndex(address owner, uint256 index, address accessor) external view returns (bool);
+}
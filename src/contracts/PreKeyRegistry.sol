@@ -0,0 +1,161 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.17;
+
+/**
+ * @title PreKeyRegistry
+ * @dev Publishes X3DH prekey bundles so sessions can be started with offline users.
+ * Each user publishes one signed prekey and a pool of one-time prekeys. A one-time
+ * prekey is handed out to exactly one initiator and removed when it is claimed.
+ * Prekey signatures are made with the user's ECC identity key (registered in
+ * ECCOperations) and are verified by clients, not by this contract.
+ */
+contract PreKeyRegistry {
+    // Version for upgrade compatibility
+    uint8 public constant VERSION = 1;
+
+    // Compressed secp256k1 public key and compact ECDSA signature sizes
+    uint256 public constant PUBLIC_KEY_LENGTH = 33;
+    uint256 public constant SIGNATURE_LENGTH = 64;
+
+    // Pool limits
+    uint256 public constant MAX_ONE_TIME_PREKEYS = 100;
+    uint256 public constant MAX_BATCH_SIZE = 25;
+
+    // Medium-term prekey signed by the identity key
+    struct SignedPreKey {
+        uint32 keyId;
+        bytes publicKey;
+        bytes signature;
+        uint256 publishedAt;
+    }
+
+    // Single-use prekey
+    struct OneTimePreKey {
+        uint32 keyId;
+        bytes publicKey;
+    }
+
+    // Mappings
+    mapping(address => SignedPreKey) private signedPreKeys;
+    mapping(address => OneTimePreKey[]) private oneTimePreKeys;
+
+    // Events
+    event SignedPreKeyPublished(
+        address indexed user,
+        uint32 keyId,
+        uint256 timestamp
+    );
+
+    event OneTimePreKeysAdded(
+        address indexed user,
+        uint256 count,
+        uint256 available
+    );
+
+    event OneTimePreKeyClaimed(
+        address indexed user,
+        address indexed claimer,
+        uint32 keyId,
+        bytes publicKey,
+        uint256 available
+    );
+
+    event OneTimePreKeysCleared(
+        address indexed user
+    );
+
+    /**
+     * @dev Publish or rotate the sender's signed prekey
+     * @param keyId Client-chosen key identifier
+     * @param publicKey Compressed prekey public key
+     * @param signature Identity key signature over the prekey
+     */
+    function publishSignedPreKey(uint32 keyId, bytes calldata publicKey, bytes calldata signature) external {
+        require(publicKey.length == PUBLIC_KEY_LENGTH, "Invalid prekey length");
+        require(signature.length == SIGNATURE_LENGTH, "Invalid signature length");
+
+        signedPreKeys[msg.sender] = SignedPreKey({
+            keyId: keyId,
+            publicKey: publicKey,
+            signature: signature,
+            publishedAt: block.timestamp
+        });
+
+        emit SignedPreKeyPublished(msg.sender, keyId, block.timestamp);
+    }
+
+    /**
+     * @dev Add one-time prekeys to the sender's pool
+     * @param keyIds Client-chosen key identifiers
+     * @param publicKeys Compressed prekey public keys
+     */
+    function addOneTimePreKeys(uint32[] calldata keyIds, bytes[] calldata publicKeys) external {
+        require(keyIds.length == publicKeys.length, "Length mismatch");
+        require(keyIds.length > 0 && keyIds.length <= MAX_BATCH_SIZE, "Invalid batch size");
+
+        OneTimePreKey[] storage pool = oneTimePreKeys[msg.sender];
+        require(pool.length + keyIds.length <= MAX_ONE_TIME_PREKEYS, "Prekey pool full");
+
+        for (uint256 i = 0; i < keyIds.length; i++) {
+            require(publicKeys[i].length == PUBLIC_KEY_LENGTH, "Invalid prekey length");
+            pool.push(OneTimePreKey({ keyId: keyIds[i], publicKey: publicKeys[i] }));
+        }
+
+        emit OneTimePreKeysAdded(msg.sender, keyIds.length, pool.length);
+    }
+
+    /**
+     * @dev Remove all of the sender's one-time prekeys (e.g. after a key change)
+     */
+    function clearOneTimePreKeys() external {
+        delete oneTimePreKeys[msg.sender];
+        emit OneTimePreKeysCleared(msg.sender);
+    }
+
+    /**
+     * @dev Claim a user's prekey bundle, consuming one of their one-time prekeys.
+     * The claimed key is also emitted in OneTimePreKeyClaimed, since a transaction's
+     * return value can't be read from its receipt.
+     * @param user Address whose bundle is claimed
+     * @return signedPreKey The user's signed prekey
+     * @return oneTimePreKey The claimed one-time prekey (empty if the pool is exhausted)
+     */
+    function claimPreKeyBundle(address user)
+        external
+        returns (SignedPreKey memory signedPreKey, OneTimePreKey memory oneTimePreKey)
+    {
+        require(user != msg.sender, "Cannot claim own prekeys");
+        signedPreKey = signedPreKeys[user];
+        require(signedPreKey.publicKey.length > 0, "No signed prekey published");
+
+        OneTimePreKey[] storage pool = oneTimePreKeys[user];
+        if (pool.length > 0) {
+            oneTimePreKey = pool[pool.length - 1];
+            pool.pop();
+            emit OneTimePreKeyClaimed(user, msg.sender, oneTimePreKey.keyId, oneTimePreKey.publicKey, pool.length);
+        }
+    }
+
+    /**
+     * @dev Get a user's signed prekey without consuming a one-time prekey
+     * @param user Address to look up
+     * @return signedPreKey The user's signed prekey
+     * @return available Number of one-time prekeys left
+     */
+    function getPreKeyBundle(address user)
+        external
+        view
+        returns (SignedPreKey memory signedPreKey, uint256 available)
+    {
+        return (signedPreKeys[user], oneTimePreKeys[user].length);
+    }
+
+    /**
+     * @dev Number of one-time prekeys a user has left
+     * @param user Address to look up
+     * @return Number of available one-time prekeys
+     */
+    function getOneTimePreKeyCount(address user) external view returns (uint256) {
+        return oneTimePreKeys[user].length;
+    }
+}
@@ -1,19 +1,13 @@
 // SPDX-License-Identifier: MIT
-pragma solidity ^0.8.17;
+pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
-
-/**
- * @title IShareRegistry
- * @dev Interface for the share registry to check authorization
- */
-interface IShareRegistry {
-    function isAuthorizedForShare(address owner, address accessor) external view returns (bool);
-}
+import "./IShareRegistry.sol";
 
 /**
  * @title SecureShareContract
- * @dev Individual contract to store a single encrypted share with enhanced security
+ * @dev Individual contract to store a single encrypted share with enhanced security.
+ * Used by version 1 registries; later versions keep every share of a user in one SecureShareVault.
  */
 contract SecureShareContract {
     using ECDSA for bytes32;
@@ -1,26 +1,36 @@
 // SPDX-License-Identifier: MIT
-pragma solidity ^0.8.17;
+pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/access/Ownable.sol";
-import "@openzeppelin/contracts/security/Pausable.sol";
-import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/Pausable.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
 import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
-import "./SecureShareContract.sol";
+import "@openzeppelin/contracts/proxy/Clones.sol";
+import "./IShareRegistry.sol";
+import "./SecureShareVault.sol";
 
 /**
  * @title SecureShareRegistry
- * @dev Registry contract to manage individual share contracts with enhanced security
+ * @dev Registry contract to manage share vaults with enhanced security.
+ * Each share set lives in one EIP-1167 clone of SecureShareVault; version 1 deployed
+ * a SecureShareContract per share instead.
  */
-contract SecureShareRegistry is Ownable, Pausable, ReentrancyGuard {
+contract SecureShareRegistry is IShareRegistry, Ownable, Pausable, ReentrancyGuard {
     using ECDSA for bytes32;
     
-    // Version for upgrade compatibility
-    uint8 public constant VERSION = 1;
+    // Version for upgrade compatibility; clients read it to tell the storage layouts apart
+    uint8 public constant VERSION = 2;
+    
+    // Size of one Feldman commitment: a compressed secp256k1 point
+    uint256 public constant COMMITMENT_SIZE = 33;
     
     // Service fee configuration
     uint256 public serviceFee;
     address public feeCollector;
     
+    // Vault implementation the per-user clones delegate to
+    address public immutable vaultImplementation;
+    
     // User share details
     struct ShareConfig {
         uint256 totalShares;
@@ -28,6 +38,7 @@ contract SecureShareRegistry is Ownable, Pausable, ReentrancyGuard {
         uint256 creationTime;
         bool isActive;
         bytes32 configHash;
+        bytes commitments;      // Feldman VSS commitments, threshold * COMMITMENT_SIZE bytes
     }
     
     // Time-locked recovery request
@@ -41,13 +52,19 @@ contract SecureShareRegistry is Ownable, Pausable, ReentrancyGuard {
     
     // Mappings
     mapping(address => ShareConfig) private shareConfigs;
-    mapping(address => address[]) private userShares;
+    mapping(address => address) private userVaults;
     mapping(address => address[]) private recoveryAddresses;
     mapping(address => address) public emergencyContacts;
     mapping(address => RecoveryRequest) public recoveryRequests;
     mapping(address => bool) public blacklisted;
     mapping(address => bool) public feeExemptions;
     
+    // Social recovery: guardian holding each share index (zero address: the owner),
+    // the owner's new recovery public key, and shares guardians re-encrypted to it
+    mapping(address => mapping(uint256 => address)) private shareGuardians;
+    mapping(address => bytes) public recoveryKeys;
+    mapping(address => mapping(uint256 => bytes)) private releasedShares;
+    
     // Security throttling
     mapping(address => uint256) public lastActionTimestamp;
     mapping(address => uint256) public failedAttempts;
@@ -70,6 +87,41 @@ contract SecureShareRegistry is Ownable, Pausable, ReentrancyGuard {
         uint256 timestamp
     );
     
+    event ShareVaultCreated(
+        address indexed user,
+        address vault
+    );
+    
+    event SharesReplaced(
+        address indexed user,
+        uint256 totalShares,
+        uint256 threshold,
+        bytes32 configHash
+    );
+    
+    event SharesRefreshed(
+        address indexed user,
+        uint256 timestamp,
+        bytes32 commitmentsHash
+    );
+    
+    event ShareGuardianAssigned(
+        address indexed user,
+        uint256 indexed index,
+        address indexed guardian
+    );
+    
+    event RecoveryKeySet(
+        address indexed user,
+        bytes32 keyHash
+    );
+    
+    event ShareReleased(
+        address indexed user,
+        address indexed guardian,
+        uint256 index
+    );
+    
     event RecoveryAddressAdded(
         address indexed user,
         address indexed recoveryAddress,
@@ -150,11 +202,12 @@ contract SecureShareRegistry is Ownable, Pausable, ReentrancyGuard {
      * @param initialServiceFee Initial service fee
      * @param initialFeeCollector Address to collect fees
      */
-    constructor(uint256 initialServiceFee, address initialFeeCollector) {
+    constructor(uint256 initialServiceFee, address initialFeeCollector) Ownable(msg.sender) {
         require(initialFeeCollector != address(0), "Invalid fee collector");
         
         serviceFee = initialServiceFee;
         feeCollector = initialFeeCollector;
+        vaultImplementation = address(new SecureShareVault());
         
         // Initialize EIP-712 domain separator
         DOMAIN_SEPARATOR = keccak256(
@@ -169,17 +222,18 @@ contract SecureShareRegistry is Ownable, Pausable, ReentrancyGuard {
     }
     
     /**
-     * @dev Store encrypted shares for the sender - creates multiple contracts in one transaction
+     * @dev Store encrypted shares for the sender in a new vault
      * @param encryptedShareData Array of encrypted share data
      * @param threshold Minimum shares needed for reconstruction
-     * @return shareContracts Addresses of created share contracts
+     * @param commitments Concatenated commitments to the polynomial coefficients
+     * @return vault Address of the created share vault
      */
-    function storeShares(bytes[] calldata encryptedShareData, uint256 threshold) 
+    function storeShares(bytes[] calldata encryptedShareData, uint256 threshold, bytes calldata commitments) 
         external 
         payable 
         whenNotPaused 
         nonReentrant 
-        returns (address[] memory) 
+        returns (address) 
     {
         // Security checks
         _checkBlacklist(msg.sender);
@@ -194,26 +248,11 @@ contract SecureShareRegistry is Ownable, Pausable, ReentrancyGuard {
         require(encryptedShareData.length >= 3, "Minimum 3 shares required");
         require(encryptedShareData.length <= 100, "Maximum 100 shares allowed");
         require(!hasShares(msg.sender), "Shares already exist");
+        require(commitments.length == threshold * COMMITMENT_SIZE, "Invalid commitments");
         
-        // Implementation
-        address[] memory shareContracts = new address[](encryptedShareData.length);
-        
-        for (uint256 i = 0; i < encryptedShareData.length; i++) {
-            // Validate share data
-            require(encryptedShareData[i].length > 0, "Empty share data");
-            
-            // Deploy new share contract with proper security
-            SecureShareContract newContract = new SecureShareContract(
-                msg.sender,
-                address(this),
-                encryptedShareData[i]
-            );
-            
-            shareContracts[i] = address(newContract);
-            
-            // Store contract address
-            userShares[msg.sender].push(address(newContract));
-        }
+        // Implementation; slots of a revoked set don't carry over to the new one
+        _clearShareAssignments(msg.sender);
+        address vault = _createVault(msg.sender, encryptedShareData);
         
         // Calculate configuration hash for verification and security auditing
         bytes32 configHash = keccak256(
@@ -222,7 +261,8 @@ contract SecureShareRegistry is Ownable, Pausable, ReentrancyGuard {
                 encryptedShareData.length,
                 threshold,
                 block.timestamp,
-                shareContracts
+                vault,
+                keccak256(commitments)
             )
         );
         
@@ -232,7 +272,8 @@ contract SecureShareRegistry is Ownable, Pausable, ReentrancyGuard {
             threshold: threshold,
             creationTime: block.timestamp,
             isActive: true,
-            configHash: configHash
+            configHash: configHash,
+            commitments: commitments
         });
         
         // Transfer fee
@@ -245,7 +286,7 @@ contract SecureShareRegistry is Ownable, Pausable, ReentrancyGuard {
         lastActionTimestamp[msg.sender] = block.timestamp;
         
         emit SharesStored(msg.sender, encryptedShareData.length, threshold, configHash);
-        return shareContracts;
+        return vault;
     }
     
     /**
@@ -253,13 +294,16 @@ contract SecureShareRegistry is Ownable, Pausable, ReentrancyGuard {
      * @param user User to store shares for
      * @param encryptedShareData Encrypted share data
      * @param threshold Threshold for reconstruction
+     * @param commitments Concatenated commitments to the polynomial coefficients
      * @param deadline Deadline for signature validity
      * @param signature EIP-712 signature
+     * @return vault Address of the created share vault
      */
     function storeSharesFor(
         address user,
         bytes[] calldata encryptedShareData,
         uint256 threshold,
+        bytes calldata commitments,
         uint256 deadline,
         bytes calldata signature
     ) 
@@ -267,7 +311,7 @@ contract SecureShareRegistry is Ownable, Pausable, ReentrancyGuard {
         payable 
         whenNotPaused 
         nonReentrant 
-        returns (address[] memory) 
+        returns (address) 
     {
         // Check deadline
         require(block.timestamp <= deadline, "Signature expired");
@@ -286,44 +330,14 @@ contract SecureShareRegistry is Ownable, Pausable, ReentrancyGuard {
         require(encryptedShareData.length >= 3, "Minimum 3 shares required");
         require(encryptedShareData.length <= 100, "Maximum 100 shares allowed");
         require(!hasShares(user), "Shares already exist");
+        require(commitments.length == threshold * COMMITMENT_SIZE, "Invalid commitments");
         
         // Verify signature
-        bytes32 structHash = keccak256(
-            abi.encode(
-                keccak256("StoreShares(address user,uint256 threshold,bytes32 dataHash,uint256 deadline)"),
-                user,
-                threshold,
-                keccak256(abi.encodePacked(encryptedShareData)),
-                deadline
-            )
-        );
-        
-        bytes32 digest = keccak256(
-            abi.encodePacked("\x19\x01", DOMAIN_SEPARATOR, structHash)
-        );
-        
-        address recoveredSigner = digest.recover(signature);
-        require(recoveredSigner == user, "Invalid signature");
-        
-        // Implementation
-        address[] memory shareContracts = new address[](encryptedShareData.length);
+        _verifyStoreSharesSignature(user, encryptedShareData, threshold, commitments, deadline, signature);
         
-        for (uint256 i = 0; i < encryptedShareData.length; i++) {
-            // Validate share data
-            require(encryptedShareData[i].length > 0, "Empty share data");
-            
-            // Deploy new share contract
-            SecureShareContract newContract = new SecureShareContract(
-                user,
-                address(this),
-                encryptedShareData[i]
-            );
-            
-            shareContracts[i] = address(newContract);
-            
-            // Store contract address
-            userShares[user].push(address(newContract));
-        }
+        // Implementation; slots of a revoked set don't carry over to the new one
+        _clearShareAssignments(user);
+        address vault = _createVault(user, encryptedShareData);
         
         // Calculate configuration hash
         bytes32 configHash = keccak256(
@@ -332,7 +346,8 @@ contract SecureShareRegistry is Ownable, Pausable, ReentrancyGuard {
                 encryptedShareData.length,
                 threshold,
                 block.timestamp,
-                shareContracts
+                vault,
+                keccak256(commitments)
             )
         );
         
@@ -342,7 +357,8 @@ contract SecureShareRegistry is Ownable, Pausable, ReentrancyGuard {
             threshold: threshold,
             creationTime: block.timestamp,
             isActive: true,
-            configHash: configHash
+            configHash: configHash,
+            commitments: commitments
         });
         
         // Transfer fee
@@ -355,7 +371,127 @@ contract SecureShareRegistry is Ownable, Pausable, ReentrancyGuard {
         lastActionTimestamp[user] = block.timestamp;
         
         emit SharesStored(user, encryptedShareData.length, threshold, configHash);
-        return shareContracts;
+        return vault;
+    }
+    
+    /**
+     * @dev Replace every share of the sender with a refreshed one: same secret, new polynomial.
+     * Shares leaked before the refresh can't be combined with the new ones.
+     * @param newEncryptedShareData New encrypted share data, in share index order
+     * @param newCommitments New coefficient commitments; the first one commits to the secret and must not change
+     */
+    function refreshShares(bytes[] calldata newEncryptedShareData, bytes calldata newCommitments)
+        external
+        whenNotPaused
+        nonReentrant
+    {
+        _refreshShares(msg.sender, newEncryptedShareData, newCommitments);
+    }
+    
+    /**
+     * @dev Refresh the sender's shares and hand share indices to guardians in the same step.
+     * Each share must already be encrypted to the key of its holder, so moving a share to
+     * another guardian always comes with new shares: the previous holder's copy becomes useless.
+     * @param newEncryptedShareData New encrypted share data, in share index order
+     * @param newCommitments New coefficient commitments; the first one must not change
+     * @param guardians Holder of each share index; the zero address keeps the share with the owner
+     */
+    function assignShareGuardians(
+        bytes[] calldata newEncryptedShareData,
+        bytes calldata newCommitments,
+        address[] calldata guardians
+    )
+        external
+        whenNotPaused
+        nonReentrant
+    {
+        require(guardians.length == newEncryptedShareData.length, "Guardian count mismatch");
+        
+        _refreshShares(msg.sender, newEncryptedShareData, newCommitments);
+        
+        for (uint256 i = 0; i < guardians.length; i++) {
+            if (guardians[i] != address(0)) {
+                require(_isGuardian(msg.sender, guardians[i]), "Guardian is not a recovery address");
+            }
+            shareGuardians[msg.sender][i] = guardians[i];
+            delete releasedShares[msg.sender][i];
+            emit ShareGuardianAssigned(msg.sender, i, guardians[i]);
+        }
+    }
+    
+    /**
+     * @dev Atomically replace the sender's share set with one under a new policy (n, t).
+     * The old vault is deactivated and a new one created in the same transaction.
+     * @param newEncryptedShareData Encrypted share data of the new set
+     * @param newThreshold Minimum shares needed for reconstruction under the new policy
+     * @param newCommitments Commitments to the new polynomial; the first one must match the current one
+     * @return vault Address of the new share vault
+     */
+    function replaceShares(bytes[] calldata newEncryptedShareData, uint256 newThreshold, bytes calldata newCommitments)
+        external
+        payable
+        whenNotPaused
+        nonReentrant
+        returns (address)
+    {
+        // Security checks
+        _checkBlacklist(msg.sender);
+        _throttleRequests(msg.sender);
+        
+        if (!feeExemptions[msg.sender]) {
+            require(msg.value >= serviceFee, "Insufficient fee");
+        }
+        
+        require(hasShares(msg.sender), "No shares found");
+        require(!recoveryRequests[msg.sender].isActive, "Recovery in progress");
+        require(newThreshold > 0 && newThreshold <= newEncryptedShareData.length, "Invalid threshold");
+        require(newEncryptedShareData.length >= 3, "Minimum 3 shares required");
+        require(newEncryptedShareData.length <= 100, "Maximum 100 shares allowed");
+        require(newCommitments.length == newThreshold * COMMITMENT_SIZE, "Invalid commitments");
+        
+        // The new set must share the same secret as the old one
+        bytes memory currentCommitments = shareConfigs[msg.sender].commitments;
+        for (uint256 i = 0; i < COMMITMENT_SIZE; i++) {
+            require(newCommitments[i] == currentCommitments[i], "Secret commitment changed");
+        }
+        
+        // Retire the old set; the new shares are all held by the owner until reassigned
+        SecureShareVault(userVaults[msg.sender]).deactivate();
+        _clearShareAssignments(msg.sender);
+        
+        address vault = _createVault(msg.sender, newEncryptedShareData);
+        
+        bytes32 configHash = keccak256(
+            abi.encodePacked(
+                msg.sender,
+                newEncryptedShareData.length,
+                newThreshold,
+                block.timestamp,
+                vault,
+                keccak256(newCommitments)
+            )
+        );
+        
+        shareConfigs[msg.sender] = ShareConfig({
+            totalShares: newEncryptedShareData.length,
+            threshold: newThreshold,
+            creationTime: block.timestamp,
+            isActive: true,
+            configHash: configHash,
+            commitments: newCommitments
+        });
+        
+        // Transfer fee
+        if (msg.value > 0) {
+            (bool success, ) = feeCollector.call{value: msg.value}("");
+            require(success, "Fee transfer failed");
+        }
+        
+        // Update security tracking
+        lastActionTimestamp[msg.sender] = block.timestamp;
+        
+        emit SharesReplaced(msg.sender, newEncryptedShareData.length, newThreshold, configHash);
+        return vault;
     }
     
     /**
@@ -364,11 +500,9 @@ contract SecureShareRegistry is Ownable, Pausable, ReentrancyGuard {
     function revokeShares() external nonReentrant {
         require(hasShares(msg.sender), "No shares found");
         
-        // Deactivate each share contract
-        address[] storage shares = userShares[msg.sender];
-        for (uint256 i = 0; i < shares.length; i++) {
-            SecureShareContract(shares[i]).deactivate();
-        }
+        // Deactivate the vault and forget who held and released its shares
+        SecureShareVault(userVaults[msg.sender]).deactivate();
+        _clearShareAssignments(msg.sender);
         
         // Update configuration
         shareConfigs[msg.sender].isActive = false;
@@ -398,9 +532,8 @@ contract SecureShareRegistry is Ownable, Pausable, ReentrancyGuard {
             _throttleRequests(msg.sender);
         }
         
-        // Call the individual share contract to get the share
-        // This will perform authorization checks
-        return SecureShareContract(userShares[user][index]).getShare();
+        // Read the slot from the user's vault, which checks the caller's access to it
+        return SecureShareVault(userVaults[user]).getShareFor(index, msg.sender);
     }
     
     /**
@@ -566,6 +699,67 @@ contract SecureShareRegistry is Ownable, Pausable, ReentrancyGuard {
         emit EmergencyContactSet(msg.sender, contact);
     }
     
+    /**
+     * @dev Publish the public key guardians should re-encrypt released shares to.
+     * Setting a new key, or an empty one, discards shares released to the previous key.
+     * @param publicKey Recovery public key (33 or 65 bytes), or empty to clear it
+     */
+    function setRecoveryKey(bytes calldata publicKey) external nonReentrant {
+        require(hasShares(msg.sender), "No shares found");
+        require(
+            publicKey.length == 0 || publicKey.length == 33 || publicKey.length == 65,
+            "Invalid public key"
+        );
+        
+        // Security throttling
+        _throttleRequests(msg.sender);
+        
+        uint256 totalShares = shareConfigs[msg.sender].totalShares;
+        for (uint256 i = 0; i < totalShares; i++) {
+            delete releasedShares[msg.sender][i];
+        }
+        recoveryKeys[msg.sender] = publicKey;
+        
+        // Update security tracking
+        lastActionTimestamp[msg.sender] = block.timestamp;
+        
+        emit RecoveryKeySet(msg.sender, keccak256(publicKey));
+    }
+    
+    /**
+     * @dev Release shares held by the sender, re-encrypted to the user's recovery key
+     * @param user Owner of the shares
+     * @param indices Share indices assigned to the sender
+     * @param reencryptedShareData Share data encrypted to the recovery key, one per index
+     */
+    function releaseShares(
+        address user,
+        uint256[] calldata indices,
+        bytes[] calldata reencryptedShareData
+    )
+        external
+        whenNotPaused
+        nonReentrant
+    {
+        require(hasShares(user), "No shares found");
+        require(recoveryKeys[user].length > 0, "No recovery key set");
+        require(indices.length == reencryptedShareData.length, "Length mismatch");
+        require(_isGuardian(user, msg.sender), "Not a guardian");
+        
+        // Security throttling
+        _throttleRequests(msg.sender);
+        
+        uint256 totalShares = shareConfigs[user].totalShares;
+        for (uint256 i = 0; i < indices.length; i++) {
+            require(indices[i] < totalShares, "Invalid share index");
+            require(shareGuardians[user][indices[i]] == msg.sender, "Share not assigned to sender");
+            require(reencryptedShareData[i].length > 0, "Empty share data");
+            
+            releasedShares[user][indices[i]] = reencryptedShareData[i];
+            emit ShareReleased(user, msg.sender, indices[i]);
+        }
+    }
+    
     // ===== View Functions =====
     
     /**
@@ -591,16 +785,16 @@ contract SecureShareRegistry is Ownable, Pausable, ReentrancyGuard {
     }
     
     /**
-     * @dev Get all share contract addresses for a user
+     * @dev Get the vault holding a user's current share set
      * @param user Address of the user
-     * @return Array of share contract addresses
+     * @return Vault address; the zero address if the user never stored shares
      */
-    function getUserShareContracts(address user) 
+    function getUserVault(address user) 
         external 
         view 
-        returns (address[] memory) 
+        returns (address) 
     {
-        return userShares[user];
+        return userVaults[user];
     }
     
     /**
@@ -612,6 +806,7 @@ contract SecureShareRegistry is Ownable, Pausable, ReentrancyGuard {
     function isAuthorizedForShare(address owner, address accessor) 
         external 
         view 
+        override
         returns (bool) 
     {
         // Owner is always authorized
@@ -640,6 +835,35 @@ contract SecureShareRegistry is Ownable, Pausable, ReentrancyGuard {
         return false;
     }
     
+    /**
+     * @dev Check if an address may read one share of a user: the owner, the guardian
+     * the share is assigned to, or the initiator of a recovery whose time lock has passed
+     * @param owner Owner of the shares
+     * @param index Share index
+     * @param accessor Address trying to read the share
+     * @return True if authorized
+     */
+    function isAuthorizedForShareIndex(address owner, uint256 index, address accessor) 
+        external 
+        view 
+        override
+        returns (bool) 
+    {
+        if (owner == accessor) {
+            return true;
+        }
+        
+        // A guardian reads only the shares assigned to it, and only while it is still a guardian
+        if (shareGuardians[owner][index] == accessor && _isGuardian(owner, accessor)) {
+            return true;
+        }
+        
+        RecoveryRequest storage request = recoveryRequests[owner];
+        return request.isActive && 
+            request.initiator == accessor && 
+            block.timestamp >= request.expiresAt;
+    }
+    
     /**
      * @dev Check if an address is a recovery address for a user
      * @param user User address
@@ -686,6 +910,42 @@ contract SecureShareRegistry is Ownable, Pausable, ReentrancyGuard {
         return emergencyContacts[user];
     }
     
+    /**
+     * @dev Get the holder of every share index of a user
+     * @param user User address
+     * @return Guardian per share index; the zero address means the owner holds it
+     */
+    function getShareGuardians(address user)
+        external
+        view
+        returns (address[] memory)
+    {
+        uint256 totalShares = shareConfigs[user].totalShares;
+        address[] memory guardians = new address[](totalShares);
+        for (uint256 i = 0; i < totalShares; i++) {
+            guardians[i] = shareGuardians[user][i];
+        }
+        return guardians;
+    }
+    
+    /**
+     * @dev Get the shares guardians released to a user's recovery key
+     * @param user User address
+     * @return Re-encrypted share data per share index; empty where nothing was released
+     */
+    function getReleasedShares(address user)
+        external
+        view
+        returns (bytes[] memory)
+    {
+        uint256 totalShares = shareConfigs[user].totalShares;
+        bytes[] memory shares = new bytes[](totalShares);
+        for (uint256 i = 0; i < totalShares; i++) {
+            shares[i] = releasedShares[user][i];
+        }
+        return shares;
+    }
+    
     // ===== Admin Functions =====
     
     /**
@@ -787,6 +1047,119 @@ contract SecureShareRegistry is Ownable, Pausable, ReentrancyGuard {
     
     // ===== Internal Functions =====
     
+    /**
+     * @dev Clone the vault implementation for a new share set and record it for the user
+     * @param user Owner of the shares
+     * @param encryptedShareData Encrypted share data; the vault rejects empty entries
+     * @return vault Address of the created vault
+     */
+    function _createVault(address user, bytes[] calldata encryptedShareData)
+        internal
+        returns (address vault)
+    {
+        vault = Clones.clone(vaultImplementation);
+        SecureShareVault(vault).initialize(user, address(this), encryptedShareData);
+        
+        userVaults[user] = vault;
+        
+        emit ShareVaultCreated(user, vault);
+    }
+    
+    /**
+     * @dev Clear the guardian and released share of every slot in the user's current share set
+     * @param user Owner of the shares
+     */
+    function _clearShareAssignments(address user) internal {
+        uint256 totalShares = shareConfigs[user].totalShares;
+        for (uint256 i = 0; i < totalShares; i++) {
+            delete shareGuardians[user][i];
+            delete releasedShares[user][i];
+        }
+    }
+    
+    /**
+     * @dev Replace every share of a user with a refreshed one under the same commitment to the secret
+     * @param user Owner of the shares
+     * @param newEncryptedShareData New encrypted share data, in share index order
+     * @param newCommitments New coefficient commitments; the first one must not change
+     */
+    function _refreshShares(address user, bytes[] calldata newEncryptedShareData, bytes calldata newCommitments)
+        internal
+    {
+        // Security checks
+        _checkBlacklist(user);
+        _throttleRequests(user);
+        
+        require(hasShares(user), "No shares found");
+        require(!recoveryRequests[user].isActive, "Recovery in progress");
+        
+        ShareConfig storage config = shareConfigs[user];
+        require(newEncryptedShareData.length == config.totalShares, "Share count mismatch");
+        require(newCommitments.length == config.commitments.length, "Invalid commitments");
+        
+        // An unchanged constant-term commitment shows the secret stayed the same
+        bytes memory currentCommitments = config.commitments;
+        for (uint256 i = 0; i < COMMITMENT_SIZE; i++) {
+            require(newCommitments[i] == currentCommitments[i], "Secret commitment changed");
+        }
+        
+        // Push the new ciphertexts; the vault accepts updates from the registry
+        SecureShareVault(userVaults[user]).updateShares(newEncryptedShareData);
+        
+        config.commitments = newCommitments;
+        
+        // Update security tracking
+        lastActionTimestamp[user] = block.timestamp;
+        
+        emit SharesRefreshed(user, block.timestamp, keccak256(newCommitments));
+    }
+    
+    /**
+     * @dev Check whether an address may hold shares of a user: a recovery address or the emergency contact
+     * @param user Owner of the shares
+     * @param guardian Address to check
+     * @return True if the address is one of the user's guardians
+     */
+    function _isGuardian(address user, address guardian) internal view returns (bool) {
+        return isRecoveryAddress(user, guardian) || emergencyContacts[user] == guardian;
+    }
+    
+    /**
+     * @dev Check the EIP-712 signature authorizing storeSharesFor
+     * @param user User the shares belong to
+     * @param encryptedShareData Encrypted share data
+     * @param threshold Threshold for reconstruction
+     * @param commitments Concatenated commitments to the polynomial coefficients
+     * @param deadline Deadline for signature validity
+     * @param signature EIP-712 signature
+     */
+    function _verifyStoreSharesSignature(
+        address user,
+        bytes[] calldata encryptedShareData,
+        uint256 threshold,
+        bytes calldata commitments,
+        uint256 deadline,
+        bytes calldata signature
+    ) internal view {
+        bytes32 structHash = keccak256(
+            abi.encode(
+                keccak256("StoreShares(address user,uint256 threshold,bytes32 dataHash,bytes32 commitmentsHash,uint256 deadline)"),
+                user,
+                threshold,
+                keccak256(abi.encode(encryptedShareData)),
+                keccak256(commitments),
+                deadline
+            )
+        );
+        
+        bytes32 digest = keccak256(
+            abi.encodePacked("\x19\x01", DOMAIN_SEPARATOR, structHash)
+        );
+        
+        address recoveredSigner = digest.recover(signature);
+        require(recoveredSigner == user, "Invalid signature");
+    }
+    
     /**
      * @dev Check if address is blacklisted
      * @param account Address to check
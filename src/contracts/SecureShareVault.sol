@@ -0,0 +1,227 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/proxy/utils/Initializable.sol";
+import "./IShareRegistry.sol";
+
+/**
+ * @title SecureShareVault
+ * @dev Holds every encrypted share of one user in numbered slots, each with its own
+ * access records. The registry deploys one EIP-1167 minimal-proxy clone of this
+ * contract per share set instead of one contract per share.
+ */
+contract SecureShareVault is Initializable {
+    // One share and its access records
+    struct ShareSlot {
+        bytes encryptedShare;
+        uint256 lastAccessed;
+        uint256 accessCount;
+    }
+    
+    // Set once by initialize (clones can't use immutables)
+    address public owner;
+    address public registry;
+    
+    // Storage variables
+    bool public isActive;
+    ShareSlot[] private slots;
+    
+    // Per-slot rate limiting: slot index => accessor => last access time
+    mapping(uint256 => mapping(address => uint256)) public lastAccessByAddress;
+    
+    // Events with indexed parameters for easier querying
+    event ShareAccessed(uint256 indexed index, address indexed accessor, uint256 timestamp, bytes32 indexed accessNonce);
+    event ShareDelivered(bytes32 indexed accessNonce, bytes encryptedShare);
+    event ShareUpdated(uint256 indexed index, address indexed updater, uint256 timestamp, bytes32 contentHash);
+    event VaultDeactivated(address indexed deactivator, uint256 timestamp);
+    
+    // Modifiers
+    modifier onlyOwnerOrRegistry() {
+        require(msg.sender == owner || msg.sender == registry, "Not authorized");
+        _;
+    }
+    
+    modifier onlyRegistry() {
+        require(msg.sender == registry, "Not authorized");
+        _;
+    }
+    
+    modifier onlyActive() {
+        require(isActive, "Vault is inactive");
+        _;
+    }
+    
+    modifier validSlot(uint256 index) {
+        require(index < slots.length, "Invalid share index");
+        _;
+    }
+    
+    /**
+     * @dev Lock the implementation so only clones can be initialized
+     */
+    constructor() {
+        _disableInitializers();
+    }
+    
+    /**
+     * @dev Initialize a clone with its share set
+     * @param _owner Owner of the shares
+     * @param _registry Registry contract address
+     * @param encryptedShares Encrypted share data, one per slot
+     */
+    function initialize(address _owner, address _registry, bytes[] calldata encryptedShares) external initializer {
+        require(_owner != address(0), "Invalid owner");
+        require(_registry != address(0), "Invalid registry");
+        require(encryptedShares.length > 0, "No shares");
+        
+        owner = _owner;
+        registry = _registry;
+        isActive = true;
+        
+        for (uint256 i = 0; i < encryptedShares.length; i++) {
+            require(encryptedShares[i].length > 0, "Empty share data");
+            slots.push(ShareSlot({ encryptedShare: encryptedShares[i], lastAccessed: 0, accessCount: 0 }));
+        }
+    }
+    
+    /**
+     * @dev Get the encrypted share data of a slot. The data is also emitted in
+     * ShareDelivered, so a caller sending a transaction can read it from the receipt.
+     * @param index Share index
+     * @return Encrypted share data
+     */
+    function getShare(uint256 index) external onlyActive validSlot(index) returns (bytes memory) {
+        return _readShare(index, msg.sender);
+    }
+    
+    /**
+     * @dev Get the encrypted share data of a slot for a caller of the registry
+     * @param index Share index
+     * @param accessor Address that called the registry
+     * @return Encrypted share data
+     */
+    function getShareFor(uint256 index, address accessor)
+        external
+        onlyRegistry
+        onlyActive
+        validSlot(index)
+        returns (bytes memory)
+    {
+        return _readShare(index, accessor);
+    }
+    
+    /**
+     * @dev Replace the data of every slot
+     * @param newEncryptedShares New encrypted share data, one per slot
+     */
+    function updateShares(bytes[] calldata newEncryptedShares) external onlyOwnerOrRegistry onlyActive {
+        require(newEncryptedShares.length == slots.length, "Share count mismatch");
+        
+        for (uint256 i = 0; i < newEncryptedShares.length; i++) {
+            require(newEncryptedShares[i].length > 0, "Empty share data");
+            slots[i].encryptedShare = newEncryptedShares[i];
+            
+            emit ShareUpdated(i, msg.sender, block.timestamp, keccak256(newEncryptedShares[i]));
+        }
+    }
+    
+    /**
+     * @dev Deactivate every slot of this vault
+     */
+    function deactivate() external onlyOwnerOrRegistry {
+        isActive = false;
+        emit VaultDeactivated(msg.sender, block.timestamp);
+    }
+    
+    // ===== View Functions =====
+    
+    /**
+     * @dev Number of share slots
+     * @return Slot count
+     */
+    function shareCount() external view returns (uint256) {
+        return slots.length;
+    }
+    
+    /**
+     * @dev Access records of a slot
+     * @param index Share index
+     * @return lastAccessed Time of the last read
+     * @return accessCount Number of reads
+     */
+    function getAccessInfo(uint256 index)
+        external
+        view
+        validSlot(index)
+        returns (uint256 lastAccessed, uint256 accessCount)
+    {
+        ShareSlot storage slot = slots[index];
+        return (slot.lastAccessed, slot.accessCount);
+    }
+    
+    /**
+     * @dev Check if a caller is authorized to access a slot
+     * @param index Share index
+     * @param caller Address to check authorization for
+     * @return True if authorized
+     */
+    function isAuthorized(uint256 index, address caller) external view returns (bool) {
+        return isActive && index < slots.length && _isAuthorized(index, caller);
+    }
+    
+    // ===== Internal Functions =====
+    
+    /**
+     * @dev Check access, record the read and return the data of a slot
+     * @param index Share index
+     * @param accessor Address reading the share
+     * @return Encrypted share data
+     */
+    function _readShare(uint256 index, address accessor) internal returns (bytes memory) {
+        require(_isAuthorized(index, accessor), "Not authorized for this share");
+        
+        // Rate limiting - prevent too frequent access to the same slot
+        if (accessor != owner) {
+            require(
+                block.timestamp - lastAccessByAddress[index][accessor] >= 5 minutes,
+                "Access too frequent"
+            );
+        }
+        
+        // Update access records
+        ShareSlot storage slot = slots[index];
+        slot.lastAccessed = block.timestamp;
+        slot.accessCount++;
+        lastAccessByAddress[index][accessor] = block.timestamp;
+        
+        // Generate unique nonce for tracking this access
+        bytes32 accessNonce = keccak256(abi.encodePacked(
+            owner,
+            accessor,
+            index,
+            slot.encryptedShare,
+            block.timestamp,
+            slot.accessCount
+        ));
+        
+        emit ShareAccessed(index, accessor, block.timestamp, accessNonce);
+        emit ShareDelivered(accessNonce, slot.encryptedShare);
+        return slot.encryptedShare;
+    }
+    
+    /**
+     * @dev The owner, or anyone the registry authorizes for this slot
+     * @param index Share index
+     * @param caller Address to check
+     * @return True if authorized
+     */
+    function _isAuthorized(uint256 index, address caller) internal view returns (bool) {
+        if (caller == owner) return true;
+        
+        try IShareRegistry(registry).isAuthorizedForShareIndex(owner, index, caller) returns (bool result) {
+            return result;
+        } catch {
+            return false;
+        }
+    }
+}
@@ -2,10 +2,22 @@ import React from 'react';
 import ReactDOM from 'react-dom/client';
 import './index.css'; // This is important
 import App from './components/App';
+import { loadNetworks, validateDeployments } from './constants/networks';
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
-root.render(
-  <React.StrictMode>
-    <App />
-  </React.StrictMode>
-);
\ No newline at end of file
+
+// Services look up contract addresses synchronously, so the deployment manifest
+// loads first; if it can't, every network shows as unsupported. Bytecode checks
+// run in the background
+loadNetworks()
+  .then(() => {
+    validateDeployments();
+  })
+  .catch(error => console.error("Error loading network configuration:", error))
+  .finally(() => {
+    root.render(
+      <React.StrictMode>
+        <App />
+      </React.StrictMode>
+    );
+  });
@@ -0,0 +1,264 @@
+import { ethers } from 'ethers';
+import SecureShareRegistryService from './SecureShareRegistryService';
+import BackupEventStore from '../storage/BackupEventStore';
+
+// Groups of events for filtering the timeline
+export const EVENT_CATEGORY = {
+  BACKUP: 'backup',
+  ACCESS: 'access',
+  GUARDIANS: 'guardians',
+  RECOVERY: 'recovery'
+};
+
+// Registry events filtered by the user they concern, and the argument naming who acted;
+// ShareVaultCreated only exists from version 2 on
+const REGISTRY_EVENTS = [
+  { name: 'SharesStored', category: EVENT_CATEGORY.BACKUP, actor: 'user' },
+  { name: 'ShareVaultCreated', category: EVENT_CATEGORY.BACKUP, actor: 'user' },
+  { name: 'SharesReplaced', category: EVENT_CATEGORY.BACKUP, actor: 'user' },
+  { name: 'SharesRefreshed', category: EVENT_CATEGORY.BACKUP, actor: 'user' },
+  { name: 'SharesRevoked', category: EVENT_CATEGORY.BACKUP, actor: 'user' },
+  { name: 'RecoveryAddressAdded', category: EVENT_CATEGORY.GUARDIANS, actor: 'user' },
+  { name: 'RecoveryAddressRemoved', category: EVENT_CATEGORY.GUARDIANS, actor: 'user' },
+  { name: 'EmergencyContactSet', category: EVENT_CATEGORY.GUARDIANS, actor: 'user' },
+  { name: 'ShareGuardianAssigned', category: EVENT_CATEGORY.GUARDIANS, actor: 'user' },
+  { name: 'RecoveryKeySet', category: EVENT_CATEGORY.RECOVERY, actor: 'user' },
+  { name: 'ShareReleased', category: EVENT_CATEGORY.RECOVERY, actor: 'guardian' },
+  { name: 'RecoveryRequested', category: EVENT_CATEGORY.RECOVERY, actor: 'initiator' },
+  { name: 'RecoveryCancelled', category: EVENT_CATEGORY.RECOVERY, actor: 'canceller' }
+];
+
+// Events of the share contracts and vaults; each layout emits only some of them
+const SHARE_EVENTS = [
+  { name: 'ShareAccessed', category: EVENT_CATEGORY.ACCESS, actor: 'accessor' },
+  { name: 'ShareUpdated', category: EVENT_CATEGORY.BACKUP, actor: 'updater' },
+  { name: 'ShareDeactivated', category: EVENT_CATEGORY.BACKUP, actor: 'deactivator' },
+  { name: 'VaultDeactivated', category: EVENT_CATEGORY.BACKUP, actor: 'deactivator' }
+];
+
+export const DEFAULT_START_BLOCK = 0;
+export const DEFAULT_PAGE_SIZE = 5000;
+
+// Columns of the CSV export
+const CSV_COLUMNS = ['time', 'block', 'transaction', 'event', 'category', 'share', 'actor', 'details'];
+
+/**
+ * Indexes the life of an account's backup from registry and share contract
+ * logs: storage, refreshes and reshares, guardian changes, recovery requests
+ * and every read of a share.
+ *
+ * Logs are fetched in pages of blocks from a configurable start block and
+ * cached in IndexedDB, so later syncs only scan new blocks.
+ */
+class BackupEventIndexer {
+  /**
+   * Create a new BackupEventIndexer instance
+   * @param {ethers.Signer} signer - Ethers.js signer
+   * @param {number} chainId - Chain ID for selecting contract address
+   * @param {string} account - Address whose backup is indexed
+   * @param {Object} options - Indexer options
+   * @param {number} options.startBlock - First block to scan (default 0)
+   * @param {number} options.pageSize - Blocks per log query (default 5000)
+   */
+  constructor(signer, chainId, account, { startBlock = DEFAULT_START_BLOCK, pageSize = DEFAULT_PAGE_SIZE } = {}) {
+    if (!account || !ethers.isAddress(account)) {
+      throw new Error("A valid account address is required");
+    }
+
+    if (!Number.isInteger(startBlock) || startBlock < 0) {
+      throw new Error("Start block must be a non-negative integer");
+    }
+
+    this.account = ethers.getAddress(account);
+    this.startBlock = startBlock;
+    this.pageSize = pageSize;
+    this.registryService = new SecureShareRegistryService(signer, chainId);
+    this.registry = this.registryService.contract;
+    this.provider = signer.provider;
+    this.store = new BackupEventStore(this.account, chainId);
+  }
+
+  /**
+   * Index every block not scanned yet. Changing the start block drops the cache and starts over.
+   * @param {Object} options - Sync options
+   * @param {Function} options.onProgress - Called after each page with {fromBlock, toBlock, latestBlock}
+   * @returns {Promise<Array<Object>>} Every indexed event, newest first
+   */
+  async sync({ onProgress } = {}) {
+    try {
+      const latestBlock = await this.provider.getBlockNumber();
+
+      let cursor = await this.store.getCursor();
+      if (cursor && cursor.startBlock !== this.startBlock) {
+        await this.store.clear();
+        cursor = null;
+      }
+
+      const shareStores = await this._getShareStores();
+      let fromBlock = cursor ? cursor.lastBlock + 1 : this.startBlock;
+
+      while (fromBlock <= latestBlock) {
+        const toBlock = Math.min(fromBlock + this.pageSize - 1, latestBlock);
+
+        const events = await this._fetchPage(shareStores, fromBlock, toBlock);
+        await this.store.putEvents(events);
+        await this.store.setCursor(this.startBlock, toBlock);
+
+        if (onProgress) {
+          onProgress({ fromBlock: this.startBlock, toBlock, latestBlock });
+        }
+        fromBlock = toBlock + 1;
+      }
+
+      return await this.store.listEvents();
+    } catch (error) {
+      const enhancedError = this.registryService._enhanceError(error, "syncBackupEvents");
+      console.error("Error indexing backup events:", enhancedError);
+      throw enhancedError;
+    }
+  }
+
+  /**
+   * Load the cached events without scanning
+   * @returns {Promise<Array<Object>>} Indexed events, newest first
+   */
+  async getEvents() {
+    return this.store.listEvents();
+  }
+
+  /**
+   * Get the block range covered by the cache
+   * @returns {Promise<{startBlock: number, lastBlock: number}|null>} Scanned range, or null before the first sync
+   */
+  async getCursor() {
+    return this.store.getCursor();
+  }
+
+  /**
+   * Drop the cache so the next sync scans from the start block again
+   * @returns {Promise<void>}
+   */
+  async reset() {
+    await this.store.clear();
+  }
+
+  /**
+   * Close the cache
+   */
+  async close() {
+    await this.store.close();
+  }
+
+  /**
+   * Format events as CSV
+   * @param {Array<Object>} events - Indexed events
+   * @returns {string} CSV with a header row
+   */
+  static toCsv(events) {
+    const escape = (value) => {
+      const text = value === null || value === undefined ? '' : String(value);
+      return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const rows = events.map(event => [
+      new Date(event.timestamp).toISOString(),
+      event.blockNumber,
+      event.txHash,
+      event.name,
+      event.category,
+      event.shareIndex === null ? '' : event.shareIndex + 1,
+      event.actor,
+      JSON.stringify(event.details)
+    ].map(escape).join(','));
+
+    return [CSV_COLUMNS.join(','), ...rows].join('\n');
+  }
+
+  /**
+   * Format events as JSON
+   * @param {Array<Object>} events - Indexed events
+   * @returns {string} Pretty-printed JSON array
+   */
+  static toJson(events) {
+    return JSON.stringify(events, null, 2);
+  }
+
+  // ===== Private Helper Methods =====
+
+  /**
+   * Fetch and normalize the events of one block range
+   * @private
+   */
+  async _fetchPage(shareStores, fromBlock, toBlock) {
+    const queries = REGISTRY_EVENTS.filter(({ name }) => this.registry.interface.getEvent(name)).map(definition =>
+      this.registry.queryFilter(this.registry.filters[definition.name](this.account), fromBlock, toBlock)
+        .then(logs => logs.map(log => ({ log, definition, contract: this.registry.target, shareIndex: null })))
+    );
+
+    shareStores.forEach(({ contract, shareIndex }) => {
+      for (const definition of SHARE_EVENTS.filter(({ name }) => contract.interface.getEvent(name))) {
+        queries.push(
+          contract.queryFilter(contract.filters[definition.name](), fromBlock, toBlock)
+            .then(logs => logs.map(log => ({ log, definition, contract: contract.target, shareIndex })))
+        );
+      }
+    });
+
+    const entries = (await Promise.all(queries)).flat();
+    const timestamps = await this._getBlockTimestamps(entries.map(({ log }) => log.blockNumber));
+
+    return entries.map(entry => this._toEvent(entry, timestamps.get(entry.log.blockNumber)));
+  }
+
+  /**
+   * Turn a log into a cacheable event record
+   * @private
+   */
+  _toEvent({ log, definition, contract, shareIndex }, timestamp) {
+    const details = {};
+    log.fragment.inputs.forEach((input, i) => {
+      details[input.name] = typeof log.args[i] === 'bigint' ? log.args[i].toString() : log.args[i];
+    });
+
+    return {
+      id: `${log.transactionHash}:${log.index}`,
+      name: definition.name,
+      category: definition.category,
+      blockNumber: log.blockNumber,
+      logIndex: log.index,
+      txHash: log.transactionHash,
+      timestamp,
+      contract,
+      shareIndex: details.index !== undefined ? Number(details.index) : shareIndex,
+      actor: details[definition.actor],
+      details
+    };
+  }
+
+  /**
+   * Look up the timestamp (ms) of each block once
+   * @private
+   */
+  async _getBlockTimestamps(blockNumbers) {
+    const timestamps = new Map();
+
+    for (const blockNumber of new Set(blockNumbers)) {
+      const block = await this.provider.getBlock(blockNumber);
+      timestamps.set(blockNumber, block.timestamp * 1000);
+    }
+
+    return timestamps;
+  }
+
+  /**
+   * Contracts holding the account's current shares, with the share index of each (null for a vault)
+   * @private
+   */
+  async _getShareStores() {
+    const hasShares = await this.registryService.hasShares(this.account);
+
+    return hasShares ? this.registryService.getShareStores(this.account) : [];
+  }
+}
+
+export default BackupEventIndexer;
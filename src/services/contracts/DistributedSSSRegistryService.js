@@ -1,5 +1,5 @@
 import { ethers } from 'ethers';
-import { getContractAddress } from '../../constants/contractAddresses';
+import { getContractAddress } from '../../constants/networks';
 import DistributedSSSRegistryABI from '../../abis/DistributedSSSRegistry.json';
 
 /**
@@ -17,6 +17,10 @@ class DistributedSSSRegistryService {
     }
     this.contractAddress = getContractAddress('DistributedSSSRegistry', chainId);
     
+    if (!this.contractAddress) {
+      throw new Error("DistributedSSSRegistry is not deployed on this network");
+    }
+    
     const abi = DistributedSSSRegistryABI.abi;
     this.contract = new ethers.Contract(
         this.contractAddress,
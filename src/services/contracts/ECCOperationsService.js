@@ -1,5 +1,5 @@
 import { ethers } from 'ethers';
-import { getContractAddress } from '../../constants/contractAddresses';
+import { getContractAddress } from '../../constants/networks';
 import ECCOperationsABI from '../../abis/ECCOperations.json';
 import EccService from '../cryptography/EccService';
 
@@ -21,6 +21,10 @@ class ECCOperationsService {
     this.signer = signer;
     this.contractAddress = getContractAddress('ECCOperations', chainId);
     
+    if (!this.contractAddress) {
+      throw new Error("ECCOperations is not deployed on this network");
+    }
+    
     // Extract the ABI array from the imported object
     const abi = ECCOperationsABI.abi;
     
@@ -0,0 +1,274 @@
+import { ethers } from 'ethers';
+import SecureShareRegistryService from './SecureShareRegistryService';
+import BackupManifestStore from '../storage/BackupManifestStore';
+import { getBackupChainIds, getReadProvider } from '../../constants/networks';
+
+// Current manifest format
+export const MANIFEST_VERSION = 1;
+
+// The registry refuses share sets smaller than this
+const MIN_SHARES_PER_CHAIN = 3;
+
+/**
+ * Spreads one backup over the share registries of several chains and reads
+ * it back through each chain's RPC endpoint.
+ *
+ * All shares come from a single split of the key, cut into consecutive index
+ * ranges of at least the threshold each: every chain can rebuild the key on
+ * its own, and shares from different chains can be combined. Writes need the
+ * wallet on each chain in turn; reads go through read-only providers acting
+ * as the account, so the wallet can stay on any network.
+ *
+ * A manifest of which chain holds which share indices is kept locally.
+ */
+class MultiChainBackupService {
+  /**
+   * Create a new MultiChainBackupService instance
+   * @param {string} account - Address owning the backup
+   * @param {Object} registryOptions - SecureShareRegistryService options, such as shareStorage
+   */
+  constructor(account, registryOptions = {}) {
+    if (!account || !ethers.isAddress(account)) {
+      throw new Error("A valid account address is required");
+    }
+
+    this.account = ethers.getAddress(account);
+    this.registryOptions = registryOptions;
+    this.store = new BackupManifestStore(this.account);
+    this.readers = new Map();
+  }
+
+  /**
+   * Most chains a share policy can be spread over
+   * @param {{threshold: number, totalShares: number}} policy - Share policy
+   * @returns {number} Chain count
+   */
+  static getMaxChains(policy) {
+    return Math.floor(policy.totalShares / Math.max(policy.threshold, MIN_SHARES_PER_CHAIN));
+  }
+
+  /**
+   * Cut the share indices into one consecutive range per chain
+   * @param {{threshold: number, totalShares: number}} policy - Share policy
+   * @param {Array<number>} chainIds - Chains in range order
+   * @returns {Array<{chainId: number, firstIndex: number, shareCount: number}>} Range of each chain
+   */
+  static planDistribution(policy, chainIds) {
+    if (!Array.isArray(chainIds) || chainIds.length === 0) {
+      throw new Error("Choose at least one chain");
+    }
+
+    if (new Set(chainIds.map(Number)).size !== chainIds.length) {
+      throw new Error("Each chain can only hold one part of the backup");
+    }
+
+    const maxChains = MultiChainBackupService.getMaxChains(policy);
+    if (chainIds.length > maxChains) {
+      throw new Error(`A ${policy.threshold}-of-${policy.totalShares} backup can be spread over at most ${maxChains} chain${maxChains === 1 ? '' : 's'}`);
+    }
+
+    // Spread the remainder over the first chains; every range stays at or above the threshold
+    const baseCount = Math.floor(policy.totalShares / chainIds.length);
+    const remainder = policy.totalShares % chainIds.length;
+
+    let firstIndex = 0;
+    return chainIds.map((chainId, i) => {
+      const range = { chainId: Number(chainId), firstIndex, shareCount: baseCount + (i < remainder ? 1 : 0) };
+      firstIndex += range.shareCount;
+      return range;
+    });
+  }
+
+  /**
+   * Store a share set across chains, switching the wallet to each in turn. The manifest
+   * is saved after every chain, so a failure part-way still records what was stored.
+   * @param {Array<string>} encryptedSharesHex - Encrypted shares in share index order (hex strings with 0x prefix)
+   * @param {number} threshold - Minimum shares needed for reconstruction
+   * @param {string} commitmentsHex - Coefficient commitments (hex string with 0x prefix)
+   * @param {Object} options - Store options
+   * @param {Array<number>} options.chainIds - Chains to spread the shares over, in range order
+   * @param {Function} options.getSigner - Switches the wallet to a chain and resolves to a signer on it
+   * @param {Function} options.onProgress - Called before each chain with {chainId, completed, total}
+   * @param {Object} options.txOptions - Transaction options for each chain; the fee defaults to the chain's service fee
+   * @returns {Promise<Object>} Manifest of the stored backup
+   */
+  async storeShares(encryptedSharesHex, threshold, commitmentsHex, { chainIds, getSigner, onProgress, txOptions = {} }) {
+    try {
+      const ranges = MultiChainBackupService.planDistribution(
+        { threshold, totalShares: encryptedSharesHex.length },
+        chainIds
+      );
+
+      const manifest = {
+        version: MANIFEST_VERSION,
+        account: this.account,
+        threshold,
+        totalShares: encryptedSharesHex.length,
+        createdAt: Date.now(),
+        chains: []
+      };
+
+      for (const range of ranges) {
+        if (onProgress) {
+          onProgress({ chainId: range.chainId, completed: manifest.chains.length, total: ranges.length });
+        }
+
+        const signer = await getSigner(range.chainId);
+        if (ethers.getAddress(await signer.getAddress()) !== this.account) {
+          throw new Error("The wallet switched to another account");
+        }
+
+        const registryService = new SecureShareRegistryService(signer, range.chainId, this.registryOptions);
+        const result = await registryService.storeShares(
+          encryptedSharesHex.slice(range.firstIndex, range.firstIndex + range.shareCount),
+          threshold,
+          commitmentsHex,
+          txOptions
+        );
+
+        manifest.chains.push({ ...range, registry: registryService.contractAddress, txHash: result.txHash });
+        await this.store.put(manifest);
+      }
+
+      return manifest;
+    } catch (error) {
+      console.error("Error storing multi-chain backup:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Load the manifest saved by the last multi-chain backup from this browser
+   * @returns {Promise<Object|null>} Manifest, or null if there is none
+   */
+  async getManifest() {
+    return this.store.get();
+  }
+
+  /**
+   * Find the chains holding part of the account's backup: those in the manifest,
+   * or without one every configured chain with a share registry
+   * @returns {Promise<{chains: Array<{chainId: number, config: Object}>, failedChains: Array<{chainId: number, error: string}>}>}
+   *   Chains with shares, and chains that couldn't be read
+   */
+  async findBackupChains() {
+    const manifest = await this.getManifest();
+    const chainIds = manifest ? manifest.chains.map(({ chainId }) => chainId) : getBackupChainIds();
+
+    const chains = [];
+    const failedChains = [];
+
+    await Promise.all(chainIds.map(async (chainId) => {
+      try {
+        const registryService = this._getRegistryReader(chainId);
+        if (!(await registryService.hasShares(this.account))) return;
+
+        chains.push({ chainId, config: await registryService.getShareConfig(this.account) });
+      } catch (error) {
+        console.warn(`Couldn't read the share registry on chain ${chainId}:`, error);
+        failedChains.push({ chainId, error: error.message });
+      }
+    }));
+
+    return { chains: this._inChainOrder(chains, chainIds), failedChains };
+  }
+
+  /**
+   * Read the shares guardians released on every chain holding part of the backup
+   * @returns {Promise<{sources: Array<Object>, failedChains: Array<{chainId: number, error: string}>}>}
+   *   Per chain: chainId, config, released shares and the published recovery key;
+   *   and the chains that couldn't be read
+   */
+  async collectReleasedShares() {
+    try {
+      const { chains, failedChains } = await this.findBackupChains();
+
+      const sources = [];
+      await Promise.all(chains.map(async ({ chainId, config }) => {
+        try {
+          const registryService = this._getRegistryReader(chainId);
+          const [released, recoveryKey] = await Promise.all([
+            registryService.getReleasedShares(this.account),
+            registryService.getRecoveryKey(this.account)
+          ]);
+
+          sources.push({ chainId, config, released, recoveryKey });
+        } catch (error) {
+          console.warn(`Couldn't read released shares on chain ${chainId}:`, error);
+          failedChains.push({ chainId, error: error.message });
+        }
+      }));
+
+      return { sources: this._inChainOrder(sources, chains.map(({ chainId }) => chainId)), failedChains };
+    } catch (error) {
+      console.error("Error collecting released shares:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Publish the recovery key on several chains, switching the wallet to each in turn
+   * @param {string} publicKeyHex - Recovery public key in hex format
+   * @param {Object} options - Publish options
+   * @param {Array<number>} options.chainIds - Chains to publish on
+   * @param {Function} options.getSigner - Switches the wallet to a chain and resolves to a signer on it
+   * @returns {Promise<Array<{chainId: number, txHash: string}>>} Transaction of each chain
+   */
+  async publishRecoveryKey(publicKeyHex, { chainIds, getSigner }) {
+    try {
+      const results = [];
+
+      for (const chainId of chainIds) {
+        const signer = await getSigner(chainId);
+        const registryService = new SecureShareRegistryService(signer, chainId, this.registryOptions);
+        const { txHash } = await registryService.setRecoveryKey(publicKeyHex);
+
+        results.push({ chainId, txHash });
+      }
+
+      return results;
+    } catch (error) {
+      console.error("Error publishing recovery key on backup chains:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Close the manifest store
+   */
+  async close() {
+    await this.store.close();
+  }
+
+  // ===== Private Helper Methods =====
+
+  /**
+   * Registry service reading a chain through its RPC endpoint as the account
+   * @private
+   */
+  _getRegistryReader(chainId) {
+    if (!this.readers.has(chainId)) {
+      const provider = getReadProvider(chainId);
+
+      // A VoidSigner can't send transactions, but calls through it come from the
+      // account, which is who the share contracts let read the shares
+      this.readers.set(chainId, new SecureShareRegistryService(
+        new ethers.VoidSigner(this.account, provider),
+        chainId,
+        this.registryOptions
+      ));
+    }
+
+    return this.readers.get(chainId);
+  }
+
+  /**
+   * Sort per-chain results back into the given chain order
+   * @private
+   */
+  _inChainOrder(items, chainIds) {
+    return [...items].sort((a, b) => chainIds.indexOf(a.chainId) - chainIds.indexOf(b.chainId));
+  }
+}
+
+export default MultiChainBackupService;
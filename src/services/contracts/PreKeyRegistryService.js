@@ -0,0 +1,184 @@
+import { ethers } from 'ethers';
+import { getContractAddress } from '../../constants/networks';
+import PreKeyRegistryABI from '../../abis/PreKeyRegistry.json';
+
+/**
+ * Service for interacting with the PreKeyRegistry smart contract
+ */
+class PreKeyRegistryService {
+  /**
+   * Create a new PreKeyRegistryService instance
+   * @param {ethers.Signer} signer - Ethers.js signer
+   * @param {number} chainId - Chain ID for selecting contract address
+   */
+  constructor(signer, chainId) {
+    if (!signer) {
+      throw new Error("Signer is required");
+    }
+
+    this.signer = signer;
+    this.contractAddress = getContractAddress('PreKeyRegistry', chainId);
+
+    if (!this.contractAddress) {
+      throw new Error("PreKeyRegistry is not deployed on this network");
+    }
+
+    this.contract = new ethers.Contract(
+      this.contractAddress,
+      PreKeyRegistryABI.abi,
+      signer
+    );
+  }
+
+  /**
+   * Publish or rotate the signed prekey
+   * @param {number} keyId - Prekey identifier
+   * @param {string} publicKeyHex - Compressed prekey public key in hex format
+   * @param {string} signatureHex - Compact identity key signature in hex format
+   * @returns {Promise<ethers.ContractTransaction>} Transaction
+   */
+  async publishSignedPreKey(keyId, publicKeyHex, signatureHex) {
+    try {
+      const tx = await this.contract.publishSignedPreKey(
+        keyId,
+        PreKeyRegistryService._toBytes(publicKeyHex),
+        PreKeyRegistryService._toBytes(signatureHex)
+      );
+      await tx.wait();
+      return tx;
+    } catch (error) {
+      console.error("Error publishing signed prekey:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add one-time prekeys to the pool
+   * @param {Array<{keyId: number, publicKey: string}>} preKeys - Prekeys with compressed public keys in hex
+   * @returns {Promise<ethers.ContractTransaction>} Transaction
+   */
+  async addOneTimePreKeys(preKeys) {
+    try {
+      const tx = await this.contract.addOneTimePreKeys(
+        preKeys.map(preKey => preKey.keyId),
+        preKeys.map(preKey => PreKeyRegistryService._toBytes(preKey.publicKey))
+      );
+      await tx.wait();
+      return tx;
+    } catch (error) {
+      console.error("Error adding one-time prekeys:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove all of the sender's one-time prekeys
+   * @returns {Promise<ethers.ContractTransaction>} Transaction
+   */
+  async clearOneTimePreKeys() {
+    const tx = await this.contract.clearOneTimePreKeys();
+    await tx.wait();
+    return tx;
+  }
+
+  /**
+   * Get a user's signed prekey and one-time prekey supply without consuming anything
+   * @param {string} address - User's Ethereum address
+   * @returns {Promise<{signedPreKey: Object|null, available: number}>} Bundle summary
+   */
+  async getPreKeyBundle(address) {
+    const [signedPreKey, available] = await this.contract.getPreKeyBundle(address);
+
+    return {
+      signedPreKey: PreKeyRegistryService._parseSignedPreKey(signedPreKey),
+      available: Number(available)
+    };
+  }
+
+  /**
+   * Get the number of one-time prekeys a user has left
+   * @param {string} address - User's Ethereum address
+   * @returns {Promise<number>} Available one-time prekeys
+   */
+  async getOneTimePreKeyCount(address) {
+    const count = await this.contract.getOneTimePreKeyCount(address);
+    return Number(count);
+  }
+
+  /**
+   * Claim a user's prekey bundle, consuming one of their one-time prekeys
+   * @param {string} address - User's Ethereum address
+   * @returns {Promise<{signedPreKey: Object, oneTimePreKey: Object|null}|null>} Bundle, or null if none is published
+   */
+  async claimPreKeyBundle(address) {
+    try {
+      // Read the bundle first - claiming reverts when nothing is published
+      const { signedPreKey, available } = await this.getPreKeyBundle(address);
+      if (!signedPreKey) {
+        return null;
+      }
+
+      if (available === 0) {
+        return { signedPreKey, oneTimePreKey: null };
+      }
+
+      const tx = await this.contract.claimPreKeyBundle(address);
+      const receipt = await tx.wait();
+
+      // A transaction's return value isn't available, so read the claimed key from the event
+      const claimed = receipt.logs
+        .map(log => {
+          try {
+            return this.contract.interface.parseLog(log);
+          } catch {
+            return null;
+          }
+        })
+        .find(event => event?.name === 'OneTimePreKeyClaimed');
+
+      if (!claimed) {
+        return { signedPreKey, oneTimePreKey: null };
+      }
+
+      return {
+        signedPreKey,
+        oneTimePreKey: {
+          keyId: Number(claimed.args.keyId),
+          publicKey: ethers.hexlify(claimed.args.publicKey).substring(2)
+        }
+      };
+    } catch (error) {
+      console.error("Error claiming prekey bundle:", error);
+      throw error;
+    }
+  }
+
+  // ===== Private Helper Methods =====
+
+  /**
+   * Convert a signed prekey struct to plain hex fields
+   * @private
+   */
+  static _parseSignedPreKey(signedPreKey) {
+    if (!signedPreKey || ethers.getBytes(signedPreKey.publicKey).length === 0) {
+      return null;
+    }
+
+    return {
+      keyId: Number(signedPreKey.keyId),
+      publicKey: ethers.hexlify(signedPreKey.publicKey).substring(2),
+      signature: ethers.hexlify(signedPreKey.signature).substring(2),
+      publishedAt: Number(signedPreKey.publishedAt)
+    };
+  }
+
+  /**
+   * Convert a hex string (with or without 0x) to bytes
+   * @private
+   */
+  static _toBytes(hex) {
+    return ethers.getBytes(hex.startsWith('0x') ? hex : '0x' + hex);
+  }
+}
+
+export default PreKeyRegistryService;
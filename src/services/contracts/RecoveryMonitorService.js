@@ -0,0 +1,260 @@
+import { ethers } from 'ethers';
+import SecureShareRegistryService from './SecureShareRegistryService';
+
+// Kinds of notifications the monitor raises
+export const NOTIFICATION_TYPE = {
+  RECOVERY_REQUESTED: 'recovery-requested',
+  RECOVERY_CANCELLED: 'recovery-cancelled',
+  SHARE_ACCESSED: 'share-accessed',
+  SECURITY_ALERT: 'security-alert'
+};
+
+// How urgent a notification is
+export const NOTIFICATION_SEVERITY = {
+  CRITICAL: 'critical',
+  WARNING: 'warning',
+  INFO: 'info'
+};
+
+/**
+ * Watches the registry and the contracts holding the account's shares (one
+ * per share, or a single vault on newer registries) for events that
+ * concern the owner: recovery requests against the account, reads of its
+ * shares by other addresses, and security alerts about it.
+ *
+ * Live events arrive through contract subscriptions; events emitted while the
+ * app was closed are fetched with catchUp().
+ */
+class RecoveryMonitorService {
+  /**
+   * Create a new RecoveryMonitorService instance
+   * @param {ethers.Signer} signer - Ethers.js signer
+   * @param {number} chainId - Chain ID for selecting contract address
+   * @param {string} account - Address of the account to watch
+   */
+  constructor(signer, chainId, account) {
+    if (!account || !ethers.isAddress(account)) {
+      throw new Error("A valid account address is required");
+    }
+
+    this.account = ethers.getAddress(account);
+    this.registryService = new SecureShareRegistryService(signer, chainId);
+    this.registry = this.registryService.contract;
+    this.shareStores = [];
+    this.subscriptions = [];
+    this.listeners = new Set();
+  }
+
+  /**
+   * Register a listener for new notifications
+   * @param {Function} listener - Called with each notification
+   * @returns {Function} Function that removes the listener
+   */
+  onNotification(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Subscribe to live events of the registry and the account's share contracts
+   * @returns {Promise<void>}
+   */
+  async start() {
+    try {
+      for (const [type, filter] of this._registryFilters()) {
+        this._subscribe(this.registry, filter, type);
+      }
+
+      // A new or replaced share set means new share contracts or a new vault to watch
+      this._subscribe(this.registry, this.registry.filters.SharesStored(this.account), null);
+      this._subscribe(this.registry, this.registry.filters.SharesReplaced(this.account), null);
+
+      await this._watchShareContracts();
+    } catch (error) {
+      console.error("Error starting recovery monitor:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch the events emitted in a block range, e.g. while the app was closed
+   * @param {number} fromBlock - First block to scan
+   * @param {number|string} toBlock - Last block to scan (default 'latest')
+   * @returns {Promise<Array<Object>>} Notifications, oldest first
+   */
+  async catchUp(fromBlock, toBlock = 'latest') {
+    try {
+      const queries = this._registryFilters().map(async ([type, filter]) => {
+        const events = await this.registry.queryFilter(filter, fromBlock, toBlock);
+        return events.map(event => this._toNotification(type, event));
+      });
+
+      const shareStores = await this._getShareStores();
+      shareStores.forEach(({ contract, shareIndex }) => {
+        queries.push(contract.queryFilter(contract.filters.ShareAccessed(), fromBlock, toBlock).then(
+          events => events.map(event => this._toNotification(NOTIFICATION_TYPE.SHARE_ACCESSED, event, shareIndex))
+        ));
+      });
+
+      const notifications = (await Promise.all(queries)).flat().filter(Boolean);
+      return notifications.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+    } catch (error) {
+      console.error("Error catching up on recovery events:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the pending recovery request against the account
+   * @returns {Promise<Object|null>} Recovery request details or null if none is active
+   */
+  async getActiveRequest() {
+    return this.registryService.getRecoveryRequest(this.account);
+  }
+
+  /**
+   * Cancel the pending recovery request against the account
+   * @returns {Promise<{txHash: string}>} Transaction hash
+   */
+  async cancelRecovery() {
+    return this.registryService.cancelRecovery(this.account);
+  }
+
+  /**
+   * Remove every subscription
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    await Promise.all(this.subscriptions.map(({ contract, filter, handler }) => contract.off(filter, handler)));
+    this.subscriptions = [];
+    this.shareStores = [];
+    this.listeners.clear();
+  }
+
+  // ===== Private Helper Methods =====
+
+  /**
+   * Registry events that concern the account, with the notification type they raise
+   * @private
+   */
+  _registryFilters() {
+    return [
+      [NOTIFICATION_TYPE.RECOVERY_REQUESTED, this.registry.filters.RecoveryRequested(this.account)],
+      [NOTIFICATION_TYPE.RECOVERY_CANCELLED, this.registry.filters.RecoveryCancelled(this.account)],
+      [NOTIFICATION_TYPE.SECURITY_ALERT, this.registry.filters.SecurityAlert(this.account)]
+    ];
+  }
+
+  /**
+   * Subscribe to a filter; a null type only refreshes the watched share contracts
+   * @private
+   */
+  _subscribe(contract, filter, type, shareIndex) {
+    const handler = (...args) => {
+      const payload = args[args.length - 1];
+
+      if (type === null) {
+        this._watchShareContracts().catch(error => {
+          console.error("Error watching new share contracts:", error);
+        });
+        return;
+      }
+
+      const notification = this._toNotification(type, payload.log, shareIndex);
+      if (notification) {
+        this.listeners.forEach(listener => listener(notification));
+      }
+    };
+
+    contract.on(filter, handler);
+    this.subscriptions.push({ contract, filter, handler });
+  }
+
+  /**
+   * Subscribe to ShareAccessed of the account's current share contracts or vault
+   * @private
+   */
+  async _watchShareContracts() {
+    // Drop subscriptions to the contracts of a previous share set
+    const previous = this.subscriptions.filter(({ contract }) => contract !== this.registry);
+    await Promise.all(previous.map(({ contract, filter, handler }) => contract.off(filter, handler)));
+    this.subscriptions = this.subscriptions.filter(({ contract }) => contract === this.registry);
+
+    const shareStores = await this._getShareStores();
+    shareStores.forEach(({ contract, shareIndex }) => {
+      this._subscribe(contract, contract.filters.ShareAccessed(), NOTIFICATION_TYPE.SHARE_ACCESSED, shareIndex);
+    });
+  }
+
+  /**
+   * Contracts holding the account's shares, with the share index of each (null for a vault)
+   * @private
+   */
+  async _getShareStores() {
+    const hasShares = await this.registryService.hasShares(this.account);
+    this.shareStores = hasShares ? await this.registryService.getShareStores(this.account) : [];
+
+    return this.shareStores;
+  }
+
+  /**
+   * Turn an event log into a notification; returns null for events that need no notice
+   * @private
+   */
+  _toNotification(type, log, shareIndex) {
+    const { args } = log;
+    const base = {
+      id: `${log.transactionHash}:${log.index}`,
+      type,
+      blockNumber: log.blockNumber,
+      logIndex: log.index,
+      txHash: log.transactionHash
+    };
+
+    switch (type) {
+      case NOTIFICATION_TYPE.RECOVERY_REQUESTED:
+        return {
+          ...base,
+          severity: NOTIFICATION_SEVERITY.CRITICAL,
+          timestamp: Number(args.requestTime) * 1000,
+          title: "Recovery of your key was requested",
+          details: `${args.initiator} started a recovery. It completes on ` +
+            `${new Date(Number(args.expiresAt) * 1000).toLocaleString()} unless you cancel it.`,
+          initiator: args.initiator,
+          expiresAt: Number(args.expiresAt)
+        };
+      case NOTIFICATION_TYPE.RECOVERY_CANCELLED:
+        return {
+          ...base,
+          severity: NOTIFICATION_SEVERITY.INFO,
+          timestamp: Number(args.timestamp) * 1000,
+          title: "Recovery request cancelled",
+          details: `Cancelled by ${args.canceller}.`
+        };
+      case NOTIFICATION_TYPE.SHARE_ACCESSED:
+        // Reads by the owner are expected
+        if (args.accessor.toLowerCase() === this.account.toLowerCase()) {
+          return null;
+        }
+        return {
+          ...base,
+          severity: NOTIFICATION_SEVERITY.WARNING,
+          timestamp: Number(args.timestamp) * 1000,
+          title: `Share #${(shareIndex ?? Number(args.index)) + 1} was read`,
+          details: `${args.accessor} read one of your encrypted shares.`
+        };
+      case NOTIFICATION_TYPE.SECURITY_ALERT:
+        return {
+          ...base,
+          severity: NOTIFICATION_SEVERITY.WARNING,
+          timestamp: Number(args.timestamp) * 1000,
+          title: `Security alert: ${args.alertType}`,
+          details: `Details hash ${args.detailsHash}.`
+        };
+      default:
+        return null;
+    }
+  }
+}
+
+export default RecoveryMonitorService;
@@ -1,36 +1,73 @@
 import { ethers } from 'ethers';
-import { getContractAddress } from '../../constants/contractAddresses';
+import { getContractAddress, getServiceFee } from '../../constants/networks';
 import SecureShareRegistryABI from '../../abis/SecureShareRegistry.json';
 import SecureShareContractABI from '../../abis/SecureShareContract.json';
+import SecureShareVaultABI from '../../abis/SecureShareVault.json';
+import { COMMITMENT_SIZE } from '../cryptography/ProductionShamirService';
+import IpfsBlobStore from '../storage/IpfsBlobStore';
+import SharePointerCodec from '../storage/SharePointerCodec';
+import { SHARE_STORAGE } from '../../constants/blobStore';
+
+// How a registry keeps share data
+export const STORAGE_LAYOUT = {
+  SHARE_CONTRACTS: 'share-contracts', // Version 1: one SecureShareContract per share
+  VAULT: 'vault' // Version 2 on: one SecureShareVault clone per share set
+};
+
+// First registry version that keeps shares in vaults
+const VAULT_REGISTRY_VERSION = 2;
+
+// Version 1 view that later registries replaced with getUserVault
+const LEGACY_REGISTRY_ABI = ['function getUserShareContracts(address user) view returns (address[])'];
 
 /**
  * Service for secure interaction with the SecureShareRegistry smart contract
- * and individual share contracts with enhanced security and error handling
+ * and the contracts holding the shares with enhanced security and error handling.
+ *
+ * Works with both storage layouts: version 1 registries deploy a contract per
+ * share, later ones keep a share set in one vault. The layout is read from the
+ * registry's VERSION on first use.
+ *
+ * With off-chain share storage, each ciphertext is added to a content-addressed
+ * blob store and the share slot only holds a pointer to it (see
+ * SharePointerCodec). getShare follows pointers whatever the write setting,
+ * and rejects blobs that don't match the keccak hash recorded on-chain.
  */
 class SecureShareRegistryService {
   /**
    * Create a new SecureShareRegistryService instance
    * @param {ethers.Signer} signer - Ethers.js signer
    * @param {number} chainId - Chain ID for selecting contract address
+   * @param {Object} options - Service options
+   * @param {string} options.shareStorage - Where written shares go, one of SHARE_STORAGE (default on-chain)
+   * @param {IpfsBlobStore} options.blobStore - Blob store for off-chain shares (default the one at BLOB_STORE_URL)
    */
-  constructor(signer, chainId) {
+  constructor(signer, chainId, { shareStorage = SHARE_STORAGE.ON_CHAIN, blobStore = null } = {}) {
     if (!signer) {
       throw new Error("Signer is required");
     }
     
+    if (!Object.values(SHARE_STORAGE).includes(shareStorage)) {
+      throw new Error(`Unknown share storage: ${shareStorage}`);
+    }
+    
     this.signer = signer;
     this.chainId = chainId;
+    this.shareStorage = shareStorage;
+    this.blobStore = blobStore || new IpfsBlobStore();
     
     try {
       // Get appropriate contract address for current network
       this.contractAddress = getContractAddress('SecureShareRegistry', chainId);
-      if (!this.contractAddress || !ethers.isAddress(this.contractAddress)) {
-        throw new Error(`Invalid contract address for network ${chainId}`);
+      if (!this.contractAddress) {
+        throw new Error(`SecureShareRegistry is not deployed on network ${chainId}`);
       }
       
       // Load ABIs
       this.registryAbi = SecureShareRegistryABI.abi;
       this.shareContractAbi = SecureShareContractABI.abi;
+      this.vaultAbi = SecureShareVaultABI.abi;
+      this.layoutPromise = null;
       
       // Initialize contract instance
       this.contract = new ethers.Contract(
@@ -48,13 +85,14 @@ class SecureShareRegistryService {
   }
   
   /**
-   * Store encrypted shares in separate contracts
+   * Store encrypted shares in the registry's storage layout
    * @param {Array<string>} encryptedSharesHex - Array of encrypted share data (hex strings with 0x prefix)
    * @param {number} threshold - Minimum shares needed for reconstruction
+   * @param {string} commitmentsHex - Concatenated coefficient commitments (hex string with 0x prefix)
    * @param {Object} options - Transaction options, including value for fee
-   * @returns {Promise<{txHash: string, shareContracts: Array<string>}>} Transaction hash and created contract addresses
+   * @returns {Promise<{txHash: string, shareContracts: Array<string>}>} Transaction hash and created contract addresses (a single vault on version 2 registries)
    */
-  async storeShares(encryptedSharesHex, threshold, options = {}) {
+  async storeShares(encryptedSharesHex, threshold, commitmentsHex, options = {}) {
     try {
       // Input validation
       if (!Array.isArray(encryptedSharesHex) || encryptedSharesHex.length < 3) {
@@ -65,18 +103,24 @@ class SecureShareRegistryService {
         throw new Error(`Threshold must be between 2 and ${encryptedSharesHex.length}`);
       }
       
-      // Convert to bytes format for contract
-      const encryptedSharesBytes = encryptedSharesHex.map(share => {
+      if (typeof commitmentsHex !== 'string' || !commitmentsHex.startsWith('0x') ||
+          ethers.dataLength(commitmentsHex) !== threshold * COMMITMENT_SIZE) {
+        throw new Error(`Expected ${threshold} coefficient commitments`);
+      }
+      
+      // Convert to bytes format for contract; off-chain shares are uploaded and replaced by pointers
+      const encryptedSharesBytes = await this._toStoredShares(encryptedSharesHex.map(share => {
         if (!share.startsWith('0x')) {
           throw new Error("Share data must be hex string with 0x prefix");
         }
         return ethers.getBytes(share);
-      });
+      }));
       
-      // Default options with configurable gas
+      // Default options with configurable gas; a vault is cheap enough to estimate
+      const layout = await this.getStorageLayout();
       const txOptions = {
-        value: ethers.parseEther("0.01"), // Default fee
-        gasLimit: 9000000, // Higher gas limit for multiple contract creations
+        value: getServiceFee(this.chainId), // Default fee
+        ...(layout === STORAGE_LAYOUT.SHARE_CONTRACTS && { gasLimit: 9000000 }), // Multiple contract creations
         ...options
       };
       
@@ -84,7 +128,7 @@ class SecureShareRegistryService {
       
       // Send transaction with retry logic
       const tx = await this._sendTransactionWithRetry(
-        () => this.contract.storeShares(encryptedSharesBytes, threshold, txOptions),
+        () => this.contract.storeShares(encryptedSharesBytes, threshold, commitmentsHex, txOptions),
         3, // max retries
         "store shares"
       );
@@ -97,9 +141,9 @@ class SecureShareRegistryService {
       
       // Get created contract addresses
       const userAddress = await this.signer.getAddress();
-      const shareContracts = await this.contract.getUserShareContracts(userAddress);
+      const shareContracts = await this.getShareContracts(userAddress);
       
-      console.log(`Successfully created ${shareContracts.length} share contracts`);
+      console.log(`Successfully created ${shareContracts.length} ${layout === STORAGE_LAYOUT.VAULT ? 'share vault' : 'share contracts'}`);
       
       // Return both transaction hash and contract addresses
       return {
@@ -115,12 +159,161 @@ class SecureShareRegistryService {
   }
   
   /**
-   * Get a specific share from its contract with security verification
+   * Replace the share set with one under a new policy, deactivating the old share contracts or vault
+   * @param {Array<string>} encryptedSharesHex - Encrypted shares of the new set (hex strings with 0x prefix)
+   * @param {number} threshold - Minimum shares needed for reconstruction under the new policy
+   * @param {string} commitmentsHex - Coefficient commitments of the new set (hex string with 0x prefix)
+   * @param {Object} options - Transaction options, including value for fee
+   * @returns {Promise<{txHash: string, shareContracts: Array<string>}>} Transaction hash and new contract addresses
+   */
+  async replaceShares(encryptedSharesHex, threshold, commitmentsHex, options = {}) {
+    try {
+      if (!Array.isArray(encryptedSharesHex) || encryptedSharesHex.length < 3) {
+        throw new Error("At least 3 encrypted shares are required");
+      }
+      
+      if (typeof threshold !== 'number' || threshold < 2 || threshold > encryptedSharesHex.length) {
+        throw new Error(`Threshold must be between 2 and ${encryptedSharesHex.length}`);
+      }
+      
+      if (typeof commitmentsHex !== 'string' || !commitmentsHex.startsWith('0x') ||
+          ethers.dataLength(commitmentsHex) !== threshold * COMMITMENT_SIZE) {
+        throw new Error(`Expected ${threshold} coefficient commitments`);
+      }
+      
+      const encryptedSharesBytes = await this._toStoredShares(encryptedSharesHex.map(share => {
+        if (!share.startsWith('0x')) {
+          throw new Error("Share data must be hex string with 0x prefix");
+        }
+        return ethers.getBytes(share);
+      }));
+      
+      const layout = await this.getStorageLayout();
+      const txOptions = {
+        value: getServiceFee(this.chainId), // Default fee
+        ...(layout === STORAGE_LAYOUT.SHARE_CONTRACTS && { gasLimit: 9000000 }), // Deactivates the old contracts and deploys the new ones
+        ...options
+      };
+      
+      // Dry run first so a revert reason surfaces before paying for the transaction
+      await this.contract.replaceShares.staticCall(encryptedSharesBytes, threshold, commitmentsHex, txOptions);
+      
+      const tx = await this._sendTransactionWithRetry(
+        () => this.contract.replaceShares(encryptedSharesBytes, threshold, commitmentsHex, txOptions),
+        2,
+        "replace shares"
+      );
+      
+      await this._waitForTransactionWithTimeout(tx);
+      
+      const userAddress = await this.signer.getAddress();
+      const shareContracts = await this.getShareContracts(userAddress);
+      
+      return {
+        txHash: tx.hash,
+        shareContracts: shareContracts
+      };
+    } catch (error) {
+      const enhancedError = this._enhanceError(error, "replaceShares");
+      console.error("Error replacing shares:", enhancedError);
+      throw enhancedError;
+    }
+  }
+  
+  /**
+   * Replace all stored shares with refreshed ones for the same secret
+   * @param {Array<string>} encryptedSharesHex - New encrypted shares, in share index order (hex strings with 0x prefix)
+   * @param {string} commitmentsHex - New coefficient commitments (hex string with 0x prefix)
+   * @param {Object} options - Transaction options
+   * @returns {Promise<{txHash: string}>} Transaction hash
+   */
+  async refreshShares(encryptedSharesHex, commitmentsHex, options = {}) {
+    try {
+      const { config, encryptedSharesBytes } = await this._prepareRefreshedShares(encryptedSharesHex, commitmentsHex);
+      
+      const txOptions = {
+        gasLimit: 3000000 + config.totalShares * 100000,
+        ...options
+      };
+      
+      // Dry run first so a revert reason surfaces before paying for the transaction
+      await this.contract.refreshShares.staticCall(encryptedSharesBytes, commitmentsHex, txOptions);
+      
+      const tx = await this._sendTransactionWithRetry(
+        () => this.contract.refreshShares(encryptedSharesBytes, commitmentsHex, txOptions),
+        2,
+        "refresh shares"
+      );
+      
+      await this._waitForTransactionWithTimeout(tx);
+      
+      return { txHash: tx.hash };
+    } catch (error) {
+      const enhancedError = this._enhanceError(error, "refreshShares");
+      console.error("Error refreshing shares:", enhancedError);
+      throw enhancedError;
+    }
+  }
+  
+  /**
+   * Refresh all stored shares and assign each share index to its holder in one transaction
+   * @param {Array<string>} encryptedSharesHex - New shares, each encrypted to its holder's key, in share index order
+   * @param {string} commitmentsHex - New coefficient commitments (hex string with 0x prefix)
+   * @param {Array<string|null>} guardians - Holder of each share index; null or the zero address for the owner
+   * @param {Object} options - Transaction options
+   * @returns {Promise<{txHash: string}>} Transaction hash
+   */
+  async assignShareGuardians(encryptedSharesHex, commitmentsHex, guardians, options = {}) {
+    try {
+      const { config, encryptedSharesBytes } = await this._prepareRefreshedShares(encryptedSharesHex, commitmentsHex);
+      
+      if (!Array.isArray(guardians) || guardians.length !== config.totalShares) {
+        throw new Error(`Expected a holder for each of the ${config.totalShares} shares`);
+      }
+      
+      const guardianAddresses = guardians.map(guardian => {
+        if (!guardian) return ethers.ZeroAddress;
+        if (!ethers.isAddress(guardian)) {
+          throw new Error("Invalid Ethereum address format");
+        }
+        return ethers.getAddress(guardian);
+      });
+      
+      const txOptions = {
+        gasLimit: 3000000 + config.totalShares * 150000,
+        ...options
+      };
+      
+      // Dry run first so a revert reason surfaces before paying for the transaction
+      await this.contract.assignShareGuardians.staticCall(encryptedSharesBytes, commitmentsHex, guardianAddresses, txOptions);
+      
+      const tx = await this._sendTransactionWithRetry(
+        () => this.contract.assignShareGuardians(encryptedSharesBytes, commitmentsHex, guardianAddresses, txOptions),
+        2,
+        "assign share guardians"
+      );
+      
+      await this._waitForTransactionWithTimeout(tx);
+      
+      return { txHash: tx.hash };
+    } catch (error) {
+      const enhancedError = this._enhanceError(error, "assignShareGuardians");
+      console.error("Error assigning share guardians:", enhancedError);
+      throw enhancedError;
+    }
+  }
+  
+  /**
+   * Get a specific share from its contract or vault slot with security verification,
+   * fetching and verifying its ciphertext when the slot points off-chain
    * @param {string} userAddress - User's address
    * @param {number} index - Index of the share
+   * @param {Object} options - Read options
+   * @param {boolean} options.record - Read with a transaction, so the contract records the access and
+   *   emits ShareAccessed (default false: a free call that records nothing)
    * @returns {Promise<string>} Encrypted share data
    */
-  async getShare(userAddress, index) {
+  async getShare(userAddress, index, { record = false } = {}) {
     try {
       // Input validation
       if (!ethers.isAddress(userAddress)) {
@@ -139,49 +332,13 @@ class SecureShareRegistryService {
       
       // Get config to verify index is in range
       const config = await this.contract.getShareConfig(userAddress);
-      if (index >= config.totalShares.toNumber()) {
-        throw new Error(`Share index ${index} out of bounds (max: ${config.totalShares.toNumber() - 1})`);
-      }
-      
-      // First get the share contract address
-      const shareContracts = await this.contract.getUserShareContracts(userAddress);
-      const shareContractAddress = shareContracts[index];
-      
-      // Verify the share contract exists
-      if (!shareContractAddress || !ethers.isAddress(shareContractAddress)) {
-        throw new Error(`Invalid share contract address for index ${index}`);
-      }
-      
-      // Create contract instance for the specific share
-      const shareContract = new ethers.Contract(
-        shareContractAddress,
-        this.shareContractAbi,
-        this.signer
-      );
-      
-      // Verify active status before attempting retrieval
-      const isActive = await shareContract.isActive();
-      if (!isActive) {
-        throw new Error(`Share at index ${index} is inactive`);
+      if (index >= Number(config.totalShares)) {
+        throw new Error(`Share index ${index} out of bounds (max: ${Number(config.totalShares) - 1})`);
       }
       
-      // Check authorization before wasting gas on a failing transaction
-      const currentAddress = await this.signer.getAddress();
-      if (currentAddress !== userAddress) {
-        const isAuthorized = await shareContract.isAuthorized(currentAddress);
-        if (!isAuthorized) {
-          throw new Error("Not authorized to access this share");
-        }
-      }
-      
-      // Get the share data with retry logic for network issues
-      const encryptedShare = await this._sendTransactionWithRetry(
-        () => shareContract.getShare(),
-        2, // max retries
-        "get share"
-      );
+      const storedShare = await this._readStoredShare(userAddress, index, { record });
       
-      return ethers.hexlify(encryptedShare);
+      return await this._resolveStoredShare(storedShare);
     } catch (error) {
       const enhancedError = this._enhanceError(error, "getShare");
       console.error(`Error retrieving share at index ${index}:`, enhancedError);
@@ -193,9 +350,10 @@ class SecureShareRegistryService {
    * Get multiple shares by their indices with parallel processing and error handling
    * @param {string} userAddress - User's address
    * @param {Array<number>} indices - Array of share indices
+   * @param {Object} options - Read options, as in getShare; recorded reads are sent one at a time
    * @returns {Promise<Array<{index: number, data: string}>>} Array of shares with their indices
    */
-  async getMultipleShares(userAddress, indices) {
+  async getMultipleShares(userAddress, indices, { record = false } = {}) {
     if (!Array.isArray(indices) || indices.length === 0) {
       throw new Error("Invalid indices array");
     }
@@ -206,19 +364,26 @@ class SecureShareRegistryService {
       throw new Error(`User ${userAddress.substring(0, 8)}... has no shares`);
     }
     
-    // Process share retrievals in parallel with individual error handling
-    const retrievalPromises = indices.map(async (index) => {
+    const retrieveShare = async (index) => {
       try {
-        const shareData = await this.getShare(userAddress, index);
+        const shareData = await this.getShare(userAddress, index, { record });
         return { index, data: shareData, success: true };
       } catch (error) {
         console.warn(`Failed to retrieve share at index ${index}:`, error);
         return { index, error: error.message, success: false };
       }
-    });
+    };
     
-    // Wait for all retrievals to complete
-    const results = await Promise.all(retrievalPromises);
+    // Recorded reads are transactions, so they go one after another to keep nonces in order
+    let results;
+    if (record) {
+      results = [];
+      for (const index of indices) {
+        results.push(await retrieveShare(index));
+      }
+    } else {
+      results = await Promise.all(indices.map(retrieveShare));
+    }
     
     // Filter successful retrievals
     const successfulRetrievals = results.filter(result => result.success);
@@ -348,6 +513,77 @@ class SecureShareRegistryService {
     }
   }
   
+  /**
+   * Publish the public key guardians should re-encrypt released shares to
+   * @param {string} publicKeyHex - Recovery public key, or an empty string to clear it
+   * @returns {Promise<{txHash: string}>} Transaction hash
+   */
+  async setRecoveryKey(publicKeyHex) {
+    try {
+      const publicKeyBytes = publicKeyHex ? ethers.getBytes(publicKeyHex) : new Uint8Array(0);
+      if (![0, 33, 65].includes(publicKeyBytes.length)) {
+        throw new Error("Recovery key must be a 33 or 65 byte public key");
+      }
+      
+      const tx = await this._sendTransactionWithRetry(
+        () => this.contract.setRecoveryKey(publicKeyBytes),
+        2,
+        "set recovery key"
+      );
+      
+      await this._waitForTransactionWithTimeout(tx);
+      
+      return { txHash: tx.hash };
+    } catch (error) {
+      const enhancedError = this._enhanceError(error, "setRecoveryKey");
+      console.error("Error setting recovery key:", enhancedError);
+      throw enhancedError;
+    }
+  }
+  
+  /**
+   * Release shares held by the connected guardian, re-encrypted to the owner's recovery key
+   * @param {string} userAddress - Owner of the shares
+   * @param {Array<number>} indices - Share indices assigned to the guardian
+   * @param {Array<string>} reencryptedSharesHex - Re-encrypted share data, one per index (hex strings with 0x prefix)
+   * @returns {Promise<{txHash: string}>} Transaction hash
+   */
+  async releaseShares(userAddress, indices, reencryptedSharesHex) {
+    try {
+      if (!ethers.isAddress(userAddress)) {
+        throw new Error("Invalid Ethereum address format");
+      }
+      
+      if (!Array.isArray(indices) || indices.length === 0 || indices.length !== reencryptedSharesHex.length) {
+        throw new Error("Expected one re-encrypted share per index");
+      }
+      
+      const sharesBytes = reencryptedSharesHex.map(share => {
+        if (!share.startsWith('0x')) {
+          throw new Error("Share data must be hex string with 0x prefix");
+        }
+        return ethers.getBytes(share);
+      });
+      
+      // Dry run first so a revert reason surfaces before paying for the transaction
+      await this.contract.releaseShares.staticCall(userAddress, indices, sharesBytes);
+      
+      const tx = await this._sendTransactionWithRetry(
+        () => this.contract.releaseShares(userAddress, indices, sharesBytes),
+        2,
+        "release shares"
+      );
+      
+      await this._waitForTransactionWithTimeout(tx);
+      
+      return { txHash: tx.hash };
+    } catch (error) {
+      const enhancedError = this._enhanceError(error, "releaseShares");
+      console.error("Error releasing shares:", enhancedError);
+      throw enhancedError;
+    }
+  }
+  
   /**
    * Initiate emergency recovery for a user
    * @param {string} userAddress - Address to recover
@@ -398,7 +634,7 @@ class SecureShareRegistryService {
       
       return { 
         txHash: tx.hash,
-        expiresAt: updatedRecovery.expiresAt.toNumber()
+        expiresAt: Number(updatedRecovery.expiresAt)
       };
     } catch (error) {
       const enhancedError = this._enhanceError(error, "initiateRecovery");
@@ -511,11 +747,12 @@ class SecureShareRegistryService {
       const config = await this.contract.getShareConfig(userAddress);
       
       return {
-        totalShares: config.totalShares.toNumber(),
-        threshold: config.threshold.toNumber(),
-        creationTime: config.creationTime.toNumber(),
+        totalShares: Number(config.totalShares),
+        threshold: Number(config.threshold),
+        creationTime: Number(config.creationTime),
         isActive: config.isActive,
-        configHash: config.configHash
+        configHash: config.configHash,
+        commitments: config.commitments
       };
     } catch (error) {
       const enhancedError = this._enhanceError(error, "getShareConfig");
@@ -525,13 +762,20 @@ class SecureShareRegistryService {
   }
   
   /**
-   * Get all share contract addresses for a user
+   * Get the addresses of the contracts holding a user's current shares
    * @param {string} userAddress - User's address
-   * @returns {Promise<Array<string>>} Array of contract addresses
+   * @returns {Promise<Array<string>>} One address per share, or the single vault address on version 2 registries
    */
   async getShareContracts(userAddress) {
     try {
-      return await this.contract.getUserShareContracts(userAddress);
+      const layout = await this.getStorageLayout();
+      if (layout === STORAGE_LAYOUT.SHARE_CONTRACTS) {
+        const legacyRegistry = new ethers.Contract(this.contractAddress, LEGACY_REGISTRY_ABI, this.signer);
+        return await legacyRegistry.getUserShareContracts(userAddress);
+      }
+      
+      const vault = await this.contract.getUserVault(userAddress);
+      return vault === ethers.ZeroAddress ? [] : [vault];
     } catch (error) {
       const enhancedError = this._enhanceError(error, "getShareContracts");
       console.error("Error getting share contracts:", enhancedError);
@@ -554,6 +798,73 @@ class SecureShareRegistryService {
     }
   }
   
+  /**
+   * Get the emergency contact of a user
+   * @param {string} userAddress - User's address
+   * @returns {Promise<string|null>} Emergency contact address, or null if none is set
+   */
+  async getEmergencyContact(userAddress) {
+    try {
+      const contact = await this.contract.getEmergencyContact(userAddress);
+      return contact === ethers.ZeroAddress ? null : contact;
+    } catch (error) {
+      const enhancedError = this._enhanceError(error, "getEmergencyContact");
+      console.error("Error getting emergency contact:", enhancedError);
+      throw enhancedError;
+    }
+  }
+  
+  /**
+   * Get the holder of every share index of a user
+   * @param {string} userAddress - User's address
+   * @returns {Promise<Array<string|null>>} Guardian address per share index, null where the owner holds the share
+   */
+  async getShareGuardians(userAddress) {
+    try {
+      const guardians = await this.contract.getShareGuardians(userAddress);
+      return guardians.map(guardian => (guardian === ethers.ZeroAddress ? null : guardian));
+    } catch (error) {
+      const enhancedError = this._enhanceError(error, "getShareGuardians");
+      console.error("Error getting share guardians:", enhancedError);
+      throw enhancedError;
+    }
+  }
+  
+  /**
+   * Get the recovery public key a user published
+   * @param {string} userAddress - User's address
+   * @returns {Promise<string|null>} Recovery public key in hex format, or null if none is set
+   */
+  async getRecoveryKey(userAddress) {
+    try {
+      const publicKey = await this.contract.recoveryKeys(userAddress);
+      return publicKey === '0x' ? null : publicKey;
+    } catch (error) {
+      const enhancedError = this._enhanceError(error, "getRecoveryKey");
+      console.error("Error getting recovery key:", enhancedError);
+      throw enhancedError;
+    }
+  }
+  
+  /**
+   * Get the shares guardians released to a user's recovery key
+   * @param {string} userAddress - User's address
+   * @returns {Promise<Array<{index: number, data: string}>>} Released shares with their indices
+   */
+  async getReleasedShares(userAddress) {
+    try {
+      const released = await this.contract.getReleasedShares(userAddress);
+      
+      return released
+        .map((data, index) => ({ index, data }))
+        .filter(({ data }) => data !== '0x');
+    } catch (error) {
+      const enhancedError = this._enhanceError(error, "getReleasedShares");
+      console.error("Error getting released shares:", enhancedError);
+      throw enhancedError;
+    }
+  }
+  
   /**
    * Get active recovery request for a user
    * @param {string} userAddress - User's address
@@ -569,11 +880,11 @@ class SecureShareRegistryService {
       
       return {
         initiator: request.initiator,
-        requestTime: request.requestTime.toNumber(),
-        expiresAt: request.expiresAt.toNumber(),
+        requestTime: Number(request.requestTime),
+        expiresAt: Number(request.expiresAt),
         requestHash: request.requestHash,
         isActive: request.isActive,
-        remaining: Math.max(0, request.expiresAt.toNumber() - Math.floor(Date.now() / 1000))
+        remaining: Math.max(0, Number(request.expiresAt) - Math.floor(Date.now() / 1000))
       };
     } catch (error) {
       const enhancedError = this._enhanceError(error, "getRecoveryRequest");
@@ -582,8 +893,314 @@ class SecureShareRegistryService {
     }
   }
   
+  /**
+   * Find the accounts that currently name an address as recovery address or emergency contact.
+   * The registry keeps no reverse index, so candidates come from past events and are checked
+   * against the current state.
+   * @param {string} guardianAddress - Guardian's address
+   * @param {number} fromBlock - First block to search for events (default 0)
+   * @returns {Promise<Array<{address: string, isRecoveryAddress: boolean, isEmergencyContact: boolean}>>}
+   *   Accounts the address is a guardian for
+   */
+  async getGuardedAccounts(guardianAddress, fromBlock = 0) {
+    try {
+      if (!ethers.isAddress(guardianAddress)) {
+        throw new Error("Invalid Ethereum address format");
+      }
+      
+      const [addedEvents, contactEvents] = await Promise.all([
+        this.contract.queryFilter(this.contract.filters.RecoveryAddressAdded(null, guardianAddress), fromBlock),
+        this.contract.queryFilter(this.contract.filters.EmergencyContactSet(null, guardianAddress), fromBlock)
+      ]);
+      
+      const candidates = [...new Set([...addedEvents, ...contactEvents].map(event => event.args.user))];
+      
+      // Drop accounts that removed or replaced the guardian since
+      const accounts = await Promise.all(candidates.map(async (address) => {
+        const [isRecoveryAddress, emergencyContact] = await Promise.all([
+          this.isRecoveryAddress(address, guardianAddress),
+          this.getEmergencyContact(address)
+        ]);
+        
+        return {
+          address,
+          isRecoveryAddress,
+          isEmergencyContact: !!emergencyContact && emergencyContact.toLowerCase() === guardianAddress.toLowerCase()
+        };
+      }));
+      
+      return accounts.filter(account => account.isRecoveryAddress || account.isEmergencyContact);
+    } catch (error) {
+      const enhancedError = this._enhanceError(error, "getGuardedAccounts");
+      console.error("Error finding guarded accounts:", enhancedError);
+      throw enhancedError;
+    }
+  }
+  
+  /**
+   * Contract instances holding a user's current shares, for reading their events
+   * @param {string} userAddress - User's address
+   * @returns {Promise<Array<{contract: ethers.Contract, shareIndex: number|null}>>} One entry per share contract,
+   *   or a single vault entry with a null shareIndex whose events carry the index
+   */
+  async getShareStores(userAddress) {
+    const layout = await this.getStorageLayout();
+    const addresses = await this.getShareContracts(userAddress);
+    
+    return addresses.map((address, index) => ({
+      contract: new ethers.Contract(
+        address,
+        layout === STORAGE_LAYOUT.VAULT ? this.vaultAbi : this.shareContractAbi,
+        this.signer
+      ),
+      shareIndex: layout === STORAGE_LAYOUT.VAULT ? null : index
+    }));
+  }
+  
+  /**
+   * Detect how the registry stores shares from its VERSION constant
+   * @returns {Promise<string>} One of STORAGE_LAYOUT
+   */
+  async getStorageLayout() {
+    if (!this.layoutPromise) {
+      this.layoutPromise = this.contract.VERSION()
+        .then(version => (Number(version) >= VAULT_REGISTRY_VERSION ? STORAGE_LAYOUT.VAULT : STORAGE_LAYOUT.SHARE_CONTRACTS))
+        .catch(error => {
+          // Allow a retry after a network error
+          this.layoutPromise = null;
+          throw this._enhanceError(error, "getStorageLayout");
+        });
+    }
+    
+    return this.layoutPromise;
+  }
+  
+  /**
+   * Tell whether a user's shares are stored on-chain or as pointers into the blob store.
+   * Reads the first share slot, so the caller must be allowed to read it.
+   * @param {string} userAddress - User's address
+   * @returns {Promise<string>} One of SHARE_STORAGE
+   */
+  async getShareStorage(userAddress) {
+    try {
+      const storedShare = await this._readStoredShare(userAddress, 0);
+      
+      return SharePointerCodec.isPointer(storedShare) ? SHARE_STORAGE.OFF_CHAIN : SHARE_STORAGE.ON_CHAIN;
+    } catch (error) {
+      const enhancedError = this._enhanceError(error, "getShareStorage");
+      console.error("Error detecting share storage:", enhancedError);
+      throw enhancedError;
+    }
+  }
+  
   // ===== Private Helper Methods =====
   
+  /**
+   * Read the data in a share slot as stored: a ciphertext or an off-chain pointer
+   * @param {string} userAddress - Owner of the share
+   * @param {number} index - Index of the share
+   * @param {Object} options - Read options
+   * @param {boolean} options.record - Read with a transaction the contract records (default false:
+   *   a static call)
+   * @returns {Promise<string>} Stored share data
+   * @private
+   */
+  async _readStoredShare(userAddress, index, { record = false } = {}) {
+    const layout = await this.getStorageLayout();
+    
+    return layout === STORAGE_LAYOUT.VAULT
+      ? this._readVaultShare(userAddress, index, record)
+      : this._readShareContract(userAddress, index, record);
+  }
+  
+  /**
+   * Turn stored share data into the ciphertext, fetching pointed-to blobs and
+   * checking them against the keccak hash recorded on-chain
+   * @param {string} storedShare - Stored share data
+   * @returns {Promise<string>} Encrypted share data (hex string with 0x prefix)
+   * @private
+   */
+  async _resolveStoredShare(storedShare) {
+    if (!SharePointerCodec.isPointer(storedShare)) {
+      return ethers.hexlify(storedShare);
+    }
+    
+    const { cid, contentHash } = SharePointerCodec.decode(storedShare);
+    const ciphertext = await this.blobStore.get(cid);
+    
+    // The blob store is untrusted; only the on-chain hash vouches for the content
+    if (ethers.keccak256(ciphertext) !== contentHash) {
+      throw new Error(`Blob ${cid} does not match the share's on-chain hash`);
+    }
+    
+    return ethers.hexlify(ciphertext);
+  }
+  
+  /**
+   * Get the data to write for each encrypted share: the ciphertext itself, or with
+   * off-chain storage a pointer to the ciphertext after adding it to the blob store
+   * @param {Array<Uint8Array>} encryptedSharesBytes - Encrypted shares
+   * @returns {Promise<Array<Uint8Array>>} Share data for the contract
+   * @private
+   */
+  async _toStoredShares(encryptedSharesBytes) {
+    if (this.shareStorage !== SHARE_STORAGE.OFF_CHAIN) {
+      return encryptedSharesBytes;
+    }
+    
+    return Promise.all(encryptedSharesBytes.map(async (share) => {
+      const cid = await this.blobStore.add(share);
+      return ethers.getBytes(SharePointerCodec.encode(cid, ethers.keccak256(share)));
+    }));
+  }
+  
+  /**
+   * Read a share from its own contract (version 1 layout)
+   * @param {string} userAddress - Owner of the share
+   * @param {number} index - Index of the share
+   * @param {boolean} record - Send the read as a transaction the contract records
+   * @returns {Promise<string>} Encrypted share data
+   * @private
+   */
+  async _readShareContract(userAddress, index, record) {
+    // First get the share contract address
+    const shareContracts = await this.getShareContracts(userAddress);
+    const shareContractAddress = shareContracts[index];
+    
+    // Verify the share contract exists
+    if (!shareContractAddress || !ethers.isAddress(shareContractAddress)) {
+      throw new Error(`Invalid share contract address for index ${index}`);
+    }
+    
+    // Create contract instance for the specific share
+    const shareContract = new ethers.Contract(
+      shareContractAddress,
+      this.shareContractAbi,
+      this.signer
+    );
+    
+    // Verify active status before attempting retrieval
+    const isActive = await shareContract.isActive();
+    if (!isActive) {
+      throw new Error(`Share at index ${index} is inactive`);
+    }
+    
+    // Check authorization before wasting gas on a failing transaction
+    const currentAddress = await this.signer.getAddress();
+    if (currentAddress !== userAddress) {
+      const isAuthorized = await shareContract.isAuthorized(currentAddress);
+      if (!isAuthorized) {
+        throw new Error("Not authorized to access this share");
+      }
+    }
+    
+    // Version 1 contracts don't emit the share data, so it comes from a dry run right before
+    // the transaction that records the read
+    const shareData = await shareContract.getShare.staticCall();
+    if (!record) {
+      return shareData;
+    }
+    
+    const tx = await this._sendTransactionWithRetry(
+      () => shareContract.getShare(),
+      2, // max retries
+      "get share"
+    );
+    
+    await this._waitForTransactionWithTimeout(tx);
+    
+    return shareData;
+  }
+  
+  /**
+   * Read a share from its slot in the user's vault
+   * @param {string} userAddress - Owner of the share
+   * @param {number} index - Index of the share
+   * @param {boolean} record - Send the read as a transaction the vault records
+   * @returns {Promise<string>} Encrypted share data
+   * @private
+   */
+  async _readVaultShare(userAddress, index, record) {
+    const [vaultAddress] = await this.getShareContracts(userAddress);
+    if (!vaultAddress) {
+      throw new Error(`No share vault found for ${userAddress.substring(0, 8)}...`);
+    }
+    
+    const vault = new ethers.Contract(vaultAddress, this.vaultAbi, this.signer);
+    
+    const isActive = await vault.isActive();
+    if (!isActive) {
+      throw new Error("Share vault is inactive");
+    }
+    
+    // Check authorization before wasting gas on a failing transaction
+    const currentAddress = await this.signer.getAddress();
+    if (currentAddress !== userAddress) {
+      const isAuthorized = await vault.isAuthorized(index, currentAddress);
+      if (!isAuthorized) {
+        throw new Error("Not authorized to access this share");
+      }
+    }
+    
+    // Dry run first so a revert reason, such as the rate limit, surfaces before paying for the transaction
+    const shareData = await vault.getShare.staticCall(index);
+    if (!record) {
+      return shareData;
+    }
+    
+    const tx = await this._sendTransactionWithRetry(
+      () => vault.getShare(index),
+      2, // max retries
+      "get share"
+    );
+    
+    const receipt = await this._waitForTransactionWithTimeout(tx);
+    
+    // The vault emits the data it returned, so it matches the recorded read
+    const delivery = receipt.logs
+      .filter(log => log.address.toLowerCase() === vaultAddress.toLowerCase())
+      .map(log => vault.interface.parseLog(log))
+      .find(event => event && event.name === 'ShareDelivered');
+    if (!delivery) {
+      throw new Error(`Share ${index} wasn't delivered in transaction ${tx.hash}`);
+    }
+    
+    return delivery.args.encryptedShare;
+  }
+  
+  /**
+   * Check refreshed shares and commitments against the sender's current share configuration
+   * @param {Array<string>} encryptedSharesHex - New encrypted shares (hex strings with 0x prefix)
+   * @param {string} commitmentsHex - New coefficient commitments (hex string with 0x prefix)
+   * @returns {Promise<{config: Object, encryptedSharesBytes: Array<Uint8Array>}>} Current configuration and the data to store
+   * @private
+   */
+  async _prepareRefreshedShares(encryptedSharesHex, commitmentsHex) {
+    const userAddress = await this.signer.getAddress();
+    const config = await this.getShareConfig(userAddress);
+    
+    if (!config.isActive || config.totalShares === 0) {
+      throw new Error("No shares to refresh");
+    }
+    
+    if (!Array.isArray(encryptedSharesHex) || encryptedSharesHex.length !== config.totalShares) {
+      throw new Error(`Expected ${config.totalShares} refreshed shares`);
+    }
+    
+    if (typeof commitmentsHex !== 'string' || ethers.dataLength(commitmentsHex) !== config.threshold * COMMITMENT_SIZE) {
+      throw new Error(`Expected ${config.threshold} coefficient commitments`);
+    }
+    
+    const encryptedSharesBytes = await this._toStoredShares(encryptedSharesHex.map(share => {
+      if (!share.startsWith('0x')) {
+        throw new Error("Share data must be hex string with 0x prefix");
+      }
+      return ethers.getBytes(share);
+    }));
+    
+    return { config, encryptedSharesBytes };
+  }
+  
   /**
    * Validate that the contract is deployed
    * @private
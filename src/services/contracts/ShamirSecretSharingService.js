@@ -1,5 +1,5 @@
 import { ethers } from 'ethers';
-import { getContractAddress } from '../../constants/contractAddresses';
+import { getContractAddress } from '../../constants/networks';
 import ShamirSecretSharingABI from '../../abis/ShamirSecretSharing.json';
 
 /**
@@ -17,8 +17,8 @@ class ShamirSecretSharingService {
     }
     
     try {
-      // Ensure chainId is a number and provide a default
-      chainId = Number(chainId || 1);
+      // Ensure chainId is a number
+      chainId = Number(chainId);
       
       // Correctly set the contract address using getContractAddress
       this.contractAddress = getContractAddress('ShamirSecretSharing', chainId);
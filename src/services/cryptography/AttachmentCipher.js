@@ -0,0 +1,127 @@
+import { bytesToHex, hexToBytes, utf8ToBytes, concatBytes, randomBytes } from '@noble/hashes/utils';
+import EccService, { ENCRYPTION_DOMAIN } from './EccService';
+
+// Use the built-in Web Crypto API
+const crypto = window.crypto;
+
+// AES-GCM nonce length; every chunk gets a fresh random nonce
+const IV_LENGTH = 12;
+
+/**
+ * Per-file encryption for attachments.
+ *
+ * Every file gets a random AES-256-GCM key. Chunks are encrypted separately,
+ * each bound to the file id, its position and the total number of chunks, so
+ * chunks can't be swapped between files, reordered or dropped from the end
+ * without failing authentication. The file key itself is wrapped to the
+ * recipient with EccService.encrypt.
+ */
+class AttachmentCipher {
+  /**
+   * Generate a new file key
+   * @returns {string} 32-byte key in hex format
+   */
+  static generateFileKey() {
+    return bytesToHex(randomBytes(32));
+  }
+
+  /**
+   * Encrypt one chunk of a file
+   * @param {string} fileKeyHex - File key
+   * @param {Object} position - Where the chunk belongs
+   * @param {string} position.fileId - Attachment id
+   * @param {number} position.index - Chunk index
+   * @param {number} position.chunkCount - Total number of chunks
+   * @param {Uint8Array} bytes - Chunk plaintext
+   * @returns {Promise<Uint8Array>} iv || ciphertext || tag
+   */
+  static async encryptChunk(fileKeyHex, position, bytes) {
+    const key = await AttachmentCipher._importKey(fileKeyHex, ['encrypt']);
+    const iv = randomBytes(IV_LENGTH);
+
+    const ciphertext = await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv, additionalData: AttachmentCipher._associatedData(position), tagLength: 128 },
+      key,
+      bytes
+    );
+
+    return concatBytes(iv, new Uint8Array(ciphertext));
+  }
+
+  /**
+   * Decrypt and authenticate one chunk of a file
+   * @param {string} fileKeyHex - File key
+   * @param {Object} position - Same position that was passed to encryptChunk()
+   * @param {Uint8Array} sealed - Output of encryptChunk()
+   * @returns {Promise<Uint8Array>} Chunk plaintext
+   */
+  static async decryptChunk(fileKeyHex, position, sealed) {
+    const key = await AttachmentCipher._importKey(fileKeyHex, ['decrypt']);
+
+    try {
+      const plaintext = await crypto.subtle.decrypt(
+        {
+          name: 'AES-GCM',
+          iv: sealed.slice(0, IV_LENGTH),
+          additionalData: AttachmentCipher._associatedData(position),
+          tagLength: 128
+        },
+        key,
+        sealed.slice(IV_LENGTH)
+      );
+      return new Uint8Array(plaintext);
+    } catch {
+      throw new Error(`Attachment chunk ${position.index} failed integrity check`);
+    }
+  }
+
+  /**
+   * Wrap a file key to the recipient's public key
+   * @param {string} publicKeyHex - Recipient's public key
+   * @param {string} fileKeyHex - File key
+   * @returns {Promise<string>} Wrapped key as an envelope hex string
+   */
+  static async wrapKey(publicKeyHex, fileKeyHex) {
+    const encrypted = await EccService.encrypt(publicKeyHex, fileKeyHex, { domain: ENCRYPTION_DOMAIN.ATTACHMENT });
+    return EccService.formatForContract(encrypted);
+  }
+
+  /**
+   * Unwrap a file key with the recipient's private key
+   * @param {string} privateKeyHex - Recipient's private key
+   * @param {string} wrappedKey - Output of wrapKey()
+   * @returns {Promise<string>} File key in hex format
+   */
+  static async unwrapKey(privateKeyHex, wrappedKey) {
+    const fileKeyHex = await EccService.decrypt(
+      privateKeyHex,
+      EccService.parseFromContract(wrappedKey),
+      { domain: ENCRYPTION_DOMAIN.ATTACHMENT }
+    );
+
+    if (!/^[0-9a-f]{64}$/.test(fileKeyHex)) {
+      throw new Error("Invalid attachment key");
+    }
+    return fileKeyHex;
+  }
+
+  // ===== Private Helper Methods =====
+
+  /**
+   * Import a file key for AES-GCM
+   * @private
+   */
+  static _importKey(fileKeyHex, usages) {
+    return crypto.subtle.importKey('raw', hexToBytes(fileKeyHex), { name: 'AES-GCM' }, false, usages);
+  }
+
+  /**
+   * Context bound to every chunk
+   * @private
+   */
+  static _associatedData({ fileId, index, chunkCount }) {
+    return utf8ToBytes(`e2e-chat-app/attachment|${fileId}|${index}|${chunkCount}`);
+  }
+}
+
+export default AttachmentCipher;
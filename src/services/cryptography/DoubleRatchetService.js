@@ -0,0 +1,357 @@
+import { secp256k1 } from '@noble/curves/secp256k1';
+import { hkdf } from '@noble/hashes/hkdf';
+import { hmac } from '@noble/hashes/hmac';
+import { sha256 } from '@noble/hashes/sha256';
+import { bytesToHex, hexToBytes, utf8ToBytes, concatBytes } from '@noble/hashes/utils';
+import EccService from './EccService';
+
+// Use the built-in Web Crypto API
+const crypto = window.crypto;
+
+// Maximum number of message keys skipped within a single chain
+export const MAX_SKIP = 1000;
+
+// Maximum number of skipped message keys kept per session
+const MAX_STORED_SKIPPED_KEYS = 2000;
+
+// KDF labels
+const ROOT_KDF_INFO = utf8ToBytes('e2e-chat-app/ratchet/root');
+const MESSAGE_KDF_INFO = utf8ToBytes('e2e-chat-app/ratchet/message');
+const CHAIN_KEY_CONSTANT = new Uint8Array([0x02]);
+const MESSAGE_KEY_CONSTANT = new Uint8Array([0x01]);
+
+/**
+ * Signal-style Double Ratchet over secp256k1.
+ *
+ * Every function takes a session state and returns a new one; the input state
+ * is never modified, so a caller can discard the result of a failed decrypt.
+ * States only contain strings, numbers and plain objects and can be stored as
+ * JSON. See https://signal.org/docs/specifications/doubleratchet/
+ */
+class DoubleRatchetService {
+  /**
+   * Initialize the session of the party that sends first
+   * @param {string} sharedSecretHex - 32-byte secret agreed during session setup
+   * @param {string} remoteRatchetPublicKeyHex - Responder's initial ratchet public key
+   * @param {string} associatedDataHex - Data bound to every message (identity keys)
+   * @returns {Object} Session state
+   */
+  static initInitiator(sharedSecretHex, remoteRatchetPublicKeyHex, associatedDataHex) {
+    const ratchetKeyPair = DoubleRatchetService._generateRatchetKeyPair();
+    const dhOutput = DoubleRatchetService._dh(ratchetKeyPair.privateKey, remoteRatchetPublicKeyHex);
+    const [rootKey, sendingChainKey] = DoubleRatchetService._kdfRoot(hexToBytes(sharedSecretHex), dhOutput);
+
+    return {
+      role: 'initiator',
+      associatedData: associatedDataHex,
+      dhSelf: ratchetKeyPair,
+      dhRemote: DoubleRatchetService._compress(remoteRatchetPublicKeyHex),
+      rootKey: bytesToHex(rootKey),
+      sendingChainKey: bytesToHex(sendingChainKey),
+      receivingChainKey: null,
+      sendCount: 0,
+      receiveCount: 0,
+      previousSendCount: 0,
+      skippedKeys: {},
+      // Stays false until the responder has answered at least once
+      confirmed: false
+    };
+  }
+
+  /**
+   * Initialize the session of the party that receives first
+   * @param {string} sharedSecretHex - 32-byte secret agreed during session setup
+   * @param {Object} ratchetKeyPair - Own initial ratchet key pair (privateKey, publicKey hex)
+   * @param {string} associatedDataHex - Data bound to every message (identity keys)
+   * @returns {Object} Session state
+   */
+  static initResponder(sharedSecretHex, ratchetKeyPair, associatedDataHex) {
+    return {
+      role: 'responder',
+      associatedData: associatedDataHex,
+      dhSelf: {
+        privateKey: ratchetKeyPair.privateKey,
+        publicKey: DoubleRatchetService._compress(ratchetKeyPair.publicKey)
+      },
+      dhRemote: null,
+      rootKey: sharedSecretHex,
+      sendingChainKey: null,
+      receivingChainKey: null,
+      sendCount: 0,
+      receiveCount: 0,
+      previousSendCount: 0,
+      skippedKeys: {},
+      confirmed: true
+    };
+  }
+
+  /**
+   * Encrypt a message and advance the sending chain
+   * @param {Object} state - Session state
+   * @param {string} plaintext - Message to encrypt
+   * @returns {Promise<{state: Object, header: Object, ciphertext: string}>} New state and message
+   */
+  static async encrypt(state, plaintext) {
+    if (!state.sendingChainKey) {
+      throw new Error("Session cannot send before it has received a message");
+    }
+
+    const next = DoubleRatchetService._cloneState(state);
+    const [chainKey, messageKey] = DoubleRatchetService._kdfChain(hexToBytes(next.sendingChainKey));
+
+    const header = {
+      dh: next.dhSelf.publicKey,
+      pn: next.previousSendCount,
+      n: next.sendCount
+    };
+
+    next.sendingChainKey = bytesToHex(chainKey);
+    next.sendCount += 1;
+
+    const ciphertext = await DoubleRatchetService._seal(
+      messageKey,
+      utf8ToBytes(plaintext),
+      DoubleRatchetService._messageAssociatedData(next.associatedData, header)
+    );
+
+    return { state: next, header, ciphertext: bytesToHex(ciphertext) };
+  }
+
+  /**
+   * Decrypt a message, performing a DH ratchet step when the sender's ratchet
+   * key changed and storing keys of skipped messages for later
+   * @param {Object} state - Session state
+   * @param {Object} header - Message header ({ dh, pn, n })
+   * @param {string} ciphertextHex - Ciphertext including the AES-GCM tag
+   * @returns {Promise<{state: Object, plaintext: string}>} New state and plaintext
+   */
+  static async decrypt(state, header, ciphertextHex) {
+    DoubleRatchetService._validateHeader(header);
+
+    const next = DoubleRatchetService._cloneState(state);
+    const associatedData = DoubleRatchetService._messageAssociatedData(next.associatedData, header);
+    const ciphertext = hexToBytes(ciphertextHex);
+
+    // 1. A delayed message whose key was stored when it was skipped
+    const skippedId = DoubleRatchetService._skippedKeyId(header.dh, header.n);
+    if (next.skippedKeys[skippedId]) {
+      const messageKey = hexToBytes(next.skippedKeys[skippedId]);
+      const plaintext = await DoubleRatchetService._open(messageKey, ciphertext, associatedData);
+      delete next.skippedKeys[skippedId];
+      return { state: next, plaintext };
+    }
+
+    // 2. The sender ratcheted - finish the old chain, then step both DH ratchets
+    if (header.dh !== next.dhRemote) {
+      DoubleRatchetService._skipMessageKeys(next, header.pn);
+      DoubleRatchetService._dhRatchet(next, header.dh);
+    }
+
+    // 3. Skip ahead within the current receiving chain
+    DoubleRatchetService._skipMessageKeys(next, header.n);
+
+    const [chainKey, messageKey] = DoubleRatchetService._kdfChain(hexToBytes(next.receivingChainKey));
+    const plaintext = await DoubleRatchetService._open(messageKey, ciphertext, associatedData);
+
+    next.receivingChainKey = bytesToHex(chainKey);
+    next.receiveCount += 1;
+    next.confirmed = true;
+
+    return { state: next, plaintext };
+  }
+
+  // ===== Private Helper Methods =====
+
+  /**
+   * Perform a DH ratchet step for a new remote ratchet key
+   * @private
+   */
+  static _dhRatchet(state, remoteRatchetPublicKeyHex) {
+    state.previousSendCount = state.sendCount;
+    state.sendCount = 0;
+    state.receiveCount = 0;
+    state.dhRemote = remoteRatchetPublicKeyHex;
+
+    // New receiving chain from our current key and their new key
+    let [rootKey, chainKey] = DoubleRatchetService._kdfRoot(
+      hexToBytes(state.rootKey),
+      DoubleRatchetService._dh(state.dhSelf.privateKey, remoteRatchetPublicKeyHex)
+    );
+    state.receivingChainKey = bytesToHex(chainKey);
+
+    // New sending chain from a fresh key of ours
+    state.dhSelf = DoubleRatchetService._generateRatchetKeyPair();
+    [rootKey, chainKey] = DoubleRatchetService._kdfRoot(
+      rootKey,
+      DoubleRatchetService._dh(state.dhSelf.privateKey, remoteRatchetPublicKeyHex)
+    );
+    state.rootKey = bytesToHex(rootKey);
+    state.sendingChainKey = bytesToHex(chainKey);
+  }
+
+  /**
+   * Store message keys of the current receiving chain up to (not including) `until`
+   * @private
+   */
+  static _skipMessageKeys(state, until) {
+    if (!state.receivingChainKey) {
+      return;
+    }
+
+    if (until - state.receiveCount > MAX_SKIP) {
+      throw new Error("Too many skipped messages");
+    }
+
+    let chainKey = hexToBytes(state.receivingChainKey);
+    while (state.receiveCount < until) {
+      const [nextChainKey, messageKey] = DoubleRatchetService._kdfChain(chainKey);
+      state.skippedKeys[DoubleRatchetService._skippedKeyId(state.dhRemote, state.receiveCount)] =
+        bytesToHex(messageKey);
+      chainKey = nextChainKey;
+      state.receiveCount += 1;
+    }
+    state.receivingChainKey = bytesToHex(chainKey);
+
+    // Drop the oldest keys once the cap is reached (insertion order is preserved)
+    const ids = Object.keys(state.skippedKeys);
+    for (let i = 0; i < ids.length - MAX_STORED_SKIPPED_KEYS; i++) {
+      delete state.skippedKeys[ids[i]];
+    }
+  }
+
+  /**
+   * Root KDF: HKDF keyed by the root key over a DH output
+   * @returns {Array<Uint8Array>} [rootKey, chainKey]
+   * @private
+   */
+  static _kdfRoot(rootKey, dhOutput) {
+    const output = hkdf(sha256, dhOutput, rootKey, ROOT_KDF_INFO, 64);
+    return [output.slice(0, 32), output.slice(32)];
+  }
+
+  /**
+   * Chain KDF: HMAC of the chain key with distinct constants
+   * @returns {Array<Uint8Array>} [chainKey, messageKey]
+   * @private
+   */
+  static _kdfChain(chainKey) {
+    return [
+      hmac(sha256, chainKey, CHAIN_KEY_CONSTANT),
+      hmac(sha256, chainKey, MESSAGE_KEY_CONSTANT)
+    ];
+  }
+
+  /**
+   * Encrypt with AES-256-GCM under a key and nonce derived from the message key
+   * @private
+   */
+  static async _seal(messageKey, plaintext, associatedData) {
+    const { key, iv } = await DoubleRatchetService._messageCipherKey(messageKey, ['encrypt']);
+    const ciphertext = await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv, additionalData: associatedData, tagLength: 128 },
+      key,
+      plaintext
+    );
+    return new Uint8Array(ciphertext);
+  }
+
+  /**
+   * Decrypt and authenticate a message
+   * @private
+   */
+  static async _open(messageKey, ciphertext, associatedData) {
+    const { key, iv } = await DoubleRatchetService._messageCipherKey(messageKey, ['decrypt']);
+
+    try {
+      const plaintext = await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv, additionalData: associatedData, tagLength: 128 },
+        key,
+        ciphertext
+      );
+      return new TextDecoder().decode(plaintext);
+    } catch {
+      throw new Error('Decryption failed: Invalid ciphertext or MAC');
+    }
+  }
+
+  /**
+   * Expand a message key into an AES key and nonce
+   * Each message key is used exactly once, so a derived nonce is safe.
+   * @private
+   */
+  static async _messageCipherKey(messageKey, usages) {
+    const material = hkdf(sha256, messageKey, new Uint8Array(32), MESSAGE_KDF_INFO, 44);
+    const key = await crypto.subtle.importKey('raw', material.slice(0, 32), { name: 'AES-GCM' }, false, usages);
+    return { key, iv: material.slice(32) };
+  }
+
+  /**
+   * Bind the session associated data and the header to the ciphertext
+   * @private
+   */
+  static _messageAssociatedData(associatedDataHex, header) {
+    return concatBytes(
+      hexToBytes(associatedDataHex),
+      utf8ToBytes(`${header.dh}|${header.pn}|${header.n}`)
+    );
+  }
+
+  /**
+   * ECDH returning the x coordinate of the shared point
+   * @private
+   */
+  static _dh(privateKeyHex, publicKeyHex) {
+    const publicKey = hexToBytes(EccService.normalizePublicKey(publicKeyHex));
+    return secp256k1.getSharedSecret(hexToBytes(privateKeyHex), publicKey, true).slice(1);
+  }
+
+  /**
+   * Generate a ratchet key pair (compressed public key keeps headers small)
+   * @private
+   */
+  static _generateRatchetKeyPair() {
+    const privateKey = secp256k1.utils.randomPrivateKey();
+    return {
+      privateKey: bytesToHex(privateKey),
+      publicKey: bytesToHex(secp256k1.getPublicKey(privateKey, true))
+    };
+  }
+
+  /**
+   * Convert any public key encoding to compressed hex
+   * @private
+   */
+  static _compress(publicKeyHex) {
+    return secp256k1.ProjectivePoint.fromHex(EccService.normalizePublicKey(publicKeyHex)).toHex(true);
+  }
+
+  /**
+   * Validate an untrusted header before using it
+   * @private
+   */
+  static _validateHeader(header) {
+    if (!header || typeof header.dh !== 'string' ||
+        !Number.isInteger(header.n) || header.n < 0 ||
+        !Number.isInteger(header.pn) || header.pn < 0) {
+      throw new Error("Invalid ratchet message header");
+    }
+  }
+
+  /**
+   * Key under which a skipped message key is stored
+   * @private
+   */
+  static _skippedKeyId(ratchetPublicKeyHex, messageNumber) {
+    return `${ratchetPublicKeyHex}:${messageNumber}`;
+  }
+
+  /**
+   * Deep copy a session state
+   * @private
+   */
+  static _cloneState(state) {
+    return JSON.parse(JSON.stringify(state));
+  }
+}
+
+export default DoubleRatchetService;
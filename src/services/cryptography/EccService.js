@@ -1,11 +1,23 @@
 import { secp256k1 } from '@noble/curves/secp256k1';
 import { bytesToHex, hexToBytes, utf8ToBytes, concatBytes } from '@noble/hashes/utils';
 import { sha256 } from '@noble/hashes/sha256';
+import { hkdf } from '@noble/hashes/hkdf';
 import { randomBytes } from '@noble/hashes/utils';
+import EnvelopeCodec, { ENVELOPE_VERSION, KDF, CIPHER, FLAGS } from './EnvelopeCodec';
 
 // Use the built-in Web Crypto API
 const crypto = window.crypto;
 
+// What a key is derived for; a key derived for one domain is useless in another
+export const ENCRYPTION_DOMAIN = {
+  SHARE_BACKUP: 'share-backup',
+  CHAT: 'chat',
+  ATTACHMENT: 'attachment'
+};
+
+// Prefix of the HKDF info, followed by the domain label and the public keys
+const HKDF_INFO_PREFIX = 'e2e-chat-app/ecdh/v1/';
+
 /**
  * Service for ECC cryptography operations using secure libraries
  */
@@ -52,29 +64,57 @@ class EccService {
     }
   }
   
+  /**
+   * Normalize a public key to a format accepted by secp256k1
+   * ECCOperationsService.getPublicKeyHex strips the 04 prefix of uncompressed keys,
+   * so a bare 64-byte x||y key gets the prefix restored here.
+   * @param {string} publicKeyHex - Public key in hex format, with or without 0x/04 prefix
+   * @returns {string} Public key in hex format without 0x prefix
+   */
+  static normalizePublicKey(publicKeyHex) {
+    const hex = publicKeyHex.startsWith('0x') ? publicKeyHex.substring(2) : publicKeyHex;
+    return hex.length === 128 ? '04' + hex : hex;
+  }
+  
   /**
    * Encrypt a message with a public key
    * @param {string} publicKeyHex - Public key in hex format
    * @param {string} message - Plain text message to encrypt
-   * @returns {Object} Encrypted data object with iv, ephemPublicKey, ciphertext, and mac
+   * @param {Object} options - Encryption options
+   * @param {string} options.domain - ENCRYPTION_DOMAIN value; derives the key with HKDF bound to this domain.
+   *   Without a domain the key is the plain SHA-256 of the shared secret.
+   * @returns {Object} Encrypted data object with version, kdf, cipher, flags, iv, ephemPublicKey, ciphertext, and mac
    */
-  static async encrypt(publicKeyHex, message) {
+  static async encrypt(publicKeyHex, message, { domain } = {}) {
     try {
       // Convert inputs to proper format
-      const publicKey = hexToBytes(publicKeyHex);
+      const publicKey = hexToBytes(EccService.normalizePublicKey(publicKeyHex));
       const messageBytes = utf8ToBytes(message);
       
       // Generate ephemeral key pair for this encryption
       const ephemeralPrivateKey = secp256k1.utils.randomPrivateKey();
-      const ephemeralPublicKey = secp256k1.getPublicKey(ephemeralPrivateKey, false);
+      const ephemeralPublicKey = secp256k1.getPublicKey(ephemeralPrivateKey, true);
       
       // Compute shared secret using ECDH
       const sharedPoint = secp256k1.getSharedSecret(ephemeralPrivateKey, publicKey);
-      // Take the x coordinate of the shared point (first 32 bytes) and hash it
-      const sharedSecret = sha256(sharedPoint.slice(1, 33));
+      const kdf = domain ? KDF.HKDF_SHA256 : KDF.SHA256;
+      const sharedSecret = EccService._deriveMessageKey(kdf, sharedPoint, {
+        domain,
+        ephemPublicKey: ephemeralPublicKey,
+        recipientPublicKey: publicKey
+      });
       
       // Generate a random IV
-      const iv = crypto.getRandomValues(new Uint8Array(16));
+      const iv = crypto.getRandomValues(new Uint8Array(12));
+      
+      // The envelope header is authenticated together with the ciphertext
+      const envelope = {
+        version: ENVELOPE_VERSION,
+        kdf,
+        cipher: CIPHER.AES_256_GCM,
+        flags: FLAGS.AUTHENTICATED_HEADER
+      };
+      const header = EnvelopeCodec.encodeHeader({ ...envelope, ivLength: iv.length, ephemPublicKey: ephemeralPublicKey });
       
       // Use the Web Crypto API for AES encryption
       const key = await crypto.subtle.importKey(
@@ -89,6 +129,7 @@ class EccService {
         {
           name: 'AES-GCM',
           iv,
+          additionalData: header,
           tagLength: 128 // 16 bytes
         },
         key,
@@ -101,8 +142,8 @@ class EccService {
       const ciphertext = encryptedArray.slice(0, ciphertextLength);
       const mac = encryptedArray.slice(ciphertextLength);
       
-      // Format the result to match the previous API structure
       return {
+        ...envelope,
         iv: bytesToHex(iv),
         ephemPublicKey: bytesToHex(ephemeralPublicKey),
         ciphertext: bytesToHex(ciphertext),
@@ -117,11 +158,21 @@ class EccService {
   /**
    * Decrypt a message with a private key
    * @param {string} privateKeyHex - Private key in hex format
-   * @param {Object} encryptedData - Encrypted data object
+   * @param {Object} encryptedData - Encrypted data object (versioned or original layout)
+   * @param {Object} options - Decryption options
+   * @param {string} options.domain - ENCRYPTION_DOMAIN the sender used; required for HKDF envelopes
    * @returns {string} Decrypted message
    */
-  static async decrypt(privateKeyHex, encryptedData) {
+  static async decrypt(privateKeyHex, encryptedData, { domain } = {}) {
     try {
+      const kdf = encryptedData.kdf ?? KDF.SHA256;
+      const cipher = encryptedData.cipher ?? CIPHER.AES_256_GCM;
+      const flags = encryptedData.flags ?? 0;
+      
+      if (cipher !== CIPHER.AES_256_GCM) {
+        throw new Error(`Unsupported envelope cipher: ${cipher}`);
+      }
+      
       // Convert inputs to proper format
       const privateKey = hexToBytes(privateKeyHex);
       const iv = hexToBytes(encryptedData.iv);
@@ -131,8 +182,11 @@ class EccService {
       
       // Compute shared secret using ECDH
       const sharedPoint = secp256k1.getSharedSecret(privateKey, ephemPublicKey);
-      // Take the x coordinate of the shared point (first 32 bytes) and hash it
-      const sharedSecret = sha256(sharedPoint.slice(1, 33));
+      const sharedSecret = EccService._deriveMessageKey(kdf, sharedPoint, {
+        domain,
+        ephemPublicKey,
+        recipientPublicKey: secp256k1.getPublicKey(privateKey, true)
+      });
       
       // Import the shared secret as an AES key
       const key = await crypto.subtle.importKey(
@@ -144,7 +198,12 @@ class EccService {
       );
       
       // Combine ciphertext and MAC for decryption
-      const encryptedData = concatBytes(ciphertext, mac);
+      const sealed = concatBytes(ciphertext, mac);
+      
+      // Versioned envelopes may bind their header to the ciphertext
+      const additionalData = flags & FLAGS.AUTHENTICATED_HEADER
+        ? { additionalData: EnvelopeCodec.encodeHeader({ ...encryptedData, ivLength: iv.length, ephemPublicKey }) }
+        : {};
       
       try {
         // Decrypt
@@ -152,10 +211,11 @@ class EccService {
           {
             name: 'AES-GCM',
             iv,
+            ...additionalData,
             tagLength: 128 // 16 bytes
           },
           key,
-          encryptedData
+          sealed
         );
         
         const decrypted = new Uint8Array(decryptedBuffer);
@@ -172,46 +232,20 @@ class EccService {
   /**
    * Format encrypted data as a single hex string for contract storage
    * @param {Object} encryptedData - Encrypted data object
-   * @returns {string} Concatenated hex string with 0x prefix
+   * @returns {string} Versioned envelope (see EnvelopeCodec) as hex with 0x prefix
    */
   static formatForContract(encryptedData) {
-    // Concatenate all parts of the encrypted data
-    const combinedHex = 
-      encryptedData.iv +
-      encryptedData.ephemPublicKey +
-      encryptedData.ciphertext +
-      encryptedData.mac;
-    
-    return '0x' + combinedHex;
+    return EnvelopeCodec.encode(encryptedData);
   }
   
   /**
-   * Parse a concatenated hex string from contract into encrypted data components
-   * @param {string} hexString - Concatenated hex string
+   * Parse a hex string from contract into encrypted data components
+   * Accepts versioned envelopes and the original fixed-offset layout.
+   * @param {string} hexString - Hex string from formatForContract
    * @returns {Object} Encrypted data object
    */
   static parseFromContract(hexString) {
-    // Remove '0x' prefix if present
-    const hex = hexString.startsWith('0x') ? hexString.substring(2) : hexString;
-    
-    // Define sizes in bytes (converted to hex characters, so *2)
-    const IV_SIZE = 16 * 2; // 16 bytes = 32 hex chars
-    const EPHEM_KEY_SIZE = 65 * 2; // 65 bytes = 130 hex chars for uncompressed key
-    const MAC_SIZE = 16 * 2; // 16 bytes = 32 hex chars
-    
-    // Extract components
-    const iv = hex.substring(0, IV_SIZE);
-    const ephemPublicKey = hex.substring(IV_SIZE, IV_SIZE + EPHEM_KEY_SIZE);
-    const macStart = hex.length - MAC_SIZE;
-    const ciphertext = hex.substring(IV_SIZE + EPHEM_KEY_SIZE, macStart);
-    const mac = hex.substring(macStart);
-    
-    return {
-      iv,
-      ephemPublicKey,
-      ciphertext,
-      mac
-    };
+    return EnvelopeCodec.decode(hexString);
   }
   
   /**
@@ -243,7 +277,7 @@ class EccService {
    */
   static verify(publicKeyHex, message, signatureHex) {
     try {
-      const publicKey = hexToBytes(publicKeyHex);
+      const publicKey = hexToBytes(EccService.normalizePublicKey(publicKeyHex));
       const messageHash = sha256(utf8ToBytes(message));
       
       // Parse the signature
@@ -261,24 +295,75 @@ class EccService {
    * Derive a shared secret from a private key and a public key
    * @param {string} privateKeyHex - Private key in hex format
    * @param {string} publicKeyHex - Public key in hex format
+   * @param {Object} options - Derivation options
+   * @param {string} options.domain - ENCRYPTION_DOMAIN value; derives with HKDF bound to this domain and
+   *   both public keys. Without a domain the result is the plain SHA-256 of the shared x coordinate,
+   *   which callers that already run their own KDF (and existing local storage keys) rely on.
    * @returns {string} Shared secret in hex format
    */
-  static deriveSharedSecret(privateKeyHex, publicKeyHex) {
+  static deriveSharedSecret(privateKeyHex, publicKeyHex, { domain } = {}) {
     try {
       const privateKey = hexToBytes(privateKeyHex);
-      const publicKey = hexToBytes(publicKeyHex);
+      const publicKey = hexToBytes(EccService.normalizePublicKey(publicKeyHex));
       
       // Compute shared secret using ECDH
       const sharedPoint = secp256k1.getSharedSecret(privateKey, publicKey);
-      // Take the x coordinate and hash it
-      const sharedSecret = sha256(sharedPoint.slice(1, 33));
       
-      return bytesToHex(sharedSecret);
+      if (!domain) {
+        // Take the x coordinate and hash it
+        return bytesToHex(sha256(sharedPoint.slice(1, 33)));
+      }
+      
+      // Order the keys so both parties derive the same secret
+      const ownPublicKey = secp256k1.getPublicKey(privateKey, true);
+      const remotePublicKey = secp256k1.ProjectivePoint.fromHex(publicKey).toRawBytes(true);
+      const [first, second] = bytesToHex(ownPublicKey) < bytesToHex(remotePublicKey)
+        ? [ownPublicKey, remotePublicKey]
+        : [remotePublicKey, ownPublicKey];
+      
+      return bytesToHex(EccService._hkdf(sharedPoint, domain, first, second));
     } catch (error) {
       console.error("Error deriving shared secret:", error);
       throw error;
     }
   }
+  
+  // ===== Private Helper Methods =====
+  
+  /**
+   * Derive the AES key of an envelope from the ECDH shared point
+   * @private
+   */
+  static _deriveMessageKey(kdf, sharedPoint, { domain, ephemPublicKey, recipientPublicKey }) {
+    if (kdf === KDF.SHA256) {
+      // Take the x coordinate of the shared point (first 32 bytes) and hash it
+      return sha256(sharedPoint.slice(1, 33));
+    }
+    
+    if (kdf === KDF.HKDF_SHA256) {
+      if (!domain) {
+        throw new Error("Envelope was encrypted for a domain; pass the domain to decrypt it");
+      }
+      // Recipient key in compressed form, so the encoding it was registered in doesn't matter
+      const recipient = secp256k1.ProjectivePoint.fromHex(recipientPublicKey).toRawBytes(true);
+      return EccService._hkdf(sharedPoint, domain, ephemPublicKey, recipient);
+    }
+    
+    throw new Error(`Unsupported envelope KDF: ${kdf}`);
+  }
+  
+  /**
+   * HKDF-SHA256 of the shared x coordinate, bound to a domain label and two public keys
+   * @private
+   */
+  static _hkdf(sharedPoint, domain, firstPublicKey, secondPublicKey) {
+    if (!Object.values(ENCRYPTION_DOMAIN).includes(domain)) {
+      throw new Error(`Unknown encryption domain: ${domain}`);
+    }
+    
+    const info = concatBytes(utf8ToBytes(HKDF_INFO_PREFIX + domain + '/'), firstPublicKey, secondPublicKey);
+    return hkdf(sha256, sharedPoint.slice(1, 33), undefined, info, 32);
+  }
 }
 
 export default EccService;
\ No newline at end of file
@@ -0,0 +1,197 @@
+import { bytesToHex, hexToBytes, concatBytes } from '@noble/hashes/utils';
+
+// "E2E" marks a self-describing envelope
+const MAGIC = new Uint8Array([0x45, 0x32, 0x45]);
+
+// Current envelope version; 0 stands for the original fixed-offset layout
+export const ENVELOPE_VERSION = 1;
+export const LEGACY_ENVELOPE_VERSION = 0;
+
+// How the AES key is derived from the ECDH shared point
+export const KDF = {
+  SHA256: 0x01, // SHA-256 of the shared x coordinate
+  HKDF_SHA256: 0x02 // HKDF-SHA256 bound to both public keys and a domain label
+};
+
+// Symmetric cipher used for the payload
+export const CIPHER = {
+  AES_256_GCM: 0x01
+};
+
+// Encoding of the ephemeral public key
+export const KEY_ENCODING = {
+  UNCOMPRESSED: 0x01, // 65 bytes, 04 || x || y
+  COMPRESSED: 0x02 // 33 bytes, 02/03 || x
+};
+
+// Header flags
+export const FLAGS = {
+  AUTHENTICATED_HEADER: 0x01 // Header is bound to the ciphertext as AES-GCM associated data
+};
+
+const KNOWN_FLAGS = Object.values(FLAGS).reduce((all, flag) => all | flag, 0);
+
+const KEY_LENGTHS = {
+  [KEY_ENCODING.UNCOMPRESSED]: 65,
+  [KEY_ENCODING.COMPRESSED]: 33
+};
+
+// Tag length of each cipher in bytes
+const MAC_LENGTHS = {
+  [CIPHER.AES_256_GCM]: 16
+};
+
+// magic (3) | version | kdf | cipher | key encoding | flags | iv length
+const HEADER_LENGTH = MAGIC.length + 6;
+
+// Layout written by formatForContract before envelopes were versioned
+const LEGACY_IV_LENGTH = 16;
+const LEGACY_KEY_LENGTH = 65;
+const LEGACY_MAC_LENGTH = 16;
+
+/**
+ * Binary encoding of ECIES ciphertexts for on-chain shares and relay messages.
+ *
+ * Layout (version 1):
+ *   "E2E" | version | kdf | cipher | keyEncoding | flags | ivLength |
+ *   iv | ephemeralPublicKey | ciphertext | mac
+ *
+ * The header names every algorithm, so the KDF, cipher or key encoding can be
+ * changed later without making stored data unreadable. Data without the header
+ * is decoded with the original layout (16-byte IV, 65-byte key, 16-byte MAC).
+ */
+class EnvelopeCodec {
+  /**
+   * Encode encrypted data as a hex string
+   * Objects without a version (from older callers) are written in the original layout.
+   * @param {Object} encryptedData - Encrypted data object from EccService.encrypt
+   * @returns {string} Hex string with 0x prefix
+   */
+  static encode(encryptedData) {
+    const iv = hexToBytes(encryptedData.iv);
+    const ephemPublicKey = hexToBytes(encryptedData.ephemPublicKey);
+    const ciphertext = hexToBytes(encryptedData.ciphertext);
+    const mac = hexToBytes(encryptedData.mac);
+
+    if (!encryptedData.version) {
+      return '0x' + bytesToHex(concatBytes(iv, ephemPublicKey, ciphertext, mac));
+    }
+
+    const header = EnvelopeCodec.encodeHeader({ ...encryptedData, ivLength: iv.length, ephemPublicKey });
+    return '0x' + bytesToHex(concatBytes(header, iv, ephemPublicKey, ciphertext, mac));
+  }
+
+  /**
+   * Decode a hex string into encrypted data
+   * @param {string} hexString - Hex string, with or without 0x prefix
+   * @returns {Object} Encrypted data object (version 0 for the original layout)
+   */
+  static decode(hexString) {
+    const bytes = hexToBytes(hexString.startsWith('0x') ? hexString.substring(2) : hexString);
+
+    return EnvelopeCodec._isVersioned(bytes)
+      ? EnvelopeCodec._decodeVersioned(bytes)
+      : EnvelopeCodec._decodeLegacy(bytes);
+  }
+
+  /**
+   * Serialize the header of an envelope
+   * Also used as associated data when the header is authenticated.
+   * @param {Object} fields - version, kdf, cipher, flags, ivLength and ephemPublicKey (bytes or hex)
+   * @returns {Uint8Array} Header bytes
+   */
+  static encodeHeader({ version, kdf, cipher, flags, ivLength, ephemPublicKey }) {
+    const keyLength = typeof ephemPublicKey === 'string' ? ephemPublicKey.length / 2 : ephemPublicKey.length;
+
+    return concatBytes(MAGIC, new Uint8Array([
+      version,
+      kdf,
+      cipher,
+      EnvelopeCodec._keyEncodingForLength(keyLength),
+      flags,
+      ivLength
+    ]));
+  }
+
+  // ===== Private Helper Methods =====
+
+  /**
+   * Whether the bytes start with a header this codec understands
+   * Original-layout data starts with a random IV, so a lookalike header also
+   * has to name known algorithms and match the total length.
+   * @private
+   */
+  static _isVersioned(bytes) {
+    if (bytes.length < HEADER_LENGTH || !MAGIC.every((byte, i) => bytes[i] === byte)) {
+      return false;
+    }
+
+    const [version, kdf, cipher, keyEncoding, flags, ivLength] = bytes.slice(MAGIC.length, HEADER_LENGTH);
+    return version === ENVELOPE_VERSION &&
+      Object.values(KDF).includes(kdf) &&
+      Object.values(CIPHER).includes(cipher) &&
+      KEY_LENGTHS[keyEncoding] !== undefined &&
+      (flags & ~KNOWN_FLAGS) === 0 &&
+      bytes.length >= HEADER_LENGTH + ivLength + KEY_LENGTHS[keyEncoding] + MAC_LENGTHS[cipher];
+  }
+
+  /**
+   * Decode a version 1 envelope
+   * @private
+   */
+  static _decodeVersioned(bytes) {
+    const [version, kdf, cipher, keyEncoding, flags, ivLength] = bytes.slice(MAGIC.length, HEADER_LENGTH);
+    const keyStart = HEADER_LENGTH + ivLength;
+    const ciphertextStart = keyStart + KEY_LENGTHS[keyEncoding];
+    const macStart = bytes.length - MAC_LENGTHS[cipher];
+
+    return {
+      version,
+      kdf,
+      cipher,
+      flags,
+      iv: bytesToHex(bytes.slice(HEADER_LENGTH, keyStart)),
+      ephemPublicKey: bytesToHex(bytes.slice(keyStart, ciphertextStart)),
+      ciphertext: bytesToHex(bytes.slice(ciphertextStart, macStart)),
+      mac: bytesToHex(bytes.slice(macStart))
+    };
+  }
+
+  /**
+   * Decode the original fixed-offset layout
+   * @private
+   */
+  static _decodeLegacy(bytes) {
+    if (bytes.length < LEGACY_IV_LENGTH + LEGACY_KEY_LENGTH + LEGACY_MAC_LENGTH) {
+      throw new Error("Encrypted data is too short");
+    }
+
+    const ciphertextStart = LEGACY_IV_LENGTH + LEGACY_KEY_LENGTH;
+    const macStart = bytes.length - LEGACY_MAC_LENGTH;
+
+    return {
+      version: LEGACY_ENVELOPE_VERSION,
+      kdf: KDF.SHA256,
+      cipher: CIPHER.AES_256_GCM,
+      flags: 0,
+      iv: bytesToHex(bytes.slice(0, LEGACY_IV_LENGTH)),
+      ephemPublicKey: bytesToHex(bytes.slice(LEGACY_IV_LENGTH, ciphertextStart)),
+      ciphertext: bytesToHex(bytes.slice(ciphertextStart, macStart)),
+      mac: bytesToHex(bytes.slice(macStart))
+    };
+  }
+
+  /**
+   * Key encoding id for an ephemeral key length
+   * @private
+   */
+  static _keyEncodingForLength(length) {
+    const entry = Object.entries(KEY_LENGTHS).find(([, keyLength]) => keyLength === length);
+    if (!entry) {
+      throw new Error(`Unsupported ephemeral key length: ${length}`);
+    }
+    return Number(entry[0]);
+  }
+}
+
+export default EnvelopeCodec;
@@ -0,0 +1,314 @@
+import { ethers } from 'ethers';
+import ProductionShamirService from './ProductionShamirService';
+import WalletKeyService from './WalletKeyService';
+import EccService from './EccService';
+import SecureShareRegistryService from '../contracts/SecureShareRegistryService';
+import ECCOperationsService from '../contracts/ECCOperationsService';
+
+// Shown in the wallet's signing prompt when deriving the recovery key
+const RECOVERY_KEY_PURPOSE = 'Derive my key for receiving backup shares from my guardians. Only sign this in the E2E Chat App.';
+
+/**
+ * Social recovery of the chat key through guardians.
+ *
+ * The owner assigns share indices to guardians (recovery addresses or the
+ * emergency contact); each assigned share is encrypted to the guardian's
+ * registered ECC key instead of the owner's. After losing the chat key, the
+ * owner publishes a recovery key derived from their wallet, guardians
+ * re-encrypt their shares to it, and the owner rebuilds the key from the
+ * released shares.
+ */
+class GuardianRecoveryService {
+  /**
+   * Create a new GuardianRecoveryService instance
+   * @param {ethers.Signer} signer - Ethers.js signer
+   * @param {number} chainId - Chain ID for selecting contract addresses
+   * @param {Object} options - Registry service options, such as shareStorage for reassigned shares
+   */
+  constructor(signer, chainId, options = {}) {
+    if (!signer) {
+      throw new Error("Signer is required");
+    }
+
+    this.signer = signer;
+    this.chainId = chainId;
+    this.shamirService = new ProductionShamirService(signer, chainId);
+    this.registryService = new SecureShareRegistryService(signer, chainId, options);
+    this.eccService = new ECCOperationsService(signer, chainId);
+  }
+
+  /**
+   * Hand share indices to guardians. The key is split again under the current
+   * policy, so copies held by previous holders stop working.
+   * @param {Object} keyPair - Owner's key pair (privateKey, publicKey hex)
+   * @param {Array<string|null>} guardians - Holder of each share index; null keeps the share with the owner
+   * @returns {Promise<{txHash: string}>} Transaction hash
+   */
+  async assignShares(keyPair, guardians) {
+    try {
+      const owner = await this.signer.getAddress();
+      const config = await this.registryService.getShareConfig(owner);
+
+      if (guardians.length !== config.totalShares) {
+        throw new Error(`Expected a holder for each of the ${config.totalShares} shares`);
+      }
+
+      const recipientKeys = await this._getRecipientKeys(keyPair.publicKey, guardians);
+
+      // A fresh split of the same key has the same first commitment, so the registry accepts it as a refresh
+      const { shares, commitments } = await this.shamirService.generateShares(
+        keyPair.privateKey,
+        config.totalShares,
+        config.threshold
+      );
+
+      const [currentSecretCommitment] = this.shamirService.decodeCommitments(config.commitments);
+      if (commitments[0] !== currentSecretCommitment) {
+        throw new Error("The loaded key isn't the one in your existing backup");
+      }
+
+      // Shares come back ordered by x, and share x lives in share contract x - 1
+      const encryptedShares = [];
+      for (const share of shares) {
+        encryptedShares.push(await this.shamirService.encryptShare(recipientKeys[share.x - 1], share));
+      }
+
+      return await this.registryService.assignShareGuardians(
+        encryptedShares,
+        this.shamirService.encodeCommitments(commitments),
+        guardians
+      );
+    } catch (error) {
+      console.error("Error assigning shares to guardians:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Derive the owner's recovery key pair from a wallet signature, so it can be
+   * derived again when the guardians' shares arrive
+   * @returns {Promise<Object>} Key pair with privateKey and publicKey in hex format
+   */
+  async deriveRecoveryKeyPair() {
+    return WalletKeyService.deriveKeyPair(this.signer, {
+      chainId: this.chainId,
+      purpose: RECOVERY_KEY_PURPOSE
+    });
+  }
+
+  /**
+   * Ask guardians for help: publish the recovery public key they should re-encrypt shares to
+   * @returns {Promise<{txHash: string, publicKey: string}>} Transaction hash and the published key
+   */
+  async requestShares() {
+    try {
+      const recoveryKeyPair = await this.deriveRecoveryKeyPair();
+      const result = await this.registryService.setRecoveryKey(recoveryKeyPair.publicKey);
+
+      return { ...result, publicKey: recoveryKeyPair.publicKey };
+    } catch (error) {
+      console.error("Error requesting shares from guardians:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Guardian side: decrypt the shares assigned to the connected wallet, check them
+   * against the backup's commitments and release them to the owner's recovery key
+   * @param {string} owner - Address of the account being recovered
+   * @param {string} guardianPrivateKey - Guardian's chat private key
+   * @returns {Promise<{txHash: string, indices: Array<number>}>} Transaction hash and released share indices
+   */
+  async releaseShares(owner, guardianPrivateKey) {
+    try {
+      const guardian = await this.signer.getAddress();
+
+      const recoveryKey = await this.registryService.getRecoveryKey(owner);
+      if (!recoveryKey) {
+        throw new Error("The owner hasn't published a recovery key yet");
+      }
+
+      const indices = await this.getAssignedIndices(owner, guardian);
+      if (indices.length === 0) {
+        throw new Error("No shares of this account are assigned to you");
+      }
+
+      const config = await this.registryService.getShareConfig(owner);
+      const commitments = this.shamirService.decodeCommitments(config.commitments);
+
+      // The owner sees in the vault's access records which guardian read which share for the release
+      const encryptedShares = await this.registryService.getMultipleShares(owner, indices, { record: true });
+      if (encryptedShares.length !== indices.length) {
+        throw new Error(`Only ${encryptedShares.length} of your ${indices.length} shares could be read`);
+      }
+
+      const reencrypted = [];
+      for (const { data } of encryptedShares) {
+        reencrypted.push(await this.shamirService.reencryptShare(guardianPrivateKey, data, recoveryKey, commitments));
+      }
+
+      const result = await this.registryService.releaseShares(
+        owner,
+        encryptedShares.map(({ index }) => index),
+        reencrypted
+      );
+
+      return { ...result, indices };
+    } catch (error) {
+      console.error("Error releasing shares:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Owner side: rebuild the chat key from the shares guardians released, on the
+   * connected chain or on every chain of a multi-chain backup
+   * @param {Object} options - Recovery options
+   * @param {Array<Object>} options.sources - Released shares per chain from
+   *   MultiChainBackupService.collectReleasedShares (default: the connected chain's registry)
+   * @returns {Promise<{privateKey: string, releasedIndices: Array<number>, faultyIndices: Array<number>, faultyShares: Array<{chainId: number, index: number}>}>}
+   *   Recovered private key, the share indices that were released and those that failed verification
+   */
+  async recoverFromReleasedShares({ sources } = {}) {
+    try {
+      const recoverySources = sources || [await this._getConnectedChainSource()];
+
+      // Shares from chains with the same commitments lie on the same polynomial and can be combined
+      const threshold = Math.min(...recoverySources.map(({ config }) => config.threshold));
+      const releasedCount = recoverySources.reduce((count, { released }) => count + released.length, 0);
+      if (releasedCount < threshold) {
+        throw new Error(`${releasedCount} of ${threshold} required shares released so far`);
+      }
+
+      const recoveryKeyPair = await this.deriveRecoveryKeyPair();
+      const usableSources = recoverySources.filter(({ recoveryKey }) => recoveryKey &&
+        EccService.normalizePublicKey(recoveryKey) === EccService.normalizePublicKey(recoveryKeyPair.publicKey));
+      if (usableSources.length === 0) {
+        throw new Error("The published recovery key wasn't derived from this wallet");
+      }
+
+      // Drop shares that don't decrypt or aren't on the committed polynomial. A share
+      // is checked against the commitments rather than its slot, since the slots of a
+      // chain in a multi-chain backup hold a range of share indices starting anywhere.
+      const groups = new Map();
+      const faultyShares = [];
+      for (const { chainId, config, released } of usableSources) {
+        if (!groups.has(config.commitments)) {
+          groups.set(config.commitments, {
+            threshold: config.threshold,
+            commitments: this.shamirService.decodeCommitments(config.commitments),
+            shares: new Map(),
+            sources: new Map()
+          });
+        }
+        const group = groups.get(config.commitments);
+
+        for (const { index, data } of released) {
+          try {
+            const share = await this.shamirService.decryptShare(recoveryKeyPair.privateKey, data);
+            if (!this.shamirService.verifyShare(share, group.commitments)) {
+              throw new Error("Share doesn't match the backup's commitments");
+            }
+            group.shares.set(share.x, share);
+            group.sources.set(share.x, { chainId, index });
+          } catch (error) {
+            console.warn(`Released share ${index} on chain ${chainId} is unusable:`, error);
+            faultyShares.push({ chainId, index });
+          }
+        }
+      }
+
+      const group = [...groups.values()].find(candidate => candidate.shares.size >= candidate.threshold);
+      if (!group) {
+        const validCount = Math.max(...[...groups.values()].map(candidate => candidate.shares.size));
+        throw new Error(`Only ${validCount} valid shares released, ${threshold} are required`);
+      }
+
+      // Shares released beyond the threshold let wrong ones be found and excluded
+      let privateKey;
+      if (group.shares.size > group.threshold) {
+        const result = await this.shamirService.reconstructSecretRobust([...group.shares.values()], {
+          threshold: group.threshold,
+          commitments: group.commitments
+        });
+        privateKey = result.privateKey;
+        faultyShares.push(...result.faultyIndices.map(x => group.sources.get(x)));
+      } else {
+        privateKey = await this.shamirService.reconstructSecret([...group.shares.values()], {
+          commitments: group.commitments
+        });
+      }
+
+      return {
+        privateKey,
+        releasedIndices: usableSources.flatMap(({ released }) => released.map(({ index }) => index)),
+        faultyIndices: faultyShares.map(({ index }) => index),
+        faultyShares
+      };
+    } catch (error) {
+      console.error("Error recovering from released shares:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Share indices of an account assigned to a guardian
+   * @param {string} owner - Address of the account
+   * @param {string} guardian - Guardian address
+   * @returns {Promise<Array<number>>} Share indices
+   */
+  async getAssignedIndices(owner, guardian) {
+    const guardians = await this.registryService.getShareGuardians(owner);
+
+    return guardians
+      .map((holder, index) => (holder && holder.toLowerCase() === guardian.toLowerCase() ? index : -1))
+      .filter(index => index >= 0);
+  }
+
+  // ===== Private Helper Methods =====
+
+  /**
+   * Released shares on the connected chain, in the shape of a multi-chain source
+   * @returns {Promise<{chainId: number, config: Object, released: Array<Object>, recoveryKey: string|null}>} Source
+   * @private
+   */
+  async _getConnectedChainSource() {
+    const owner = await this.signer.getAddress();
+    const [config, released, recoveryKey] = await Promise.all([
+      this.registryService.getShareConfig(owner),
+      this.registryService.getReleasedShares(owner),
+      this.registryService.getRecoveryKey(owner)
+    ]);
+
+    return { chainId: Number(this.chainId), config, released, recoveryKey };
+  }
+
+  /**
+   * Look up the key each share is encrypted to: the guardian's registered key, or the owner's
+   * @param {string} ownerPublicKey - Owner's public key in hex format
+   * @param {Array<string|null>} guardians - Holder of each share index
+   * @returns {Promise<Array<string>>} Public key per share index
+   * @private
+   */
+  async _getRecipientKeys(ownerPublicKey, guardians) {
+    const keysByGuardian = new Map();
+
+    for (const guardian of guardians) {
+      if (!guardian || keysByGuardian.has(guardian.toLowerCase())) continue;
+
+      if (!ethers.isAddress(guardian)) {
+        throw new Error(`Invalid guardian address: ${guardian}`);
+      }
+
+      if (!(await this.eccService.hasPublicKey(guardian))) {
+        throw new Error(`${guardian.substring(0, 8)}... has no registered chat key to encrypt shares to`);
+      }
+
+      keysByGuardian.set(guardian.toLowerCase(), await this.eccService.getPublicKeyHex(guardian));
+    }
+
+    return guardians.map(guardian => (guardian ? keysByGuardian.get(guardian.toLowerCase()) : ownerPublicKey));
+  }
+}
+
+export default GuardianRecoveryService;
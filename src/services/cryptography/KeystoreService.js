@@ -0,0 +1,184 @@
+import { scryptAsync } from '@noble/hashes/scrypt';
+import { pbkdf2Async } from '@noble/hashes/pbkdf2';
+import { sha256 } from '@noble/hashes/sha256';
+import { bytesToHex, hexToBytes, utf8ToBytes, randomBytes } from '@noble/hashes/utils';
+import EccService from './EccService';
+
+// Use the built-in Web Crypto API
+const crypto = window.crypto;
+
+// Keystore layout version, following Ethereum V3 keystores
+export const KEYSTORE_VERSION = 3;
+
+// Parameters for new keystores: 32 MiB of memory, about a second in the browser
+export const DEFAULT_SCRYPT_PARAMS = { n: 2 ** 15, r: 8, p: 1, dklen: 32 };
+
+// Upper bounds for imported keystores, so a crafted file can't hang the tab
+const MAX_SCRYPT_N = 2 ** 20;
+const MAX_PBKDF2_ITERATIONS = 10000000;
+
+// Minimum passphrase length for new keystores
+export const MIN_PASSPHRASE_LENGTH = 8;
+
+const CIPHER = 'aes-256-gcm';
+
+/**
+ * Passphrase-encrypted keystores for the ECC key pair.
+ *
+ * The layout follows Ethereum V3 keystores (`crypto.kdf`, `kdfparams`,
+ * `cipher`, `cipherparams`, `ciphertext`), with AES-256-GCM instead of
+ * AES-128-CTR plus a Keccak MAC: the GCM tag is appended to the ciphertext
+ * and the public key is bound as associated data. New keystores use scrypt;
+ * PBKDF2-SHA256 keystores can be read as well.
+ */
+class KeystoreService {
+  /**
+   * Encrypt a key pair with a passphrase
+   * @param {Object} keyPair - Key pair with privateKey and publicKey in hex format
+   * @param {string} passphrase - Passphrase chosen by the user
+   * @param {Object} options - Keystore options
+   * @param {string} options.account - Wallet address the key pair belongs to
+   * @param {Object} options.scryptParams - scrypt parameters (defaults to DEFAULT_SCRYPT_PARAMS)
+   * @returns {Promise<Object>} Keystore object, ready for JSON.stringify
+   */
+  static async encrypt(keyPair, passphrase, { account = null, scryptParams = DEFAULT_SCRYPT_PARAMS } = {}) {
+    if (!passphrase || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+      throw new Error(`Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`);
+    }
+
+    try {
+      const kdfparams = { ...scryptParams, salt: bytesToHex(randomBytes(32)) };
+      const derivedKey = await KeystoreService._deriveKey('scrypt', kdfparams, passphrase);
+      const iv = randomBytes(12);
+
+      try {
+        const ciphertext = await KeystoreService._aes(
+          'encrypt', derivedKey, iv, keyPair.publicKey, hexToBytes(keyPair.privateKey)
+        );
+
+        return {
+          version: KEYSTORE_VERSION,
+          id: crypto.randomUUID(),
+          address: account ? account.toLowerCase().replace(/^0x/, '') : null,
+          publicKey: keyPair.publicKey,
+          crypto: {
+            cipher: CIPHER,
+            cipherparams: { iv: bytesToHex(iv) },
+            ciphertext: bytesToHex(ciphertext),
+            kdf: 'scrypt',
+            kdfparams
+          }
+        };
+      } finally {
+        derivedKey.fill(0);
+      }
+    } catch (error) {
+      console.error("Error encrypting keystore:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Decrypt a keystore with its passphrase
+   * @param {Object|string} keystore - Keystore object or its JSON
+   * @param {string} passphrase - Passphrase the keystore was encrypted with
+   * @returns {Promise<Object>} Key pair with privateKey and publicKey in hex format
+   */
+  static async decrypt(keystore, passphrase) {
+    const parsed = KeystoreService.parse(keystore);
+    const { kdf, kdfparams, cipherparams, ciphertext } = parsed.crypto;
+
+    const derivedKey = await KeystoreService._deriveKey(kdf, kdfparams, passphrase);
+    let privateKey;
+
+    try {
+      privateKey = await KeystoreService._aes(
+        'decrypt', derivedKey, hexToBytes(cipherparams.iv), parsed.publicKey, hexToBytes(ciphertext)
+      );
+    } catch {
+      throw new Error("Wrong passphrase or corrupted keystore");
+    } finally {
+      derivedKey.fill(0);
+    }
+
+    const keyPair = EccService.importFromPrivateKey(bytesToHex(privateKey));
+    privateKey.fill(0);
+
+    if (EccService.normalizePublicKey(keyPair.publicKey) !== EccService.normalizePublicKey(parsed.publicKey)) {
+      throw new Error("Keystore public key doesn't match its private key");
+    }
+
+    return keyPair;
+  }
+
+  /**
+   * Parse and validate a keystore without decrypting it
+   * @param {Object|string} keystore - Keystore object or its JSON
+   * @returns {Object} Validated keystore object
+   */
+  static parse(keystore) {
+    let parsed;
+    try {
+      parsed = typeof keystore === 'string' ? JSON.parse(keystore) : keystore;
+    } catch {
+      throw new Error("Keystore is not valid JSON");
+    }
+
+    const keystoreCrypto = parsed?.crypto;
+    if (parsed?.version !== KEYSTORE_VERSION || typeof parsed.publicKey !== 'string' ||
+        keystoreCrypto?.cipher !== CIPHER || typeof keystoreCrypto.ciphertext !== 'string' ||
+        typeof keystoreCrypto.cipherparams?.iv !== 'string' || typeof keystoreCrypto.kdfparams?.salt !== 'string') {
+      throw new Error("Unsupported keystore format");
+    }
+
+    return parsed;
+  }
+
+  // ===== Private Helper Methods =====
+
+  /**
+   * Derive the encryption key from the passphrase
+   * @private
+   */
+  static async _deriveKey(kdf, params, passphrase) {
+    const password = utf8ToBytes(passphrase.normalize('NFKC'));
+    const salt = hexToBytes(params.salt);
+
+    if (params.dklen !== 32) {
+      throw new Error("Keystore key length must be 32 bytes");
+    }
+
+    if (kdf === 'scrypt') {
+      if (!Number.isInteger(params.n) || params.n > MAX_SCRYPT_N ||
+          !Number.isInteger(params.r) || !Number.isInteger(params.p) || params.r * params.p > 64) {
+        throw new Error("Unsupported scrypt parameters");
+      }
+      return scryptAsync(password, salt, { N: params.n, r: params.r, p: params.p, dkLen: 32 });
+    }
+
+    if (kdf === 'pbkdf2') {
+      if (params.prf !== 'hmac-sha256' || !Number.isInteger(params.c) || params.c > MAX_PBKDF2_ITERATIONS) {
+        throw new Error("Unsupported PBKDF2 parameters");
+      }
+      return pbkdf2Async(sha256, password, salt, { c: params.c, dkLen: 32 });
+    }
+
+    throw new Error(`Unsupported keystore KDF: ${kdf}`);
+  }
+
+  /**
+   * AES-256-GCM with the public key as associated data
+   * @private
+   */
+  static async _aes(operation, derivedKey, iv, publicKeyHex, data) {
+    const key = await crypto.subtle.importKey('raw', derivedKey, { name: 'AES-GCM' }, false, [operation]);
+    const result = await crypto.subtle[operation](
+      { name: 'AES-GCM', iv, additionalData: utf8ToBytes(EccService.normalizePublicKey(publicKeyHex)), tagLength: 128 },
+      key,
+      data
+    );
+    return new Uint8Array(result);
+  }
+}
+
+export default KeystoreService;
@@ -0,0 +1,109 @@
+import { generateMnemonic, validateMnemonic, mnemonicToSeed } from '@scure/bip39';
+import { wordlist } from '@scure/bip39/wordlists/english';
+import { HDKey } from '@scure/bip32';
+import { bytesToHex } from '@noble/hashes/utils';
+import EccService from './EccService';
+
+// Supported phrase lengths and their entropy in bits
+const STRENGTH_BY_WORD_COUNT = { 12: 128, 24: 256 };
+
+// Dedicated BIP43 purpose, so the chat key never equals an Ethereum account
+// key derived from the same phrase (those live under m/44'/60')
+const CHAT_KEY_PURPOSE = 7683;
+
+/**
+ * HD derivation path of the chat identity key
+ * @param {number} index - Identity index, 0 for the first identity
+ * @returns {string} Fully hardened path
+ */
+export const chatKeyPath = (index = 0) => `m/${CHAT_KEY_PURPOSE}'/0'/${index}'`;
+
+/**
+ * BIP39 recovery phrases for the chat identity key.
+ *
+ * The phrase is turned into a seed (BIP39) and the secp256k1 chat key is
+ * derived from it along a hardened BIP32 path, so the same words always
+ * restore the same key without anything stored on-chain.
+ */
+class MnemonicService {
+  /**
+   * Generate a new recovery phrase
+   * @param {number} wordCount - 12 or 24 words
+   * @returns {string} Space-separated English words
+   */
+  static generateMnemonic(wordCount = 12) {
+    const strength = STRENGTH_BY_WORD_COUNT[wordCount];
+    if (!strength) {
+      throw new Error("Recovery phrases have 12 or 24 words");
+    }
+
+    return generateMnemonic(wordlist, strength);
+  }
+
+  /**
+   * Normalize user input: lowercase, single spaces, no surrounding whitespace
+   * @param {string} mnemonic - Phrase as typed
+   * @returns {string} Normalized phrase
+   */
+  static normalizeMnemonic(mnemonic) {
+    return mnemonic.normalize('NFKD').trim().toLowerCase().split(/\s+/).join(' ');
+  }
+
+  /**
+   * Check words and checksum of a recovery phrase
+   * @param {string} mnemonic - Phrase to check
+   * @returns {boolean} True if the phrase is valid
+   */
+  static isValidMnemonic(mnemonic) {
+    return validateMnemonic(MnemonicService.normalizeMnemonic(mnemonic), wordlist);
+  }
+
+  /**
+   * Derive the chat key pair from a recovery phrase
+   * @param {string} mnemonic - Recovery phrase
+   * @param {Object} options - Derivation options
+   * @param {number} options.index - Identity index (default 0)
+   * @param {string} options.passphrase - Optional BIP39 passphrase
+   * @returns {Promise<Object>} Key pair with privateKey and publicKey in hex format
+   */
+  static async deriveKeyPair(mnemonic, { index = 0, passphrase = '' } = {}) {
+    const normalized = MnemonicService.normalizeMnemonic(mnemonic);
+    if (!validateMnemonic(normalized, wordlist)) {
+      throw new Error("Invalid recovery phrase");
+    }
+
+    try {
+      const seed = await mnemonicToSeed(normalized, passphrase);
+      const node = HDKey.fromMasterSeed(seed).derive(chatKeyPath(index));
+      const keyPair = EccService.importFromPrivateKey(bytesToHex(node.privateKey));
+
+      seed.fill(0);
+      node.wipePrivateData();
+
+      return keyPair;
+    } catch (error) {
+      console.error("Error deriving key from recovery phrase:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Pick word positions for the user to confirm a phrase they wrote down
+   * @param {number} wordCount - Number of words in the phrase
+   * @param {number} count - How many positions to ask for
+   * @returns {Array<number>} Distinct zero-based positions in ascending order
+   */
+  static pickConfirmationPositions(wordCount, count = 3) {
+    const positions = new Set();
+    const random = new Uint32Array(1);
+
+    while (positions.size < Math.min(count, wordCount)) {
+      window.crypto.getRandomValues(random);
+      positions.add(random[0] % wordCount);
+    }
+
+    return [...positions].sort((a, b) => a - b);
+  }
+}
+
+export default MnemonicService;
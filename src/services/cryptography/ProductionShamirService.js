@@ -1,11 +1,25 @@
+import { secp256k1 } from '@noble/curves/secp256k1';
 import { randomBytes } from '@noble/hashes/utils';
 import { bytesToHex, hexToBytes, utf8ToBytes } from '@noble/hashes/utils';
 import { sha256 } from '@noble/hashes/sha256';
-import EccService from '../cryptography/EccService';
+import EccService, { ENCRYPTION_DOMAIN } from '../cryptography/EccService';
+import ECCOperationsService from '../contracts/ECCOperationsService';
+
+const Point = secp256k1.ProjectivePoint;
+
+// Size of one commitment: a compressed secp256k1 point
+export const COMMITMENT_SIZE = 33;
+
+// Field of backups stored before shares had commitments: the NIST P-256 group order
+const LEGACY_PRIME = BigInt("115792089210356248762697446949407573529996955224135760342422259061068512044369");
 
 /**
  * Production-ready implementation of Shamir's Secret Sharing
- * with enhanced security features for key management
+ * with enhanced security features for key management.
+ *
+ * Shares are verifiable (Feldman VSS): for every polynomial coefficient a_j
+ * the commitment C_j = a_j·G is published, and a share (x, y) is valid only
+ * if y·G = Σ C_j·x^j. C_0 is the public key of the shared private key.
  */
 class ProductionShamirService {
   constructor(signer, chainId) {
@@ -18,12 +32,13 @@ class ProductionShamirService {
   }
   
   /**
-   * Generate secure prime for finite field arithmetic
-   * @returns {bigint} A cryptographically secure prime
+   * Prime of the finite field the shares live in
+   * @returns {bigint} The secp256k1 group order
    */
   getPrime() {
-    // Use NIST P-256 curve order - a well-vetted cryptographic parameter
-    return BigInt("115792089210356248762697446949407573529996955224135760342422259061068512044369");
+    // The secp256k1 group order: every private key fits, and the coefficients
+    // can be committed to as points on the same curve
+    return secp256k1.CURVE.n;
   }
   
   /**
@@ -31,7 +46,8 @@ class ProductionShamirService {
    * @param {string} privateKeyHex - Private key to split
    * @param {number} numShares - Number of shares to create
    * @param {number} threshold - Minimum shares needed for reconstruction
-   * @returns {Promise<Array>} Array of share objects
+   * @returns {Promise<{shares: Array<Object>, commitments: Array<string>}>} Shares and the
+   *   commitments to the polynomial coefficients (compressed points in hex format)
    */
   async generateShares(privateKeyHex, numShares, threshold) {
     try {
@@ -46,6 +62,9 @@ class ProductionShamirService {
       
       // 3. Convert private key to a field element
       const secret = this.bytesToFieldElement(privateKeyBytes, prime);
+      if (secret === 0n || BigInt('0x' + privateKeyHex) >= prime) {
+        throw new Error("Private key is out of range");
+      }
       
       // 4. Add entropy to the random number generation for coefficients
       const extraEntropy = await this._generateExtraEntropy();
@@ -53,7 +72,10 @@ class ProductionShamirService {
       // 5. Generate random coefficients for the polynomial with added entropy
       const coefficients = [secret]; // a₀ = secret
       for (let i = 1; i < threshold; i++) {
-        const randomValue = this._secureRandomFieldElement(prime, extraEntropy + i.toString());
+        let randomValue = 0n;
+        while (randomValue === 0n) {
+          randomValue = this._secureRandomFieldElement(prime, extraEntropy + i.toString());
+        }
         coefficients.push(randomValue);
       }
       
@@ -64,17 +86,75 @@ class ProductionShamirService {
         shares.push({ x, y: y.toString() });
       }
       
-      // 7. Wipe sensitive data from memory
+      // 7. Commit to every coefficient so shares can be verified later
+      const commitments = coefficients.map(coeff => Point.BASE.multiply(coeff).toHex(true));
+      
+      // 8. Wipe sensitive data from memory
       this._wipeMemory(privateKeyBytes);
       this._wipeMemory(coefficients);
       
-      return shares;
+      return { shares, commitments };
     } catch (error) {
       console.error("Error generating shares:", error);
       throw new Error(`Share generation failed: ${error.message}`);
     }
   }
   
+  /**
+   * Refresh shares without changing the secret (proactive secret sharing).
+   *
+   * Adds a random polynomial with a zero constant term to every share, so the
+   * secret stays the same while the new shares can't be combined with old ones.
+   * @param {Array<Object>} shares - Every current share, verified against the commitments
+   * @param {Array<string>} commitments - Current commitments in hex format
+   * @returns {Promise<{shares: Array<Object>, commitments: Array<string>}>} Refreshed shares and commitments
+   */
+  async refreshShares(shares, commitments) {
+    try {
+      this._validateShares(shares);
+      
+      if (!Array.isArray(commitments) || commitments.length < 2) {
+        throw new Error("Commitments are required to refresh shares");
+      }
+      
+      // A bad share would stay bad after the refresh, and could no longer be told apart
+      const invalid = shares.filter(share => !this.verifyShare(share, commitments));
+      if (invalid.length > 0) {
+        throw new Error(`Shares failed verification: ${invalid.map(share => share.x).join(', ')}`);
+      }
+      
+      const prime = this.getPrime();
+      const extraEntropy = await this._generateExtraEntropy();
+      
+      // δ(x) = d_1·x + ... + d_{t-1}·x^{t-1}, so δ(0) = 0
+      const deltas = [0n];
+      for (let i = 1; i < commitments.length; i++) {
+        let randomValue = 0n;
+        while (randomValue === 0n) {
+          randomValue = this._secureRandomFieldElement(prime, extraEntropy + i.toString());
+        }
+        deltas.push(randomValue);
+      }
+      
+      const refreshedShares = shares.map(share => ({
+        x: share.x,
+        y: ((BigInt(share.y) + this.evaluatePolynomial(deltas, BigInt(share.x), prime)) % prime).toString()
+      }));
+      
+      // C'_j = C_j + d_j·G; C'_0 stays the commitment to the secret
+      const refreshedCommitments = commitments.map((commitment, j) => (
+        j === 0 ? commitment : Point.fromHex(commitment).add(Point.BASE.multiply(deltas[j])).toHex(true)
+      ));
+      
+      this._wipeMemory(deltas);
+      
+      return { shares: refreshedShares, commitments: refreshedCommitments };
+    } catch (error) {
+      console.error("Error refreshing shares:", error);
+      throw new Error(`Share refresh failed: ${error.message}`);
+    }
+  }
+  
   /**
    * Securely encrypt a share with a public key, with additional integrity protection
    * @param {string} publicKeyHex - Public key to encrypt with
@@ -96,7 +176,9 @@ class ProductionShamirService {
       const shareStr = JSON.stringify(enrichedShare);
       
       // Encrypt with public key
-      const encrypted = await EccService.encrypt(publicKeyHex, shareStr);
+      const encrypted = await EccService.encrypt(publicKeyHex, shareStr, {
+        domain: ENCRYPTION_DOMAIN.SHARE_BACKUP
+      });
       
       // Format for contract
       return EccService.formatForContract(encrypted);
@@ -118,7 +200,9 @@ class ProductionShamirService {
       const encryptedData = EccService.parseFromContract(encryptedShareHex);
       
       // Decrypt the share
-      const decryptedShareJson = await EccService.decrypt(privateKeyHex, encryptedData);
+      const decryptedShareJson = await EccService.decrypt(privateKeyHex, encryptedData, {
+        domain: ENCRYPTION_DOMAIN.SHARE_BACKUP
+      });
       
       // Parse the JSON
       const enrichedShare = JSON.parse(decryptedShareJson);
@@ -142,20 +226,146 @@ class ProductionShamirService {
   }
   
   /**
-   * Reconstruct a secret from shares with additional validation
+   * Decrypt a share and encrypt it to another key, e.g. a guardian handing a share to the owner.
+   * With commitments, a share that isn't on the committed polynomial is refused instead of passed on.
+   * @param {string} privateKeyHex - Private key the share is currently encrypted to
+   * @param {string} encryptedShareHex - Encrypted share from contract
+   * @param {string} recipientPublicKeyHex - Public key to encrypt the share to
+   * @param {Array<string>} commitments - Commitments stored with the backup (optional)
+   * @returns {Promise<string>} Share encrypted to the recipient (formatted for contract)
+   */
+  async reencryptShare(privateKeyHex, encryptedShareHex, recipientPublicKeyHex, commitments) {
+    const share = await this.decryptShare(privateKeyHex, encryptedShareHex);
+    
+    if (commitments && !this.verifyShare(share, commitments)) {
+      throw new Error(`Share ${share.x} doesn't match the backup's commitments`);
+    }
+    
+    return this.encryptShare(recipientPublicKeyHex, share);
+  }
+  
+  /**
+   * Check a share against the commitments to the polynomial
+   * @param {Object} share - Share object with x and y
+   * @param {Array<string>} commitments - Commitments in hex format
+   * @returns {boolean} True if the share lies on the committed polynomial
+   */
+  verifyShare(share, commitments) {
+    try {
+      const prime = this.getPrime();
+      const x = BigInt(share.x);
+      const y = BigInt(share.y);
+      if (x <= 0n || x >= prime || y < 0n || y >= prime) {
+        return false;
+      }
+      
+      // Σ C_j·x^j, all public values
+      let expected = Point.ZERO;
+      let power = 1n;
+      for (const commitment of commitments) {
+        expected = expected.add(Point.fromHex(commitment).multiplyUnsafe(power));
+        power = (power * x) % prime;
+      }
+      
+      const actual = y === 0n ? Point.ZERO : Point.BASE.multiply(y);
+      return actual.equals(expected);
+    } catch {
+      return false;
+    }
+  }
+  
+  /**
+   * Check that commitments belong to the given public key
+   * @param {Array<string>} commitments - Commitments in hex format
+   * @param {string} publicKeyHex - Public key of the shared private key
+   * @returns {boolean} True if the first commitment is the public key
+   */
+  verifyCommitments(commitments, publicKeyHex) {
+    if (!Array.isArray(commitments) || commitments.length < 2) {
+      return false;
+    }
+    
+    try {
+      return Point.fromHex(commitments[0]).equals(Point.fromHex(EccService.normalizePublicKey(publicKeyHex)));
+    } catch {
+      return false;
+    }
+  }
+  
+  /**
+   * Concatenate commitments into the byte string stored in the registry
+   * @param {Array<string>} commitments - Commitments in hex format
+   * @returns {string} Hex string with 0x prefix
+   */
+  encodeCommitments(commitments) {
+    return '0x' + commitments.map(commitment => Point.fromHex(commitment).toHex(true)).join('');
+  }
+  
+  /**
+   * Split the registry byte string back into commitments
+   * @param {string} commitmentsHex - Concatenated commitments, with or without 0x prefix
+   * @returns {Array<string>} Commitments in hex format
+   */
+  decodeCommitments(commitmentsHex) {
+    const bytes = hexToBytes(commitmentsHex.replace(/^0x/, ''));
+    if (bytes.length === 0 || bytes.length % COMMITMENT_SIZE !== 0) {
+      throw new Error("Invalid commitments length");
+    }
+    
+    const commitments = [];
+    for (let offset = 0; offset < bytes.length; offset += COMMITMENT_SIZE) {
+      // Parsing rejects anything that isn't a point on the curve
+      const point = Point.fromHex(bytes.slice(offset, offset + COMMITMENT_SIZE));
+      commitments.push(point.toHex(true));
+    }
+    
+    return commitments;
+  }
+  
+  /**
+   * Reconstruct a secret from shares with additional validation. Shares that
+   * aren't on the committed polynomial are discarded; backups without
+   * commitments can't be checked and are combined in the legacy field.
    * @param {Array<Object>} shares - Array of share objects
+   * @param {Object} options - Reconstruction options
+   * @param {Array<string>} options.commitments - Commitments stored with the backup; omit for backups without any
    * @returns {Promise<string>} Reconstructed private key hex
    */
-  async reconstructSecret(shares) {
+  async reconstructSecret(shares, { commitments } = {}) {
     try {
       // Validate shares
       this._validateShares(shares);
       
+      if (!commitments || commitments.length === 0) {
+        const secret = this._constantTimeLagrangeInterpolation(shares, 0n, LEGACY_PRIME);
+        return this.fieldElementToHex(secret);
+      }
+      
+      if (!Array.isArray(commitments) || commitments.length < 2) {
+        throw new Error("Invalid commitments");
+      }
+      
+      // Discard shares that don't lie on the committed polynomial before using any of them
+      const validShares = shares.filter(share => this.verifyShare(share, commitments));
+      if (validShares.length < shares.length) {
+        const discarded = shares.filter(share => !validShares.includes(share));
+        console.warn(`Discarded shares that failed verification: ${discarded.map(share => share.x).join(', ')}`);
+      }
+      
+      if (validShares.length < commitments.length) {
+        throw new Error(`Only ${validShares.length} of ${shares.length} shares are valid, ${commitments.length} are required`);
+      }
+      
       // Get the prime field
       const prime = this.getPrime();
       
       // Perform Lagrange interpolation with constant-time operations
-      const secret = this._constantTimeLagrangeInterpolation(shares, 0n, prime);
+      const secret = this._constantTimeLagrangeInterpolation(validShares, 0n, prime);
+      
+      // The secret must match the first commitment, i.e. the public key
+      if (secret === 0n || !Point.BASE.multiply(secret).equals(Point.fromHex(commitments[0]))) {
+        throw new Error("Reconstructed key doesn't match the commitments");
+      }
       
       // Convert to hex
       return this.fieldElementToHex(secret);
@@ -165,8 +375,226 @@ class ProductionShamirService {
     }
   }
   
+  /**
+   * Reconstruct a secret from more shares than needed, finding and excluding bad ones.
+   *
+   * Uses Berlekamp–Welch decoding: with m shares and threshold k, up to
+   * floor((m - k) / 2) wrong shares are corrected. The result is confirmed
+   * against the backup's first commitment, or the public key registered for
+   * the owner when the backup has no commitments.
+   * @param {Array<Object>} shares - Array of share objects
+   * @param {Object} options - Reconstruction options
+   * @param {number} options.threshold - Threshold the shares were created with
+   * @param {Array<string>} options.commitments - Commitments stored with the backup; omit for backups
+   *   without any, whose shares are in the legacy field
+   * @param {string} options.expectedPublicKey - Public key to confirm against; taken from the commitments
+   *   or fetched from ECCOperationsService when omitted
+   * @param {string} options.owner - Address the key is registered for (defaults to the signer)
+   * @returns {Promise<{privateKey: string, faultyIndices: Array<number>}>} Reconstructed private key hex
+   *   and the x values of the shares that were excluded
+   */
+  async reconstructSecretRobust(shares, { threshold, commitments, expectedPublicKey, owner } = {}) {
+    try {
+      this._validateShares(shares);
+      
+      if (!Number.isInteger(threshold) || threshold < 2) {
+        throw new Error("Threshold is required for robust reconstruction");
+      }
+      
+      if (shares.length < threshold) {
+        throw new Error(`At least ${threshold} shares are required`);
+      }
+      
+      const hasCommitments = Array.isArray(commitments) && commitments.length > 0;
+      const prime = hasCommitments ? this.getPrime() : LEGACY_PRIME;
+      
+      // Shares that fail the commitments are excluded up front, so they don't use up the errors decoding can correct
+      const rejected = hasCommitments ? shares.filter(share => !this.verifyShare(share, commitments)) : [];
+      const candidates = shares.filter(share => !rejected.includes(share));
+      if (candidates.length < threshold) {
+        throw new Error(`Only ${candidates.length} of ${shares.length} shares are valid, ${threshold} are required`);
+      }
+      
+      const points = candidates.map(share => ({ x: BigInt(share.x), y: BigInt(share.y) }));
+      const maxErrors = Math.floor((candidates.length - threshold) / 2);
+      
+      const polynomial = this._berlekampWelch(points, threshold, maxErrors, prime);
+      if (!polynomial) {
+        throw new Error(`Too many faulty shares: at most ${maxErrors} of ${candidates.length} can be corrected`);
+      }
+      
+      const faultyIndices = [
+        ...rejected,
+        ...candidates.filter((share, i) => this.evaluatePolynomial(polynomial, points[i].x, prime) !== points[i].y)
+      ].map(share => Number(share.x));
+      
+      const secret = polynomial[0];
+      const privateKey = this.fieldElementToHex(secret);
+      
+      // Confirm against the backup's key; a wrong result would otherwise surface much later
+      const publicKeyHex = expectedPublicKey ||
+        (hasCommitments ? commitments[0] : await this._getRegisteredPublicKey(owner));
+      if (secret === 0n || secret >= secp256k1.CURVE.n ||
+          !Point.BASE.multiply(secret).equals(Point.fromHex(EccService.normalizePublicKey(publicKeyHex)))) {
+        throw new Error("Reconstructed key doesn't match the backup's public key");
+      }
+      
+      if (faultyIndices.length > 0) {
+        console.warn(`Excluded faulty shares: ${faultyIndices.join(', ')}`);
+      }
+      
+      return { privateKey, faultyIndices };
+    } catch (error) {
+      console.error("Error reconstructing secret:", error);
+      throw new Error(`Secret reconstruction failed: ${error.message}`);
+    }
+  }
+  
   // ===== Helper methods =====
   
+  /**
+   * Berlekamp–Welch decoding of a Reed–Solomon codeword
+   * @param {Array<{x: bigint, y: bigint}>} points - Share points
+   * @param {number} threshold - Number of polynomial coefficients
+   * @param {number} maxErrors - Number of errors to correct
+   * @param {bigint} prime - Prime modulus
+   * @returns {Array<bigint>|null} Polynomial coefficients, lowest first, or null if decoding fails
+   */
+  _berlekampWelch(points, threshold, maxErrors, prime) {
+    // Unknowns: Q(x) of degree maxErrors + threshold - 1 and the non-leading
+    // coefficients of the monic error locator E(x) of degree maxErrors, with
+    // Q(x_i) = y_i · E(x_i) for every share
+    const qSize = maxErrors + threshold;
+    const rows = points.map(({ x, y }) => {
+      const row = [];
+      let power = 1n;
+      for (let j = 0; j < qSize; j++) {
+        row.push(power);
+        power = (power * x) % prime;
+      }
+      
+      power = 1n;
+      for (let j = 0; j < maxErrors; j++) {
+        row.push((prime - (y * power) % prime) % prime);
+        power = (power * x) % prime;
+      }
+      
+      // Right-hand side: y_i · x_i^maxErrors
+      row.push((y * power) % prime);
+      return row;
+    });
+    
+    const solution = this._solveLinearSystem(rows, qSize + maxErrors, prime);
+    if (!solution) {
+      return null;
+    }
+    
+    const q = solution.slice(0, qSize);
+    const e = [...solution.slice(qSize), 1n];
+    
+    const { quotient, remainder } = this._dividePolynomials(q, e, prime);
+    if (remainder.some(coeff => coeff !== 0n)) {
+      return null;
+    }
+    
+    // Pad to the expected degree so the caller can read P(0) even if leading terms are zero
+    while (quotient.length < threshold) {
+      quotient.push(0n);
+    }
+    
+    const disagreements = points.filter(({ x, y }) => this.evaluatePolynomial(quotient, x, prime) !== y);
+    return quotient.length === threshold && disagreements.length <= maxErrors ? quotient : null;
+  }
+  
+  /**
+   * Gaussian elimination over the prime field
+   * @param {Array<Array<bigint>>} rows - Augmented matrix, one row per equation
+   * @param {number} size - Number of unknowns
+   * @param {bigint} prime - Prime modulus
+   * @returns {Array<bigint>|null} One solution (free unknowns set to zero), or null if inconsistent
+   */
+  _solveLinearSystem(rows, size, prime) {
+    const matrix = rows.map(row => [...row]);
+    const pivotColumns = [];
+    let pivotRow = 0;
+    
+    for (let col = 0; col < size && pivotRow < matrix.length; col++) {
+      const found = matrix.findIndex((row, r) => r >= pivotRow && row[col] !== 0n);
+      if (found === -1) continue;
+      
+      [matrix[pivotRow], matrix[found]] = [matrix[found], matrix[pivotRow]];
+      
+      const inverse = this.modInverse(matrix[pivotRow][col], prime);
+      matrix[pivotRow] = matrix[pivotRow].map(value => (value * inverse) % prime);
+      
+      for (let r = 0; r < matrix.length; r++) {
+        if (r === pivotRow || matrix[r][col] === 0n) continue;
+        const factor = matrix[r][col];
+        matrix[r] = matrix[r].map((value, c) => ((value - factor * matrix[pivotRow][c]) % prime + prime) % prime);
+      }
+      
+      pivotColumns.push(col);
+      pivotRow++;
+    }
+    
+    // A remaining row of 0 = c with c ≠ 0 means no solution
+    if (matrix.slice(pivotRow).some(row => row[size] !== 0n)) {
+      return null;
+    }
+    
+    const solution = new Array(size).fill(0n);
+    pivotColumns.forEach((col, r) => {
+      solution[col] = matrix[r][size];
+    });
+    
+    return solution;
+  }
+  
+  /**
+   * Polynomial long division over the prime field
+   * @param {Array<bigint>} numerator - Coefficients, lowest first
+   * @param {Array<bigint>} denominator - Coefficients, lowest first, with a non-zero leading term
+   * @param {bigint} prime - Prime modulus
+   * @returns {{quotient: Array<bigint>, remainder: Array<bigint>}} Quotient and remainder, lowest first
+   */
+  _dividePolynomials(numerator, denominator, prime) {
+    const remainder = [...numerator];
+    const degree = denominator.length - 1;
+    const leadInverse = this.modInverse(denominator[degree], prime);
+    const quotient = new Array(Math.max(remainder.length - degree, 0)).fill(0n);
+    
+    for (let i = remainder.length - 1; i >= degree; i--) {
+      const factor = (remainder[i] * leadInverse) % prime;
+      quotient[i - degree] = factor;
+      for (let j = 0; j <= degree; j++) {
+        remainder[i - degree + j] = ((remainder[i - degree + j] - factor * denominator[j]) % prime + prime) % prime;
+      }
+    }
+    
+    // Trim zero leading coefficients from the quotient
+    while (quotient.length > 1 && quotient[quotient.length - 1] === 0n) {
+      quotient.pop();
+    }
+    
+    return { quotient, remainder: remainder.slice(0, degree) };
+  }
+  
+  /**
+   * Fetch the public key registered for an address
+   * @param {string} owner - Address to look up (defaults to the signer)
+   * @returns {Promise<string>} Registered public key in hex format
+   */
+  async _getRegisteredPublicKey(owner) {
+    const address = owner || await this.signer.getAddress();
+    const eccOperations = new ECCOperationsService(this.signer, this.chainId);
+    
+    if (!(await eccOperations.hasPublicKey(address))) {
+      throw new Error("No public key is registered for this account");
+    }
+    
+    return eccOperations.getPublicKeyHex(address);
+  }
+  
   /**
    * Validate inputs for share generation
    * @param {string} privateKeyHex - Private key to validate
@@ -319,8 +747,8 @@ class ProductionShamirService {
         denominator = (denominator * (term2 * shouldUpdate + 1n * (1n - shouldUpdate))) % prime;
       }
       
-      // Calculate inverse
-      const inverseDenominator = this.modInverse(denominator, prime);
+      // Calculate inverse (of the positive representative; differences of x values can be negative)
+      const inverseDenominator = this.modInverse(((denominator % prime) + prime) % prime, prime);
       
       // Calculate basis and add to result
       const basis = (numerator * inverseDenominator) % prime;
@@ -0,0 +1,243 @@
+import { secp256k1 } from '@noble/curves/secp256k1';
+import { hkdf } from '@noble/hashes/hkdf';
+import { hmac } from '@noble/hashes/hmac';
+import { sha256 } from '@noble/hashes/sha256';
+import { bytesToHex, hexToBytes, utf8ToBytes, randomBytes } from '@noble/hashes/utils';
+import EccService from './EccService';
+
+// Use the built-in Web Crypto API
+const crypto = window.crypto;
+
+// Maximum number of message keys skipped within a sender chain
+export const MAX_SENDER_KEY_SKIP = 1000;
+
+// KDF labels
+const MESSAGE_KDF_INFO = utf8ToBytes('e2e-chat-app/sender-key/message');
+const CHAIN_KEY_CONSTANT = new Uint8Array([0x02]);
+const MESSAGE_KEY_CONSTANT = new Uint8Array([0x01]);
+
+/**
+ * Sender keys for group messages.
+ *
+ * Each member encrypts to the whole group with its own hash chain: every
+ * message uses the next message key and the chain key moves forward, so old
+ * keys can't be recomputed from the current state. Messages are signed with a
+ * per-sender-key signing key, so members who know the chain key still can't
+ * send in someone else's name.
+ *
+ * Like DoubleRatchetService, functions return new states and never modify
+ * their input.
+ */
+class SenderKeyService {
+  /**
+   * Generate a new sender key
+   * @returns {Object} Own sender key state, including the signing private key
+   */
+  static generateSenderKey() {
+    const signingPrivateKey = secp256k1.utils.randomPrivateKey();
+
+    return {
+      keyId: bytesToHex(randomBytes(8)),
+      chainKey: bytesToHex(randomBytes(32)),
+      iteration: 0,
+      signingPrivateKey: bytesToHex(signingPrivateKey),
+      signingPublicKey: bytesToHex(secp256k1.getPublicKey(signingPrivateKey, true))
+    };
+  }
+
+  /**
+   * The part of a sender key that is distributed to other members
+   * @param {Object} senderKey - Own sender key state
+   * @returns {Object} Distribution with keyId, chainKey, iteration and signingPublicKey
+   */
+  static toDistribution(senderKey) {
+    return {
+      keyId: senderKey.keyId,
+      chainKey: senderKey.chainKey,
+      iteration: senderKey.iteration,
+      signingPublicKey: senderKey.signingPublicKey
+    };
+  }
+
+  /**
+   * Create the receiving state for a distributed sender key
+   * @param {Object} distribution - Distribution received from a member
+   * @returns {Object} Receiving sender key state
+   */
+  static fromDistribution(distribution) {
+    if (!distribution || typeof distribution.keyId !== 'string' ||
+        typeof distribution.chainKey !== 'string' ||
+        typeof distribution.signingPublicKey !== 'string' ||
+        !Number.isInteger(distribution.iteration) || distribution.iteration < 0) {
+      throw new Error("Invalid sender key distribution");
+    }
+
+    return {
+      keyId: distribution.keyId,
+      chainKey: distribution.chainKey,
+      iteration: distribution.iteration,
+      signingPublicKey: distribution.signingPublicKey,
+      skippedKeys: {}
+    };
+  }
+
+  /**
+   * Encrypt and sign a group message
+   * @param {Object} senderKey - Own sender key state
+   * @param {string} plaintext - Message to encrypt
+   * @param {string} associatedData - Context bound to the message (group id, epoch, message id)
+   * @returns {Promise<{state: Object, message: Object}>} New state and message ({ keyId, iteration, ciphertext, signature })
+   */
+  static async encrypt(senderKey, plaintext, associatedData) {
+    const [chainKey, messageKey] = SenderKeyService._kdfChain(hexToBytes(senderKey.chainKey));
+    const ciphertext = bytesToHex(await SenderKeyService._seal(messageKey, utf8ToBytes(plaintext), associatedData));
+
+    const message = {
+      keyId: senderKey.keyId,
+      iteration: senderKey.iteration,
+      ciphertext
+    };
+    message.signature = EccService.sign(
+      senderKey.signingPrivateKey,
+      SenderKeyService._signedContent(message, associatedData)
+    );
+
+    return {
+      state: { ...senderKey, chainKey: bytesToHex(chainKey), iteration: senderKey.iteration + 1 },
+      message
+    };
+  }
+
+  /**
+   * Verify and decrypt a group message
+   * @param {Object} senderKey - Receiving sender key state for the message's keyId
+   * @param {Object} message - Message produced by encrypt()
+   * @param {string} associatedData - Same context that was passed to encrypt()
+   * @returns {Promise<{state: Object, plaintext: string}>} New state and plaintext
+   */
+  static async decrypt(senderKey, message, associatedData) {
+    if (!Number.isInteger(message?.iteration) || message.iteration < 0 ||
+        typeof message.ciphertext !== 'string' || typeof message.signature !== 'string') {
+      throw new Error("Invalid sender key message");
+    }
+
+    if (message.keyId !== senderKey.keyId) {
+      throw new Error("Message was encrypted with a different sender key");
+    }
+
+    // Check the signature before touching the chain, so forgeries can't skip it ahead
+    if (!EccService.verify(
+      senderKey.signingPublicKey,
+      SenderKeyService._signedContent(message, associatedData),
+      message.signature
+    )) {
+      throw new Error("Invalid sender key signature");
+    }
+
+    const next = { ...senderKey, skippedKeys: { ...senderKey.skippedKeys } };
+    let messageKey;
+
+    if (message.iteration < next.iteration) {
+      // Delayed message: only possible if its key was kept when it was skipped
+      const stored = next.skippedKeys[message.iteration];
+      if (!stored) {
+        throw new Error("Message key already used or expired");
+      }
+      messageKey = hexToBytes(stored);
+      delete next.skippedKeys[message.iteration];
+    } else {
+      if (message.iteration - next.iteration > MAX_SENDER_KEY_SKIP) {
+        throw new Error("Too many skipped messages");
+      }
+
+      let chainKey = hexToBytes(next.chainKey);
+      while (next.iteration < message.iteration) {
+        const [nextChainKey, skippedKey] = SenderKeyService._kdfChain(chainKey);
+        next.skippedKeys[next.iteration] = bytesToHex(skippedKey);
+        chainKey = nextChainKey;
+        next.iteration += 1;
+      }
+
+      const [nextChainKey, currentKey] = SenderKeyService._kdfChain(chainKey);
+      messageKey = currentKey;
+      next.chainKey = bytesToHex(nextChainKey);
+      next.iteration += 1;
+
+      // Keep only the most recent skipped keys
+      const iterations = Object.keys(next.skippedKeys).map(Number).sort((a, b) => a - b);
+      for (const iteration of iterations.slice(0, Math.max(0, iterations.length - MAX_SENDER_KEY_SKIP))) {
+        delete next.skippedKeys[iteration];
+      }
+    }
+
+    const plaintext = await SenderKeyService._open(messageKey, hexToBytes(message.ciphertext), associatedData);
+    return { state: next, plaintext };
+  }
+
+  // ===== Private Helper Methods =====
+
+  /**
+   * Chain KDF: HMAC of the chain key with distinct constants
+   * @returns {Array<Uint8Array>} [chainKey, messageKey]
+   * @private
+   */
+  static _kdfChain(chainKey) {
+    return [
+      hmac(sha256, chainKey, CHAIN_KEY_CONSTANT),
+      hmac(sha256, chainKey, MESSAGE_KEY_CONSTANT)
+    ];
+  }
+
+  /**
+   * Content covered by the message signature
+   * @private
+   */
+  static _signedContent(message, associatedData) {
+    return `${associatedData}|${message.keyId}|${message.iteration}|${message.ciphertext}`;
+  }
+
+  /**
+   * Encrypt with AES-256-GCM under a key and nonce derived from the message key
+   * @private
+   */
+  static async _seal(messageKey, plaintext, associatedData) {
+    const { key, iv } = await SenderKeyService._messageCipherKey(messageKey, ['encrypt']);
+    const ciphertext = await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv, additionalData: utf8ToBytes(associatedData), tagLength: 128 },
+      key,
+      plaintext
+    );
+    return new Uint8Array(ciphertext);
+  }
+
+  /**
+   * Decrypt and authenticate a message
+   * @private
+   */
+  static async _open(messageKey, ciphertext, associatedData) {
+    const { key, iv } = await SenderKeyService._messageCipherKey(messageKey, ['decrypt']);
+
+    try {
+      const plaintext = await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv, additionalData: utf8ToBytes(associatedData), tagLength: 128 },
+        key,
+        ciphertext
+      );
+      return new TextDecoder().decode(plaintext);
+    } catch {
+      throw new Error('Decryption failed: Invalid ciphertext or MAC');
+    }
+  }
+
+  /**
+   * Expand a message key into an AES key and nonce
+   * @private
+   */
+  static async _messageCipherKey(messageKey, usages) {
+    const material = hkdf(sha256, messageKey, new Uint8Array(32), MESSAGE_KDF_INFO, 44);
+    const key = await crypto.subtle.importKey('raw', material.slice(0, 32), { name: 'AES-GCM' }, false, usages);
+    return { key, iv: material.slice(32) };
+  }
+}
+
+export default SenderKeyService;
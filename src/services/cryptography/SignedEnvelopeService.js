@@ -0,0 +1,119 @@
+import EccService from './EccService';
+
+// Version of the signed envelope format
+export const SIGNED_ENVELOPE_VERSION = 1;
+
+// Domain prefix so envelope signatures can't be confused with other signatures made by the identity key
+const SIGNATURE_DOMAIN = 'e2e-chat-app/envelope';
+
+/**
+ * Sign-then-encrypt envelopes.
+ *
+ * The sender signs the message body together with the sender address, the
+ * recipient address (or group id) and a timestamp using its ECC identity key.
+ * The sealed envelope is then encrypted by the session layer. On receipt the
+ * signature is checked against the sender's registered public key and the
+ * addresses against the ones the transport reported, so a message can't be
+ * forged or replayed to another recipient.
+ */
+class SignedEnvelopeService {
+  /**
+   * Sign a message body
+   * @param {string} privateKeyHex - Sender's identity private key
+   * @param {Object} fields - Envelope fields
+   * @param {string} fields.from - Sender address
+   * @param {string} fields.to - Recipient address or group id
+   * @param {string} fields.body - Message body
+   * @param {number} fields.timestamp - Send time in milliseconds (defaults to now)
+   * @returns {string} Serialized signed envelope
+   */
+  static seal(privateKeyHex, { from, to, body, timestamp = Date.now() }) {
+    try {
+      const envelope = {
+        version: SIGNED_ENVELOPE_VERSION,
+        from: from.toLowerCase(),
+        to: to.toLowerCase(),
+        timestamp,
+        body
+      };
+      envelope.signature = EccService.sign(privateKeyHex, SignedEnvelopeService._signedContent(envelope));
+
+      return JSON.stringify(envelope);
+    } catch (error) {
+      console.error("Error sealing envelope:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Parse a signed envelope and verify it
+   * Anything that isn't a valid signed envelope is returned as an unverified body,
+   * so callers decide whether to reject or just flag it.
+   * @param {string} sealed - Serialized signed envelope
+   * @param {Object} expected - What the envelope must match
+   * @param {string} expected.from - Address the transport reported as sender
+   * @param {string} expected.to - Own address or group id
+   * @param {string|null} expected.publicKey - Sender's registered public key
+   * @returns {{body: string, timestamp: number|null, verified: boolean, reason: string|null}} Opened envelope
+   */
+  static open(sealed, { from, to, publicKey }) {
+    let envelope;
+    try {
+      envelope = JSON.parse(sealed);
+    } catch {
+      return SignedEnvelopeService._unverified(sealed, "Message is not signed");
+    }
+
+    if (envelope?.version !== SIGNED_ENVELOPE_VERSION || typeof envelope.body !== 'string' ||
+        typeof envelope.signature !== 'string' || typeof envelope.timestamp !== 'number') {
+      return SignedEnvelopeService._unverified(sealed, "Message is not signed");
+    }
+
+    const result = (verified, reason) => ({
+      body: envelope.body,
+      timestamp: envelope.timestamp,
+      verified,
+      reason
+    });
+
+    if (envelope.from !== from.toLowerCase() || envelope.to !== to.toLowerCase()) {
+      return result(false, "Signed sender or recipient doesn't match the delivery");
+    }
+
+    if (!publicKey) {
+      return result(false, "Sender has no registered public key");
+    }
+
+    if (!EccService.verify(publicKey, SignedEnvelopeService._signedContent(envelope), envelope.signature)) {
+      return result(false, "Invalid signature");
+    }
+
+    return result(true, null);
+  }
+
+  // ===== Private Helper Methods =====
+
+  /**
+   * Canonical content covered by the signature
+   * @private
+   */
+  static _signedContent(envelope) {
+    return [
+      `${SIGNATURE_DOMAIN}/v${envelope.version}`,
+      envelope.from,
+      envelope.to,
+      envelope.timestamp,
+      envelope.body
+    ].join('\n');
+  }
+
+  /**
+   * Result for content that isn't a signed envelope
+   * @private
+   */
+  static _unverified(body, reason) {
+    return { body, timestamp: null, verified: false, reason };
+  }
+}
+
+export default SignedEnvelopeService;
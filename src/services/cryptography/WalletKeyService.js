@@ -0,0 +1,166 @@
+import { ethers } from 'ethers';
+import { secp256k1 } from '@noble/curves/secp256k1';
+import { mapHashToField, getMinHashLength } from '@noble/curves/abstract/modular';
+import { hkdf } from '@noble/hashes/hkdf';
+import { sha256 } from '@noble/hashes/sha256';
+import { bytesToHex, hexToBytes, utf8ToBytes, concatBytes } from '@noble/hashes/utils';
+import EccService from './EccService';
+
+// EIP-712 domain name and version; changing either changes every derived key
+export const WALLET_KEY_DOMAIN_NAME = 'E2E Chat App';
+export const WALLET_KEY_DOMAIN_VERSION = '1';
+
+// Shown to the user in the wallet's signing prompt
+const DERIVATION_PURPOSE = 'Derive my end-to-end chat encryption key. Only sign this in the E2E Chat App: ' +
+  'anyone with this signature can read your messages.';
+
+const DERIVATION_TYPES = {
+  ChatKeyDerivation: [
+    { name: 'purpose', type: 'string' },
+    { name: 'account', type: 'address' },
+    { name: 'index', type: 'uint32' }
+  ]
+};
+
+const HKDF_SALT = utf8ToBytes('e2e-chat-app/wallet-key/v1');
+
+const CURVE_ORDER = secp256k1.CURVE.n;
+
+/**
+ * Chat key pairs derived from an EIP-712 signature of the connected wallet.
+ *
+ * Wallets that sign with RFC 6979 nonces return the same signature for the
+ * same typed data, so the chat key can be re-derived on any device that has
+ * the wallet. The signature is asked for twice and both must match; wallets
+ * with random nonces (some hardware and smart-contract wallets) are refused,
+ * since the key they'd produce could never be derived again.
+ */
+class WalletKeyService {
+  /**
+   * Typed data the wallet signs
+   * @param {string} account - Wallet address
+   * @param {number|bigint} chainId - Chain ID of the connected network
+   * @param {number} index - Identity index, 0 for the first identity
+   * @param {string} purpose - Statement shown in the signing prompt; a different one derives a different key
+   * @returns {Object} Object with domain, types and message
+   */
+  static getTypedData(account, chainId, index = 0, purpose = DERIVATION_PURPOSE) {
+    return {
+      domain: {
+        name: WALLET_KEY_DOMAIN_NAME,
+        version: WALLET_KEY_DOMAIN_VERSION,
+        chainId: BigInt(chainId)
+      },
+      types: DERIVATION_TYPES,
+      message: {
+        purpose,
+        account: ethers.getAddress(account),
+        index
+      }
+    };
+  }
+
+  /**
+   * Ask the wallet for the derivation signature and derive the chat key pair
+   * @param {ethers.Signer} signer - Signer of the connected wallet
+   * @param {Object} options - Derivation options
+   * @param {number|bigint} options.chainId - Chain ID of the connected network
+   * @param {number} options.index - Identity index (default 0)
+   * @param {string} options.purpose - Statement to sign (defaults to the chat key one)
+   * @returns {Promise<Object>} Key pair with privateKey and publicKey in hex format
+   */
+  static async deriveKeyPair(signer, { chainId, index = 0, purpose = DERIVATION_PURPOSE }) {
+    if (chainId === null || chainId === undefined) {
+      throw new Error("Chain ID is required to derive a wallet key");
+    }
+
+    try {
+      const account = await signer.getAddress();
+      const { domain, types, message } = WalletKeyService.getTypedData(account, chainId, index, purpose);
+
+      const first = await signer.signTypedData(domain, types, message);
+      WalletKeyService._checkSigner(first, account, domain, types, message);
+
+      // A second prompt is the only way to tell whether the wallet's nonces are deterministic
+      const second = await signer.signTypedData(domain, types, message);
+      if (!WalletKeyService.isSameSignature(first, second)) {
+        throw new Error("This wallet doesn't produce deterministic signatures, so it can't derive a chat key. Use a recovery phrase or a random key instead.");
+      }
+
+      return WalletKeyService.keyPairFromSignature(first, { account, chainId, index });
+    } catch (error) {
+      console.error("Error deriving key from wallet signature:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Derive the chat key pair from a derivation signature
+   * @param {string} signature - 65-byte signature in hex format
+   * @param {Object} context - Values the signature was made over
+   * @param {string} context.account - Wallet address
+   * @param {number|bigint} context.chainId - Chain ID
+   * @param {number} context.index - Identity index
+   * @returns {Object} Key pair with privateKey and publicKey in hex format
+   */
+  static keyPairFromSignature(signature, { account, chainId, index = 0 }) {
+    const { r, s } = WalletKeyService._canonicalize(signature);
+    const info = utf8ToBytes(`chat-key/${BigInt(chainId)}/${account.toLowerCase()}/${index}`);
+
+    // Extra bytes keep the reduction modulo the curve order unbiased
+    const okm = hkdf(sha256, concatBytes(r, s), HKDF_SALT, info, getMinHashLength(CURVE_ORDER));
+    const privateKey = mapHashToField(okm, CURVE_ORDER);
+    okm.fill(0);
+
+    return EccService.importFromPrivateKey(bytesToHex(privateKey));
+  }
+
+  /**
+   * Compare two signatures, ignoring the high-s/low-s form
+   * @param {string} a - Signature in hex format
+   * @param {string} b - Signature in hex format
+   * @returns {boolean} True if both have the same r and s
+   */
+  static isSameSignature(a, b) {
+    const first = WalletKeyService._canonicalize(a);
+    const second = WalletKeyService._canonicalize(b);
+
+    return bytesToHex(first.r) === bytesToHex(second.r) && bytesToHex(first.s) === bytesToHex(second.s);
+  }
+
+  // ===== Private Helper Methods =====
+
+  /**
+   * Make sure the signature comes from the expected account
+   * @private
+   */
+  static _checkSigner(signature, account, domain, types, message) {
+    const recovered = ethers.verifyTypedData(domain, types, message, signature);
+    if (recovered.toLowerCase() !== account.toLowerCase()) {
+      throw new Error("Wallet signature doesn't belong to the connected account");
+    }
+  }
+
+  /**
+   * Split a signature into r and low-s bytes
+   * @private
+   */
+  static _canonicalize(signature) {
+    const bytes = hexToBytes(signature.replace(/^0x/, ''));
+    if (bytes.length !== 65) {
+      throw new Error("Invalid wallet signature length");
+    }
+
+    let s = BigInt('0x' + bytesToHex(bytes.slice(32, 64)));
+    if (s > CURVE_ORDER / 2n) {
+      s = CURVE_ORDER - s;
+    }
+
+    return {
+      r: bytes.slice(0, 32),
+      s: hexToBytes(s.toString(16).padStart(64, '0'))
+    };
+  }
+}
+
+export default WalletKeyService;
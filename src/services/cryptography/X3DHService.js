@@ -0,0 +1,158 @@
+import { secp256k1 } from '@noble/curves/secp256k1';
+import { hkdf } from '@noble/hashes/hkdf';
+import { sha256 } from '@noble/hashes/sha256';
+import { bytesToHex, hexToBytes, utf8ToBytes, concatBytes } from '@noble/hashes/utils';
+import EccService from './EccService';
+
+// X3DH labels
+const X3DH_INFO = utf8ToBytes('e2e-chat-app/x3dh');
+const PREKEY_SIGNATURE_PREFIX = 'e2e-chat-app/signed-prekey';
+
+// Prepended to the DH outputs so the KDF input never starts with a valid shared secret
+const KDF_PREFIX = new Uint8Array(32).fill(0xff);
+
+/**
+ * X3DH key agreement over secp256k1 prekey bundles.
+ *
+ * The initiator combines its identity key and a fresh ephemeral key with the
+ * responder's identity key, signed prekey and (if one was available) one-time
+ * prekey. The result seeds a Double Ratchet session whose first ratchet key is
+ * the responder's signed prekey.
+ * See https://signal.org/docs/specifications/x3dh/
+ */
+class X3DHService {
+  /**
+   * Generate a prekey pair
+   * @param {number} keyId - Identifier published with the prekey
+   * @returns {Object} Prekey with keyId, privateKey and compressed publicKey in hex format
+   */
+  static generatePreKey(keyId) {
+    const privateKey = secp256k1.utils.randomPrivateKey();
+
+    return {
+      keyId,
+      privateKey: bytesToHex(privateKey),
+      publicKey: bytesToHex(secp256k1.getPublicKey(privateKey, true))
+    };
+  }
+
+  /**
+   * Sign a prekey with the identity key
+   * @param {string} identityPrivateKeyHex - Identity private key in hex format
+   * @param {Object} preKey - Prekey with keyId and publicKey
+   * @returns {string} Compact signature in hex format
+   */
+  static signPreKey(identityPrivateKeyHex, preKey) {
+    return EccService.sign(identityPrivateKeyHex, X3DHService._preKeySignatureMessage(preKey));
+  }
+
+  /**
+   * Verify a signed prekey against the owner's identity key
+   * @param {string} identityPublicKeyHex - Owner's registered identity key
+   * @param {Object} signedPreKey - Signed prekey with keyId, publicKey and signature
+   * @returns {boolean} True if the signature is valid
+   */
+  static verifySignedPreKey(identityPublicKeyHex, signedPreKey) {
+    if (!signedPreKey?.publicKey || !signedPreKey?.signature) {
+      return false;
+    }
+
+    return EccService.verify(
+      identityPublicKeyHex,
+      X3DHService._preKeySignatureMessage(signedPreKey),
+      signedPreKey.signature
+    );
+  }
+
+  /**
+   * Run X3DH as the initiator
+   * @param {Object} identityKeyPair - Own identity key pair (privateKey, publicKey hex)
+   * @param {string} remoteIdentityPublicKeyHex - Responder's identity key
+   * @param {Object} bundle - Responder's bundle with signedPreKey and optional oneTimePreKey
+   * @returns {Object} sharedSecret and the ephemeralPublicKey to send to the responder
+   */
+  static initiate(identityKeyPair, remoteIdentityPublicKeyHex, bundle) {
+    try {
+      if (!X3DHService.verifySignedPreKey(remoteIdentityPublicKeyHex, bundle.signedPreKey)) {
+        throw new Error("Signed prekey signature is invalid");
+      }
+
+      const ephemeral = X3DHService.generatePreKey(0);
+      const signedPreKey = bundle.signedPreKey.publicKey;
+
+      const outputs = [
+        X3DHService._dh(identityKeyPair.privateKey, signedPreKey),
+        X3DHService._dh(ephemeral.privateKey, remoteIdentityPublicKeyHex),
+        X3DHService._dh(ephemeral.privateKey, signedPreKey)
+      ];
+      if (bundle.oneTimePreKey) {
+        outputs.push(X3DHService._dh(ephemeral.privateKey, bundle.oneTimePreKey.publicKey));
+      }
+
+      return {
+        sharedSecret: X3DHService._deriveSecret(outputs),
+        ephemeralPublicKey: ephemeral.publicKey
+      };
+    } catch (error) {
+      console.error("Error running X3DH as initiator:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Run X3DH as the responder
+   * @param {Object} identityKeyPair - Own identity key pair (privateKey, publicKey hex)
+   * @param {Object} signedPreKey - Own signed prekey pair that the initiator used
+   * @param {Object|null} oneTimePreKey - Own one-time prekey pair that the initiator used, if any
+   * @param {string} remoteIdentityPublicKeyHex - Initiator's identity key
+   * @param {string} ephemeralPublicKeyHex - Initiator's ephemeral key
+   * @returns {string} Shared secret in hex format
+   */
+  static respond(identityKeyPair, signedPreKey, oneTimePreKey, remoteIdentityPublicKeyHex, ephemeralPublicKeyHex) {
+    try {
+      const outputs = [
+        X3DHService._dh(signedPreKey.privateKey, remoteIdentityPublicKeyHex),
+        X3DHService._dh(identityKeyPair.privateKey, ephemeralPublicKeyHex),
+        X3DHService._dh(signedPreKey.privateKey, ephemeralPublicKeyHex)
+      ];
+      if (oneTimePreKey) {
+        outputs.push(X3DHService._dh(oneTimePreKey.privateKey, ephemeralPublicKeyHex));
+      }
+
+      return X3DHService._deriveSecret(outputs);
+    } catch (error) {
+      console.error("Error running X3DH as responder:", error);
+      throw error;
+    }
+  }
+
+  // ===== Private Helper Methods =====
+
+  /**
+   * Message signed for a prekey, binding its id to its key
+   * @private
+   */
+  static _preKeySignatureMessage(preKey) {
+    return `${PREKEY_SIGNATURE_PREFIX}:${preKey.keyId}:${preKey.publicKey.toLowerCase()}`;
+  }
+
+  /**
+   * ECDH returning the x coordinate of the shared point
+   * @private
+   */
+  static _dh(privateKeyHex, publicKeyHex) {
+    const publicKey = hexToBytes(EccService.normalizePublicKey(publicKeyHex));
+    return secp256k1.getSharedSecret(hexToBytes(privateKeyHex), publicKey, true).slice(1);
+  }
+
+  /**
+   * HKDF over the concatenated DH outputs
+   * @private
+   */
+  static _deriveSecret(outputs) {
+    const keyMaterial = concatBytes(KDF_PREFIX, ...outputs);
+    return bytesToHex(hkdf(sha256, keyMaterial, new Uint8Array(32), X3DH_INFO, 32));
+  }
+}
+
+export default X3DHService;
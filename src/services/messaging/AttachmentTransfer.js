@@ -0,0 +1,239 @@
+import { sha256 } from '@noble/hashes/sha256';
+import { bytesToHex, hexToBytes } from '@noble/hashes/utils';
+import AttachmentCipher from '../cryptography/AttachmentCipher';
+import AttachmentStore from '../storage/AttachmentStore';
+
+// Relay envelope kinds: the manifest travels through the ratchet session, chunks on their own
+export const ATTACHMENT_ENVELOPE_KIND = {
+  MANIFEST: 'attachment',
+  CHUNK: 'attachment-chunk'
+};
+
+// Version of the attachment manifest
+export const ATTACHMENT_MANIFEST_VERSION = 1;
+
+// Plaintext bytes per chunk; hex-encoded chunks stay well below the relay frame limit
+export const ATTACHMENT_CHUNK_SIZE = 256 * 1024;
+
+// Largest file that can be sent
+export const MAX_ATTACHMENT_SIZE = 50 * 1024 * 1024;
+
+// Longest file name kept in a manifest
+const MAX_FILE_NAME_LENGTH = 255;
+
+/**
+ * Chunked, encrypted file transfer over the message transport.
+ *
+ * The sender reads the file one chunk at a time, encrypts each chunk with a
+ * fresh per-file key (AttachmentCipher) and sends it as its own envelope. A
+ * manifest with the file's name, size, SHA-256 and the wrapped file key is
+ * then sent to the contact as a regular ratchet message. The receiver stores
+ * chunks in IndexedDB as they arrive and only decrypts them, one at a time,
+ * when the file is opened.
+ */
+class AttachmentTransfer {
+  /**
+   * Create a new AttachmentTransfer
+   * @param {string} account - Ethereum address of the local user
+   * @param {Object} keyPair - Local user's key pair (privateKey, publicKey hex)
+   * @param {MessageTransport} transport - Transport used to send chunks
+   */
+  constructor(account, keyPair, transport) {
+    if (!account || !keyPair || !transport) {
+      throw new Error("Account, key pair and transport are required");
+    }
+
+    this.account = account.toLowerCase();
+    this.keyPair = keyPair;
+    this.transport = transport;
+    this.store = new AttachmentStore(account, keyPair);
+  }
+
+  /**
+   * Encrypt a file and upload its chunks to a contact
+   * @param {string} contactAddress - Recipient's Ethereum address
+   * @param {string} contactPublicKey - Recipient's registered public key
+   * @param {File|Blob} file - File to send
+   * @param {Function} onProgress - Called with (chunksSent, chunkCount) after each chunk
+   * @returns {Promise<{manifest: Object, attachment: Object}>} Manifest to send to the contact,
+   *   and the attachment descriptor for the local message history
+   */
+  async upload(contactAddress, contactPublicKey, file, onProgress = () => {}) {
+    if (!file || file.size === 0) {
+      throw new Error("File is empty");
+    }
+    if (file.size > MAX_ATTACHMENT_SIZE) {
+      throw new Error(`Files are limited to ${MAX_ATTACHMENT_SIZE / (1024 * 1024)} MB`);
+    }
+
+    try {
+      const fileId = this.transport.createEnvelopeId();
+      const fileKey = AttachmentCipher.generateFileKey();
+      const chunkCount = Math.ceil(file.size / ATTACHMENT_CHUNK_SIZE);
+      const hash = sha256.create();
+
+      for (let index = 0; index < chunkCount; index++) {
+        const start = index * ATTACHMENT_CHUNK_SIZE;
+        const bytes = new Uint8Array(await file.slice(start, start + ATTACHMENT_CHUNK_SIZE).arrayBuffer());
+        hash.update(bytes);
+
+        const sealed = await AttachmentCipher.encryptChunk(fileKey, { fileId, index, chunkCount }, bytes);
+
+        await this.transport.send({
+          to: contactAddress,
+          kind: ATTACHMENT_ENVELOPE_KIND.CHUNK,
+          payload: JSON.stringify({ fileId, index, data: bytesToHex(sealed) })
+        });
+
+        // Keep our own copy so the sent file can be opened later
+        await this.store.saveChunk(this.account, fileId, index, sealed);
+        onProgress(index + 1, chunkCount);
+      }
+
+      const details = {
+        fileId,
+        name: AttachmentTransfer._sanitizeName(file.name),
+        type: file.type || 'application/octet-stream',
+        size: file.size,
+        chunkCount,
+        sha256: bytesToHex(hash.digest())
+      };
+
+      return {
+        manifest: {
+          version: ATTACHMENT_MANIFEST_VERSION,
+          ...details,
+          key: await AttachmentCipher.wrapKey(contactPublicKey, fileKey)
+        },
+        attachment: { ...details, owner: this.account, key: fileKey }
+      };
+    } catch (error) {
+      console.error("Error uploading attachment:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Store a chunk delivered by the transport
+   * @param {Object} envelope - Envelope with kind attachment-chunk
+   * @returns {Promise<void>}
+   */
+  async receiveChunk(envelope) {
+    let chunk;
+    try {
+      chunk = JSON.parse(envelope.payload);
+    } catch {
+      throw new Error("Malformed attachment chunk");
+    }
+
+    if (typeof chunk?.fileId !== 'string' || !Number.isInteger(chunk.index) || chunk.index < 0 ||
+        typeof chunk.data !== 'string') {
+      throw new Error("Malformed attachment chunk");
+    }
+
+    await this.store.saveChunk(envelope.from, chunk.fileId, chunk.index, hexToBytes(chunk.data));
+  }
+
+  /**
+   * Validate a manifest received from a contact and unwrap its file key
+   * @param {string} senderAddress - Contact who sent the manifest
+   * @param {string} manifestJson - Decrypted manifest
+   * @returns {Promise<Object>} Attachment descriptor for the local message history
+   */
+  async acceptManifest(senderAddress, manifestJson) {
+    let manifest;
+    try {
+      manifest = JSON.parse(manifestJson);
+    } catch {
+      throw new Error("Malformed attachment manifest");
+    }
+
+    if (manifest?.version !== ATTACHMENT_MANIFEST_VERSION ||
+        typeof manifest.fileId !== 'string' || typeof manifest.name !== 'string' ||
+        typeof manifest.type !== 'string' || typeof manifest.key !== 'string' ||
+        !Number.isInteger(manifest.size) || manifest.size <= 0 || manifest.size > MAX_ATTACHMENT_SIZE ||
+        manifest.chunkCount !== Math.ceil(manifest.size / ATTACHMENT_CHUNK_SIZE) ||
+        !/^[0-9a-f]{64}$/.test(manifest.sha256)) {
+      throw new Error("Malformed attachment manifest");
+    }
+
+    return {
+      fileId: manifest.fileId,
+      name: AttachmentTransfer._sanitizeName(manifest.name),
+      type: manifest.type,
+      size: manifest.size,
+      chunkCount: manifest.chunkCount,
+      sha256: manifest.sha256,
+      owner: senderAddress.toLowerCase(),
+      key: await AttachmentCipher.unwrapKey(this.keyPair.privateKey, manifest.key)
+    };
+  }
+
+  /**
+   * How many chunks of an attachment have arrived
+   * @param {Object} attachment - Attachment descriptor
+   * @returns {Promise<number>} Number of stored chunks
+   */
+  receivedChunks(attachment) {
+    return this.store.countChunks(attachment.owner, attachment.fileId);
+  }
+
+  /**
+   * Decrypt and reassemble an attachment
+   * Chunks are decrypted one at a time and handed to the Blob as separate
+   * parts, so the plaintext never has to exist as a single buffer.
+   * @param {Object} attachment - Attachment descriptor
+   * @returns {Promise<Blob>} The verified file
+   */
+  async assemble(attachment) {
+    try {
+      const { fileId, owner, chunkCount, key } = attachment;
+      const hash = sha256.create();
+      const parts = [];
+      let size = 0;
+
+      for (let index = 0; index < chunkCount; index++) {
+        const sealed = await this.store.loadChunk(owner, fileId, index);
+        if (!sealed) {
+          const received = await this.receivedChunks(attachment);
+          throw new Error(`Attachment is still downloading (${received} of ${chunkCount} chunks)`);
+        }
+
+        const bytes = await AttachmentCipher.decryptChunk(key, { fileId, index, chunkCount }, sealed);
+        hash.update(bytes);
+        size += bytes.length;
+        parts.push(new Blob([bytes]));
+      }
+
+      if (size !== attachment.size || bytesToHex(hash.digest()) !== attachment.sha256) {
+        throw new Error("Attachment failed integrity check");
+      }
+
+      return new Blob(parts, { type: attachment.type });
+    } catch (error) {
+      console.error("Error assembling attachment:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Close the underlying storage
+   */
+  async close() {
+    await this.store.close();
+  }
+
+  // ===== Private Helper Methods =====
+
+  /**
+   * Strip path components and control characters from a file name
+   * @private
+   */
+  static _sanitizeName(name) {
+    const baseName = String(name || '').split(/[\\/]/).pop();
+    const cleaned = baseName.replace(/\p{Cc}/gu, '').trim();
+    return cleaned.substring(0, MAX_FILE_NAME_LENGTH) || 'attachment';
+  }
+}
+
+export default AttachmentTransfer;
@@ -0,0 +1,613 @@
+import EccService, { ENCRYPTION_DOMAIN } from '../cryptography/EccService';
+import SignedEnvelopeService from '../cryptography/SignedEnvelopeService';
+import SenderKeyService from '../cryptography/SenderKeyService';
+import GroupStore from '../storage/GroupStore';
+import { UndeliverableEnvelopeError } from './MessageTransport';
+
+// Envelope kinds used for groups
+export const GROUP_ENVELOPE_KIND = {
+  CONTROL: 'group-control',   // pairwise-encrypted membership updates and sender keys
+  MESSAGE: 'group-message'    // sender-key encrypted chat message, fanned out to every member
+};
+
+// Control message types
+const CONTROL_TYPE = {
+  UPDATE: 'update',
+  SENDER_KEY: 'sender-key'
+};
+
+// Group limits
+export const MAX_GROUP_MEMBERS = 50;
+const MAX_GROUP_NAME_LENGTH = 64;
+
+// Members are stored as lowercase addresses
+const ADDRESS_PATTERN = /^0x[a-f0-9]{40}$/;
+
+// Sender keys kept per member, so messages sent just before a rotation still decrypt
+const MAX_KEYS_PER_MEMBER = 2;
+
+/**
+ * Conversation key under which a group's history is stored
+ * @param {string} groupId - Group id
+ * @returns {string} MessageStore conversation key
+ */
+export const groupConversationKey = (groupId) => `group:${groupId}`;
+
+/**
+ * Group chats built on sender keys.
+ *
+ * The creator of a group is its admin and the only member who can rename it
+ * or change its membership; every change bumps the group's epoch. Each member
+ * sends with its own sender key, which is encrypted with EccService.encrypt to
+ * every other member's registered public key and replaced as soon as the
+ * member sends in a new epoch, so removed members can't read new messages.
+ *
+ * Control messages and group messages are signed with the sender's identity
+ * key (see SignedEnvelopeService); unsigned control messages are rejected,
+ * group messages are flagged as unverified. Group messages are encrypted once
+ * and delivered to each member through the relay.
+ */
+class GroupManager {
+  /**
+   * Create a new GroupManager
+   * @param {string} account - Ethereum address of the local user
+   * @param {Object} keyPair - Local user's key pair (privateKey, publicKey hex)
+   * @param {MessageTransport} transport - Transport used to reach the members
+   * @param {Function} lookupPublicKey - Resolves an address to its registered public key
+   */
+  constructor(account, keyPair, transport, lookupPublicKey) {
+    if (!account || !keyPair || !transport || typeof lookupPublicKey !== 'function') {
+      throw new Error("Account, key pair, transport and public key lookup are required");
+    }
+
+    this.account = account.toLowerCase();
+    this.keyPair = keyPair;
+    this.transport = transport;
+    this.lookupPublicKey = lookupPublicKey;
+    this.store = new GroupStore(account, keyPair);
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * List the groups the user belongs to or was removed from
+   * @returns {Promise<Array<Object>>} Groups sorted by name, with an `active` flag
+   */
+  async listGroups() {
+    const records = await this.store.loadAll();
+
+    return records
+      .filter(record => record.group)
+      .map(record => ({ ...record.group, active: record.active }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Create a group with the local user as admin
+   * @param {string} name - Group name
+   * @param {Array<string>} memberAddresses - Addresses of the other members
+   * @returns {Promise<Object>} The new group
+   */
+  createGroup(name, memberAddresses) {
+    return this._withLock(async () => {
+      try {
+        const members = [...new Set([this.account, ...memberAddresses.map(a => a.toLowerCase())])];
+        await this._checkMembers(members);
+
+        const group = {
+          id: this.transport.createEnvelopeId(),
+          name: GroupManager._checkName(name),
+          admin: this.account,
+          members,
+          epoch: 1,
+          updatedAt: Date.now()
+        };
+
+        const record = { id: group.id, group, active: true, ownSenderKey: null, memberKeys: {} };
+        await this.store.save(record);
+        await this._broadcastUpdate(group, members);
+
+        return group;
+      } catch (error) {
+        console.error("Error creating group:", error);
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * Rename a group (admin only)
+   * @param {string} groupId - Group id
+   * @param {string} name - New name
+   * @returns {Promise<Object>} Updated group
+   */
+  renameGroup(groupId, name) {
+    return this._updateGroup(groupId, (group) => ({ ...group, name: GroupManager._checkName(name) }));
+  }
+
+  /**
+   * Add a member to a group (admin only)
+   * @param {string} groupId - Group id
+   * @param {string} memberAddress - Address to add
+   * @returns {Promise<Object>} Updated group
+   */
+  addMember(groupId, memberAddress) {
+    return this._updateGroup(groupId, async (group) => {
+      const member = memberAddress.toLowerCase();
+      if (group.members.includes(member)) {
+        throw new Error("Address is already a member");
+      }
+
+      const members = [...group.members, member];
+      await this._checkMembers(members);
+      return { ...group, members };
+    });
+  }
+
+  /**
+   * Remove a member from a group (admin only)
+   * @param {string} groupId - Group id
+   * @param {string} memberAddress - Address to remove
+   * @returns {Promise<Object>} Updated group
+   */
+  removeMember(groupId, memberAddress) {
+    return this._updateGroup(groupId, (group) => {
+      const member = memberAddress.toLowerCase();
+      if (member === group.admin) {
+        throw new Error("The admin can't be removed");
+      }
+      if (!group.members.includes(member)) {
+        throw new Error("Address is not a member");
+      }
+
+      return { ...group, members: group.members.filter(m => m !== member) };
+    });
+  }
+
+  /**
+   * Encrypt a message with our sender key and deliver it to every member
+   * @param {string} groupId - Group id
+   * @param {string} text - Message text
+   * @returns {Promise<Object>} The sent message
+   */
+  sendMessage(groupId, text) {
+    return this._withLock(async () => {
+      try {
+        const record = await this._loadActiveRecord(groupId);
+        const { group } = record;
+        const recipients = group.members.filter(member => member !== this.account);
+
+        // First message in a new epoch: rotate our sender key
+        if (!record.ownSenderKey || record.ownSenderKey.epoch !== group.epoch) {
+          record.ownSenderKey = {
+            ...SenderKeyService.generateSenderKey(),
+            epoch: group.epoch,
+            distributedTo: []
+          };
+          await this.store.save(record);
+        }
+
+        // Members who don't have the key yet (also retries a distribution that failed halfway)
+        for (const member of recipients) {
+          if (record.ownSenderKey.distributedTo.includes(member)) continue;
+
+          await this._sendControl(member, {
+            type: CONTROL_TYPE.SENDER_KEY,
+            groupId,
+            epoch: group.epoch,
+            distribution: SenderKeyService.toDistribution(record.ownSenderKey)
+          });
+          record.ownSenderKey.distributedTo.push(member);
+          await this.store.save(record);
+        }
+
+        const messageId = this.transport.createEnvelopeId();
+        const timestamp = Date.now();
+        const sealed = SignedEnvelopeService.seal(this.keyPair.privateKey, {
+          from: this.account,
+          to: groupId,
+          body: text,
+          timestamp
+        });
+        const { state, message } = await SenderKeyService.encrypt(
+          record.ownSenderKey,
+          sealed,
+          GroupManager._associatedData(groupId, messageId, this.account, timestamp)
+        );
+
+        record.ownSenderKey = state;
+        await this.store.save(record);
+
+        const payload = JSON.stringify({ groupId, messageId, timestamp, message });
+        await Promise.all(recipients.map(member => this.transport.send({
+          to: member,
+          kind: GROUP_ENVELOPE_KIND.MESSAGE,
+          payload
+        })));
+
+        return {
+          id: messageId,
+          groupId,
+          content: text,
+          sender: this.account,
+          recipient: groupId,
+          timestamp,
+          verified: true
+        };
+      } catch (error) {
+        console.error("Error sending group message:", error);
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * Process a group envelope delivered by the transport
+   * A group message that is already stored is skipped, since its message key is
+   * used up; a new one is handed to `persist` before the sender key moves past it.
+   * @param {Object} envelope - Envelope with kind group-control or group-message
+   * @param {Object} options - Message storage callbacks
+   * @param {Function} options.isKnownMessage - Resolves (groupId, messageId) to true if the message is stored
+   * @param {Function} options.persist - Stores a decrypted message; if it throws, the sender key is left as it was
+   * @returns {Promise<{group: Object|null, message: Object|null}|null>} What changed, or null for other kinds
+   */
+  handleEnvelope(envelope, { isKnownMessage = null, persist = null } = {}) {
+    if (!Object.values(GROUP_ENVELOPE_KIND).includes(envelope.kind)) {
+      return Promise.resolve(null);
+    }
+
+    return this._withLock(async () => {
+      try {
+        if (envelope.kind === GROUP_ENVELOPE_KIND.MESSAGE) {
+          return { group: null, message: await this._receiveMessage(envelope, isKnownMessage, persist) };
+        }
+
+        const body = await this._openControl(envelope);
+        if (body.type === CONTROL_TYPE.UPDATE) {
+          return { group: await this._receiveUpdate(envelope.from, body.group), message: null };
+        }
+        if (body.type === CONTROL_TYPE.SENDER_KEY) {
+          await this._receiveSenderKey(envelope.from, body);
+          return { group: null, message: null };
+        }
+
+        throw new Error(`Unknown group control type: ${body.type}`);
+      } catch (error) {
+        console.error("Error handling group envelope:", error);
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * Close the group store
+   */
+  async close() {
+    await this.store.close();
+  }
+
+  // ===== Private Helper Methods =====
+
+  /**
+   * Apply an admin change, bump the epoch and tell current and removed members
+   * @private
+   */
+  _updateGroup(groupId, change) {
+    return this._withLock(async () => {
+      try {
+        const record = await this._loadActiveRecord(groupId);
+        if (record.group.admin !== this.account) {
+          throw new Error("Only the group admin can change the group");
+        }
+
+        const previousMembers = record.group.members;
+        const group = {
+          ...(await change(record.group)),
+          epoch: record.group.epoch + 1,
+          updatedAt: Date.now()
+        };
+
+        record.group = group;
+        GroupManager._dropFormerMemberKeys(record);
+        await this.store.save(record);
+
+        await this._broadcastUpdate(group, [...new Set([...previousMembers, ...group.members])]);
+        return group;
+      } catch (error) {
+        console.error("Error updating group:", error);
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * Send the group state to a list of addresses
+   * @private
+   */
+  async _broadcastUpdate(group, addresses) {
+    for (const address of addresses) {
+      if (address !== this.account) {
+        await this._sendControl(address, { type: CONTROL_TYPE.UPDATE, group });
+      }
+    }
+  }
+
+  /**
+   * Apply a group update sent by the admin
+   * @private
+   */
+  async _receiveUpdate(from, group) {
+    GroupManager._checkGroupShape(group);
+
+    const record = await this.store.load(group.id) || {
+      id: group.id, group: null, active: false, ownSenderKey: null, memberKeys: {}
+    };
+
+    if (record.group) {
+      if (record.group.admin !== from) {
+        throw new Error("Group update was not sent by the admin");
+      }
+      if (group.admin !== record.group.admin) {
+        throw new Error("Group admin can't change");
+      }
+      if (group.epoch <= record.group.epoch) {
+        // Stale or replayed update
+        return record.group;
+      }
+    } else if (group.admin !== from) {
+      throw new Error("Group update was not sent by the admin");
+    }
+
+    record.group = group;
+    record.active = group.members.includes(this.account);
+
+    if (!record.active) {
+      record.ownSenderKey = null;
+      record.memberKeys = {};
+    } else {
+      GroupManager._dropFormerMemberKeys(record);
+    }
+
+    await this.store.save(record);
+    return group;
+  }
+
+  /**
+   * Store a sender key distributed by a member
+   * @private
+   */
+  async _receiveSenderKey(from, body) {
+    if (typeof body.groupId !== 'string' || !Number.isInteger(body.epoch)) {
+      throw new Error("Invalid sender key message");
+    }
+
+    const record = await this.store.load(body.groupId) || {
+      id: body.groupId, group: null, active: false, ownSenderKey: null, memberKeys: {}
+    };
+
+    // Keys for a later epoch may arrive before the admin's update that adds the sender
+    if (record.group && !record.group.members.includes(from) && body.epoch <= record.group.epoch) {
+      throw new Error("Sender key from an address that is not a member");
+    }
+
+    const state = SenderKeyService.fromDistribution(body.distribution);
+    const keys = (record.memberKeys[from] || []).filter(key => key.state.keyId !== state.keyId);
+    record.memberKeys[from] = [{ epoch: body.epoch, state }, ...keys].slice(0, MAX_KEYS_PER_MEMBER);
+
+    await this.store.save(record);
+  }
+
+  /**
+   * Decrypt a group message with the sender's key
+   * @returns {Promise<Object|null>} The message, or null if it was already stored
+   * @private
+   */
+  async _receiveMessage(envelope, isKnownMessage, persist) {
+    let payload;
+    try {
+      payload = JSON.parse(envelope.payload);
+    } catch {
+      throw new UndeliverableEnvelopeError("Malformed group message");
+    }
+
+    const { groupId, messageId, timestamp, message } = payload;
+    if (typeof groupId !== 'string' || typeof messageId !== 'string' || typeof timestamp !== 'number') {
+      throw new UndeliverableEnvelopeError("Malformed group message");
+    }
+
+    // Redelivered because the acknowledgement was lost
+    if (await isKnownMessage?.(groupId, messageId)) {
+      return null;
+    }
+
+    const record = await this.store.load(groupId);
+    const keys = record?.memberKeys[envelope.from] || [];
+    const senderKey = keys.find(key => key.state.keyId === message?.keyId);
+
+    if (!record?.active || !senderKey) {
+      throw new Error("No sender key for this group message");
+    }
+
+    // Decrypting again with the same sender key fails the same way
+    const { state, plaintext } = await SenderKeyService.decrypt(
+      senderKey.state,
+      message,
+      GroupManager._associatedData(groupId, messageId, envelope.from, timestamp)
+    ).catch(error => {
+      throw new UndeliverableEnvelopeError(error.message, { cause: error });
+    });
+
+    const opened = SignedEnvelopeService.open(plaintext, {
+      from: envelope.from,
+      to: groupId,
+      publicKey: await this.lookupPublicKey(envelope.from)
+    });
+    const verified = opened.verified && opened.timestamp === timestamp;
+
+    const received = {
+      id: messageId,
+      groupId,
+      content: opened.body,
+      sender: envelope.from,
+      recipient: groupId,
+      timestamp,
+      verified,
+      verificationError: verified ? null : (opened.reason || "Signed timestamp doesn't match the message")
+    };
+
+    // Once the state is saved the message key is gone, so store the message first
+    await persist?.(received);
+    senderKey.state = state;
+    await this.store.save(record);
+
+    return received;
+  }
+
+  /**
+   * Sign a control message, encrypt it to the member and send it
+   * @private
+   */
+  async _sendControl(to, content) {
+    const publicKeyHex = await this.lookupPublicKey(to);
+    if (!publicKeyHex) {
+      throw new Error(`${to} has no registered public key`);
+    }
+
+    const sealed = SignedEnvelopeService.seal(this.keyPair.privateKey, {
+      from: this.account,
+      to,
+      body: JSON.stringify(content)
+    });
+    const encrypted = await EccService.encrypt(publicKeyHex, sealed, { domain: ENCRYPTION_DOMAIN.CHAT });
+
+    await this.transport.send({
+      to,
+      kind: GROUP_ENVELOPE_KIND.CONTROL,
+      payload: EccService.formatForContract(encrypted)
+    });
+  }
+
+  /**
+   * Decrypt a control message and check that the claimed sender signed it for us
+   * @private
+   */
+  async _openControl(envelope) {
+    let decrypted;
+    try {
+      decrypted = await EccService.decrypt(
+        this.keyPair.privateKey,
+        EccService.parseFromContract(envelope.payload),
+        { domain: ENCRYPTION_DOMAIN.CHAT }
+      );
+    } catch (error) {
+      throw new UndeliverableEnvelopeError(error.message, { cause: error });
+    }
+
+    const opened = SignedEnvelopeService.open(decrypted, {
+      from: envelope.from,
+      to: this.account,
+      publicKey: await this.lookupPublicKey(envelope.from)
+    });
+    if (!opened.verified) {
+      throw new UndeliverableEnvelopeError(`Invalid group control message: ${opened.reason}`);
+    }
+
+    return JSON.parse(opened.body);
+  }
+
+  /**
+   * Load a group the user is still a member of
+   * @private
+   */
+  async _loadActiveRecord(groupId) {
+    const record = await this.store.load(groupId);
+    if (!record?.group) {
+      throw new Error("Unknown group");
+    }
+    if (!record.active) {
+      throw new Error("You are no longer a member of this group");
+    }
+
+    return record;
+  }
+
+  /**
+   * Make sure every member can be reached
+   * @private
+   */
+  async _checkMembers(members) {
+    if (members.length < 2) {
+      throw new Error("A group needs at least one other member");
+    }
+    if (members.length > MAX_GROUP_MEMBERS) {
+      throw new Error(`A group can have at most ${MAX_GROUP_MEMBERS} members`);
+    }
+
+    for (const member of members) {
+      if (!ADDRESS_PATTERN.test(member)) {
+        throw new Error(`Invalid Ethereum address: ${member}`);
+      }
+      if (member !== this.account && !(await this.lookupPublicKey(member))) {
+        throw new Error(`${member} has no registered public key`);
+      }
+    }
+  }
+
+  /**
+   * Run group operations one at a time
+   * @private
+   */
+  _withLock(operation) {
+    const result = this.queue.then(operation);
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Forget the sender keys of addresses that left the group
+   * @private
+   */
+  static _dropFormerMemberKeys(record) {
+    for (const address of Object.keys(record.memberKeys)) {
+      if (!record.group.members.includes(address)) {
+        delete record.memberKeys[address];
+      }
+    }
+  }
+
+  /**
+   * Validate and trim a group name
+   * @private
+   */
+  static _checkName(name) {
+    const trimmed = (name || '').trim();
+    if (!trimmed || trimmed.length > MAX_GROUP_NAME_LENGTH) {
+      throw new Error(`Group name must be 1-${MAX_GROUP_NAME_LENGTH} characters`);
+    }
+
+    return trimmed;
+  }
+
+  /**
+   * Validate a group received from another member
+   * @private
+   */
+  static _checkGroupShape(group) {
+    if (!group || typeof group.id !== 'string' || typeof group.name !== 'string' ||
+        typeof group.admin !== 'string' || !Array.isArray(group.members) ||
+        !Number.isInteger(group.epoch) || group.members.length > MAX_GROUP_MEMBERS ||
+        !group.members.every(member => ADDRESS_PATTERN.test(member)) ||
+        !group.members.includes(group.admin)) {
+      throw new Error("Invalid group update");
+    }
+  }
+
+  /**
+   * Context bound to every group message
+   * @private
+   */
+  static _associatedData(groupId, messageId, sender, timestamp) {
+    return `${groupId}|${messageId}|${sender.toLowerCase()}|${timestamp}`;
+  }
+}
+
+export default GroupManager;
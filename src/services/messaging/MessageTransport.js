@@ -0,0 +1,224 @@
+// Connection states reported by every transport implementation
+export const TRANSPORT_STATUS = {
+  DISCONNECTED: 'disconnected',
+  CONNECTING: 'connecting',
+  AUTHENTICATING: 'authenticating',
+  CONNECTED: 'connected',
+  RECONNECTING: 'reconnecting'
+};
+
+// Failed deliveries after which an envelope is acknowledged and reported instead of kept
+export const MAX_DELIVERY_ATTEMPTS = 3;
+
+// Envelopes held for kinds no handler has registered for yet
+const MAX_PENDING_ENVELOPES = 500;
+
+/**
+ * Thrown by a message handler for an envelope that fails the same way every
+ * time it is delivered (e.g. it can't be decrypted), so the transport drops it
+ * without waiting for MAX_DELIVERY_ATTEMPTS
+ */
+export class UndeliverableEnvelopeError extends Error {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'UndeliverableEnvelopeError';
+  }
+}
+
+/**
+ * Base class for message transports.
+ *
+ * A transport moves opaque envelopes between Ethereum addresses. It never
+ * sees plaintext: callers encrypt before `send` and decrypt in their
+ * `onMessage` handlers. Envelopes have the shape
+ * `{ id, from, to, kind, payload, timestamp }`.
+ *
+ * An envelope is acknowledged once every handler for its kind succeeded.
+ * Envelopes of a kind nobody handles yet are held until a handler registers,
+ * so handlers don't depend on the order they register in. One that keeps
+ * failing is acknowledged and reported to the delivery error handlers after
+ * MAX_DELIVERY_ATTEMPTS, or at once on an UndeliverableEnvelopeError.
+ */
+class MessageTransport {
+  constructor() {
+    this.messageHandlers = new Set();
+    this.statusHandlers = new Set();
+    this.deliveryErrorHandlers = new Set();
+    this.status = TRANSPORT_STATUS.DISCONNECTED;
+
+    this.pendingEnvelopes = [];
+    this.deliveryFailures = new Map();
+    this.deliveryQueue = Promise.resolve();
+  }
+
+  /**
+   * Open the connection and authenticate
+   * @returns {Promise<void>} Resolves once the transport can send and receive
+   */
+  async connect() {
+    throw new Error("connect() not implemented by transport");
+  }
+
+  /**
+   * Close the connection and stop reconnecting
+   */
+  disconnect() {
+    throw new Error("disconnect() not implemented by transport");
+  }
+
+  /**
+   * Send an envelope to its recipient
+   * @param {Object} envelope - Envelope with to, kind and payload set
+   * @returns {Promise<Object>} The envelope as sent, including id and timestamp
+   */
+  async send() {
+    throw new Error("send() not implemented by transport");
+  }
+
+  /**
+   * Register a handler for incoming envelopes
+   * Envelopes of these kinds that arrived before the handler are delivered to it now.
+   * @param {Function} handler - Called with each envelope, may be async
+   * @param {Array<string>|null} kinds - Envelope kinds the handler processes; null for every kind
+   * @returns {Function} Unsubscribe function
+   */
+  onMessage(handler, kinds = null) {
+    const entry = { handler, kinds: kinds ? new Set(kinds) : null };
+    this.messageHandlers.add(entry);
+
+    const waiting = this.pendingEnvelopes.filter(envelope => MessageTransport._accepts(entry, envelope));
+    if (waiting.length > 0) {
+      this.pendingEnvelopes = this.pendingEnvelopes.filter(envelope => !waiting.includes(envelope));
+      for (const envelope of waiting) {
+        this._deliver(envelope).catch(error => {
+          console.error(`Error delivering held envelope ${envelope.id}:`, error);
+        });
+      }
+    }
+
+    return () => this.messageHandlers.delete(entry);
+  }
+
+  /**
+   * Register a handler for envelopes that were dropped because they kept failing
+   * @param {Function} handler - Called with the envelope and the last handler error
+   * @returns {Function} Unsubscribe function
+   */
+  onDeliveryError(handler) {
+    this.deliveryErrorHandlers.add(handler);
+    return () => this.deliveryErrorHandlers.delete(handler);
+  }
+
+  /**
+   * Register a handler for connection status changes
+   * @param {Function} handler - Called with the new TRANSPORT_STATUS value
+   * @returns {Function} Unsubscribe function
+   */
+  onStatusChange(handler) {
+    this.statusHandlers.add(handler);
+    return () => this.statusHandlers.delete(handler);
+  }
+
+  /**
+   * Create a unique envelope id
+   * @returns {string} Random identifier
+   */
+  createEnvelopeId() {
+    return window.crypto.randomUUID();
+  }
+
+  /**
+   * Update the connection status and notify listeners
+   * @param {string} status - New TRANSPORT_STATUS value
+   * @protected
+   */
+  _setStatus(status) {
+    if (this.status === status) return;
+
+    this.status = status;
+    for (const handler of this.statusHandlers) {
+      handler(status);
+    }
+  }
+
+  /**
+   * Acknowledge an envelope so it isn't delivered again
+   * @param {Object} envelope - Received envelope
+   * @protected
+   */
+  _acknowledge() {
+    throw new Error("_acknowledge() not implemented by transport");
+  }
+
+  /**
+   * Hand an incoming envelope to its handlers, one envelope at a time
+   * @param {Object} envelope - Received envelope
+   * @returns {Promise<void>}
+   * @protected
+   */
+  _deliver(envelope) {
+    const delivery = this.deliveryQueue.then(() => this._dispatch(envelope));
+    this.deliveryQueue = delivery.catch(() => {});
+    return delivery;
+  }
+
+  /**
+   * Run the handlers for an envelope's kind and decide whether to acknowledge it
+   * @private
+   */
+  async _dispatch(envelope) {
+    const entries = [...this.messageHandlers].filter(entry => MessageTransport._accepts(entry, envelope));
+
+    if (entries.length === 0) {
+      if (!this.pendingEnvelopes.some(pending => pending.id === envelope.id)) {
+        // The oldest held envelope is still unacknowledged and comes back on the next login
+        this.pendingEnvelopes = [...this.pendingEnvelopes, envelope].slice(-MAX_PENDING_ENVELOPES);
+      }
+      return;
+    }
+
+    let failure = null;
+    for (const { handler } of entries) {
+      try {
+        await handler(envelope);
+      } catch (error) {
+        console.error(`Error handling ${envelope.kind} envelope ${envelope.id}:`, error);
+        if (!(failure instanceof UndeliverableEnvelopeError)) {
+          failure = error;
+        }
+      }
+    }
+
+    if (!failure) {
+      this._acknowledge(envelope);
+      this.deliveryFailures.delete(envelope.id);
+      return;
+    }
+
+    // Unacknowledged envelopes are delivered again, so one that failed to
+    // decrypt or store isn't lost - unless retrying can't help
+    const attempts = (this.deliveryFailures.get(envelope.id) || 0) + 1;
+    if (!(failure instanceof UndeliverableEnvelopeError) && attempts < MAX_DELIVERY_ATTEMPTS) {
+      this.deliveryFailures.set(envelope.id, attempts);
+      return;
+    }
+
+    this._acknowledge(envelope);
+    this.deliveryFailures.delete(envelope.id);
+
+    console.error(`Dropped ${envelope.kind} envelope ${envelope.id} after ${attempts} failed deliveries`);
+    for (const handler of this.deliveryErrorHandlers) {
+      handler(envelope, failure);
+    }
+  }
+
+  /**
+   * Whether a registered handler takes an envelope's kind
+   * @private
+   */
+  static _accepts(entry, envelope) {
+    return !entry.kinds || entry.kinds.has(envelope.kind);
+  }
+}
+
+export default MessageTransport;
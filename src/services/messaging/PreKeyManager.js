@@ -0,0 +1,210 @@
+import X3DHService from '../cryptography/X3DHService';
+import PreKeyStore from '../storage/PreKeyStore';
+
+// Refill the on-chain pool when fewer one-time prekeys than this are left
+export const ONE_TIME_PREKEY_LOW_WATERMARK = 5;
+
+// Number of one-time prekeys published per refill (contract allows up to 25)
+const ONE_TIME_PREKEY_BATCH_SIZE = 20;
+
+// Rotate the signed prekey after a week
+const SIGNED_PREKEY_MAX_AGE = 7 * 24 * 60 * 60 * 1000;
+
+// Rotated signed prekeys are kept for setup messages still in flight
+const MAX_SIGNED_PREKEYS = 3;
+
+// Local one-time prekeys kept at most; keys claimed but never used are dropped first
+const MAX_LOCAL_ONE_TIME_PREKEYS = 200;
+
+/**
+ * Publishes the local user's X3DH prekeys and hands out their private halves
+ * when a contact starts a session with them.
+ *
+ * Private keys are saved locally before the public keys are published, so a
+ * confirmed transaction never refers to a key this device doesn't have.
+ */
+class PreKeyManager {
+  /**
+   * Create a new PreKeyManager
+   * @param {string} account - Ethereum address of the local user
+   * @param {Object} keyPair - Local user's identity key pair (privateKey, publicKey hex)
+   * @param {PreKeyRegistryService} registry - Prekey registry contract service
+   */
+  constructor(account, keyPair, registry) {
+    if (!account || !keyPair || !registry) {
+      throw new Error("Account, key pair and prekey registry are required");
+    }
+
+    this.account = account;
+    this.keyPair = keyPair;
+    this.registry = registry;
+    this.store = new PreKeyStore(account, keyPair);
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Make sure a current signed prekey and enough one-time prekeys are published
+   * @returns {Promise<{signedPreKeyId: number, available: number}>} Published state
+   */
+  ensurePublished() {
+    return this._withLock(async () => {
+      try {
+        const preKeys = await this._loadPreKeys();
+        const { signedPreKey, available } = await this.registry.getPreKeyBundle(this.account);
+
+        const current = preKeys.signedPreKeys[0];
+        const isCurrentPublished = current &&
+          signedPreKey?.keyId === current.keyId &&
+          signedPreKey.publicKey === current.publicKey;
+
+        if (!isCurrentPublished || Date.now() - current.createdAt > SIGNED_PREKEY_MAX_AGE) {
+          await this._rotateSignedPreKey(preKeys);
+        }
+
+        let supply = available;
+
+        // One-time prekeys we hold no private keys for (another device or an
+        // older identity key) would only break sessions - replace them
+        if (supply > 0 && Object.keys(preKeys.oneTimePreKeys).length === 0) {
+          await this.registry.clearOneTimePreKeys();
+          supply = 0;
+        }
+
+        if (supply < ONE_TIME_PREKEY_LOW_WATERMARK) {
+          supply += await this._publishOneTimePreKeys(preKeys);
+        }
+
+        return { signedPreKeyId: preKeys.signedPreKeys[0].keyId, available: supply };
+      } catch (error) {
+        console.error("Error publishing prekeys:", error);
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * Claim a contact's prekey bundle from the registry
+   * @param {string} contactAddress - Contact's Ethereum address
+   * @returns {Promise<Object|null>} Bundle, or null if the contact published none
+   */
+  claimBundle(contactAddress) {
+    return this.registry.claimPreKeyBundle(contactAddress);
+  }
+
+  /**
+   * Look up the private prekeys referenced by a session setup message
+   * @param {number} signedPreKeyId - Id of the signed prekey the initiator used
+   * @param {number|null} oneTimePreKeyId - Id of the one-time prekey the initiator used
+   * @returns {Promise<{signedPreKey: Object, oneTimePreKey: Object|null}>} Prekey pairs
+   */
+  async getPreKeys(signedPreKeyId, oneTimePreKeyId) {
+    const preKeys = await this._withLock(() => this._loadPreKeys());
+
+    const signedPreKey = preKeys.signedPreKeys.find(preKey => preKey.keyId === signedPreKeyId);
+    if (!signedPreKey) {
+      throw new Error(`Unknown signed prekey ${signedPreKeyId}`);
+    }
+
+    let oneTimePreKey = null;
+    if (oneTimePreKeyId !== null && oneTimePreKeyId !== undefined) {
+      oneTimePreKey = preKeys.oneTimePreKeys[oneTimePreKeyId];
+      if (!oneTimePreKey) {
+        throw new Error(`Unknown or already used one-time prekey ${oneTimePreKeyId}`);
+      }
+    }
+
+    return { signedPreKey, oneTimePreKey };
+  }
+
+  /**
+   * Delete a one-time prekey after a session was set up with it and top up
+   * the published pool in the background
+   * @param {number} keyId - One-time prekey id
+   * @returns {Promise<void>}
+   */
+  async consumeOneTimePreKey(keyId) {
+    await this._withLock(async () => {
+      const preKeys = await this._loadPreKeys();
+      delete preKeys.oneTimePreKeys[keyId];
+      await this.store.save(preKeys);
+    });
+
+    this.ensurePublished().catch(error => {
+      console.error("Error refilling one-time prekeys:", error);
+    });
+  }
+
+  /**
+   * Close the prekey store
+   */
+  async close() {
+    await this.store.close();
+  }
+
+  // ===== Private Helper Methods =====
+
+  /**
+   * Generate, store and publish a new signed prekey
+   * @private
+   */
+  async _rotateSignedPreKey(preKeys) {
+    const preKey = {
+      ...X3DHService.generatePreKey(preKeys.nextKeyId++),
+      createdAt: Date.now()
+    };
+    const signature = X3DHService.signPreKey(this.keyPair.privateKey, preKey);
+
+    preKeys.signedPreKeys = [preKey, ...preKeys.signedPreKeys].slice(0, MAX_SIGNED_PREKEYS);
+    await this.store.save(preKeys);
+
+    await this.registry.publishSignedPreKey(preKey.keyId, preKey.publicKey, signature);
+  }
+
+  /**
+   * Generate, store and publish a batch of one-time prekeys
+   * @returns {Promise<number>} Number of prekeys published
+   * @private
+   */
+  async _publishOneTimePreKeys(preKeys) {
+    const batch = [];
+    for (let i = 0; i < ONE_TIME_PREKEY_BATCH_SIZE; i++) {
+      batch.push(X3DHService.generatePreKey(preKeys.nextKeyId++));
+    }
+
+    for (const preKey of batch) {
+      preKeys.oneTimePreKeys[preKey.keyId] = preKey;
+    }
+
+    // Ids only grow, so the lowest ids are the oldest keys
+    const ids = Object.keys(preKeys.oneTimePreKeys).map(Number).sort((a, b) => a - b);
+    for (const id of ids.slice(0, Math.max(0, ids.length - MAX_LOCAL_ONE_TIME_PREKEYS))) {
+      delete preKeys.oneTimePreKeys[id];
+    }
+
+    await this.store.save(preKeys);
+    await this.registry.addOneTimePreKeys(batch);
+
+    return batch.length;
+  }
+
+  /**
+   * Load the local prekeys, starting empty on first use
+   * @private
+   */
+  async _loadPreKeys() {
+    const preKeys = await this.store.load();
+    return preKeys || { nextKeyId: 1, signedPreKeys: [], oneTimePreKeys: {} };
+  }
+
+  /**
+   * Run prekey updates one at a time
+   * @private
+   */
+  _withLock(operation) {
+    const result = this.queue.then(operation);
+    this.queue = result.catch(() => {});
+    return result;
+  }
+}
+
+export default PreKeyManager;
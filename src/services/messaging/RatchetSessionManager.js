@@ -0,0 +1,371 @@
+import { hkdf } from '@noble/hashes/hkdf';
+import { sha256 } from '@noble/hashes/sha256';
+import { bytesToHex, hexToBytes } from '@noble/hashes/utils';
+import { secp256k1 } from '@noble/curves/secp256k1';
+import EccService from '../cryptography/EccService';
+import DoubleRatchetService from '../cryptography/DoubleRatchetService';
+import X3DHService from '../cryptography/X3DHService';
+import SignedEnvelopeService from '../cryptography/SignedEnvelopeService';
+import SessionStore from '../storage/SessionStore';
+import { UndeliverableEnvelopeError } from './MessageTransport';
+
+// Version of the ratchet payload carried in relay envelopes
+export const RATCHET_PAYLOAD_VERSION = 1;
+
+// Label for deriving the initial root key from the identity keys
+const IDENTITY_SECRET_INFO = 'e2e-chat-app/ratchet/setup';
+
+// How many adopted session setup keys are remembered to reject replays
+const MAX_ADOPTED_INIT_KEYS = 50;
+
+// Decrypting the same payload again with the same session fails the same way
+const undeliverable = (error) => new UndeliverableEnvelopeError(error.message, { cause: error });
+
+// Identity keys are compared and bound in compressed form
+const compressPublicKey = (publicKeyHex) => secp256k1.ProjectivePoint
+  .fromHex(EccService.normalizePublicKey(publicKeyHex))
+  .toHex(true);
+
+/**
+ * Keeps one Double Ratchet session per contact and turns chat messages into
+ * ratchet payloads and back.
+ *
+ * A session is started by whoever sends first. When the contact published a
+ * prekey bundle, the initial root key comes from X3DH and the contact's signed
+ * prekey is the first ratchet key; otherwise it is the ECDH of both registered
+ * identity keys and the contact's identity key is the first ratchet key.
+ * Messages stay marked as session setup ("init") until the responder has
+ * answered. If both sides start a session at the same time, the session
+ * started by the lower address is kept by both.
+ *
+ * Every message is signed with the sender's identity key before it is
+ * encrypted (see SignedEnvelopeService), and the signature is checked against
+ * the contact's registered key after decryption.
+ *
+ * Operations for one contact run one at a time, and a session is only saved
+ * after a message decrypted successfully and was handed to the caller's
+ * `persist` callback, so neither a forged envelope nor a failed write can
+ * advance the ratchet past a message that wasn't stored.
+ */
+class RatchetSessionManager {
+  /**
+   * Create a new RatchetSessionManager
+   * @param {string} account - Ethereum address of the local user
+   * @param {Object} keyPair - Local user's key pair (privateKey, publicKey hex)
+   * @param {Function} lookupPublicKey - Resolves a contact address to its registered public key
+   * @param {PreKeyManager|null} preKeyManager - Prekey bundles for X3DH; null to use identity keys only
+   */
+  constructor(account, keyPair, lookupPublicKey, preKeyManager = null) {
+    if (!account || !keyPair || typeof lookupPublicKey !== 'function') {
+      throw new Error("Account, key pair and public key lookup are required");
+    }
+
+    this.account = account.toLowerCase();
+    this.keyPair = keyPair;
+    this.lookupPublicKey = lookupPublicKey;
+    this.preKeyManager = preKeyManager;
+    this.store = new SessionStore(account, keyPair);
+    this.queues = new Map();
+  }
+
+  /**
+   * Encrypt a message for a contact, starting a session if there is none
+   * @param {string} contactAddress - Contact's Ethereum address
+   * @param {string} plaintext - Message to encrypt
+   * @param {number} timestamp - Send time in milliseconds, covered by the signature
+   * @returns {Promise<string>} Serialized ratchet payload
+   */
+  encrypt(contactAddress, plaintext, timestamp = Date.now()) {
+    return this._withContactLock(contactAddress, async (contact) => {
+      try {
+        const remoteIdentityKey = await this._getIdentityKey(contact);
+        let session = await this._loadSession(contact, remoteIdentityKey);
+
+        if (!session.state) {
+          session = { ...session, ...(await this._startSession(contact, remoteIdentityKey)) };
+        }
+
+        const sealed = SignedEnvelopeService.seal(this.keyPair.privateKey, {
+          from: this.account,
+          to: contact,
+          body: plaintext,
+          timestamp
+        });
+        const { state, header, ciphertext } = await DoubleRatchetService.encrypt(session.state, sealed);
+        await this.store.save(contact, { ...session, state });
+
+        const init = state.role === 'initiator' && !state.confirmed;
+        return JSON.stringify({
+          version: RATCHET_PAYLOAD_VERSION,
+          init,
+          ...(init && session.setup ? { setup: session.setup } : {}),
+          header,
+          ciphertext
+        });
+      } catch (error) {
+        console.error("Error encrypting ratchet message:", error);
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * Decrypt a ratchet payload from a contact and verify its signature
+   * A message with a missing or invalid signature is still returned, marked as unverified.
+   * The ratchet state is only saved after `persist` resolves: once saved, the
+   * message key is gone and the payload can't be decrypted again.
+   * @param {string} contactAddress - Sender's Ethereum address
+   * @param {string} payload - Serialized ratchet payload
+   * @param {Function|null} persist - Called with the decrypted message to store it; if it throws, the session is left as it was
+   * @returns {Promise<{body: string, timestamp: number|null, verified: boolean, reason: string|null}>} Decrypted message
+   */
+  decrypt(contactAddress, payload, persist = null) {
+    return this._withContactLock(contactAddress, async (contact) => {
+      try {
+        const message = RatchetSessionManager._parsePayload(payload);
+        const remoteIdentityKey = await this._getIdentityKey(contact);
+        const session = await this._loadSession(contact, remoteIdentityKey);
+
+        if (session.state) {
+          let decrypted = null;
+          try {
+            decrypted = await DoubleRatchetService.decrypt(
+              session.state, message.header, message.ciphertext
+            );
+          } catch (error) {
+            // A setup message may belong to a new session started by the contact
+            if (!message.init) throw undeliverable(error);
+          }
+
+          if (decrypted) {
+            const opened = this._openSigned(contact, remoteIdentityKey, decrypted.plaintext);
+            await persist?.(opened);
+            await this.store.save(contact, { ...session, state: decrypted.state });
+            return opened;
+          }
+        } else if (!message.init) {
+          throw new UndeliverableEnvelopeError("No ratchet session with this contact");
+        }
+
+        return await this._acceptSessionSetup(contact, remoteIdentityKey, session, message, persist);
+      } catch (error) {
+        console.error("Error decrypting ratchet message:", error);
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * Forget the session with a contact; the next message starts a new one
+   * @param {string} contactAddress - Contact's Ethereum address
+   * @returns {Promise<void>}
+   */
+  resetSession(contactAddress) {
+    return this._withContactLock(contactAddress, (contact) => this.store.delete(contact));
+  }
+
+  /**
+   * Close the session store
+   */
+  async close() {
+    await this.store.close();
+  }
+
+  // ===== Private Helper Methods =====
+
+  /**
+   * Create an initiator session, using the contact's prekey bundle when there is one
+   * @returns {Promise<{state: Object, setup: Object|null}>} Session state and X3DH setup data
+   * @private
+   */
+  async _startSession(contact, remoteIdentityKey) {
+    const associatedData = this._associatedData(this.keyPair.publicKey, remoteIdentityKey);
+    const bundle = this.preKeyManager ? await this.preKeyManager.claimBundle(contact) : null;
+
+    if (!bundle) {
+      return {
+        state: DoubleRatchetService.initInitiator(
+          this._identitySecret(remoteIdentityKey), remoteIdentityKey, associatedData
+        ),
+        setup: null
+      };
+    }
+
+    const { sharedSecret, ephemeralPublicKey } = X3DHService.initiate(this.keyPair, remoteIdentityKey, bundle);
+
+    return {
+      state: DoubleRatchetService.initInitiator(sharedSecret, bundle.signedPreKey.publicKey, associatedData),
+      setup: {
+        ephemeralKey: ephemeralPublicKey,
+        signedPreKeyId: bundle.signedPreKey.keyId,
+        oneTimePreKeyId: bundle.oneTimePreKey ? bundle.oneTimePreKey.keyId : null
+      }
+    };
+  }
+
+  /**
+   * Open the signed envelope inside a decrypted ratchet message
+   * @private
+   */
+  _openSigned(contact, remoteIdentityKey, plaintext) {
+    return SignedEnvelopeService.open(plaintext, {
+      from: contact,
+      to: this.account,
+      publicKey: remoteIdentityKey
+    });
+  }
+
+  /**
+   * Decrypt a session setup message with a fresh responder session and decide
+   * whether that session replaces ours
+   * @returns {Promise<Object>} Opened signed message
+   * @private
+   */
+  async _acceptSessionSetup(contact, remoteIdentityKey, session, message, persist) {
+    if (session.adoptedInitKeys.includes(message.header.dh)) {
+      throw new UndeliverableEnvelopeError("Replayed session setup message");
+    }
+
+    const associatedData = this._associatedData(remoteIdentityKey, this.keyPair.publicKey);
+    let candidate;
+    let preKeys = null;
+
+    if (message.setup) {
+      if (!this.preKeyManager) {
+        throw new Error("Prekeys are not available on this network");
+      }
+
+      preKeys = await this.preKeyManager.getPreKeys(
+        message.setup.signedPreKeyId, message.setup.oneTimePreKeyId
+      );
+      const sharedSecret = X3DHService.respond(
+        this.keyPair, preKeys.signedPreKey, preKeys.oneTimePreKey,
+        remoteIdentityKey, message.setup.ephemeralKey
+      );
+      candidate = DoubleRatchetService.initResponder(sharedSecret, preKeys.signedPreKey, associatedData);
+    } else {
+      candidate = DoubleRatchetService.initResponder(
+        this._identitySecret(remoteIdentityKey), this.keyPair, associatedData
+      );
+    }
+
+    const { state, plaintext } = await DoubleRatchetService.decrypt(
+      candidate, message.header, message.ciphertext
+    ).catch(error => {
+      throw undeliverable(error);
+    });
+    const opened = this._openSigned(contact, remoteIdentityKey, plaintext);
+    await persist?.(opened);
+
+    // Both sides started a session before hearing from each other: the lower
+    // address keeps its own and only reads the other one
+    const keepOwnSession = session.state?.role === 'initiator' &&
+      !session.state.confirmed &&
+      this.account < contact;
+
+    if (!keepOwnSession) {
+      await this.store.save(contact, {
+        ...session,
+        state,
+        adoptedInitKeys: [...session.adoptedInitKeys, message.header.dh].slice(-MAX_ADOPTED_INIT_KEYS)
+      });
+
+      // Later setup messages of this session decrypt with the saved state
+      if (preKeys?.oneTimePreKey) {
+        await this.preKeyManager.consumeOneTimePreKey(preKeys.oneTimePreKey.keyId);
+      }
+    }
+
+    return opened;
+  }
+
+  /**
+   * Load a session record, dropping the session if the contact registered a new key
+   * @private
+   */
+  async _loadSession(contact, remoteIdentityKey) {
+    const session = await this.store.load(contact);
+
+    if (!session || session.remoteIdentityKey !== remoteIdentityKey) {
+      return { remoteIdentityKey, state: null, adoptedInitKeys: [] };
+    }
+
+    return session;
+  }
+
+  /**
+   * Resolve a contact's registered identity key in compressed form
+   * @private
+   */
+  async _getIdentityKey(contact) {
+    const publicKeyHex = await this.lookupPublicKey(contact);
+    if (!publicKeyHex) {
+      throw new Error("Contact has no registered public key");
+    }
+
+    return compressPublicKey(publicKeyHex);
+  }
+
+  /**
+   * Initial root key from the identity keys alone, used without a prekey bundle
+   * @private
+   */
+  _identitySecret(remoteIdentityKey) {
+    const sharedSecret = EccService.deriveSharedSecret(this.keyPair.privateKey, remoteIdentityKey);
+    return bytesToHex(hkdf(sha256, hexToBytes(sharedSecret), undefined, IDENTITY_SECRET_INFO, 32));
+  }
+
+  /**
+   * Session associated data: initiator identity key followed by responder identity key
+   * @private
+   */
+  _associatedData(initiatorIdentityKey, responderIdentityKey) {
+    return compressPublicKey(initiatorIdentityKey) + compressPublicKey(responderIdentityKey);
+  }
+
+  /**
+   * Run operations for the same contact one after another
+   * @private
+   */
+  _withContactLock(contactAddress, operation) {
+    const contact = contactAddress.toLowerCase();
+    const previous = this.queues.get(contact) || Promise.resolve();
+    const result = previous.then(() => operation(contact));
+
+    const settled = result.catch(() => {});
+    this.queues.set(contact, settled);
+    settled.then(() => {
+      if (this.queues.get(contact) === settled) {
+        this.queues.delete(contact);
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * Parse and check a serialized ratchet payload
+   * @private
+   */
+  static _parsePayload(payload) {
+    let message;
+    try {
+      message = JSON.parse(payload);
+    } catch {
+      throw new UndeliverableEnvelopeError("Malformed ratchet payload");
+    }
+
+    if (message?.version !== RATCHET_PAYLOAD_VERSION || !message.header || typeof message.ciphertext !== 'string') {
+      throw new UndeliverableEnvelopeError("Unsupported ratchet payload");
+    }
+
+    if (message.setup && (typeof message.setup.ephemeralKey !== 'string' ||
+        !Number.isInteger(message.setup.signedPreKeyId))) {
+      throw new UndeliverableEnvelopeError("Invalid session setup data");
+    }
+
+    return message;
+  }
+}
+
+export default RatchetSessionManager;
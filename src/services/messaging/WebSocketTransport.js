@@ -0,0 +1,302 @@
+import MessageTransport, { TRANSPORT_STATUS } from './MessageTransport';
+import { FRAME, buildRelayLoginMessage } from './relayProtocol';
+
+// Reconnect backoff bounds
+const INITIAL_RECONNECT_DELAY = 1000;
+const MAX_RECONNECT_DELAY = 30000;
+
+// How long to wait for the relay to accept an envelope
+const SEND_TIMEOUT = 15000;
+
+/**
+ * Transport that talks to the store-and-forward relay over a WebSocket.
+ *
+ * The relay authenticates the connection with a wallet signature over a
+ * one-time nonce, queues envelopes per recipient address and delivers them
+ * when the recipient connects. Envelopes are only dropped by the relay after
+ * the recipient acknowledges them.
+ */
+class WebSocketTransport extends MessageTransport {
+  /**
+   * Create a new WebSocketTransport
+   * @param {string} url - Relay WebSocket URL
+   * @param {Object} options - Transport options
+   * @param {string} options.address - Ethereum address of the local user
+   * @param {Function} options.signMessage - Signs a login message with the wallet
+   */
+  constructor(url, { address, signMessage }) {
+    super();
+
+    if (!url) {
+      throw new Error("Relay URL is required");
+    }
+
+    if (!address || typeof signMessage !== 'function') {
+      throw new Error("Address and signMessage are required");
+    }
+
+    this.url = url;
+    this.address = address.toLowerCase();
+    this.signMessage = signMessage;
+
+    this.socket = null;
+    this.pendingSends = new Map();
+    this.reconnectDelay = INITIAL_RECONNECT_DELAY;
+    this.reconnectTimer = null;
+    this.shouldReconnect = false;
+    this.readyPromise = null;
+  }
+
+  /**
+   * Open the socket and complete the relay login handshake
+   * @returns {Promise<void>} Resolves once the relay reports ready
+   */
+  connect() {
+    if (this.readyPromise) {
+      return this.readyPromise;
+    }
+
+    this.shouldReconnect = true;
+    this.readyPromise = new Promise((resolve, reject) => {
+      this._openSocket(resolve, reject);
+    });
+
+    return this.readyPromise;
+  }
+
+  /**
+   * Close the socket and stop reconnecting
+   */
+  disconnect() {
+    this.shouldReconnect = false;
+    clearTimeout(this.reconnectTimer);
+
+    if (this.socket) {
+      this.socket.close();
+      this.socket = null;
+    }
+
+    this._failPendingSends(new Error("Transport disconnected"));
+    this.readyPromise = null;
+    this._setStatus(TRANSPORT_STATUS.DISCONNECTED);
+  }
+
+  /**
+   * Send an envelope through the relay
+   * @param {Object} envelope - Envelope with to, kind and payload set
+   * @returns {Promise<Object>} The envelope as accepted by the relay
+   */
+  async send(envelope) {
+    if (!envelope || !envelope.to || !envelope.payload) {
+      throw new Error("Envelope must have a recipient and payload");
+    }
+
+    await this.connect();
+
+    const outgoing = {
+      id: envelope.id || this.createEnvelopeId(),
+      from: this.address,
+      to: envelope.to.toLowerCase(),
+      kind: envelope.kind || 'message',
+      payload: envelope.payload,
+      timestamp: envelope.timestamp || Date.now()
+    };
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pendingSends.delete(outgoing.id);
+        reject(new Error("Relay did not confirm the message in time"));
+      }, SEND_TIMEOUT);
+
+      this.pendingSends.set(outgoing.id, { resolve, reject, timer, envelope: outgoing });
+
+      try {
+        this._sendFrame({ type: FRAME.SEND, envelope: outgoing });
+      } catch (error) {
+        this._settlePendingSend(outgoing.id, error);
+      }
+    });
+  }
+
+  /**
+   * Tell the relay it can drop a delivered envelope
+   * @param {Object} envelope - Received envelope
+   * @protected
+   */
+  _acknowledge(envelope) {
+    this._sendFrame({ type: FRAME.ACK, ids: [envelope.id] });
+  }
+
+  // ===== Private Helper Methods =====
+
+  /**
+   * Open a socket and wire up the handshake
+   * @param {Function} resolve - Resolves the pending connect() promise
+   * @param {Function} reject - Rejects the pending connect() promise
+   * @private
+   */
+  _openSocket(resolve, reject) {
+    this._setStatus(this.status === TRANSPORT_STATUS.RECONNECTING
+      ? TRANSPORT_STATUS.RECONNECTING
+      : TRANSPORT_STATUS.CONNECTING);
+
+    const socket = new WebSocket(this.url);
+    this.socket = socket;
+    let isReady = false;
+
+    // Frames are handled one at a time so deliveries keep their relay order
+    let frameQueue = Promise.resolve();
+
+    socket.onopen = () => {
+      this._sendFrame({ type: FRAME.HELLO, address: this.address });
+    };
+
+    socket.onmessage = (event) => {
+      frameQueue = frameQueue
+        .then(() => handleFrame(event.data))
+        .catch(error => console.error("Error handling relay frame:", error));
+    };
+
+    const handleFrame = async (data) => {
+      let frame;
+      try {
+        frame = JSON.parse(data);
+      } catch (error) {
+        console.error("Ignoring malformed relay frame:", error);
+        return;
+      }
+
+      switch (frame.type) {
+        case FRAME.CHALLENGE:
+          this._setStatus(TRANSPORT_STATUS.AUTHENTICATING);
+          try {
+            const signature = await this.signMessage(
+              buildRelayLoginMessage(this.address, frame.nonce)
+            );
+            this._sendFrame({ type: FRAME.AUTH, signature });
+          } catch (error) {
+            // The user refused to sign - no point in retrying automatically
+            this.shouldReconnect = false;
+            socket.close();
+            reject(new Error(`Relay login was not signed: ${error.message}`));
+          }
+          break;
+
+        case FRAME.READY:
+          isReady = true;
+          this.reconnectDelay = INITIAL_RECONNECT_DELAY;
+          this._setStatus(TRANSPORT_STATUS.CONNECTED);
+          resolve();
+          break;
+
+        case FRAME.SENT:
+          this._settlePendingSend(frame.id, null);
+          break;
+
+        case FRAME.DELIVER:
+          // Unacknowledged envelopes stay queued and are delivered again on the next login
+          await this._deliver(frame.envelope);
+          break;
+
+        case FRAME.ERROR:
+          if (frame.id) {
+            this._settlePendingSend(frame.id, new Error(frame.message));
+          } else if (!isReady) {
+            // Login was rejected - retrying with the same wallet would fail again
+            this.shouldReconnect = false;
+            reject(new Error(`Relay login failed: ${frame.message}`));
+          } else {
+            console.error("Relay error:", frame.message);
+          }
+          break;
+
+        default:
+          console.warn("Unknown relay frame type:", frame.type);
+      }
+    };
+
+    socket.onclose = () => {
+      if (this.socket !== socket) return;
+
+      this.socket = null;
+      this._failPendingSends(new Error("Relay connection closed"));
+
+      if (!this.shouldReconnect) {
+        this.readyPromise = null;
+        this._setStatus(TRANSPORT_STATUS.DISCONNECTED);
+        if (!isReady) reject(new Error("Could not connect to relay"));
+        return;
+      }
+
+      this._setStatus(TRANSPORT_STATUS.RECONNECTING);
+      const delay = this.reconnectDelay;
+      this.reconnectDelay = Math.min(this.reconnectDelay * 2, MAX_RECONNECT_DELAY);
+
+      // Before the first login the original connect() promise stays pending;
+      // afterwards callers wait on a fresh promise until the reconnect succeeds
+      let retryResolve = resolve;
+      let retryReject = reject;
+      if (isReady) {
+        this.readyPromise = new Promise((res, rej) => {
+          retryResolve = res;
+          retryReject = rej;
+        });
+        this.readyPromise.catch(() => {});
+      }
+
+      this.reconnectTimer = setTimeout(() => {
+        this._openSocket(retryResolve, retryReject);
+      }, delay);
+    };
+
+    socket.onerror = (event) => {
+      console.error("Relay socket error:", event);
+    };
+  }
+
+  /**
+   * Serialize and send a frame if the socket is open
+   * @param {Object} frame - Frame to send
+   * @private
+   */
+  _sendFrame(frame) {
+    if (!this.socket || this.socket.readyState !== WebSocket.OPEN) {
+      throw new Error("Relay socket is not open");
+    }
+
+    this.socket.send(JSON.stringify(frame));
+  }
+
+  /**
+   * Resolve or reject a pending send
+   * @param {string} id - Envelope id
+   * @param {Error|null} error - Error to reject with, or null on success
+   * @private
+   */
+  _settlePendingSend(id, error) {
+    const pending = this.pendingSends.get(id);
+    if (!pending) return;
+
+    clearTimeout(pending.timer);
+    this.pendingSends.delete(id);
+
+    if (error) {
+      pending.reject(error);
+    } else {
+      pending.resolve(pending.envelope);
+    }
+  }
+
+  /**
+   * Reject every pending send
+   * @param {Error} error - Error to reject with
+   * @private
+   */
+  _failPendingSends(error) {
+    for (const id of [...this.pendingSends.keys()]) {
+      this._settlePendingSend(id, error);
+    }
+  }
+}
+
+export default WebSocketTransport;
@@ -0,0 +1,29 @@
+// Wire protocol shared by WebSocketTransport and the Node relay in server/relay.js.
+// Kept free of browser and Vite imports so both sides can load it.
+
+export const RELAY_PROTOCOL_VERSION = 1;
+
+// Frame types exchanged over the socket
+export const FRAME = {
+  HELLO: 'hello',         // client -> relay: { address }
+  CHALLENGE: 'challenge', // relay -> client: { nonce }
+  AUTH: 'auth',           // client -> relay: { signature }
+  READY: 'ready',         // relay -> client: authenticated, queued envelopes follow
+  SEND: 'send',           // client -> relay: { envelope }
+  SENT: 'sent',           // relay -> client: { id } envelope accepted and stored
+  DELIVER: 'deliver',     // relay -> client: { envelope }
+  ACK: 'ack',             // client -> relay: { ids } envelopes handled, drop them
+  ERROR: 'error'          // relay -> client: { message, id? }
+};
+
+/**
+ * Build the message a client signs with its wallet to prove address ownership
+ * @param {string} address - Ethereum address being authenticated
+ * @param {string} nonce - One-time challenge issued by the relay
+ * @returns {string} Message for personal_sign
+ */
+export const buildRelayLoginMessage = (address, nonce) =>
+  `E2E Chat relay login\n` +
+  `Protocol: ${RELAY_PROTOCOL_VERSION}\n` +
+  `Address: ${address.toLowerCase()}\n` +
+  `Nonce: ${nonce}`;
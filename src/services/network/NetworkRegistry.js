@@ -0,0 +1,212 @@
+import { ethers } from 'ethers';
+
+// Current deployment manifest format
+export const MANIFEST_VERSION = 1;
+
+// Outcome of checking a deployed address
+export const DEPLOYMENT_STATUS = {
+  DEPLOYED: 'deployed', // Bytecode at the address
+  MISSING: 'missing', // No bytecode: wrong address, or the chain was reset
+  UNREACHABLE: 'unreachable' // The chain's RPC endpoint didn't answer
+};
+
+const DEFAULT_CURRENCY = { name: 'Ether', symbol: 'ETH', decimals: 18 };
+
+/**
+ * Networks the app runs on and the contracts deployed to each, read from a
+ * JSON deployment manifest:
+ *
+ *   {
+ *     "version": 1,
+ *     "networks": {
+ *       "<chainId>": {
+ *         "name": "Sepolia",
+ *         "rpcUrl": "https://...",
+ *         "explorerUrl": "https://sepolia.etherscan.io",
+ *         "currency": { "name": "Sepolia Ether", "symbol": "ETH", "decimals": 18 },
+ *         "serviceFee": "0.01",
+ *         "contracts": { "SecureShareRegistry": "0x..." }
+ *       }
+ *     }
+ *   }
+ *
+ * The service fee is in units of the native currency. A chain that isn't in
+ * the manifest, or has no contracts in it, is unsupported: there is no
+ * fallback to another network's addresses.
+ */
+class NetworkRegistry {
+  /**
+   * Create a new NetworkRegistry from a parsed deployment manifest
+   * @param {Object} manifest - Deployment manifest
+   */
+  constructor(manifest) {
+    if (!manifest || typeof manifest !== 'object') {
+      throw new Error("Deployment manifest is required");
+    }
+
+    if (manifest.version !== MANIFEST_VERSION) {
+      throw new Error(`Unsupported deployment manifest version ${manifest.version}`);
+    }
+
+    if (!manifest.networks || typeof manifest.networks !== 'object') {
+      throw new Error("Deployment manifest has no networks");
+    }
+
+    this.networks = new Map(
+      Object.entries(manifest.networks).map(([key, entry]) => {
+        const network = this._parseNetwork(key, entry);
+        return [network.chainId, network];
+      })
+    );
+  }
+
+  /**
+   * Fetch and parse a deployment manifest
+   * @param {string} url - Manifest URL
+   * @returns {Promise<NetworkRegistry>} Registry of the manifest's networks
+   */
+  static async load(url) {
+    try {
+      const response = await fetch(url, { cache: 'no-cache' });
+      if (!response.ok) {
+        throw new Error(`Deployment manifest ${url} returned ${response.status}`);
+      }
+
+      return new NetworkRegistry(await response.json());
+    } catch (error) {
+      console.error("Error loading deployment manifest:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Chain IDs in the manifest
+   * @returns {Array<number>} Chain IDs
+   */
+  getChainIds() {
+    return [...this.networks.keys()];
+  }
+
+  /**
+   * Get a network's settings
+   * @param {number} chainId - Chain ID
+   * @returns {Object|null} Network, or null if it isn't in the manifest
+   */
+  getNetwork(chainId) {
+    return this.networks.get(Number(chainId)) || null;
+  }
+
+  /**
+   * Check whether the app has contracts on a network
+   * @param {number} chainId - Chain ID
+   * @returns {boolean} True if the network has at least one deployed contract
+   */
+  isSupported(chainId) {
+    const network = this.getNetwork(chainId);
+    return Boolean(network && Object.keys(network.contracts).length > 0);
+  }
+
+  /**
+   * Get the address of a contract on a network
+   * @param {string} contractName - Contract name, e.g. SecureShareRegistry
+   * @param {number} chainId - Chain ID
+   * @returns {string|null} Checksummed address, or null if it isn't deployed there
+   */
+  getContractAddress(contractName, chainId) {
+    const network = this.getNetwork(chainId);
+    return (network && network.contracts[contractName]) || null;
+  }
+
+  /**
+   * Get the service fee charged on a network
+   * @param {number} chainId - Chain ID
+   * @returns {bigint} Fee in wei
+   */
+  getServiceFee(chainId) {
+    const network = this.getNetwork(chainId);
+    if (!network) {
+      throw new Error(`Network ${chainId} is not supported`);
+    }
+
+    return network.serviceFee;
+  }
+
+  /**
+   * Check that every contract in the manifest has bytecode at its address
+   * @param {Function} getProvider - Called with a network, returns a provider for it or null to skip it
+   * @returns {Promise<Array<{chainId: number, contractName: string, address: string, status: string, error: string}>>}
+   *   One result per contract, with a DEPLOYMENT_STATUS
+   */
+  async validateDeployments(getProvider) {
+    const results = [];
+
+    await Promise.all([...this.networks.values()].map(async (network) => {
+      const contracts = Object.entries(network.contracts);
+      const provider = contracts.length > 0 ? getProvider(network) : null;
+      if (!provider) return;
+
+      await Promise.all(contracts.map(async ([contractName, address]) => {
+        const result = { chainId: network.chainId, contractName, address };
+        try {
+          const code = await provider.getCode(address);
+          result.status = code === '0x' ? DEPLOYMENT_STATUS.MISSING : DEPLOYMENT_STATUS.DEPLOYED;
+        } catch (error) {
+          result.status = DEPLOYMENT_STATUS.UNREACHABLE;
+          result.error = error.message;
+        }
+        results.push(result);
+      }));
+    }));
+
+    return results.sort((a, b) => a.chainId - b.chainId || a.contractName.localeCompare(b.contractName));
+  }
+
+  // ===== Private Helper Methods =====
+
+  /**
+   * Validate a manifest entry and normalize its fields
+   * @private
+   */
+  _parseNetwork(key, entry) {
+    const chainId = Number(key);
+    if (!Number.isSafeInteger(chainId) || chainId <= 0) {
+      throw new Error(`Invalid chain ID in deployment manifest: ${key}`);
+    }
+
+    if (!entry || typeof entry.name !== 'string' || !entry.name) {
+      throw new Error(`Network ${chainId} needs a name`);
+    }
+
+    const currency = { ...DEFAULT_CURRENCY, ...entry.currency };
+    if (!Number.isInteger(currency.decimals) || currency.decimals < 0) {
+      throw new Error(`Network ${chainId} has invalid currency decimals`);
+    }
+
+    let serviceFee;
+    try {
+      serviceFee = ethers.parseUnits(String(entry.serviceFee ?? '0'), currency.decimals);
+    } catch {
+      throw new Error(`Network ${chainId} has an invalid service fee: ${entry.serviceFee}`);
+    }
+
+    const contracts = {};
+    for (const [contractName, address] of Object.entries(entry.contracts || {})) {
+      if (!ethers.isAddress(address)) {
+        throw new Error(`Invalid ${contractName} address on network ${chainId}: ${address}`);
+      }
+      contracts[contractName] = ethers.getAddress(address);
+    }
+
+    return {
+      chainId,
+      name: entry.name,
+      rpcUrl: entry.rpcUrl || null,
+      explorerUrl: entry.explorerUrl ? entry.explorerUrl.replace(/\/+$/, '') : null,
+      currency,
+      serviceFee,
+      contracts
+    };
+  }
+}
+
+export default NetworkRegistry;
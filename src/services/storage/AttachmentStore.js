@@ -0,0 +1,162 @@
+import { openDatabase, requestToPromise, transactionDone } from './indexedDb';
+import LocalDataCipher from './LocalDataCipher';
+
+// Database layout
+const DB_NAME = 'e2e-chat-attachments';
+const DB_VERSION = 1;
+const CHUNKS_STORE = 'chunks';
+const FILE_INDEX = 'byFile';
+
+/**
+ * Encrypted attachment chunks, stored one record per chunk so files never
+ * have to be held in memory as a whole.
+ *
+ * Chunks arrive already encrypted with their file key and are stored as they
+ * are; the file key only lives in the (encrypted) message history. Records are
+ * keyed by an opaque id derived from the uploader and the file id, so a chunk
+ * sent by one contact can't overwrite another contact's file.
+ */
+class AttachmentStore {
+  /**
+   * Create a new AttachmentStore
+   * @param {string} account - Ethereum address of the local user
+   * @param {Object} keyPair - Local user's key pair (privateKey, publicKey hex)
+   */
+  constructor(account, keyPair) {
+    if (!account || !keyPair) {
+      throw new Error("Account and key pair are required");
+    }
+
+    this.account = account.toLowerCase();
+    this.keyPair = keyPair;
+    this.dbPromise = null;
+    this.cipherPromise = null;
+  }
+
+  /**
+   * Store one encrypted chunk
+   * @param {string} owner - Address of the uploader
+   * @param {string} fileId - Attachment id
+   * @param {number} index - Chunk index
+   * @param {Uint8Array} data - Encrypted chunk
+   * @returns {Promise<void>}
+   */
+  async saveChunk(owner, fileId, index, data) {
+    try {
+      const [db, cipher] = await Promise.all([this._getDb(), this._getCipher()]);
+      const file = this._fileId(cipher, owner, fileId);
+
+      const transaction = db.transaction(CHUNKS_STORE, 'readwrite');
+      transaction.objectStore(CHUNKS_STORE).put({ id: `${file}:${index}`, file, index, data });
+
+      await transactionDone(transaction);
+    } catch (error) {
+      console.error("Error saving attachment chunk:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Load one encrypted chunk
+   * @param {string} owner - Address of the uploader
+   * @param {string} fileId - Attachment id
+   * @param {number} index - Chunk index
+   * @returns {Promise<Uint8Array|null>} Encrypted chunk, or null if it hasn't arrived
+   */
+  async loadChunk(owner, fileId, index) {
+    try {
+      const [db, cipher] = await Promise.all([this._getDb(), this._getCipher()]);
+      const file = this._fileId(cipher, owner, fileId);
+
+      const transaction = db.transaction(CHUNKS_STORE, 'readonly');
+      const record = await requestToPromise(transaction.objectStore(CHUNKS_STORE).get(`${file}:${index}`));
+
+      return record ? record.data : null;
+    } catch (error) {
+      console.error("Error loading attachment chunk:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Count the chunks stored for a file
+   * @param {string} owner - Address of the uploader
+   * @param {string} fileId - Attachment id
+   * @returns {Promise<number>} Number of stored chunks
+   */
+  async countChunks(owner, fileId) {
+    const [db, cipher] = await Promise.all([this._getDb(), this._getCipher()]);
+
+    const transaction = db.transaction(CHUNKS_STORE, 'readonly');
+    const index = transaction.objectStore(CHUNKS_STORE).index(FILE_INDEX);
+
+    return requestToPromise(index.count(this._fileId(cipher, owner, fileId)));
+  }
+
+  /**
+   * Delete every chunk of a file
+   * @param {string} owner - Address of the uploader
+   * @param {string} fileId - Attachment id
+   * @returns {Promise<void>}
+   */
+  async deleteFile(owner, fileId) {
+    const [db, cipher] = await Promise.all([this._getDb(), this._getCipher()]);
+
+    const transaction = db.transaction(CHUNKS_STORE, 'readwrite');
+    const store = transaction.objectStore(CHUNKS_STORE);
+    const keys = await requestToPromise(store.index(FILE_INDEX).getAllKeys(this._fileId(cipher, owner, fileId)));
+    keys.forEach(key => store.delete(key));
+
+    await transactionDone(transaction);
+  }
+
+  /**
+   * Close the underlying database connection
+   */
+  async close() {
+    if (this.dbPromise) {
+      const db = await this.dbPromise;
+      db.close();
+      this.dbPromise = null;
+    }
+  }
+
+  // ===== Private Helper Methods =====
+
+  /**
+   * Open the database on first use
+   * @private
+   */
+  _getDb() {
+    if (!this.dbPromise) {
+      this.dbPromise = openDatabase(DB_NAME, DB_VERSION, (db) => {
+        const store = db.createObjectStore(CHUNKS_STORE, { keyPath: 'id' });
+        store.createIndex(FILE_INDEX, 'file');
+      });
+    }
+
+    return this.dbPromise;
+  }
+
+  /**
+   * Derive the storage cipher on first use
+   * @private
+   */
+  _getCipher() {
+    if (!this.cipherPromise) {
+      this.cipherPromise = LocalDataCipher.fromKeyPair(this.keyPair, 'attachments');
+    }
+
+    return this.cipherPromise;
+  }
+
+  /**
+   * Opaque id for an (account, uploader, file) triple
+   * @private
+   */
+  _fileId(cipher, owner, fileId) {
+    return cipher.lookupId(this.account, owner.toLowerCase(), fileId);
+  }
+}
+
+export default AttachmentStore;
@@ -0,0 +1,161 @@
+import { openDatabase, requestToPromise, transactionDone, collectCursor } from './indexedDb';
+
+// Database layout
+const DB_NAME = 'e2e-chat-backup-events';
+const DB_VERSION = 1;
+const EVENTS_STORE = 'events';
+const CURSORS_STORE = 'cursors';
+const TIMELINE_INDEX = 'byTimeline';
+
+/**
+ * Cache of indexed backup events per (account, chain), with the range of
+ * blocks already scanned.
+ *
+ * Records are stored in the clear: they are copies of public on-chain logs.
+ * Keeping them also preserves the history of share contracts the registry
+ * no longer lists after a reshare.
+ */
+class BackupEventStore {
+  /**
+   * Create a new BackupEventStore
+   * @param {string} account - Ethereum address whose backup is indexed
+   * @param {number|bigint} chainId - Chain the events come from
+   */
+  constructor(account, chainId) {
+    if (!account || chainId === null || chainId === undefined) {
+      throw new Error("Account and chain ID are required");
+    }
+
+    this.account = account.toLowerCase();
+    this.chainId = String(chainId);
+    this.dbPromise = null;
+  }
+
+  /**
+   * Insert or update events by id
+   * @param {Array<Object>} events - Indexed events with id, blockNumber and logIndex
+   * @returns {Promise<void>}
+   */
+  async putEvents(events) {
+    try {
+      const db = await this._getDb();
+      const transaction = db.transaction(EVENTS_STORE, 'readwrite');
+      const store = transaction.objectStore(EVENTS_STORE);
+
+      for (const event of events) {
+        store.put({ ...event, account: this.account, chainId: this.chainId });
+      }
+
+      await transactionDone(transaction);
+    } catch (error) {
+      console.error("Error saving backup events:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Load every cached event
+   * @returns {Promise<Array<Object>>} Events, newest first
+   */
+  async listEvents() {
+    try {
+      const db = await this._getDb();
+      const transaction = db.transaction(EVENTS_STORE, 'readonly');
+      const index = transaction.objectStore(EVENTS_STORE).index(TIMELINE_INDEX);
+      const range = IDBKeyRange.bound(
+        [this.account, this.chainId, -Infinity, -Infinity],
+        [this.account, this.chainId, Infinity, Infinity]
+      );
+
+      return await collectCursor(index, range, { direction: 'prev' });
+    } catch (error) {
+      console.error("Error loading backup events:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the scanned block range
+   * @returns {Promise<{startBlock: number, lastBlock: number}|null>} Scanned range, or null before the first scan
+   */
+  async getCursor() {
+    const db = await this._getDb();
+    const transaction = db.transaction(CURSORS_STORE, 'readonly');
+    const record = await requestToPromise(
+      transaction.objectStore(CURSORS_STORE).get([this.account, this.chainId])
+    );
+
+    return record ? { startBlock: record.startBlock, lastBlock: record.lastBlock } : null;
+  }
+
+  /**
+   * Record the scanned block range
+   * @param {number} startBlock - First block that was scanned
+   * @param {number} lastBlock - Last block that was scanned
+   * @returns {Promise<void>}
+   */
+  async setCursor(startBlock, lastBlock) {
+    const db = await this._getDb();
+    const transaction = db.transaction(CURSORS_STORE, 'readwrite');
+    transaction.objectStore(CURSORS_STORE).put({
+      account: this.account,
+      chainId: this.chainId,
+      startBlock,
+      lastBlock
+    });
+
+    await transactionDone(transaction);
+  }
+
+  /**
+   * Delete the cached events and the scanned range
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    const db = await this._getDb();
+    const transaction = db.transaction([EVENTS_STORE, CURSORS_STORE], 'readwrite');
+    const events = transaction.objectStore(EVENTS_STORE);
+    const keys = await requestToPromise(events.index(TIMELINE_INDEX).getAllKeys(IDBKeyRange.bound(
+      [this.account, this.chainId, -Infinity, -Infinity],
+      [this.account, this.chainId, Infinity, Infinity]
+    )));
+
+    for (const key of keys) {
+      events.delete(key);
+    }
+    transaction.objectStore(CURSORS_STORE).delete([this.account, this.chainId]);
+
+    await transactionDone(transaction);
+  }
+
+  /**
+   * Close the underlying database connection
+   */
+  async close() {
+    if (this.dbPromise) {
+      const db = await this.dbPromise;
+      db.close();
+      this.dbPromise = null;
+    }
+  }
+
+  // ===== Private Helper Methods =====
+
+  /**
+   * Open the database on first use
+   * @private
+   */
+  _getDb() {
+    if (!this.dbPromise) {
+      this.dbPromise = openDatabase(DB_NAME, DB_VERSION, (db) => {
+        const store = db.createObjectStore(EVENTS_STORE, { keyPath: ['account', 'chainId', 'id'] });
+        store.createIndex(TIMELINE_INDEX, ['account', 'chainId', 'blockNumber', 'logIndex']);
+        db.createObjectStore(CURSORS_STORE, { keyPath: ['account', 'chainId'] });
+      });
+    }
+
+    return this.dbPromise;
+  }
+}
+
+export default BackupEventStore;
@@ -0,0 +1,104 @@
+import { openDatabase, requestToPromise, transactionDone } from './indexedDb';
+
+// Database layout
+const DB_NAME = 'e2e-chat-backup-manifests';
+const DB_VERSION = 1;
+const MANIFESTS_STORE = 'manifests';
+
+/**
+ * Where the shares of an account's multi-chain backup live, one record per
+ * account.
+ *
+ * Records are stored in the clear: they only name chains, registries and
+ * share index ranges, all of which can be read from the chains themselves.
+ */
+class BackupManifestStore {
+  /**
+   * Create a new BackupManifestStore
+   * @param {string} account - Ethereum address whose backup is described
+   */
+  constructor(account) {
+    if (!account) {
+      throw new Error("Account is required");
+    }
+
+    this.account = account.toLowerCase();
+    this.dbPromise = null;
+  }
+
+  /**
+   * Load the manifest
+   * @returns {Promise<Object|null>} Manifest, or null if none was saved
+   */
+  async get() {
+    try {
+      const db = await this._getDb();
+      const transaction = db.transaction(MANIFESTS_STORE, 'readonly');
+      const record = await requestToPromise(transaction.objectStore(MANIFESTS_STORE).get(this.account));
+
+      return record ? record.manifest : null;
+    } catch (error) {
+      console.error("Error loading backup manifest:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Save the manifest, replacing the previous one
+   * @param {Object} manifest - Manifest to save
+   * @returns {Promise<void>}
+   */
+  async put(manifest) {
+    try {
+      const db = await this._getDb();
+      const transaction = db.transaction(MANIFESTS_STORE, 'readwrite');
+      transaction.objectStore(MANIFESTS_STORE).put({ account: this.account, manifest });
+
+      await transactionDone(transaction);
+    } catch (error) {
+      console.error("Error saving backup manifest:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete the manifest
+   * @returns {Promise<void>}
+   */
+  async delete() {
+    const db = await this._getDb();
+    const transaction = db.transaction(MANIFESTS_STORE, 'readwrite');
+    transaction.objectStore(MANIFESTS_STORE).delete(this.account);
+
+    await transactionDone(transaction);
+  }
+
+  /**
+   * Close the underlying database connection
+   */
+  async close() {
+    if (this.dbPromise) {
+      const db = await this.dbPromise;
+      db.close();
+      this.dbPromise = null;
+    }
+  }
+
+  // ===== Private Helper Methods =====
+
+  /**
+   * Open the database on first use
+   * @private
+   */
+  _getDb() {
+    if (!this.dbPromise) {
+      this.dbPromise = openDatabase(DB_NAME, DB_VERSION, (db) => {
+        db.createObjectStore(MANIFESTS_STORE, { keyPath: 'account' });
+      });
+    }
+
+    return this.dbPromise;
+  }
+}
+
+export default BackupManifestStore;
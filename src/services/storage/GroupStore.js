@@ -0,0 +1,158 @@
+import { openDatabase, requestToPromise, transactionDone } from './indexedDb';
+import LocalDataCipher from './LocalDataCipher';
+
+// Database layout
+const DB_NAME = 'e2e-chat-groups';
+const DB_VERSION = 1;
+const GROUPS_STORE = 'groups';
+const ACCOUNT_INDEX = 'byAccount';
+
+/**
+ * Encrypted storage for group records: membership, our own sender key and
+ * the sender keys received from other members.
+ */
+class GroupStore {
+  /**
+   * Create a new GroupStore
+   * @param {string} account - Ethereum address of the local user
+   * @param {Object} keyPair - Local user's key pair (privateKey, publicKey hex)
+   */
+  constructor(account, keyPair) {
+    if (!account || !keyPair) {
+      throw new Error("Account and key pair are required");
+    }
+
+    this.account = account.toLowerCase();
+    this.keyPair = keyPair;
+    this.dbPromise = null;
+    this.cipherPromise = null;
+  }
+
+  /**
+   * Load a group record
+   * @param {string} groupId - Group id
+   * @returns {Promise<Object|null>} Group record, or null if unknown
+   */
+  async load(groupId) {
+    try {
+      const [db, cipher] = await Promise.all([this._getDb(), this._getCipher()]);
+      const id = this._recordId(cipher, groupId);
+
+      const transaction = db.transaction(GROUPS_STORE, 'readonly');
+      const record = await requestToPromise(transaction.objectStore(GROUPS_STORE).get(id));
+
+      return record ? await cipher.decrypt(record, id) : null;
+    } catch (error) {
+      console.error("Error loading group:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Load every group record of the account
+   * @returns {Promise<Array<Object>>} Group records
+   */
+  async loadAll() {
+    try {
+      const [db, cipher] = await Promise.all([this._getDb(), this._getCipher()]);
+
+      const transaction = db.transaction(GROUPS_STORE, 'readonly');
+      const index = transaction.objectStore(GROUPS_STORE).index(ACCOUNT_INDEX);
+      const records = await requestToPromise(index.getAll(cipher.lookupId(this.account)));
+
+      return Promise.all(records.map(record => cipher.decrypt(record, record.id)));
+    } catch (error) {
+      console.error("Error loading groups:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Store a group record, replacing any previous one
+   * @param {Object} record - Group record with its group id in record.id
+   * @returns {Promise<void>}
+   */
+  async save(record) {
+    try {
+      const [db, cipher] = await Promise.all([this._getDb(), this._getCipher()]);
+      const id = this._recordId(cipher, record.id);
+      const encrypted = await cipher.encrypt(record, id);
+
+      const transaction = db.transaction(GROUPS_STORE, 'readwrite');
+      transaction.objectStore(GROUPS_STORE).put({
+        id,
+        account: cipher.lookupId(this.account),
+        ...encrypted
+      });
+
+      await transactionDone(transaction);
+    } catch (error) {
+      console.error("Error saving group:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a group record
+   * @param {string} groupId - Group id
+   * @returns {Promise<void>}
+   */
+  async delete(groupId) {
+    const [db, cipher] = await Promise.all([this._getDb(), this._getCipher()]);
+
+    const transaction = db.transaction(GROUPS_STORE, 'readwrite');
+    transaction.objectStore(GROUPS_STORE).delete(this._recordId(cipher, groupId));
+
+    await transactionDone(transaction);
+  }
+
+  /**
+   * Close the underlying database connection
+   */
+  async close() {
+    if (this.dbPromise) {
+      const db = await this.dbPromise;
+      db.close();
+      this.dbPromise = null;
+    }
+  }
+
+  // ===== Private Helper Methods =====
+
+  /**
+   * Open the database on first use
+   * @private
+   */
+  _getDb() {
+    if (!this.dbPromise) {
+      this.dbPromise = openDatabase(DB_NAME, DB_VERSION, (db) => {
+        const store = db.createObjectStore(GROUPS_STORE, { keyPath: 'id' });
+        store.createIndex(ACCOUNT_INDEX, 'account');
+      });
+    }
+
+    return this.dbPromise;
+  }
+
+  /**
+   * Derive the storage cipher on first use
+   * @private
+   */
+  _getCipher() {
+    if (!this.cipherPromise) {
+      this.cipherPromise = LocalDataCipher.fromKeyPair(this.keyPair, 'groups');
+    }
+
+    return this.cipherPromise;
+  }
+
+  /**
+   * Opaque id for an (account, group) pair
+   * @private
+   */
+  _recordId(cipher, groupId) {
+    return cipher.lookupId(this.account, groupId);
+  }
+}
+
+export default GroupStore;
@@ -0,0 +1,110 @@
+import { BLOB_STORE_URL } from '../../constants/blobStore';
+
+// Largest blob read back; share ciphertexts are a few hundred bytes
+const MAX_BLOB_BYTES = 1024 * 1024;
+
+const REQUEST_TIMEOUT = 30000;
+
+/**
+ * Client for a content-addressed blob store speaking the IPFS HTTP API
+ * (/api/v0/add and /api/v0/cat), as served by Kubo or by the local
+ * stand-in in server/blobstore.js.
+ *
+ * Blobs are added as CIDv1 raw leaves, so a small blob's CID is the
+ * SHA-256 of its bytes and reads back identically from any IPFS node.
+ */
+class IpfsBlobStore {
+  /**
+   * Create a new IpfsBlobStore instance
+   * @param {string} apiUrl - Base URL of the HTTP API (default BLOB_STORE_URL)
+   */
+  constructor(apiUrl = BLOB_STORE_URL) {
+    if (!apiUrl) {
+      throw new Error("Blob store URL is required");
+    }
+
+    this.apiUrl = apiUrl.replace(/\/+$/, '');
+  }
+
+  /**
+   * Store a blob and pin it
+   * @param {Uint8Array} bytes - Blob content
+   * @returns {Promise<string>} CID of the blob
+   */
+  async add(bytes) {
+    try {
+      if (!(bytes instanceof Uint8Array) || bytes.length === 0) {
+        throw new Error("Blob must be a non-empty Uint8Array");
+      }
+
+      const body = new FormData();
+      body.append('file', new Blob([bytes], { type: 'application/octet-stream' }), 'blob');
+
+      const response = await this._request('add', { 'cid-version': '1', 'raw-leaves': 'true', pin: 'true' }, body);
+      const result = await response.json();
+
+      if (!result.Hash) {
+        throw new Error("Blob store returned no CID");
+      }
+
+      return result.Hash;
+    } catch (error) {
+      console.error("Error adding blob:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Read a blob
+   * @param {string} cid - CID of the blob
+   * @returns {Promise<Uint8Array>} Blob content
+   */
+  async get(cid) {
+    try {
+      const response = await this._request('cat', { arg: cid, length: String(MAX_BLOB_BYTES + 1) });
+      const bytes = new Uint8Array(await response.arrayBuffer());
+
+      if (bytes.length > MAX_BLOB_BYTES) {
+        throw new Error(`Blob ${cid} is larger than ${MAX_BLOB_BYTES} bytes`);
+      }
+
+      return bytes;
+    } catch (error) {
+      console.error(`Error reading blob ${cid}:`, error);
+      throw error;
+    }
+  }
+
+  // ===== Private Helper Methods =====
+
+  /**
+   * POST to an API command and fail on a non-2xx response
+   * @private
+   */
+  async _request(command, params, body) {
+    const url = `${this.apiUrl}/api/v0/${command}?${new URLSearchParams(params)}`;
+
+    let response;
+    try {
+      response = await fetch(url, { method: 'POST', body, signal: AbortSignal.timeout(REQUEST_TIMEOUT) });
+    } catch (error) {
+      throw new Error(`Blob store unreachable at ${this.apiUrl}: ${error.message}`);
+    }
+
+    if (!response.ok) {
+      // The IPFS API reports errors as {Message, Code}
+      const text = await response.text();
+      let message = text;
+      try {
+        message = JSON.parse(text).Message || text;
+      } catch {
+        // Plain-text error
+      }
+      throw new Error(`Blob store ${command} failed (${response.status}): ${message}`);
+    }
+
+    return response;
+  }
+}
+
+export default IpfsBlobStore;
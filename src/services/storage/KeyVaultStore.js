@@ -0,0 +1,98 @@
+import { openDatabase, requestToPromise, transactionDone } from './indexedDb';
+
+// Database layout
+const DB_NAME = 'e2e-chat-vault';
+const DB_VERSION = 1;
+const VAULT_STORE = 'vaults';
+
+/**
+ * Stores one passphrase-encrypted keystore per wallet account.
+ *
+ * Unlike the other stores this one can't use LocalDataCipher: it holds the
+ * key pair that cipher is derived from. The keystore is encrypted on its own
+ * (see KeystoreService), so records are stored as they are.
+ */
+class KeyVaultStore {
+  constructor() {
+    this.dbPromise = null;
+  }
+
+  /**
+   * Load the vault record of an account
+   * @param {string} account - Wallet address
+   * @returns {Promise<Object|null>} Record with keystore and isBackedUp, or null if there is none
+   */
+  async load(account) {
+    try {
+      const db = await this._getDb();
+      const transaction = db.transaction(VAULT_STORE, 'readonly');
+      const record = await requestToPromise(transaction.objectStore(VAULT_STORE).get(account.toLowerCase()));
+
+      return record || null;
+    } catch (error) {
+      console.error("Error loading key vault:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Store the vault record of an account, replacing any previous one
+   * @param {string} account - Wallet address
+   * @param {Object} record - Record with keystore and isBackedUp
+   * @returns {Promise<void>}
+   */
+  async save(account, record) {
+    try {
+      const db = await this._getDb();
+      const transaction = db.transaction(VAULT_STORE, 'readwrite');
+      transaction.objectStore(VAULT_STORE).put({ ...record, account: account.toLowerCase() });
+
+      await transactionDone(transaction);
+    } catch (error) {
+      console.error("Error saving key vault:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete the vault record of an account
+   * @param {string} account - Wallet address
+   * @returns {Promise<void>}
+   */
+  async delete(account) {
+    const db = await this._getDb();
+    const transaction = db.transaction(VAULT_STORE, 'readwrite');
+    transaction.objectStore(VAULT_STORE).delete(account.toLowerCase());
+
+    await transactionDone(transaction);
+  }
+
+  /**
+   * Close the underlying database connection
+   */
+  async close() {
+    if (this.dbPromise) {
+      const db = await this.dbPromise;
+      db.close();
+      this.dbPromise = null;
+    }
+  }
+
+  // ===== Private Helper Methods =====
+
+  /**
+   * Open the database on first use
+   * @private
+   */
+  _getDb() {
+    if (!this.dbPromise) {
+      this.dbPromise = openDatabase(DB_NAME, DB_VERSION, (db) => {
+        db.createObjectStore(VAULT_STORE, { keyPath: 'account' });
+      });
+    }
+
+    return this.dbPromise;
+  }
+}
+
+export default KeyVaultStore;
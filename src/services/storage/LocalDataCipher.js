@@ -0,0 +1,100 @@
+import { hkdf } from '@noble/hashes/hkdf';
+import { hmac } from '@noble/hashes/hmac';
+import { sha256 } from '@noble/hashes/sha256';
+import { bytesToHex, hexToBytes, utf8ToBytes } from '@noble/hashes/utils';
+import EccService from '../cryptography/EccService';
+
+/**
+ * Encrypts records before they are written to browser storage.
+ *
+ * The root secret is the ECDH of the user's private key with their own public
+ * key, so only the holder of the chat key can read local data. Each purpose
+ * ("messages", "sessions", ...) gets its own AES-GCM key and lookup key via
+ * HKDF, so records from one store can't be replayed into another.
+ */
+class LocalDataCipher {
+  /**
+   * @param {CryptoKey} encryptionKey - AES-GCM key for record contents
+   * @param {Uint8Array} lookupKey - HMAC key for opaque record identifiers
+   */
+  constructor(encryptionKey, lookupKey) {
+    this.encryptionKey = encryptionKey;
+    this.lookupKey = lookupKey;
+  }
+
+  /**
+   * Derive a cipher for one storage purpose from the user's key pair
+   * @param {Object} keyPair - Key pair with privateKey and publicKey in hex format
+   * @param {string} purpose - Storage purpose label, e.g. "messages"
+   * @returns {Promise<LocalDataCipher>} Cipher bound to the key pair and purpose
+   */
+  static async fromKeyPair(keyPair, purpose) {
+    if (!keyPair?.privateKey || !keyPair?.publicKey) {
+      throw new Error("Key pair is required for local encryption");
+    }
+
+    const rootSecret = hexToBytes(
+      EccService.deriveSharedSecret(keyPair.privateKey, keyPair.publicKey)
+    );
+    const keyMaterial = hkdf(sha256, rootSecret, undefined, `e2e-chat-app/local/${purpose}`, 64);
+
+    const encryptionKey = await window.crypto.subtle.importKey(
+      'raw',
+      keyMaterial.slice(0, 32),
+      { name: 'AES-GCM' },
+      false,
+      ['encrypt', 'decrypt']
+    );
+
+    return new LocalDataCipher(encryptionKey, keyMaterial.slice(32));
+  }
+
+  /**
+   * Encrypt a JSON-serializable value
+   * @param {any} value - Value to encrypt
+   * @param {string} associatedData - Context bound to the ciphertext, e.g. the record id
+   * @returns {Promise<{iv: Uint8Array, ciphertext: Uint8Array}>} Encrypted value
+   */
+  async encrypt(value, associatedData = '') {
+    const iv = window.crypto.getRandomValues(new Uint8Array(12));
+    const ciphertext = await window.crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv, additionalData: utf8ToBytes(associatedData) },
+      this.encryptionKey,
+      utf8ToBytes(JSON.stringify(value))
+    );
+
+    return { iv, ciphertext: new Uint8Array(ciphertext) };
+  }
+
+  /**
+   * Decrypt a value produced by encrypt()
+   * @param {{iv: Uint8Array, ciphertext: Uint8Array}} record - Encrypted value
+   * @param {string} associatedData - Same context that was passed to encrypt()
+   * @returns {Promise<any>} Decrypted value
+   */
+  async decrypt(record, associatedData = '') {
+    try {
+      const plaintext = await window.crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: record.iv, additionalData: utf8ToBytes(associatedData) },
+        this.encryptionKey,
+        record.ciphertext
+      );
+
+      return JSON.parse(new TextDecoder().decode(plaintext));
+    } catch (error) {
+      throw new Error(`Local record could not be decrypted: ${error.message}`);
+    }
+  }
+
+  /**
+   * Derive an opaque, deterministic identifier so storage keys don't reveal
+   * addresses or other metadata
+   * @param {...string} parts - Values identifying the record
+   * @returns {string} Hex identifier
+   */
+  lookupId(...parts) {
+    return bytesToHex(hmac(sha256, this.lookupKey, utf8ToBytes(parts.join('|'))));
+  }
+}
+
+export default LocalDataCipher;
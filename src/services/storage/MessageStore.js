@@ -0,0 +1,205 @@
+import { openDatabase, requestToPromise, transactionDone, collectCursor } from './indexedDb';
+import LocalDataCipher from './LocalDataCipher';
+
+// Database layout
+const DB_NAME = 'e2e-chat-messages';
+const DB_VERSION = 1;
+const MESSAGES_STORE = 'messages';
+const CONVERSATION_INDEX = 'byConversation';
+
+export const DEFAULT_PAGE_SIZE = 30;
+
+/**
+ * Persistent, encrypted chat history per (account, contact) conversation.
+ *
+ * Message contents, sender and recipient are encrypted with a key derived
+ * from the user's ECC private key. Only an opaque conversation id and the
+ * timestamp are stored in the clear so history can be paged by index.
+ */
+class MessageStore {
+  /**
+   * Create a new MessageStore
+   * @param {string} account - Ethereum address of the local user
+   * @param {Object} keyPair - Local user's key pair (privateKey, publicKey hex)
+   */
+  constructor(account, keyPair) {
+    if (!account || !keyPair) {
+      throw new Error("Account and key pair are required");
+    }
+
+    this.account = account.toLowerCase();
+    this.keyPair = keyPair;
+    this.dbPromise = null;
+    this.cipherPromise = null;
+  }
+
+  /**
+   * Persist a message (insert or update by id)
+   * @param {string} conversationKey - Contact address (or group id) the message belongs to
+   * @param {Object} message - Message with id and timestamp
+   * @returns {Promise<void>}
+   */
+  async saveMessage(conversationKey, message) {
+    if (!message?.id || typeof message.timestamp !== 'number') {
+      throw new Error("Message must have an id and timestamp");
+    }
+
+    try {
+      const [db, cipher] = await Promise.all([this._getDb(), this._getCipher()]);
+      const conversationId = this._conversationId(cipher, conversationKey);
+      const encrypted = await cipher.encrypt(message, `${conversationId}:${message.id}`);
+
+      const transaction = db.transaction(MESSAGES_STORE, 'readwrite');
+      transaction.objectStore(MESSAGES_STORE).put({
+        id: message.id,
+        conversationId,
+        timestamp: message.timestamp,
+        iv: encrypted.iv,
+        ciphertext: encrypted.ciphertext
+      });
+
+      await transactionDone(transaction);
+    } catch (error) {
+      console.error("Error saving message:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check whether a message is already stored
+   * @param {string} conversationKey - Contact address (or group id)
+   * @param {string} id - Message id
+   * @returns {Promise<boolean>} True if the conversation has a message with this id
+   */
+  async hasMessage(conversationKey, id) {
+    const [db, cipher] = await Promise.all([this._getDb(), this._getCipher()]);
+    const conversationId = this._conversationId(cipher, conversationKey);
+
+    const transaction = db.transaction(MESSAGES_STORE, 'readonly');
+    const count = await requestToPromise(
+      transaction.objectStore(MESSAGES_STORE).count([conversationId, id])
+    );
+
+    return count > 0;
+  }
+
+  /**
+   * Load a page of messages, newest page first
+   * @param {string} conversationKey - Contact address (or group id)
+   * @param {Object} options - Paging options
+   * @param {Object} options.before - Oldest message already loaded; the page ends just before it
+   * @param {number} options.limit - Page size
+   * @returns {Promise<{messages: Array<Object>, hasMore: boolean}>} Messages in chronological order
+   */
+  async loadMessages(conversationKey, { before = null, limit = DEFAULT_PAGE_SIZE } = {}) {
+    try {
+      const [db, cipher] = await Promise.all([this._getDb(), this._getCipher()]);
+      const conversationId = this._conversationId(cipher, conversationKey);
+
+      const range = IDBKeyRange.bound(
+        [conversationId, -Infinity, ''],
+        before
+          ? [conversationId, before.timestamp, before.id]
+          : [conversationId, Infinity, ''],
+        false,
+        true
+      );
+
+      const transaction = db.transaction(MESSAGES_STORE, 'readonly');
+      const index = transaction.objectStore(MESSAGES_STORE).index(CONVERSATION_INDEX);
+
+      // Read one extra record to learn whether an older page exists
+      const records = await collectCursor(index, range, { direction: 'prev', limit: limit + 1 });
+      const hasMore = records.length > limit;
+      const page = records.slice(0, limit).reverse();
+
+      const messages = [];
+      for (const record of page) {
+        try {
+          messages.push(await cipher.decrypt(record, `${conversationId}:${record.id}`));
+        } catch (error) {
+          // Written under a different key (e.g. before a key change) - skip it
+          console.warn(`Skipping unreadable message ${record.id}:`, error.message);
+        }
+      }
+
+      return { messages, hasMore };
+    } catch (error) {
+      console.error("Error loading messages:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete every message in a conversation
+   * @param {string} conversationKey - Contact address (or group id)
+   * @returns {Promise<void>}
+   */
+  async deleteConversation(conversationKey) {
+    const [db, cipher] = await Promise.all([this._getDb(), this._getCipher()]);
+    const conversationId = this._conversationId(cipher, conversationKey);
+
+    const transaction = db.transaction(MESSAGES_STORE, 'readwrite');
+    const index = transaction.objectStore(MESSAGES_STORE).index(CONVERSATION_INDEX);
+    const keys = await requestToPromise(index.getAllKeys(IDBKeyRange.bound(
+      [conversationId, -Infinity, ''],
+      [conversationId, Infinity, '']
+    )));
+
+    for (const key of keys) {
+      transaction.objectStore(MESSAGES_STORE).delete(key);
+    }
+
+    await transactionDone(transaction);
+  }
+
+  /**
+   * Close the underlying database connection
+   */
+  async close() {
+    if (this.dbPromise) {
+      const db = await this.dbPromise;
+      db.close();
+      this.dbPromise = null;
+    }
+  }
+
+  // ===== Private Helper Methods =====
+
+  /**
+   * Open the database on first use
+   * @private
+   */
+  _getDb() {
+    if (!this.dbPromise) {
+      this.dbPromise = openDatabase(DB_NAME, DB_VERSION, (db) => {
+        const store = db.createObjectStore(MESSAGES_STORE, { keyPath: ['conversationId', 'id'] });
+        store.createIndex(CONVERSATION_INDEX, ['conversationId', 'timestamp', 'id']);
+      });
+    }
+
+    return this.dbPromise;
+  }
+
+  /**
+   * Derive the storage cipher on first use
+   * @private
+   */
+  _getCipher() {
+    if (!this.cipherPromise) {
+      this.cipherPromise = LocalDataCipher.fromKeyPair(this.keyPair, 'messages');
+    }
+
+    return this.cipherPromise;
+  }
+
+  /**
+   * Opaque id for an (account, conversation) pair
+   * @private
+   */
+  _conversationId(cipher, conversationKey) {
+    return cipher.lookupId(this.account, conversationKey.toLowerCase());
+  }
+}
+
+export default MessageStore;
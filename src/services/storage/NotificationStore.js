@@ -0,0 +1,186 @@
+import { openDatabase, requestToPromise, transactionDone, collectCursor } from './indexedDb';
+
+// Database layout
+const DB_NAME = 'e2e-chat-notifications';
+const DB_VERSION = 1;
+const NOTIFICATIONS_STORE = 'notifications';
+const CURSORS_STORE = 'cursors';
+const ACCOUNT_INDEX = 'byAccount';
+
+export const DEFAULT_LOG_SIZE = 50;
+
+/**
+ * Log of security notifications per account (recovery requests, share
+ * accesses, registry alerts), plus the last block that was scanned for them.
+ *
+ * Records are stored in the clear: they only repeat public on-chain events,
+ * and the log has to be readable when the chat key is lost.
+ */
+class NotificationStore {
+  /**
+   * Create a new NotificationStore
+   * @param {string} account - Ethereum address of the local user
+   */
+  constructor(account) {
+    if (!account) {
+      throw new Error("Account is required");
+    }
+
+    this.account = account.toLowerCase();
+    this.dbPromise = null;
+  }
+
+  /**
+   * Add a notification unless one with the same id is already logged
+   * @param {Object} notification - Notification with id and timestamp
+   * @returns {Promise<boolean>} True if the notification is new
+   */
+  async add(notification) {
+    if (!notification?.id || typeof notification.timestamp !== 'number') {
+      throw new Error("Notification must have an id and timestamp");
+    }
+
+    try {
+      const db = await this._getDb();
+      const transaction = db.transaction(NOTIFICATIONS_STORE, 'readwrite');
+      const store = transaction.objectStore(NOTIFICATIONS_STORE);
+
+      const existing = await requestToPromise(store.get([this.account, notification.id]));
+      if (!existing) {
+        store.put({ read: false, ...notification, account: this.account });
+      }
+
+      await transactionDone(transaction);
+      return !existing;
+    } catch (error) {
+      console.error("Error saving notification:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Load the newest notifications
+   * @param {number} limit - Maximum number of notifications
+   * @returns {Promise<Array<Object>>} Notifications, newest first
+   */
+  async list(limit = DEFAULT_LOG_SIZE) {
+    try {
+      const db = await this._getDb();
+      const transaction = db.transaction(NOTIFICATIONS_STORE, 'readonly');
+      const index = transaction.objectStore(NOTIFICATIONS_STORE).index(ACCOUNT_INDEX);
+
+      return await collectCursor(index, this._accountRange(), { direction: 'prev', limit });
+    } catch (error) {
+      console.error("Error loading notifications:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Mark every notification of the account as read
+   * @returns {Promise<void>}
+   */
+  async markAllRead() {
+    const db = await this._getDb();
+    const transaction = db.transaction(NOTIFICATIONS_STORE, 'readwrite');
+    const store = transaction.objectStore(NOTIFICATIONS_STORE);
+    const records = await requestToPromise(store.index(ACCOUNT_INDEX).getAll(this._accountRange()));
+
+    for (const record of records) {
+      if (!record.read) {
+        store.put({ ...record, read: true });
+      }
+    }
+
+    await transactionDone(transaction);
+  }
+
+  /**
+   * Delete every notification of the account
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    const db = await this._getDb();
+    const transaction = db.transaction(NOTIFICATIONS_STORE, 'readwrite');
+    const store = transaction.objectStore(NOTIFICATIONS_STORE);
+    const keys = await requestToPromise(store.index(ACCOUNT_INDEX).getAllKeys(this._accountRange()));
+
+    for (const key of keys) {
+      store.delete(key);
+    }
+
+    await transactionDone(transaction);
+  }
+
+  /**
+   * Last block scanned for events on a chain
+   * @param {number|bigint} chainId - Chain ID
+   * @returns {Promise<number|null>} Block number, or null if the chain was never scanned
+   */
+  async getLastBlock(chainId) {
+    const db = await this._getDb();
+    const transaction = db.transaction(CURSORS_STORE, 'readonly');
+    const record = await requestToPromise(
+      transaction.objectStore(CURSORS_STORE).get([this.account, String(chainId)])
+    );
+
+    return record ? record.blockNumber : null;
+  }
+
+  /**
+   * Remember the last block scanned for events on a chain
+   * @param {number|bigint} chainId - Chain ID
+   * @param {number} blockNumber - Block number
+   * @returns {Promise<void>}
+   */
+  async setLastBlock(chainId, blockNumber) {
+    const db = await this._getDb();
+    const transaction = db.transaction(CURSORS_STORE, 'readwrite');
+    transaction.objectStore(CURSORS_STORE).put({
+      account: this.account,
+      chainId: String(chainId),
+      blockNumber
+    });
+
+    await transactionDone(transaction);
+  }
+
+  /**
+   * Close the underlying database connection
+   */
+  async close() {
+    if (this.dbPromise) {
+      const db = await this.dbPromise;
+      db.close();
+      this.dbPromise = null;
+    }
+  }
+
+  // ===== Private Helper Methods =====
+
+  /**
+   * Open the database on first use
+   * @private
+   */
+  _getDb() {
+    if (!this.dbPromise) {
+      this.dbPromise = openDatabase(DB_NAME, DB_VERSION, (db) => {
+        const store = db.createObjectStore(NOTIFICATIONS_STORE, { keyPath: ['account', 'id'] });
+        store.createIndex(ACCOUNT_INDEX, ['account', 'timestamp', 'id']);
+        db.createObjectStore(CURSORS_STORE, { keyPath: ['account', 'chainId'] });
+      });
+    }
+
+    return this.dbPromise;
+  }
+
+  /**
+   * Index range covering every notification of the account
+   * @private
+   */
+  _accountRange() {
+    return IDBKeyRange.bound([this.account, -Infinity, ''], [this.account, Infinity, '']);
+  }
+}
+
+export default NotificationStore;
@@ -0,0 +1,112 @@
+import { openDatabase, requestToPromise, transactionDone } from './indexedDb';
+import LocalDataCipher from './LocalDataCipher';
+
+// Database layout
+const DB_NAME = 'e2e-chat-prekeys';
+const DB_VERSION = 1;
+const PREKEYS_STORE = 'prekeys';
+
+/**
+ * Encrypted storage for the private halves of published prekeys.
+ *
+ * All prekeys of an account live in one record, so id allocation and
+ * consumption are updated together.
+ */
+class PreKeyStore {
+  /**
+   * Create a new PreKeyStore
+   * @param {string} account - Ethereum address of the local user
+   * @param {Object} keyPair - Local user's key pair (privateKey, publicKey hex)
+   */
+  constructor(account, keyPair) {
+    if (!account || !keyPair) {
+      throw new Error("Account and key pair are required");
+    }
+
+    this.account = account.toLowerCase();
+    this.keyPair = keyPair;
+    this.dbPromise = null;
+    this.cipherPromise = null;
+  }
+
+  /**
+   * Load the account's prekeys
+   * @returns {Promise<Object|null>} Prekey record, or null if none was saved
+   */
+  async load() {
+    try {
+      const [db, cipher] = await Promise.all([this._getDb(), this._getCipher()]);
+      const id = cipher.lookupId(this.account);
+
+      const transaction = db.transaction(PREKEYS_STORE, 'readonly');
+      const record = await requestToPromise(transaction.objectStore(PREKEYS_STORE).get(id));
+
+      return record ? await cipher.decrypt(record, id) : null;
+    } catch (error) {
+      console.error("Error loading prekeys:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Replace the account's prekeys
+   * @param {Object} preKeys - JSON-serializable prekey record
+   * @returns {Promise<void>}
+   */
+  async save(preKeys) {
+    try {
+      const [db, cipher] = await Promise.all([this._getDb(), this._getCipher()]);
+      const id = cipher.lookupId(this.account);
+      const encrypted = await cipher.encrypt(preKeys, id);
+
+      const transaction = db.transaction(PREKEYS_STORE, 'readwrite');
+      transaction.objectStore(PREKEYS_STORE).put({ id, ...encrypted });
+
+      await transactionDone(transaction);
+    } catch (error) {
+      console.error("Error saving prekeys:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Close the underlying database connection
+   */
+  async close() {
+    if (this.dbPromise) {
+      const db = await this.dbPromise;
+      db.close();
+      this.dbPromise = null;
+    }
+  }
+
+  // ===== Private Helper Methods =====
+
+  /**
+   * Open the database on first use
+   * @private
+   */
+  _getDb() {
+    if (!this.dbPromise) {
+      this.dbPromise = openDatabase(DB_NAME, DB_VERSION, (db) => {
+        db.createObjectStore(PREKEYS_STORE, { keyPath: 'id' });
+      });
+    }
+
+    return this.dbPromise;
+  }
+
+  /**
+   * Derive the storage cipher on first use
+   * @private
+   */
+  _getCipher() {
+    if (!this.cipherPromise) {
+      this.cipherPromise = LocalDataCipher.fromKeyPair(this.keyPair, 'prekeys');
+    }
+
+    return this.cipherPromise;
+  }
+}
+
+export default PreKeyStore;
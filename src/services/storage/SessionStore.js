@@ -0,0 +1,136 @@
+import { openDatabase, requestToPromise, transactionDone } from './indexedDb';
+import LocalDataCipher from './LocalDataCipher';
+
+// Database layout
+const DB_NAME = 'e2e-chat-sessions';
+const DB_VERSION = 1;
+const SESSIONS_STORE = 'sessions';
+
+/**
+ * Encrypted per-contact storage for ratchet session records.
+ *
+ * Records hold live chain keys, so they are encrypted like chat history and
+ * keyed by an opaque id derived from the account and contact address.
+ */
+class SessionStore {
+  /**
+   * Create a new SessionStore
+   * @param {string} account - Ethereum address of the local user
+   * @param {Object} keyPair - Local user's key pair (privateKey, publicKey hex)
+   */
+  constructor(account, keyPair) {
+    if (!account || !keyPair) {
+      throw new Error("Account and key pair are required");
+    }
+
+    this.account = account.toLowerCase();
+    this.keyPair = keyPair;
+    this.dbPromise = null;
+    this.cipherPromise = null;
+  }
+
+  /**
+   * Load the session record for a contact
+   * @param {string} contactAddress - Contact's Ethereum address
+   * @returns {Promise<Object|null>} Session record, or null if none exists
+   */
+  async load(contactAddress) {
+    try {
+      const [db, cipher] = await Promise.all([this._getDb(), this._getCipher()]);
+      const id = this._sessionId(cipher, contactAddress);
+
+      const transaction = db.transaction(SESSIONS_STORE, 'readonly');
+      const record = await requestToPromise(transaction.objectStore(SESSIONS_STORE).get(id));
+
+      return record ? await cipher.decrypt(record, id) : null;
+    } catch (error) {
+      console.error("Error loading session:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Store the session record for a contact, replacing any previous one
+   * @param {string} contactAddress - Contact's Ethereum address
+   * @param {Object} session - JSON-serializable session record
+   * @returns {Promise<void>}
+   */
+  async save(contactAddress, session) {
+    try {
+      const [db, cipher] = await Promise.all([this._getDb(), this._getCipher()]);
+      const id = this._sessionId(cipher, contactAddress);
+      const encrypted = await cipher.encrypt(session, id);
+
+      const transaction = db.transaction(SESSIONS_STORE, 'readwrite');
+      transaction.objectStore(SESSIONS_STORE).put({ id, ...encrypted });
+
+      await transactionDone(transaction);
+    } catch (error) {
+      console.error("Error saving session:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete the session record for a contact
+   * @param {string} contactAddress - Contact's Ethereum address
+   * @returns {Promise<void>}
+   */
+  async delete(contactAddress) {
+    const [db, cipher] = await Promise.all([this._getDb(), this._getCipher()]);
+
+    const transaction = db.transaction(SESSIONS_STORE, 'readwrite');
+    transaction.objectStore(SESSIONS_STORE).delete(this._sessionId(cipher, contactAddress));
+
+    await transactionDone(transaction);
+  }
+
+  /**
+   * Close the underlying database connection
+   */
+  async close() {
+    if (this.dbPromise) {
+      const db = await this.dbPromise;
+      db.close();
+      this.dbPromise = null;
+    }
+  }
+
+  // ===== Private Helper Methods =====
+
+  /**
+   * Open the database on first use
+   * @private
+   */
+  _getDb() {
+    if (!this.dbPromise) {
+      this.dbPromise = openDatabase(DB_NAME, DB_VERSION, (db) => {
+        db.createObjectStore(SESSIONS_STORE, { keyPath: 'id' });
+      });
+    }
+
+    return this.dbPromise;
+  }
+
+  /**
+   * Derive the storage cipher on first use
+   * @private
+   */
+  _getCipher() {
+    if (!this.cipherPromise) {
+      this.cipherPromise = LocalDataCipher.fromKeyPair(this.keyPair, 'sessions');
+    }
+
+    return this.cipherPromise;
+  }
+
+  /**
+   * Opaque id for an (account, contact) pair
+   * @private
+   */
+  _sessionId(cipher, contactAddress) {
+    return cipher.lookupId(this.account, contactAddress.toLowerCase());
+  }
+}
+
+export default SessionStore;
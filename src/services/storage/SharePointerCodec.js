@@ -0,0 +1,102 @@
+import { ethers } from 'ethers';
+
+// "E2P" marks a pointer to an off-chain share
+const MAGIC = new Uint8Array([0x45, 0x32, 0x50]);
+
+// Current pointer version
+export const POINTER_VERSION = 1;
+
+// magic (3) | version | keccak256 of the ciphertext
+const HEADER_LENGTH = MAGIC.length + 1 + 32;
+
+// CIDs are multibase strings: base32 (b...) for CIDv1, base58btc (Qm...) for CIDv0
+const CID_PATTERN = /^[a-zA-Z0-9]{10,128}$/;
+
+/**
+ * Binary encoding of the on-chain record of an off-chain share.
+ *
+ * Layout (version 1):
+ *   "E2P" | version | keccak256(ciphertext) | CID (UTF-8)
+ *
+ * The pointer takes the place of the ciphertext in a share contract or vault
+ * slot, so the registry and its access checks work unchanged. Share data that
+ * doesn't start with the magic is an on-chain ciphertext.
+ */
+class SharePointerCodec {
+  /**
+   * Encode a pointer to a stored ciphertext
+   * @param {string} cid - Content identifier returned by the blob store
+   * @param {string} contentHash - keccak256 of the ciphertext (hex string with 0x prefix)
+   * @returns {string} Hex string with 0x prefix
+   */
+  static encode(cid, contentHash) {
+    if (typeof cid !== 'string' || !CID_PATTERN.test(cid)) {
+      throw new Error("Invalid content identifier");
+    }
+
+    if (!ethers.isHexString(contentHash, 32)) {
+      throw new Error("Content hash must be 32 bytes");
+    }
+
+    return ethers.hexlify(ethers.concat([
+      MAGIC,
+      new Uint8Array([POINTER_VERSION]),
+      contentHash,
+      ethers.toUtf8Bytes(cid)
+    ]));
+  }
+
+  /**
+   * Decode a pointer
+   * @param {string|Uint8Array} data - Share data read from the chain
+   * @returns {{version: number, contentHash: string, cid: string}} Decoded pointer
+   */
+  static decode(data) {
+    const bytes = ethers.getBytes(data);
+
+    if (!SharePointerCodec._hasMagic(bytes)) {
+      throw new Error("Share data is not an off-chain pointer");
+    }
+
+    const version = bytes[MAGIC.length];
+    if (version !== POINTER_VERSION) {
+      throw new Error(`Unsupported share pointer version ${version}`);
+    }
+
+    const cid = ethers.toUtf8String(bytes.slice(HEADER_LENGTH));
+    if (!CID_PATTERN.test(cid)) {
+      throw new Error("Share pointer has an invalid content identifier");
+    }
+
+    return {
+      version,
+      contentHash: ethers.hexlify(bytes.slice(MAGIC.length + 1, HEADER_LENGTH)),
+      cid
+    };
+  }
+
+  /**
+   * Check whether share data is a pointer rather than an on-chain ciphertext
+   * @param {string|Uint8Array} data - Share data read from the chain
+   * @returns {boolean} True for a well-formed pointer
+   */
+  static isPointer(data) {
+    try {
+      SharePointerCodec.decode(data);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  // ===== Private Helper Methods =====
+
+  /**
+   * @private
+   */
+  static _hasMagic(bytes) {
+    return bytes.length > HEADER_LENGTH && MAGIC.every((byte, i) => bytes[i] === byte);
+  }
+}
+
+export default SharePointerCodec;
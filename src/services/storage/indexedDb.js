@@ -0,0 +1,83 @@
+// Small promise wrappers around the IndexedDB request/transaction API.
+// Each store owns its own database so schema versions never have to be
+// coordinated between features.
+
+/**
+ * Open (and if needed create or upgrade) a database
+ * @param {string} name - Database name
+ * @param {number} version - Schema version
+ * @param {Function} upgrade - Called with (db, oldVersion, transaction) on version change
+ * @returns {Promise<IDBDatabase>} Open database
+ */
+export const openDatabase = (name, version, upgrade) => {
+  if (!window.indexedDB) {
+    return Promise.reject(new Error("IndexedDB is not available in this browser"));
+  }
+
+  return new Promise((resolve, reject) => {
+    const request = window.indexedDB.open(name, version);
+
+    request.onupgradeneeded = (event) => {
+      upgrade(request.result, event.oldVersion, request.transaction);
+    };
+
+    request.onsuccess = () => {
+      const db = request.result;
+      // Let other tabs upgrade the schema instead of blocking them
+      db.onversionchange = () => db.close();
+      resolve(db);
+    };
+
+    request.onerror = () => reject(request.error);
+    request.onblocked = () => reject(new Error(`Database ${name} is open in another tab with an older version`));
+  });
+};
+
+/**
+ * Wrap an IDBRequest in a promise
+ * @param {IDBRequest} request - Request to wait for
+ * @returns {Promise<any>} Request result
+ */
+export const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+/**
+ * Wait for a transaction to commit
+ * @param {IDBTransaction} transaction - Transaction to wait for
+ * @returns {Promise<void>} Resolves on commit, rejects on error or abort
+ */
+export const transactionDone = (transaction) => new Promise((resolve, reject) => {
+  transaction.oncomplete = () => resolve();
+  transaction.onerror = () => reject(transaction.error);
+  transaction.onabort = () => reject(transaction.error || new Error("Transaction aborted"));
+});
+
+/**
+ * Walk a cursor and collect values
+ * @param {IDBIndex|IDBObjectStore} source - Store or index to iterate
+ * @param {IDBKeyRange|null} range - Key range to iterate
+ * @param {Object} options - Iteration options
+ * @param {string} options.direction - Cursor direction ('next' or 'prev')
+ * @param {number} options.limit - Maximum number of values to collect
+ * @returns {Promise<Array>} Collected values
+ */
+export const collectCursor = (source, range, { direction = 'next', limit = Infinity } = {}) =>
+  new Promise((resolve, reject) => {
+    const values = [];
+    const request = source.openCursor(range, direction);
+
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor || values.length >= limit) {
+        resolve(values);
+        return;
+      }
+
+      values.push(cursor.value);
+      cursor.continue();
+    };
+
+    request.onerror = () => reject(request.error);
+  });